@@ -1,65 +1,352 @@
 // src/App.js
 // ---------------------------------------------
 // Mini Yard Crane (production-tuned)
-// - Multi containers (20’ / 40’), colors
-// - 2 tiers (stacking) with support rules
+// - Multi containers (20’ / 40’), colors, ISO 6346 numbers + attributes
+// - IMDG segregation (configurable class-pair matrix), placards on hazmat boxes
+// - Reefer power: powered stalls (blue), plugs per stack, plug usage in the HUD
+// - Crane work-order queue: orders any time, validated against the projected yard
+// - N gantry cranes on shared rails: safety-distance interlock, idle cranes yield,
+//   independent orders run side by side
+// - Configurable block (bays × rows × tiers), editable at runtime
+// - N tiers (stacking) with support rules (headless YardModel, ./yard)
 // - Entstapeln (remove only if nothing above)
 // - Full-grid procedural asphalt (no image files), sRGB, anisotropy
 // - Hi-DPI renderer, ACES tone mapping
-// - Reused geometries, promise-based cancelable tweens
+// - Reused geometries; crane motion on trapezoidal axis profiles (gantry, trolley,
+//   hoist) with spreader times, cycle time per job and moves/h estimate
 // - Raycast click-to-select, target cell highlights, occupancy HUD
+// - Drag & drop in the 3D view: ghost box snaps to the cell and tier under the
+//   cursor, live green/red cells with the reason, crane order on drop
+// - Cell picking on the yard plate: hover tooltip (stack per tier, free
+//   capacity), click = target slot, double-click = place the active container
+// - JSON export/import + localStorage auto-save (validated on load)
+// - Inventory export/import for the TOS: CSV, JSON, BAPLIE-style EDIFACT with
+//   BBRRTT positions (round-trips exactly)
+// - Manifest import (CSV, EDIFACT COPRAR/CODECO): per-line preview, bulk add to
+//   the gate, optional crane orders for pre-planned slots
+// - Gate area: truck lanes × parking spots with chassis meshes, free spots
+//   reused, "gate full" blocks new arrivals; dispatch sends a box off the terminal
+// - Command console: ADD / MOVE / REMOVE / SWAP / LIST with completion of
+//   container numbers and slots, history, multi-line scripts; same checks as
+//   the buttons, errors reported inline
+// - English/German UI (./i18n): message catalogs, rule results as message keys
+//   with parameters, locale-aware numbers and dates, switcher remembered per browser
+// - Camera views (./yard/cameraViews): free orbit, orthographic plan with slot
+//   labels, bay cross-section (tiers row by row), follow-crane camera, saved
+//   viewpoints; animated transitions between them
+// - Instanced rendering: one InstancedMesh per size and skin, instance-id picking,
+//   moved boxes synced per frame; benchmark mode fills a large block and reports
+//   frame time and memory
+// - Procedural container skins (canvas, cached per size and operator, tinted by
+//   an instance colour): corrugation, door end with locking bars, operator block;
+//   number + type code plates on the boxes nearest the camera
+// - Undo/redo of crane moves (Ctrl+Z / Ctrl+Y), replayed by the crane
+// - Dig-out planner for blocked unstacking (preview + chained crane job)
+// - Simulation mode: seeded truck arrivals on a simulated clock (1–100×),
+//   served by the cranes; headless batch runs over several seeds
+// - KPI panel: TEU utilisation, moves/rehandles, crane busy/idle, truck wait,
+//   dwell; live sparklines and CSV export of the event log and the figures
+// - Event recording (./yard/eventLog): every add, crane move, dispatch and yard
+//   replacement with its time; replay with a timeline slider (yard rebuilt at
+//   any point), crane cycles played forward at 1–100×, log export/import
 // ---------------------------------------------
 
 import React, { useEffect, useRef, useState, useMemo } from "react";
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import {
+  DEFAULT_YARD_CONFIG,
+  YARD_LIMITS,
+  bayCode,
+  formatSlot,
+  isReeferSlot,
+  normalizeYardConfig,
+  parseSlot,
+  reeferSlotList,
+  slotRangeLabel,
+  yardDimensions,
+} from "./yard/yardConfig";
+import { YardModel, REASONS, cellKey } from "./yard/yardModel";
+import { MoveHistory, planStep } from "./yard/moveHistory";
+import { freeGateSpot, gateCapacity, gateSpot, gateSpotFor, gateSpotOffset } from "./yard/gateArea";
+import { planDigOut } from "./yard/digOutPlanner";
+import { JOB_STATUS, JobQueue, jobsConflict } from "./yard/jobQueue";
+import { CRANE_REASONS, chooseCrane, craneId, craneLimits, initialCranePositions } from "./yard/cranes";
+import { craneAxes, moveStep, movesPerHour, planCycle, poseAt } from "./yard/craneKinematics";
+import {
+  ARRIVAL_TYPES,
+  DEFAULT_SIM_CONFIG,
+  SIM_EVENTS,
+  YardSimulation,
+  normalizeSimConfig,
+  runBatch,
+} from "./yard/simulation";
+import { KpiTracker, eventLogCsv, kpiCsv } from "./yard/kpi";
+import { ISO_TYPES, formatContainerNumber, generateContainerNumber, isoType } from "./yard/iso6346";
+import { pickSpec, validateContainerSpec, withSpecDefaults } from "./yard/containerSpec";
+import { IMO_CLASSES, MAX_SEGREGATION, pairKey } from "./yard/imdg";
+import {
+  loadFromStorage,
+  parseYardSnapshot,
+  saveToStorage,
+  serializeYard,
+} from "./yard/yardStorage";
+import {
+  INVENTORY_ERRORS,
+  INVENTORY_FORMATS,
+  inventoryCsv,
+  inventoryEdifact,
+  inventoryJson,
+  parseInventory,
+} from "./yard/inventory";
+import { MANIFEST_FORMATS, MANIFEST_REASONS, parseManifest, validateManifest } from "./yard/manifest";
+import { COMMAND_REASONS, completeCommand, parseScript, resolveBoxRef } from "./yard/commands";
+import { DEFAULT_BENCHMARK, benchmarkSnapshot, frameStats } from "./yard/benchmark";
+import { CRANE_EVENTS, EventRecorder, YARD_EVENTS, logSpan, parseEventLog, stateAt } from "./yard/eventLog";
+import { NUMBER_PLATES, PlatePool } from "./yard/platePool";
+import { dropPreview, snapCell } from "./yard/dragDrop";
+import {
+  PROJECTIONS,
+  VIEWS,
+  asPerspective,
+  easeInOut,
+  followPose,
+  interpolatePose,
+  loadViews,
+  overviewPose,
+  planPose,
+  saveViews,
+  sectionPose,
+  upsertView,
+} from "./yard/cameraViews";
+import {
+  LOCALES,
+  formatNumber,
+  formatPct,
+  formatTons,
+  loadLocale,
+  saveLocale,
+  setLocale,
+  t,
+  tr,
+} from "./i18n";
 
 // ===== Yard Constants =====
-const BAYS = 3;
-const ROWS = 3;
-const LETTERS = ["A", "B", "C"];
-
-const BAY_W = 2.5;          // X spacing per bay (letter)
-const ROW_D = 2.6;          // Z spacing per row (number)
+// Block size and stall dimensions live in the yard config (see ./yard/yardConfig).
 const TIER_H = 2.3;         // tier step height
 const CONTAINER_H = TIER_H * 0.9;
 const CONTAINER_HALF_H = CONTAINER_H / 2;
 
 const PLATE_THICKNESS = 0.05;
 const TRAVEL_Y = 5.5;       // crane travel height
-const CRANE_Z = -1.2;       // crane bridge Z in front of yard
-const MAX_TIERS = 2;
+const CRANE_Z = -1.2;       // hook rest Z in front of yard
+const BEAM_Y = TRAVEL_Y + CONTAINER_H; // gantry beam above a carried box
+const HOOK_ABOVE = CONTAINER_HALF_H + 0.25; // hook centre above the box centre
+const CRANE_PLAYBACK = 4;   // simulated crane seconds per real second
+const CRANE_COLORS = ["#4682b4", "#e67e22", "#16a085", "#8e44ad"];
+const craneColor = (id) => CRANE_COLORS[(Number(String(id).slice(1)) - 1) % CRANE_COLORS.length];
+const MAX_TEXTURE_PX = 4096; // keep stall texture within common GPU limits
 
-// Gate spawn baseline (left of A1)
-const GATE_START = new THREE.Vector3(-6, CONTAINER_HALF_H, 0);
-const GATE_SPACING = 1.1;
+// Gate: front spot of lane 0 (left of A1); boxes stand on truck chassis
+const CHASSIS_H = 1.2;      // chassis deck height (box bottom)
+const GATE_START = new THREE.Vector3(-6, CHASSIS_H + CONTAINER_HALF_H, 0);
+const DISPATCH_MS = 1800;   // truck driving off the terminal (real time)
+const DISPATCH_DISTANCE = 30;
+const MAX_HIGHLIGHTS = 12;  // highlight planes (target cells + conflicting neighbours)
+const DRAG_START_PX = 6;    // pointer travel before a press on a box becomes a drag
+const GROUND_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const CONSOLE_MAX_LINES = 200; // console log entries kept
+const CAMERA_FOV = 55;      // perspective camera, vertical degrees
+const VIEW_TRANSITION_MS = 800; // camera flight between views (real time)
+const BENCH_WARMUP_FRAMES = 30; // skipped while the filled block is built
+const BENCH_FRAMES = 240;   // measured frames
 
 // ===== Helpers (math/yard) =====
-const k = (bay, row, tier) => `${bay}-${row}-${tier}`;
-
-function parseSlot(slot) {
-  if (!slot || slot.length < 2) return null;
-  const bayLetter = slot[0].toUpperCase();
-  const rowNum = parseInt(slot.slice(1), 10);
-  const bayIdx = LETTERS.indexOf(bayLetter);
-  if (bayIdx === -1 || isNaN(rowNum)) return null;
-  const bay = bayIdx + 1;
-  const row = rowNum;
-  if (bay < 1 || bay > BAYS || row < 1 || row > ROWS) return null;
-  return { bay, row };
-}
-function cellOrigin(bay, row) {
-  const x = (bay - 1) * BAY_W;
-  const z = (row - 1) * ROW_D;
+function cellOrigin(cfg, bay, row) {
+  const x = (bay - 1) * cfg.bayWidth;
+  const z = (row - 1) * cfg.rowDepth;
   return new THREE.Vector3(x, 0, z);
 }
-function slotCenterAtTier(bay, row, tier = 1) {
-  const p = cellOrigin(bay, row);
+function slotCenterAtTier(cfg, bay, row, tier = 1) {
+  const p = cellOrigin(cfg, bay, row);
   p.y = PLATE_THICKNESS + CONTAINER_HALF_H + (tier - 1) * TIER_H;
   return p;
 }
-function lerpEase(p) {
-  return p < 0.5 ? 2 * p * p : -1 + (4 - 2 * p) * p;
+// ground cell { bay, row } around a scene point (may lie outside the block)
+function cellAtPoint(cfg, p) {
+  return { bay: Math.round(p.x / cfg.bayWidth) + 1, row: Math.round(p.z / cfg.rowDepth) + 1 };
+}
+// center of a 20’ (1 cell) or 40’ (2 cells) footprint
+function cellsCenter(cfg, cells) {
+  const c1 = cells[0];
+  const p = slotCenterAtTier(cfg, c1.bay, c1.row, c1.tier);
+  if (cells.length < 2) return p;
+  const c2 = cells[1];
+  return p.lerp(slotCenterAtTier(cfg, c2.bay, c2.row, c2.tier), 0.5);
+}
+
+// orthographic frustum showing camera.userData.height at `aspect`
+function fitOrthoCamera(camera, aspect) {
+  const h = camera.userData.height || 20;
+  camera.top = h / 2;
+  camera.bottom = -h / 2;
+  camera.left = (-h * aspect) / 2;
+  camera.right = (h * aspect) / 2;
+  camera.updateProjectionMatrix();
+}
+
+// mean gate -> slot cycle over every ground slot (crane waiting above the slot)
+function layoutCycleEstimate(cfg) {
+  const axes = craneAxes(cfg);
+  const travelY = TRAVEL_Y + HOOK_ABOVE;
+  const hookAt = (p) => ({ x: p.x, y: p.y + HOOK_ABOVE, z: p.z });
+  const gate = hookAt(GATE_START);
+  const cycles = [];
+  for (let bay = 1; bay <= cfg.bays; bay++) {
+    for (let row = 1; row <= cfg.rows; row++) {
+      const slot = hookAt(slotCenterAtTier(cfg, bay, row, 1));
+      cycles.push(planCycle(axes, { start: { ...slot, y: travelY }, pick: gate, drop: slot, travelY }).cycleS);
+    }
+  }
+  return { cycleS: cycles.reduce((a, b) => a + b, 0) / cycles.length, perHour: movesPerHour(cycles) };
+}
+
+// ===== Simulation helpers =====
+const SIM_COLORS = { 1: "#9ccbe8", 2: "#f5c26b" };     // simulated imports by size
+const OPERATOR_COLORS = ["#7fb3d5", "#f0b27a", "#82e0aa", "#c39bd3", "#f7dc6f", "#e59866", "#76d7c4", "#f1948a"];
+
+// stable color per line operator (manifest imports)
+function operatorColor(operator, fallback) {
+  if (!operator) return fallback;
+  let h = 0;
+  for (const ch of operator.toUpperCase()) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return OPERATOR_COLORS[h % OPERATOR_COLORS.length];
+}
+
+// sidebar form (minutes, hours, %) -> simulation config (seconds, shares)
+const simDraftFromConfig = (c) => ({
+  seed: c.seed,
+  hours: c.durationS / 3600,
+  importType: c.imports.type, importMin: c.imports.meanS / 60, importSpreadMin: c.imports.spreadS / 60,
+  exportType: c.exports.type, exportMin: c.exports.meanS / 60, exportSpreadMin: c.exports.spreadS / 60,
+  share40Pct: c.share40 * 100,
+});
+const simConfigFromDraft = (d) => normalizeSimConfig({
+  seed: d.seed,
+  durationS: d.hours * 3600,
+  imports: { type: d.importType, meanS: d.importMin * 60, spreadS: d.importSpreadMin * 60 },
+  exports: { type: d.exportType, meanS: d.exportMin * 60, spreadS: d.exportSpreadMin * 60 },
+  share40: d.share40Pct / 100,
+});
+
+// 3725 -> "01:02:05"
+function formatClock(seconds) {
+  const s = Math.floor(seconds);
+  return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map((n) => String(n).padStart(2, "0")).join(":");
+}
+
+// mean duration or "–" when nothing was measured yet
+const meanClock = (seconds) => (seconds === null ? t("common.none") : t("kpi.mean", { value: formatClock(seconds) }));
+
+// tiny inline-SVG line chart (KPI panel)
+function Sparkline({ values, color = "#2563eb", width = 140, height = 28 }) {
+  const frame = { background: "#fafafa", border: "1px solid #eee" };
+  if (values.length < 2) return <svg width={width} height={height} style={frame} />;
+  const max = Math.max(...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+  const points = values
+    .map((v, i) => `${((i / (values.length - 1)) * width).toFixed(1)},${(height - 2 - ((v - min) / span) * (height - 4)).toFixed(1)}`)
+    .join(" ");
+  return (
+    <svg width={width} height={height} style={frame}>
+      <polyline points={points} fill="none" stroke={color} strokeWidth={1.5} />
+    </svg>
+  );
+}
+
+// UI text for rule results: thin wrappers over the message catalogs (./i18n),
+// the scope order decides which text wins for shared reason codes
+const reasonText = (res, nameOf) => tr(res, "reason", { nameOf });
+const warningText = (res, nameOf) => tr(res, "warning", { nameOf });
+const queueReasonText = (res, nameOf) => tr(res, ["queueReason", "reason"], { nameOf });
+const historyReasonText = (res, nameOf) => tr(res, ["historyReason", "reason"], { nameOf });
+const plannerReasonText = (res, nameOf) => tr(res, ["plannerReason", "reason"], { nameOf });
+const craneReasonText = (res) => tr(res, "craneReason");
+
+// code labels ("2.1" -> key "imo.2_1")
+const imoLabel = (imoClass) => t(`imo.${String(imoClass).replace(".", "_")}`);
+const isoTypeLabel = (typeCode) => t(`isoType.${typeCode}`);
+
+const JOB_STATUS_COLOR = {
+  [JOB_STATUS.QUEUED]: "#f1f5f9",
+  [JOB_STATUS.EXECUTING]: "#dbeafe",
+  [JOB_STATUS.DONE]: "#dcfce7",
+  [JOB_STATUS.FAILED]: "#fee2e2",
+};
+
+// "b-r-t" -> "A1/1"
+function cellKeyLabel(key) {
+  const [bay, row, tier] = key.split("-").map(Number);
+  return `${formatSlot(bay, row)}/${tier}`;
+}
+
+// snapshot import problems (cell keys shown as slot/tier)
+function snapshotErrorText({ code, details = {} }) {
+  return tr({ code, details: details.key ? { ...details, cell: cellKeyLabel(details.key) } : details }, "snapshotError");
+}
+
+// event logs: snapshot problems inside (start state, yard replacements) as above
+function eventLogErrorText({ code, details = {} }) {
+  const text = details.errors?.map(snapshotErrorText).join(" ");
+  return tr({ code, details: text ? { ...details, text } : details }, "eventLogError");
+}
+
+// inventory files: own problems, the rest comes from the snapshot check
+function inventoryErrorText(e) {
+  return Object.values(INVENTORY_ERRORS).includes(e.code) ? tr(e, "inventoryError") : snapshotErrorText(e);
+}
+
+const specErrorText = (res) => tr(res, "specError");
+
+// manifest problems (whole file or one field of a line)
+function manifestErrorText(res, field = null, nameOf = (id) => id) {
+  if (Object.values(MANIFEST_REASONS).includes(res.reason)) return tr(res, "manifestError");
+  return field === "slot" ? t("manifestError.slot", { text: reasonText(res, nameOf) }) : specErrorText(res);
+}
+
+// console commands that cannot be read or resolved
+function commandErrorText({ reason, details = {} }) {
+  const params = details.id ? { ...details, number: formatContainerNumber(details.id) } : details;
+  return tr({ reason, details: params }, "commandError");
+}
+
+const containerName = (id, typeCode) => `${formatContainerNumber(id)} · ${typeCode}`;
+
+// plain list item for React state (entries additionally carry node/cells/gateIndex)
+const listItem = (e) => ({ id: e.id, name: e.name, sizeTEU: e.sizeTEU, color: e.color, ...pickSpec(e) });
+
+// snapshot of the live yard (model = rules/occupancy, entries = UI containers)
+function buildSnapshot(model, entries) {
+  return serializeYard({
+    config: model.config,
+    containers: entries.map((e) => ({ ...e, cells: model.getContainer(e.id)?.cells || [] })),
+    occ: model.occupancy(),
+    gateQueue: entries
+      .filter((e) => e.gateIndex != null)
+      .sort((a, b) => a.gateIndex - b.gateIndex)
+      .map((e) => e.id),
+  });
+}
+
+function downloadText(filename, text, mime = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 // ===== Procedural Asphalt (full-grid stalls) =====
@@ -70,7 +357,11 @@ function makeAsphaltTextureWithStalls({
   pxPerM = 96,
   dashedCenter = false,
   stallColor = "#ffffff",
+  powered = [],              // reefer stalls [{ bay, row }]
+  poweredColor = "#2f7fd8",
 }) {
+  // big blocks: lower the resolution instead of exceeding the max texture size
+  pxPerM = Math.min(pxPerM, MAX_TEXTURE_PX / Math.max(widthM, heightM));
   const W = Math.max(512, Math.floor(widthM * pxPerM));
   const H = Math.max(512, Math.floor(heightM * pxPerM));
   const c = document.createElement("canvas");
@@ -115,6 +406,19 @@ function makeAsphaltTextureWithStalls({
   // stall grid
   const cellW = bayWidthM * pxPerM;
   const cellH = rowDepthM * pxPerM;
+
+  // reefer stalls: tinted floor + plug mark at the row end
+  for (const { bay, row } of powered) {
+    const x = (bay - 1) * cellW;
+    const y = (row - 1) * cellH;
+    g.globalAlpha = 0.35;
+    g.fillStyle = poweredColor;
+    g.fillRect(x, y, cellW, cellH);
+    g.globalAlpha = 0.9;
+    const s = Math.min(cellW, cellH) * 0.14;
+    g.fillRect(x + cellW / 2 - s, y + cellH - s * 1.6, s * 2, s);
+    g.globalAlpha = 1;
+  }
   g.strokeStyle = stallColor;
   g.lineJoin = "miter";
   g.lineCap = "butt";
@@ -153,40 +457,645 @@ function makeAsphaltTextureWithStalls({
   return { map, bumpMap };
 }
 
-// ===== Geometry cache (reused) =====
-const GEO20 = new THREE.BoxGeometry(BAY_W * 0.95, CONTAINER_H, ROW_D * 0.95);
-const GEO40 = new THREE.BoxGeometry(BAY_W * 0.95, CONTAINER_H, ROW_D * 2 * 0.95);
+// ===== Plan view slot labels (one transparent texture over the whole block) =====
+function makeSlotLabelTexture({ widthM, heightM, bays, rows, pxPerM = 64 }) {
+  pxPerM = Math.min(pxPerM, MAX_TEXTURE_PX / Math.max(widthM, heightM));
+  const W = Math.max(64, Math.floor(widthM * pxPerM));
+  const H = Math.max(64, Math.floor(heightM * pxPerM));
+  const c = document.createElement("canvas");
+  c.width = W; c.height = H;
+  const g = c.getContext("2d");
+  const cellW = W / bays;
+  const cellH = H / rows;
+  g.font = `bold ${Math.floor(Math.min(cellW * 0.3, cellH * 0.4))}px sans-serif`;
+  g.textAlign = "center";
+  g.textBaseline = "middle";
+  g.lineJoin = "round";
+  g.lineWidth = Math.max(2, Math.min(cellW, cellH) * 0.04);
+  g.strokeStyle = "rgba(17, 17, 17, 0.85)";
+  g.fillStyle = "#ffffff";
+  // canvas top-left = bay A, row 1 (the plane lies flat, row 1 towards -z)
+  for (let b = 1; b <= bays; b++) {
+    for (let r = 1; r <= rows; r++) {
+      const x = (b - 0.5) * cellW;
+      const y = (r - 0.5) * cellH;
+      g.strokeText(formatSlot(b, r), x, y);
+      g.fillText(formatSlot(b, r), x, y);
+    }
+  }
+  const map = new THREE.CanvasTexture(c);
+  map.colorSpace = THREE.SRGBColorSpace;
+  map.needsUpdate = true;
+  return map;
+}
+
+// ===== Geometry cache (reused, keyed by stall dimensions) =====
+const geoCache = new Map();
+function containerGeometry(sizeTEU, cfg) {
+  const key = `${sizeTEU}:${cfg.bayWidth}:${cfg.rowDepth}`;
+  let geo = geoCache.get(key);
+  if (!geo) {
+    geo = new THREE.BoxGeometry(cfg.bayWidth * 0.95, CONTAINER_H, cfg.rowDepth * sizeTEU * 0.95);
+    geoCache.set(key, geo);
+  }
+  return geo;
+}
+// dispose every cached geometry not built for `cfg` (all of them if cfg is null)
+function pruneContainerGeometries(cfg = null) {
+  for (const [key, geo] of geoCache) {
+    if (cfg && key.endsWith(`:${cfg.bayWidth}:${cfg.rowDepth}`)) continue;
+    geo.dispose();
+    geoCache.delete(key);
+  }
+}
+
+// ===== IMO placards (diamond, cached per class) =====
+// [upper half, lower half, text]; striped = vertical red/black bars in the upper half
+const PLACARD_STYLE = {
+  "1": ["#f7941d", "#f7941d", "#111"],
+  "2.1": ["#e31e24", "#e31e24", "#fff"],
+  "2.2": ["#00a651", "#00a651", "#fff"],
+  "2.3": ["#ffffff", "#ffffff", "#111"],
+  "3": ["#e31e24", "#e31e24", "#fff"],
+  "4.1": ["#ffffff", "#ffffff", "#111", "#e31e24"],
+  "4.2": ["#ffffff", "#e31e24", "#111"],
+  "4.3": ["#0072bc", "#0072bc", "#fff"],
+  "5.1": ["#ffdd00", "#ffdd00", "#111"],
+  "5.2": ["#e31e24", "#ffdd00", "#111"],
+  "6.1": ["#ffffff", "#ffffff", "#111"],
+  "6.2": ["#ffffff", "#ffffff", "#111"],
+  "7": ["#ffdd00", "#ffffff", "#111"],
+  "8": ["#ffffff", "#111111", "#fff"],
+  "9": ["#ffffff", "#ffffff", "#111", "#111111"],
+};
+const PLACARD_SIZE = 0.8;
+const placardMaterials = new Map();
+let placardGeometry = null;
+
+function placardMaterial(imoClass) {
+  let mat = placardMaterials.get(imoClass);
+  if (mat) return mat;
+  const [top, bottom, text, stripes] = PLACARD_STYLE[imoClass] || ["#ffffff", "#ffffff", "#111"];
+  const s = 128;
+  const c = document.createElement("canvas");
+  c.width = s; c.height = s;
+  const ctx = c.getContext("2d");
+  ctx.beginPath();
+  ctx.moveTo(s / 2, 3); ctx.lineTo(s - 3, s / 2); ctx.lineTo(s / 2, s - 3); ctx.lineTo(3, s / 2);
+  ctx.closePath();
+  ctx.save();
+  ctx.clip();
+  ctx.fillStyle = top; ctx.fillRect(0, 0, s, s / 2);
+  ctx.fillStyle = bottom; ctx.fillRect(0, s / 2, s, s / 2);
+  if (stripes) {
+    ctx.fillStyle = stripes;
+    for (let x = 8; x < s; x += 16) ctx.fillRect(x, 0, 8, s / 2);
+  }
+  ctx.restore();
+  ctx.lineWidth = 5; ctx.strokeStyle = "#111"; ctx.stroke();
+  ctx.fillStyle = text;
+  ctx.font = "bold 34px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(imoClass, s / 2, s * 0.72);
+  const tex = new THREE.CanvasTexture(c);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  mat = new THREE.MeshStandardMaterial({ map: tex, transparent: true, alphaTest: 0.5, roughness: 0.7, side: THREE.DoubleSide });
+  placardMaterials.set(imoClass, mat);
+  return mat;
+}
+
+// placards on both long sides and the roof; children follow the container
+function attachPlacards(mesh, imoClass, cfg) {
+  if (!imoClass) return;
+  placardGeometry = placardGeometry || new THREE.PlaneGeometry(PLACARD_SIZE, PLACARD_SIZE);
+  const mat = placardMaterial(imoClass);
+  const placards = [1, -1, 0].map((side) => {
+    const p = new THREE.Mesh(placardGeometry, mat);
+    p.userData.side = side;
+    mesh.add(p);
+    return p;
+  });
+  mesh.userData.placards = placards;
+  layoutPlacards(mesh, cfg);
+}
+
+function disposePlacards() {
+  for (const mat of placardMaterials.values()) {
+    mat.map?.dispose();
+    mat.dispose();
+  }
+  placardMaterials.clear();
+  placardGeometry?.dispose();
+  placardGeometry = null;
+}
+
+function layoutPlacards(mesh, cfg) {
+  const halfW = (cfg.bayWidth * 0.95) / 2 + 0.01;
+  for (const p of mesh.userData.placards || []) {
+    if (p.userData.side === 0) {
+      p.position.set(0, CONTAINER_HALF_H + 0.01, 0);
+      p.rotation.set(-Math.PI / 2, 0, 0);
+    } else {
+      p.position.set(p.userData.side * halfW, 0, 0);
+      p.rotation.set(0, (p.userData.side * Math.PI) / 2, 0);
+    }
+  }
+}
+
+// ===== Container skins (procedural, cached per size and operator) =====
+// Canvas textures like the asphalt: corrugated steel with rails and corner posts,
+// a door end with locking bars, roof panels and an operator block on both long
+// sides. Drawn in light grey: the container colour is a per-instance colour that
+// tints the skin, so new colours cost no meshes or textures. Faces in BoxGeometry
+// order (+x, -x, +y, -y, +z, -z): the doors face +z. Number and type code differ
+// per box, see the number plates.
+const SKIN_PX_PER_M = 128;
+const SKIN_BASE = "#ebebeb"; // steel before the instance colour; kept below white so ribs can be lighter
+const skinMaterials = new Map(); // "size:bayWidth:rowDepth|operator" -> [6 face materials]
+
+const shade = (hex, factor) => new THREE.Color(hex).multiplyScalar(factor).getStyle();
+
+function skinCanvas(widthM, heightM) {
+  const c = document.createElement("canvas");
+  c.width = Math.min(1024, Math.max(64, Math.round(widthM * SKIN_PX_PER_M)));
+  c.height = Math.min(1024, Math.max(64, Math.round(heightM * SKIN_PX_PER_M)));
+  return c;
+}
+
+// vertical trapezoid ribs, top/bottom rails and corner posts
+function drawCorrugatedWall(g, W, H, color, { posts = true } = {}) {
+  g.fillStyle = color;
+  g.fillRect(0, 0, W, H);
+  const pitch = Math.max(6, Math.round(SKIN_PX_PER_M * 0.28));
+  for (let x = 0; x < W; x += pitch) {
+    g.fillStyle = shade(color, 1.25);
+    g.fillRect(x, 0, pitch * 0.2, H);
+    g.fillStyle = shade(color, 0.72);
+    g.fillRect(x + pitch * 0.55, 0, pitch * 0.2, H);
+  }
+  const rail = Math.max(3, Math.round(H * 0.05));
+  g.fillStyle = shade(color, 0.55);
+  g.fillRect(0, 0, W, rail);
+  g.fillRect(0, H - rail, W, rail);
+  if (posts) {
+    g.fillRect(0, 0, rail * 1.4, H);
+    g.fillRect(W - rail * 1.4, 0, rail * 1.4, H);
+  }
+}
+
+// operator name on a light panel with a diamond emblem
+function drawOperatorBlock(g, W, H, color, operator) {
+  if (!operator) return;
+  const text = operator.toUpperCase();
+  const h = H * 0.3;
+  const w = Math.min(W * 0.78, h * (1.4 + text.length * 0.62));
+  const x = (W - w) / 2;
+  const y = (H - h) / 2;
+  g.fillStyle = "rgba(255, 255, 255, 0.88)";
+  g.fillRect(x, y, w, h);
+  const ink = shade(color, 0.45);
+  g.fillStyle = ink;
+  g.beginPath();
+  g.moveTo(x + h * 0.5, y + h * 0.15);
+  g.lineTo(x + h * 0.85, y + h * 0.5);
+  g.lineTo(x + h * 0.5, y + h * 0.85);
+  g.lineTo(x + h * 0.15, y + h * 0.5);
+  g.closePath();
+  g.fill();
+  const maxText = w - h * 1.15;
+  let px = Math.floor(h * 0.62);
+  g.font = `bold ${px}px sans-serif`;
+  while (px > 8 && g.measureText(text).width > maxText) {
+    px -= 2;
+    g.font = `bold ${px}px sans-serif`;
+  }
+  g.textAlign = "left";
+  g.textBaseline = "middle";
+  g.fillText(text, x + h, y + h / 2, maxText);
+}
+
+// two door leaves, four locking bars with cam keepers and handles, hinges at the edges
+function drawDoorEnd(g, W, H, color) {
+  drawCorrugatedWall(g, W, H, color);
+  const frame = Math.max(4, Math.round(H * 0.07));
+  g.fillStyle = shade(color, 0.9);
+  g.fillRect(frame, frame, W - 2 * frame, H - 2 * frame);
+  g.fillStyle = shade(color, 0.5);
+  g.fillRect(W / 2 - 1, frame, 2, H - 2 * frame); // door gap
+  const bar = Math.max(2, Math.round(W * 0.018));
+  [0.14, 0.36, 0.64, 0.86].forEach((at) => {
+    const x = W * at;
+    g.fillStyle = "#8a8f96";
+    g.fillRect(x - bar / 2, frame, bar, H - 2 * frame);
+    g.fillStyle = "#5b6067";
+    g.fillRect(x - bar * 1.5, frame, bar * 3, bar * 2.5); // cam keepers
+    g.fillRect(x - bar * 1.5, H - frame - bar * 2.5, bar * 3, bar * 2.5);
+    g.fillRect(x, H * 0.55, W * 0.06 * (at < 0.5 ? 1 : -1), bar * 1.6); // handle
+  });
+  g.fillStyle = shade(color, 0.4);
+  [0.2, 0.5, 0.8].forEach((at) => {
+    g.fillRect(frame - 2, H * at - bar * 2, bar * 2, bar * 4);
+    g.fillRect(W - frame - bar * 2 + 2, H * at - bar * 2, bar * 2, bar * 4);
+  });
+}
+
+function skinTexture(canvas) {
+  const map = new THREE.CanvasTexture(canvas);
+  map.colorSpace = THREE.SRGBColorSpace;
+  map.anisotropy = 4;
+  return map;
+}
+
+function containerSkin(sizeTEU, operator, cfg) {
+  const key = `${sizeTEU}:${cfg.bayWidth}:${cfg.rowDepth}|${operator}`;
+  const color = SKIN_BASE;
+  let mats = skinMaterials.get(key);
+  if (mats) return mats;
+  const widthM = cfg.bayWidth * 0.95;
+  const lengthM = cfg.rowDepth * sizeTEU * 0.95;
+  const material = (canvas) => new THREE.MeshStandardMaterial({ map: skinTexture(canvas), roughness: 0.6, metalness: 0.1 });
+
+  const side = skinCanvas(lengthM, CONTAINER_H);
+  const gs = side.getContext("2d");
+  drawCorrugatedWall(gs, side.width, side.height, color);
+  drawOperatorBlock(gs, side.width, side.height, color, operator);
+
+  const doors = skinCanvas(widthM, CONTAINER_H);
+  drawDoorEnd(doors.getContext("2d"), doors.width, doors.height, color);
+
+  const front = skinCanvas(widthM, CONTAINER_H);
+  drawCorrugatedWall(front.getContext("2d"), front.width, front.height, color);
+
+  const roof = skinCanvas(widthM, lengthM);
+  const gr = roof.getContext("2d");
+  gr.fillStyle = shade(color, 1.08);
+  gr.fillRect(0, 0, roof.width, roof.height);
+  gr.fillStyle = shade(color, 0.85);
+  for (let y = 0; y < roof.height; y += Math.round(SKIN_PX_PER_M * 0.6)) gr.fillRect(0, y, roof.width, 2);
+
+  const sideMat = material(side);
+  const bottom = new THREE.MeshStandardMaterial({ color: 0x2b2b2b, roughness: 0.9 });
+  mats = [sideMat, sideMat, material(roof), bottom, material(doors), material(front)];
+  skinMaterials.set(key, mats);
+  return mats;
+}
+
+// dispose every cached skin and plate geometry not made for `cfg` (all of them if cfg is null)
+function pruneContainerSkins(cfg = null) {
+  const keep = (key) => cfg && key.split("|")[0].endsWith(`:${cfg.bayWidth}:${cfg.rowDepth}`);
+  for (const [key, mats] of skinMaterials) {
+    if (keep(key)) continue;
+    new Set(mats).forEach((m) => {
+      m.map?.dispose();
+      m.dispose();
+    });
+    skinMaterials.delete(key);
+  }
+  for (const [key, geo] of plateGeometries) {
+    if (keep(key)) continue;
+    geo.dispose();
+    plateGeometries.delete(key);
+  }
+}
+
+// ===== Number plates (container number + type code on the nearest boxes) =====
+// A texture per box does not scale to thousands of instances, so a fixed pool of
+// plates goes to the boxes nearest the camera, re-assigned a few times per second
+// (see ./yard/platePool). One plate = door end, both long sides and roof, merged
+// into one mesh.
+const PLATE_W = 1.1;
+const PLATE_H = 0.42;
+const plateGeometries = new Map(); // "size:bayWidth:rowDepth" -> merged BufferGeometry
+
+function plateGeometry(sizeTEU, cfg) {
+  const key = `${sizeTEU}:${cfg.bayWidth}:${cfg.rowDepth}`;
+  let geo = plateGeometries.get(key);
+  if (geo) return geo;
+  const halfW = (cfg.bayWidth * 0.95) / 2 + 0.012;
+  const halfL = (cfg.rowDepth * sizeTEU * 0.95) / 2 + 0.012;
+  const y = CONTAINER_HALF_H - PLATE_H / 2 - 0.1;
+  const nearDoors = halfL - PLATE_W / 2 - 0.15;
+  const quad = () => new THREE.PlaneGeometry(PLATE_W, PLATE_H);
+  geo = mergeGeometries([
+    quad().translate(halfW - 0.012 - PLATE_W / 2 - 0.08, y, halfL), // doors, upper right
+    quad().rotateY(Math.PI / 2).translate(halfW, y, nearDoors),
+    quad().rotateY(-Math.PI / 2).translate(-halfW, y, nearDoors),
+    quad().rotateX(-Math.PI / 2).translate(0, CONTAINER_HALF_H + 0.012, halfL - PLATE_H / 2 - 0.1), // roof, reads from the front
+  ]);
+  plateGeometries.set(key, geo);
+  return geo;
+}
+
+function drawNumberPlate(canvas, number, typeCode) {
+  const g = canvas.getContext("2d");
+  const { width: W, height: H } = canvas;
+  g.clearRect(0, 0, W, H);
+  g.textAlign = "left";
+  g.textBaseline = "middle";
+  g.lineJoin = "round";
+  g.lineWidth = 5;
+  g.strokeStyle = "rgba(17, 17, 17, 0.9)";
+  g.fillStyle = "#ffffff";
+  [[formatContainerNumber(number), H * 0.3, 40], [typeCode, H * 0.74, 32]].forEach(([text, y, px]) => {
+    g.font = `bold ${px}px monospace`;
+    g.strokeText(text, 8, y, W - 16);
+    g.fillText(text, 8, y, W - 16);
+  });
+}
+
+function createNumberPlates() {
+  const plates = Array.from({ length: NUMBER_PLATES }, () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = 256; canvas.height = 96;
+    const map = skinTexture(canvas);
+    const material = new THREE.MeshStandardMaterial({
+      map, transparent: true, depthWrite: false, roughness: 0.7, polygonOffset: true, polygonOffsetFactor: -1,
+    });
+    return { canvas, map, mesh: new THREE.Mesh(undefined, material), node: null };
+  });
+  const pool = new PlatePool(plates.length);
+
+  const layout = (plate) => {
+    plate.mesh.geometry = plateGeometry(plate.node.userData.sizeTEU, pool.config);
+  };
+
+  return {
+    // `entries`: containers { id, typeCode, sizeTEU, node }; `eye`: camera position
+    update(entries, eye, config, time) {
+      const distanceSq = (e) => e.node.position.distanceToSquared(eye);
+      const res = pool.update(entries, { distanceSq, keyOf: (e) => e.node }, config, time);
+      if (!res) return;
+      res.freed.forEach(({ plate }) => {
+        const p = plates[plate];
+        p.node.remove(p.mesh);
+        p.node = null;
+      });
+      res.assigned.forEach(({ plate, item: e }) => {
+        const p = plates[plate];
+        drawNumberPlate(p.canvas, e.id, e.typeCode);
+        p.map.needsUpdate = true;
+        p.node = e.node;
+        e.node.add(p.mesh);
+        layout(p);
+      });
+      res.relayout.forEach((plate) => layout(plates[plate]));
+    },
+
+    // plate geometries are cached, see pruneContainerSkins
+    dispose() {
+      plates.forEach((p) => {
+        p.node?.remove(p.mesh);
+        p.map.dispose();
+        p.mesh.material.dispose();
+      });
+    },
+  };
+}
+
+// ===== Instanced containers (one InstancedMesh per size and operator) =====
+// A container is an empty scene node (position, placards and number plate as
+// children); its box is one instance of the InstancedMesh for its size and
+// operator skin (see containerSkin), its colour an instance colour. sync() copies
+// moved nodes into the instance matrices once per frame, so crane and truck
+// animations keep moving nodes.
+const INSTANCE_CHUNK = 256; // smallest capacity; full meshes are rebuilt at twice the size
+
+function createContainerInstances(scene, cfg) {
+  const classes = new Map(); // "size|operator" -> { key, mesh, nodes, sizeTEU, operator }
+  const matrix = new THREE.Matrix4();
+  const color = new THREE.Color();
+
+  function buildMesh(cls, capacity) {
+    const mesh = new THREE.InstancedMesh(containerGeometry(cls.sizeTEU, cfg), containerSkin(cls.sizeTEU, cls.operator, cfg), capacity);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.count = 0;
+    mesh.frustumCulled = false; // the block is one compact cluster; bounds are only needed for picking
+    mesh.userData.skin = cls.key;
+    scene.add(mesh);
+    return mesh;
+  }
+
+  // class of `skin` with room for one more instance
+  function classFor({ sizeTEU, operator }) {
+    const key = `${sizeTEU}|${operator}`;
+    let cls = classes.get(key);
+    if (!cls) {
+      cls = { key, sizeTEU, operator, nodes: [] };
+      cls.mesh = buildMesh(cls, INSTANCE_CHUNK);
+      classes.set(key, cls);
+    }
+    const old = cls.mesh;
+    if (cls.nodes.length >= old.instanceMatrix.count) {
+      cls.mesh = buildMesh(cls, old.instanceMatrix.count * 2);
+      cls.mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+      cls.mesh.instanceColor.array.set(old.instanceColor.array);
+      cls.mesh.count = old.count;
+      scene.remove(old);
+      old.dispose(); // geometry and skin are cached
+    }
+    return cls;
+  }
+
+  function place(mesh, index, node) {
+    matrix.makeTranslation(node.position.x, node.position.y, node.position.z);
+    mesh.setMatrixAt(index, matrix);
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.boundingSphere = null; // recomputed on the next raycast
+    mesh.boundingBox = null;
+  }
+
+  const meshes = () => [...classes.values()].map((cls) => cls.mesh);
+
+  // container node behind a raycast hit on one of the meshes (null for other objects)
+  function nodeOf(hit) {
+    const cls = classes.get(hit.object.userData.skin);
+    return cls && cls.mesh === hit.object ? cls.nodes[hit.instanceId] ?? null : null;
+  }
+
+  return {
+    meshes,
+    nodeOf,
+
+    // `skin`: { sizeTEU, operator, color }
+    add(node, skin) {
+      const cls = classFor(skin);
+      const index = cls.nodes.length;
+      cls.nodes.push(node);
+      node.userData.skin = cls.key;
+      node.userData.instance = index;
+      cls.mesh.count = cls.nodes.length;
+      cls.mesh.setColorAt(index, color.set(skin.color));
+      cls.mesh.instanceColor.needsUpdate = true;
+      place(cls.mesh, index, node);
+    },
+
+    // the last instance moves into the freed slot
+    remove(node) {
+      const cls = classes.get(node.userData.skin);
+      const index = node.userData.instance;
+      if (!cls || cls.nodes[index] !== node) return;
+      const last = cls.nodes.pop();
+      if (last !== node) {
+        cls.nodes[index] = last;
+        last.userData.instance = index;
+        cls.mesh.getColorAt(cls.nodes.length, color);
+        cls.mesh.setColorAt(index, color);
+        cls.mesh.instanceColor.needsUpdate = true;
+        place(cls.mesh, index, last);
+      }
+      cls.mesh.count = cls.nodes.length;
+      node.userData.instance = null;
+    },
+
+    // write moved nodes into the instance matrices (translation only: boxes never turn)
+    sync() {
+      for (const { mesh, nodes } of classes.values()) {
+        const m = mesh.instanceMatrix.array;
+        for (let i = 0; i < nodes.length; i++) {
+          const p = nodes[i].position;
+          const o = i * 16;
+          if (m[o + 12] !== p.x || m[o + 13] !== p.y || m[o + 14] !== p.z) place(mesh, i, nodes[i]);
+        }
+      }
+    },
+
+    // nearest container node under the ray
+    pick(raycaster) {
+      const hit = raycaster.intersectObjects(meshes(), false)[0];
+      return hit ? nodeOf(hit) : null;
+    },
+
+    // new stall dimensions: every class switches to the matching geometry and skin
+    setConfig(next) {
+      cfg = next;
+      for (const cls of classes.values()) {
+        cls.mesh.geometry = containerGeometry(cls.sizeTEU, cfg);
+        cls.mesh.material = containerSkin(cls.sizeTEU, cls.operator, cfg);
+        cls.mesh.boundingSphere = null;
+        cls.mesh.boundingBox = null;
+      }
+    },
+
+    get count() {
+      return [...classes.values()].reduce((n, cls) => n + cls.nodes.length, 0);
+    },
+
+    // instance matrices and colours as allocated (capacity, not count)
+    get bufferBytes() {
+      return [...classes.values()].reduce((n, cls) => n + cls.mesh.instanceMatrix.count * (16 + 3) * 4, 0);
+    },
+
+    // skins are cached, see pruneContainerSkins
+    dispose() {
+      for (const cls of classes.values()) {
+        scene.remove(cls.mesh);
+        cls.mesh.dispose();
+      }
+      classes.clear();
+    },
+  };
+}
 
 // ===== React Component =====
 export default function App() {
   const mountRef = useRef(null);
 
   // three handles
-  const three = useRef({ scene: null, camera: null, renderer: null, controls: null, anims: [] });
-  const craneRef = useRef({ bridge: null, hook: null });
+  const three = useRef({
+    scene: null, camera: null, perspective: null, ortho: null, renderer: null, controls: null, boxes: null, anims: [],
+  });
+  const cranesRef = useRef([]);                               // [{ id, gantry, hook, x, busy, lo, hi, status, jobId }]
   const highlightRef = useRef({ group: null, planes: [] }); // cell highlights
+  const hoverRef = useRef({ plate: null, plane: null, key: null }); // plate picking + hovered cell
+  const gateRef = useRef({ trucks: [] });                     // chassis mesh per gate spot
   const rayRef = useRef({ raycaster: new THREE.Raycaster(), mouse: new THREE.Vector2() });
+  const yardCenterRef = useRef(null);                         // last framed yard center
 
   // state
+  const [yardConfig, setYardConfig] = useState(DEFAULT_YARD_CONFIG);
+  const modelRef = useRef(new YardModel(DEFAULT_YARD_CONFIG)); // rules + occupancy (headless)
+  const [draftConfig, setDraftConfig] = useState(DEFAULT_YARD_CONFIG); // sidebar editor
   const [containers, setContainers] = useState([]);           // [{id, name, sizeTEU, color}]
-  const containersRef = useRef([]);                           // same + mesh + cells
-  const [occ, setOcc] = useState({});                         // "b-r-t" -> id
-  const occRef = useRef({});
+  const containersRef = useRef([]);                           // same + node + cells
+  const [occ, setOcc] = useState({});                         // "b-r-t" -> id (mirror of model)
   const [selectedId, setSelectedId] = useState(null);
   const [slot, setSlot] = useState("A1");
   const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);                // non-blocking placement warning
+  const [locale, setLocaleState] = useState(() => setLocale(loadLocale())); // UI language (./i18n)
 
-  const [newSize, setNewSize] = useState(1);
   const [newColor, setNewColor] = useState("#d7bde2");
+  const [newSpec, setNewSpec] = useState({
+    number: "", typeCode: "22G1", grossKg: "", full: true, operator: "", remark: "", imoClass: "",
+  });
+  const [addErrors, setAddErrors] = useState({});            // field -> error (entry form)
 
-  const gateIndexRef = useRef(0);
+  const gateReservedRef = useRef(new Set());                  // gate spots promised to running removals
+  const importInputRef = useRef(null);
+  const [importReport, setImportReport] = useState(null);     // { title (i18n key), messages } after a rejected import or auto-save
+  const manifestInputRef = useRef(null);
+  const inventoryInputRef = useRef(null);
+  const [inventoryFormat, setInventoryFormat] = useState(INVENTORY_FORMATS.CSV);
+  const [manifest, setManifest] = useState(null);             // { fileName, format, rows } or { fileName, error }
+  const [manifestSlots, setManifestSlots] = useState(true);   // queue crane orders for pre-planned slots
+  const historyRef = useRef(new MoveHistory());
+  const [, setHistoryVersion] = useState(0);                  // re-render on history change
+  const queueRef = useRef(new JobQueue());                    // crane work orders
+  const leavingRef = useRef(new Set());                       // ids of gate boxes driving off (no new orders)
+  const [, setQueueVersion] = useState(0);                    // re-render on queue change
+  const jobPlansRef = useRef({});                             // job id -> { crane, yields, gateIndex }
+  const queueWaitRef = useRef(null);                          // why the next order waits: { jobId, text }
+  const stepRunningRef = useRef(false);                       // undo/redo move in progress (queue holds)
+  const [, setCraneVersion] = useState(0);                    // re-render on crane status change
+  const busyDepthRef = useRef(0);                             // nested withBusy() calls
+  const simRef = useRef(null);                                // running simulation (see startSimulation)
+  const simTickRef = useRef(null);                            // latest simTick for the RAF runner
+  const refreshGateRef = useRef(null);                        // latest refreshGate for the effects
+  const reframeViewRef = useRef(null);                        // latest reframeView for the config effect
+  const restoreYardRef = useRef(null);                        // latest restoreYard for the mount effect
+  const [simDraft, setSimDraft] = useState(() => simDraftFromConfig(DEFAULT_SIM_CONFIG));
+  const [simSpeed, setSimSpeed] = useState(10);               // simulated seconds per real second
+  const [simView, setSimView] = useState(null);               // { status, now, durationS, summary }
+  const [batchRuns, setBatchRuns] = useState(5);
+  const [batchResult, setBatchResult] = useState(null);       // runBatch() summaries or "running"
+  const kpiRef = useRef(new KpiTracker());                    // KPI event log + chart samples
+  const kpiClockRef = useRef({ base: 0, wallT0: performance.now() }); // KPI clock outside the simulation
+  const [, setKpiVersion] = useState(0);                      // re-render on a KPI reset
+  const recorderRef = useRef(new EventRecorder());            // yard events for the replay (see recordEvent)
+  const recordClockRef = useRef({ t: 0, kpiAt: 0 });          // recording time, banked from the KPI clock
+  const [, setRecordVersion] = useState(0);                   // re-render on a new recording
+  const eventLogInputRef = useRef(null);
+  const replayRef = useRef(null);                             // running replay (see startReplay)
+  const replayTickRef = useRef(null);                         // latest replayTick for the RAF runner
+  const [replaySpeed, setReplaySpeed] = useState(CRANE_PLAYBACK); // crane seconds per real second
+  const [replayView, setReplayView] = useState(null);         // { playing, t, from, to, applied, events }
+  const hotkeysRef = useRef({});
+  const pointerRef = useRef({});                              // latest drag handlers for the canvas listeners
+  const dragRef = useRef(null);                               // pressed/dragged box (see dragArm)
+  const [dragHint, setDragHint] = useState(null);             // { ok, text } under the cursor while dragging
+  const [hoverCell, setHoverCell] = useState(null);           // { bay, row, x, y } for the cell tooltip
+  const [digPlan, setDigPlan] = useState(null);               // planDigOut() result on preview
+  const [consoleLog, setConsoleLog] = useState([]);           // [{ kind: "in" | "out" | "err", text }]
+  const [consoleInput, setConsoleInput] = useState("");
+  const [consoleSuggest, setConsoleSuggest] = useState([]);   // completion choices for the last word
+  const consoleHistoryRef = useRef({ lines: [], index: null }); // entered commands, ArrowUp/Down position
+  const consoleLogRef = useRef(null);                          // log element (kept scrolled to the end)
+  const planPreviewRef = useRef(null);                        // THREE.Group of preview planes
+  const [view, setView] = useState(VIEWS.FREE);               // camera view (see showView)
+  const [sectionBay, setSectionBay] = useState(1);            // bay of the cross-section
+  const [followCrane, setFollowCrane] = useState(craneId(0)); // crane of the follow camera
+  const viewRef = useRef({ view: VIEWS.FREE, bay: 1, crane: craneId(0), flight: null, follow: null }); // + runners
+  const [savedViews, setSavedViews] = useState(() => loadViews()); // [{ name, view, ...pose }]
+  const [viewName, setViewName] = useState("");
+  const [benchDraft, setBenchDraft] = useState({ bays: DEFAULT_BENCHMARK.bays, rows: DEFAULT_BENCHMARK.rows, tiers: DEFAULT_BENCHMARK.tiers });
+  const [bench, setBench] = useState(null);                   // null | "running" | measured figures
 
   // memo yard size for asphalt
-  const yardDims = useMemo(() => ({
-    totalW: BAYS * BAY_W,
-    totalD: ROWS * ROW_D,
-  }), []);
+  const yardDims = useMemo(() => yardDimensions(yardConfig), [yardConfig]);
+  const layoutEstimate = useMemo(() => layoutCycleEstimate(yardConfig), [yardConfig]);
 
+  // --- Scene, renderer, controls, picking, RAF (once)
   useEffect(() => {
     const el = mountRef.current;
 
@@ -194,8 +1103,11 @@ export default function App() {
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0xf3f4f6);
 
-    const camera = new THREE.PerspectiveCamera(55, el.clientWidth / el.clientHeight, 0.1, 1000);
+    const camera = new THREE.PerspectiveCamera(CAMERA_FOV, el.clientWidth / el.clientHeight, 0.1, 1000);
     camera.position.set(-8, 14, 18);
+    // plan / section views; three.current.camera is the one in use (see applyPose)
+    const ortho = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+    fitOrthoCamera(ortho, el.clientWidth / el.clientHeight);
 
     const renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -208,49 +1120,181 @@ export default function App() {
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
 
+    // Container boxes (instanced, see createContainerInstances)
+    const boxes = createContainerInstances(scene, modelRef.current.config);
+
     // Lights
     scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.9));
     const dir = new THREE.DirectionalLight(0xffffff, 0.9);
     dir.position.set(20, 30, 10);
     scene.add(dir);
 
+    // Raycast for click-to-select; a press on a box also arms drag & drop
+    const rayState = rayRef.current;
+    const aim = (ev) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      rayState.mouse.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+      rayState.mouse.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
+      const active = three.current.camera;
+      rayState.raycaster.setFromCamera(rayState.mouse, active);
+      // orthographic rays start on the near plane: stop at the far plane (section slab)
+      rayState.raycaster.far = active.isOrthographicCamera ? active.far - active.near : Infinity;
+    };
+    let press = null; // where a plain click started (click = press + release without travel)
+    const onPointerDown = (ev) => {
+      aim(ev);
+      const node = boxes.pick(rayState.raycaster);
+      press = { x: ev.clientX, y: ev.clientY, onBox: !!node };
+      if (node) {
+        const entry = containersRef.current.find((c) => c.node === node);
+        if (entry) setSelectedId(entry.id);
+        // OrbitControls sit out the whole gesture, so the view stays put while dragging
+        if (entry && ev.button === 0 && pointerRef.current.dragArm?.(entry, ev)) controls.enabled = false;
+      }
+    };
+    const onPointerMove = (ev) => {
+      aim(ev);
+      if (dragRef.current) pointerRef.current.dragMove?.(ev);
+      else if (ev.buttons === 0) pointerRef.current.hover?.(ev);
+    };
+    const onPointerUp = (ev) => {
+      const click = press && !press.onBox && Math.hypot(ev.clientX - press.x, ev.clientY - press.y) < DRAG_START_PX;
+      press = null;
+      if (click && ev.type === "pointerup") {
+        aim(ev);
+        pointerRef.current.cellClick?.();
+      }
+      if (!dragRef.current) return;
+      pointerRef.current.dragEnd?.(ev.type === "pointerup");
+      controls.enabled = true;
+    };
+    const onDoubleClick = (ev) => {
+      aim(ev);
+      if (!boxes.pick(rayState.raycaster)) pointerRef.current.cellDoubleClick?.();
+    };
+    const onPointerLeave = () => pointerRef.current.hover?.(null);
+    renderer.domElement.addEventListener("pointerdown", onPointerDown);
+    renderer.domElement.addEventListener("pointermove", onPointerMove);
+    renderer.domElement.addEventListener("pointerup", onPointerUp);
+    renderer.domElement.addEventListener("pointercancel", onPointerUp);
+    renderer.domElement.addEventListener("pointerleave", onPointerLeave);
+    renderer.domElement.addEventListener("dblclick", onDoubleClick);
+
+    // Resize
+    const onResize = () => {
+      renderer.setSize(el.clientWidth, el.clientHeight);
+      camera.aspect = el.clientWidth / el.clientHeight;
+      camera.updateProjectionMatrix();
+      fitOrthoCamera(ortho, camera.aspect);
+    };
+    window.addEventListener("resize", onResize);
+
+    // RAF
+    const plates = createNumberPlates();
+    let raf;
+    const loop = (t) => {
+      controls.update();
+      // run tweens
+      three.current.anims = three.current.anims.filter((a) => !a.done);
+      three.current.anims.forEach((a) => a.step(t));
+      boxes.sync();
+      plates.update(containersRef.current, three.current.camera.position, modelRef.current.config, t);
+      renderer.render(scene, three.current.camera);
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+
+    three.current = { scene, camera, perspective: camera, ortho, renderer, controls, boxes, anims: [] };
+    yardCenterRef.current = null;
+    modelRef.current = new YardModel(modelRef.current.config);
+    setOcc({});
+
+    // Restore the auto-saved yard, otherwise spawn one initial 20' container at gate
+    const stored = loadFromStorage();
+    if (stored?.ok) {
+      restoreYardRef.current(stored);
+    } else {
+      if (stored) setImportReport({ title: "io.autosaveRejected", messages: stored.errors.map(snapshotErrorText) });
+      containersRef.current = [];
+      const first = addContainerToScene(scene, { typeCode: "22G1", full: false, color: "#d7bde2" }, 0);
+      containersRef.current = [first];
+      setContainers([listItem(first)]);
+      setSelectedId(first.id);
+    }
+    // record from here on (the recording clock starts with the KPI clock at 0)
+    recorderRef.current.start(buildSnapshot(modelRef.current, containersRef.current), 0);
+
+    // Cleanup
+    return () => {
+      cancelAnimationFrame(raf);
+      window.removeEventListener("resize", onResize);
+      renderer.domElement.removeEventListener("pointerdown", onPointerDown);
+      renderer.domElement.removeEventListener("pointermove", onPointerMove);
+      renderer.domElement.removeEventListener("pointerup", onPointerUp);
+      renderer.domElement.removeEventListener("pointercancel", onPointerUp);
+      renderer.domElement.removeEventListener("pointerleave", onPointerLeave);
+      renderer.domElement.removeEventListener("dblclick", onDoubleClick);
+
+      // remove canvas
+      el.removeChild(renderer.domElement);
+
+      // container instances and plates (geometries and skins are cached and disposed globally below)
+      plates.dispose();
+      boxes.dispose();
+      pruneContainerGeometries();
+      pruneContainerSkins();
+      disposePlacards();
+    };
+  }, []);
+
+  // --- Yard block: plate, asphalt, labels, crane, highlights (rebuilt on config change)
+  useEffect(() => {
+    const { scene, camera, renderer, controls, boxes } = three.current;
+    if (!scene) return;
+    const cfg = yardConfig;
+    const yard = new THREE.Group();
+
     // Subtle grid (optional)
-    const grid = new THREE.GridHelper(30, 30, 0x666666, 0x999999);
+    const gridSize = Math.max(30, Math.ceil(Math.max(yardDims.totalW, yardDims.totalD) + 20));
+    const grid = new THREE.GridHelper(gridSize, gridSize, 0x666666, 0x999999);
     grid.material.transparent = true;
     grid.material.opacity = 0.08;
-    const baseCell = cellOrigin(1, 1);
-    grid.position.set(baseCell.x + BAY_W, 0, baseCell.z + ROW_D);
-    scene.add(grid);
+    const baseCell = cellOrigin(cfg, 1, 1);
+    const center = new THREE.Vector3(
+      baseCell.x + yardDims.totalW / 2 - cfg.bayWidth / 2,
+      0,
+      baseCell.z + yardDims.totalD / 2 - cfg.rowDepth / 2
+    );
+    grid.position.copy(center);
+    yard.add(grid);
 
     // Ground plate
     const plate = new THREE.Mesh(
       new THREE.BoxGeometry(yardDims.totalW, PLATE_THICKNESS, yardDims.totalD),
       new THREE.MeshStandardMaterial({ color: 0xeeeeee })
     );
-    plate.position.set(
-      baseCell.x + yardDims.totalW / 2 - BAY_W / 2,
-      PLATE_THICKNESS / 2,
-      baseCell.z + yardDims.totalD / 2 - ROW_D / 2
-    );
-    scene.add(plate);
+    plate.position.set(center.x, PLATE_THICKNESS / 2, center.z);
+    yard.add(plate);
 
-    // Asphalt (generate once)
+    // Asphalt (generated per layout)
     const { map: asphaltMap, bumpMap } = makeAsphaltTextureWithStalls({
       widthM: yardDims.totalW,
       heightM: yardDims.totalD,
-      bays: BAYS,
-      rows: ROWS,
-      bayWidthM: BAY_W,
-      rowDepthM: ROW_D,
+      bays: cfg.bays,
+      rows: cfg.rows,
+      bayWidthM: cfg.bayWidth,
+      rowDepthM: cfg.rowDepth,
       pxPerM: 96,
       dashedCenter: false,
       stallColor: "#ffffff",
+      powered: reeferSlotList(cfg),
     });
     // anisotropy for crisper at glancing angles
     const maxAniso = renderer.capabilities.getMaxAnisotropy?.() || 0;
     asphaltMap.anisotropy = Math.min(maxAniso, 8);
     bumpMap.anisotropy = Math.min(maxAniso, 2);
 
+    plate.material.dispose();
     plate.material = new THREE.MeshStandardMaterial({
       map: asphaltMap,
       bumpMap,
@@ -260,42 +1304,65 @@ export default function App() {
     });
 
     // Labels
-    for (let b = 1; b <= BAYS; b++) {
-      const s = makeLabelSprite(LETTERS[b - 1]);
-      const p = cellOrigin(b, 1);
-      s.position.set(p.x, PLATE_THICKNESS + 0.12, p.z - ROW_D / 2 - 0.9);
-      scene.add(s);
+    const labels = [];
+    for (let b = 1; b <= cfg.bays; b++) {
+      const s = makeLabelSprite(bayCode(b));
+      const p = cellOrigin(cfg, b, 1);
+      s.position.set(p.x, PLATE_THICKNESS + 0.12, p.z - cfg.rowDepth / 2 - 0.9);
+      labels.push(s);
     }
-    for (let r = 1; r <= ROWS; r++) {
+    for (let r = 1; r <= cfg.rows; r++) {
       const s = makeLabelSprite(String(r));
-      const p = cellOrigin(1, r);
-      s.position.set(p.x - BAY_W / 2 - 0.9, PLATE_THICKNESS + 0.12, p.z);
-      scene.add(s);
+      const p = cellOrigin(cfg, 1, r);
+      s.position.set(p.x - cfg.bayWidth / 2 - 0.9, PLATE_THICKNESS + 0.12, p.z);
+      labels.push(s);
     }
+    labels.forEach((s) => yard.add(s));
 
-    // Crane
-    const bridge = new THREE.Mesh(
-      new THREE.BoxGeometry(yardDims.totalW + 1.2, 0.15, 0.2),
-      new THREE.MeshStandardMaterial({ color: 0x4682b4, metalness: 0.2, roughness: 0.5 })
-    );
-    bridge.position.set(plate.position.x, TRAVEL_Y + 0.0, CRANE_Z);
-    scene.add(bridge);
-
-    const hook = new THREE.Mesh(
-      new THREE.CylinderGeometry(0.05, 0.05, 0.6, 16),
-      new THREE.MeshStandardMaterial({ color: 0x333333 })
-    );
-    hook.rotation.z = Math.PI / 2;
-    hook.position.set(bridge.position.x - yardDims.totalW / 2, TRAVEL_Y - 0.5, CRANE_Z);
-    scene.add(hook);
+    // Cranes: one gantry per crane, beam across the rows, travelling along X
+    const firstX = cellOrigin(cfg, 1, 1).x;
+    const lastX = cellOrigin(cfg, cfg.bays, 1).x;
+    const beamFront = CRANE_Z - 0.6;                          // reaches over the hook rest line
+    const beamBack = cellOrigin(cfg, 1, cfg.rows).z + cfg.rowDepth / 2 + 0.6;
+    const beamLen = beamBack - beamFront;
+    const beamZ = (beamFront + beamBack) / 2;
+    const xs = initialCranePositions(cfg.cranes, firstX, lastX, cfg.craneSafety);
+    const cranes = xs.map((x, index) => {
+      const mat = new THREE.MeshStandardMaterial({
+        color: CRANE_COLORS[index % CRANE_COLORS.length], metalness: 0.2, roughness: 0.5,
+      });
+      const gantry = new THREE.Group();
+      const beam = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.15, beamLen), mat);
+      beam.position.set(0, BEAM_Y, beamZ);
+      gantry.add(beam);
+      [-1, 1].forEach((side) => {
+        const leg = new THREE.Mesh(new THREE.BoxGeometry(0.12, BEAM_Y, 0.12), mat);
+        leg.position.set(0, BEAM_Y / 2, beamZ + (side * beamLen) / 2);
+        gantry.add(leg);
+      });
+      const tag = makeLabelSprite(craneId(index));
+      tag.position.set(0, BEAM_Y + 0.5, beamZ - beamLen / 2);
+      gantry.add(tag);
+      gantry.position.x = x;
+      yard.add(gantry);
 
-    craneRef.current = { bridge, hook };
+      const hook = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.05, 0.05, 0.6, 16),
+        new THREE.MeshStandardMaterial({ color: 0x333333 })
+      );
+      hook.rotation.z = Math.PI / 2;
+      hook.position.set(x, TRAVEL_Y + HOOK_ABOVE, CRANE_Z);
+      yard.add(hook);
+      return { id: craneId(index), index, gantry, hook, x, busy: false, lo: x, hi: x, status: "idle", jobId: null, jobText: null };
+    });
+    cranesRef.current = cranes;
+    setCraneVersion((v) => v + 1);
 
-    // Target highlight planes (up to 2 cells)
+    // Highlight planes (target cells + conflicting neighbours)
     const hlGroup = new THREE.Group();
     hlGroup.visible = true;
-    const planes = [0, 1].map(() => {
-      const g = new THREE.PlaneGeometry(BAY_W * 0.96, ROW_D * 0.96);
+    const planes = Array.from({ length: MAX_HIGHLIGHTS }, () => {
+      const g = new THREE.PlaneGeometry(cfg.bayWidth * 0.96, cfg.rowDepth * 0.96);
       const m = new THREE.MeshBasicMaterial({
         color: 0x00ff66, transparent: true, opacity: 0.28, depthWrite: false,
       });
@@ -306,65 +1373,93 @@ export default function App() {
       hlGroup.add(mesh);
       return mesh;
     });
-    scene.add(hlGroup);
+    yard.add(hlGroup);
     highlightRef.current = { group: hlGroup, planes };
 
-    // Raycast for click-to-select
-    const rayState = rayRef.current;
-    const onPointerDown = (ev) => {
-      const rect = renderer.domElement.getBoundingClientRect();
-      rayState.mouse.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
-      rayState.mouse.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
-      rayState.raycaster.setFromCamera(rayState.mouse, camera);
-      const meshes = containersRef.current.map((c) => c.mesh);
-      const hits = rayState.raycaster.intersectObjects(meshes, false);
-      if (hits.length) {
-        const mesh = hits[0].object;
-        const entry = containersRef.current.find((c) => c.mesh === mesh);
-        if (entry) setSelectedId(entry.id);
-      }
-    };
-    renderer.domElement.addEventListener("pointerdown", onPointerDown);
+    // Hovered cell (plate picking, see hoverAt)
+    const hoverPlane = new THREE.Mesh(
+      new THREE.PlaneGeometry(cfg.bayWidth * 0.96, cfg.rowDepth * 0.96),
+      new THREE.MeshBasicMaterial({ color: 0xfacc15, transparent: true, opacity: 0.35, depthWrite: false })
+    );
+    hoverPlane.rotation.x = -Math.PI / 2;
+    hoverPlane.position.y = PLATE_THICKNESS + 0.012;
+    hoverPlane.visible = false;
+    yard.add(hoverPlane);
+    hoverRef.current = { plate, plane: hoverPlane, key: null };
 
-    // Resize
-    const onResize = () => {
-      renderer.setSize(el.clientWidth, el.clientHeight);
-      camera.aspect = el.clientWidth / el.clientHeight;
-      camera.updateProjectionMatrix();
-    };
-    window.addEventListener("resize", onResize);
+    // Gate: one lane strip per truck lane, one chassis per parking spot (shown while in use)
+    const deckLen = cfg.rowDepth * 2 * 0.95; // carries a 40’ or a 20’ in the middle
+    const laneW = cfg.bayWidth * 1.05;
+    const laneLen = gateSpotOffset(cfg, gateCapacity(cfg) - 1).z + deckLen + 3;
+    const laneMat = new THREE.MeshStandardMaterial({ color: 0x6b7280, roughness: 1 });
+    const lanes = Array.from({ length: cfg.gateLanes }, (_, lane) => {
+      const strip = new THREE.Mesh(new THREE.PlaneGeometry(laneW, laneLen), laneMat);
+      strip.rotation.x = -Math.PI / 2;
+      strip.position.set(GATE_START.x + gateSpotOffset(cfg, lane).x, 0.01, GATE_START.z - deckLen / 2 - 2 + laneLen / 2);
+      yard.add(strip);
+      return strip;
+    });
+    const chassisMat = new THREE.MeshStandardMaterial({ color: 0x2f343b, roughness: 0.7, metalness: 0.3 });
+    const cabMat = new THREE.MeshStandardMaterial({ color: 0xb91c1c, roughness: 0.5 });
+    const deckGeo = new THREE.BoxGeometry(cfg.bayWidth * 0.8, 0.2, deckLen);
+    const wheelGeo = new THREE.CylinderGeometry(0.45, 0.45, 0.3, 16);
+    const cabGeo = new THREE.BoxGeometry(cfg.bayWidth * 0.8, 2, 1.1);
+    const trucks = Array.from({ length: gateCapacity(cfg) }, (_, spot) => {
+      const truck = new THREE.Group();
+      const deck = new THREE.Mesh(deckGeo, chassisMat);
+      deck.position.y = CHASSIS_H - 0.1;
+      truck.add(deck);
+      [-1, 1].forEach((side) =>
+        [-0.35, 0.3, 0.42].forEach((along) => {
+          const wheel = new THREE.Mesh(wheelGeo, chassisMat);
+          wheel.rotation.z = Math.PI / 2;
+          wheel.position.set(side * cfg.bayWidth * 0.4, 0.45, along * deckLen);
+          truck.add(wheel);
+        })
+      );
+      const cab = new THREE.Mesh(cabGeo, cabMat);
+      cab.position.set(0, 1.3, -deckLen / 2 - 0.6); // tractor in front, facing the exit (-z)
+      truck.add(cab);
+      const { x, z } = gateSpotOffset(cfg, spot);
+      truck.position.set(GATE_START.x + x, 0, GATE_START.z + z);
+      truck.visible = false;
+      yard.add(truck);
+      return truck;
+    });
+    gateRef.current = { trucks };
 
-    // RAF
-    let raf;
-    const loop = (t) => {
-      controls.update();
-      // run tweens
-      three.current.anims = three.current.anims.filter((a) => !a.done);
-      three.current.anims.forEach((a) => a.step(t));
-      renderer.render(scene, camera);
-      raf = requestAnimationFrame(loop);
-    };
-    raf = requestAnimationFrame(loop);
+    scene.add(yard);
 
-    three.current = { scene, camera, renderer, controls, anims: [] };
+    // Containers follow the new stall dimensions
+    boxes.setConfig(cfg);
+    containersRef.current.forEach((c) => {
+      layoutPlacards(c.node, cfg);
+      if (c.cells.length) c.node.position.copy(cellsCenter(cfg, c.cells));
+      else c.node.position.copy(gatePositionForIndex(c.gateIndex));
+    });
+    pruneContainerGeometries(cfg);
+    pruneContainerSkins(cfg);
+    refreshGateRef.current?.();
 
-    // Spawn one initial 20' container at gate
-    const first = addContainerToScene(scene, { sizeTEU: 1, color: "#d7bde2" }, gateIndexRef.current++);
-    containersRef.current = [first];
-    setContainers([{ id: first.id, name: first.name, sizeTEU: first.sizeTEU, color: first.color }]);
-    setSelectedId(first.id);
+    // Keep the camera framing when the block grows/shrinks
+    if (yardCenterRef.current) {
+      const delta = center.clone().sub(yardCenterRef.current);
+      camera.position.add(delta);
+      controls.target.add(delta);
+    }
+    yardCenterRef.current = center;
 
-    // Cleanup
     return () => {
-      cancelAnimationFrame(raf);
-      window.removeEventListener("resize", onResize);
-      renderer.domElement.removeEventListener("pointerdown", onPointerDown);
+      scene.remove(yard);
 
       // dispose highlights
       planes.forEach((p) => {
         p.geometry.dispose();
         p.material.dispose();
       });
+      hoverPlane.geometry.dispose();
+      hoverPlane.material.dispose();
+      hoverRef.current = { plate: null, plane: null, key: null };
 
       // dispose asphalt textures
       plate.material.map?.dispose?.();
@@ -372,33 +1467,166 @@ export default function App() {
       plate.geometry.dispose();
       plate.material.dispose();
 
-      // remove canvas
-      el.removeChild(renderer.domElement);
-
-      // dispose container meshes
-      containersRef.current.forEach((c) => {
-        c.mesh.material.dispose();
-        // geometries are cached and disposed globally below
+      // labels, crane, grid
+      labels.forEach((s) => {
+        s.material.map?.dispose?.();
+        s.material.dispose();
+      });
+      cranes.forEach(({ gantry, hook }) => {
+        [gantry, hook].forEach((root) =>
+          root.traverse((o) => {
+            o.geometry?.dispose();
+            o.material?.map?.dispose?.();
+            o.material?.dispose();
+          })
+        );
       });
-      GEO20.dispose();
-      GEO40.dispose();
+      grid.geometry.dispose();
+      grid.material.dispose();
+
+      // gate lanes and trucks (shared geometries/materials)
+      lanes.forEach((l) => l.geometry.dispose());
+      [laneMat, chassisMat, cabMat, deckGeo, wheelGeo, cabGeo].forEach((r) => r.dispose());
+      gateRef.current = { trucks: [] };
     };
-  }, [yardDims.totalD, yardDims.totalW]);
+  }, [yardConfig, yardDims]);
 
-  // ===== Build helpers =====
-  function buildContainerMesh(sizeTEU = 1, color = "#d7bde2") {
-    const geom = sizeTEU === 2 ? GEO40 : GEO20;
-    const mat = new THREE.MeshStandardMaterial({
-      color: new THREE.Color(color),
-      roughness: 0.6,
-      metalness: 0.1,
-    });
-    const mesh = new THREE.Mesh(geom, mat);
-    mesh.userData.sizeTEU = sizeTEU;
-    mesh.userData.color = color;
-    return mesh;
-  }
-  function makeLabelSprite(text) {
+  // --- Gate sign in front of the lanes (in the UI language)
+  useEffect(() => {
+    const { scene } = three.current;
+    if (!scene) return;
+    const cfg = yardConfig;
+    const deckLen = cfg.rowDepth * 2 * 0.95;
+    const sign = makeLabelSprite(t("common.gate"));
+    sign.position.set(GATE_START.x - ((cfg.gateLanes - 1) * (cfg.bayWidth * 1.1 + 0.2)) / 2, 0.3, GATE_START.z - deckLen / 2 - 2.6);
+    scene.add(sign);
+    return () => {
+      scene.remove(sign);
+      sign.material.map?.dispose?.();
+      sign.material.dispose();
+    };
+  }, [yardConfig, locale]);
+
+  // --- Plan view: slot labels above the stacks, drawn over everything
+  useEffect(() => {
+    const { scene } = three.current;
+    if (!scene || view !== VIEWS.PLAN) return;
+    const cfg = yardConfig;
+    const map = makeSlotLabelTexture({
+      widthM: yardDims.totalW, heightM: yardDims.totalD, bays: cfg.bays, rows: cfg.rows,
+    });
+    const overlay = new THREE.Mesh(
+      new THREE.PlaneGeometry(yardDims.totalW, yardDims.totalD),
+      new THREE.MeshBasicMaterial({ map, transparent: true, depthTest: false, depthWrite: false })
+    );
+    const first = cellOrigin(cfg, 1, 1);
+    overlay.rotation.x = -Math.PI / 2;
+    overlay.position.set(
+      first.x - cfg.bayWidth / 2 + yardDims.totalW / 2,
+      PLATE_THICKNESS + cfg.tiers * TIER_H + 0.1,
+      first.z - cfg.rowDepth / 2 + yardDims.totalD / 2
+    );
+    overlay.renderOrder = 10;
+    scene.add(overlay);
+    return () => {
+      scene.remove(overlay);
+      map.dispose();
+      overlay.geometry.dispose();
+      overlay.material.dispose();
+    };
+  }, [view, yardConfig, yardDims]);
+
+  // --- Section view: row labels under the cut bay, tier labels on its left
+  useEffect(() => {
+    const { scene } = three.current;
+    if (!scene || view !== VIEWS.SECTION) return;
+    const cfg = yardConfig;
+    const bay = Math.min(sectionBay, cfg.bays);
+    const labels = [];
+    for (let r = 1; r <= cfg.rows; r++) {
+      const s = makeLabelSprite(formatSlot(bay, r));
+      s.position.copy(cellOrigin(cfg, bay, r)).setY(-0.5);
+      labels.push(s);
+    }
+    for (let tier = 1; tier <= cfg.tiers; tier++) {
+      const s = makeLabelSprite(t("view.tierTag", { tier }));
+      s.position.copy(slotCenterAtTier(cfg, bay, 1, tier));
+      s.position.z -= cfg.rowDepth / 2 + 0.9;
+      labels.push(s);
+    }
+    labels.forEach((s) => scene.add(s));
+    return () => {
+      labels.forEach((s) => {
+        scene.remove(s);
+        s.material.map?.dispose?.();
+        s.material.dispose();
+      });
+    };
+  }, [view, sectionBay, yardConfig, locale]);
+
+  // --- Plan / section / follow views re-frame a changed block (no flight)
+  useEffect(() => {
+    reframeViewRef.current?.();
+  }, [yardConfig]);
+
+  // --- Gate trucks follow the boxes at the gate
+  useEffect(() => {
+    refreshGateRef.current?.();
+  }, [occ, containers]);
+
+  // --- Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z); text fields keep their native undo
+  useEffect(() => {
+    const onKeyDown = (ev) => {
+      if (!(ev.ctrlKey || ev.metaKey)) return;
+      if (ev.target.closest?.("input, textarea, select")) return;
+      const key = ev.key.toLowerCase();
+      if (key === "z" && !ev.shiftKey) {
+        ev.preventDefault();
+        hotkeysRef.current.undo?.();
+      } else if (key === "y" || (key === "z" && ev.shiftKey)) {
+        ev.preventDefault();
+        hotkeysRef.current.redo?.();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // --- Console log follows the newest line
+  useEffect(() => {
+    const el = consoleLogRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [consoleLog]);
+
+  // --- Document language follows the UI language (screen readers, hyphenation)
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // --- Auto-save (reads refs; state deps only trigger it)
+  useEffect(() => {
+    if (!three.current.scene || replayRef.current) return; // a replay never overwrites the live yard
+    saveToStorage(buildSnapshot(modelRef.current, containersRef.current));
+  }, [occ, containers, yardConfig]);
+
+  // ===== Build helpers =====
+  // scene node of a container at `position`; the box itself is an instance (see createContainerInstances)
+  function buildContainerNode(scene, { sizeTEU = 1, color = "#d7bde2", imoClass = "", operator = "" }, position) {
+    const node = new THREE.Object3D();
+    node.userData.sizeTEU = sizeTEU;
+    node.userData.color = color;
+    node.position.copy(position);
+    attachPlacards(node, imoClass, modelRef.current.config);
+    scene.add(node);
+    three.current.boxes.add(node, { sizeTEU, operator, color });
+    return node;
+  }
+
+  function removeContainerNode(node) {
+    three.current.scene.remove(node);
+    three.current.boxes.remove(node);
+  }
+  function makeLabelSprite(text) {
     const canvas = document.createElement("canvas");
     canvas.width = 256; canvas.height = 128;
     const ctx = canvas.getContext("2d");
@@ -415,106 +1643,116 @@ export default function App() {
     sprite.scale.set(1.2, 0.5, 1);
     return sprite;
   }
-  const gatePositionForIndex = (idx) => {
-    const offsetX = -idx * (BAY_W * GATE_SPACING + 0.2);
-    return GATE_START.clone().add(new THREE.Vector3(offsetX, 0, 0));
+  // box centre on the chassis at gate spot `spot` (see ./yard/gateArea)
+  const gatePositionForIndex = (spot) => {
+    const { x, z } = gateSpotOffset(modelRef.current.config, spot);
+    return GATE_START.clone().add(new THREE.Vector3(x, 0, z));
   };
-  function addContainerToScene(scene, { sizeTEU, color }, indexForQueue) {
-    const mesh = buildContainerMesh(sizeTEU, color);
-    mesh.position.copy(gatePositionForIndex(indexForQueue));
-    scene.add(mesh);
-    const id = `C${Math.random().toString(36).slice(2, 8)}`;
-    const name = `${sizeTEU === 2 ? "40’" : "20’"} • ${id.toUpperCase()}`;
-    return { id, name, sizeTEU, color, mesh, cells: [] };
+  // `input`: { id?, sizeTEU?, color, ...spec }; without id a free ISO number is generated
+  function addContainerToScene(scene, input, indexForQueue) {
+    const model = modelRef.current;
+    const spec = withSpecDefaults({ sizeTEU: input.sizeTEU, ...pickSpec(input) });
+    const id = input.id || generateContainerNumber("YRDU", (n) => !!model.getContainer(n));
+    const { sizeTEU } = spec;
+    const color = input.color;
+    const node = buildContainerNode(scene, { ...spec, color }, gatePositionForIndex(indexForQueue));
+    model.addContainer({ ...spec, id, color });
+    recordEvent(YARD_EVENTS.ADD, { container: { ...spec, id, color }, gateIndex: indexForQueue });
+    const name = containerName(id, spec.typeCode);
+    return { ...spec, id, name, sizeTEU, color, node, cells: [], gateIndex: indexForQueue };
   }
 
   // ===== Occupancy / rules =====
-  function cellsForSizeAt(sizeTEU, bay, row, tier) {
-    if (sizeTEU === 1) return [{ bay, row, tier }];
-    if (row >= ROWS) return null; // 40' needs row+1
-    return [{ bay, row, tier }, { bay, row: row + 1, tier }];
+  // rules live in YardModel; the UI keeps `occ` and entry.cells as render mirrors
+  const nameOf = (id) => containersRef.current.find((x) => x.id === id)?.name || id;
+  function syncFromModel(entry) {
+    entry.cells = modelRef.current.getContainer(entry.id)?.cells || [];
+    if (entry.cells.length) entry.gateIndex = null;
+    setOcc(modelRef.current.occupancy());
   }
-  function isFreeFor(containerId, cells) {
-    for (const c of cells) {
-      const occBy = occRef.current[k(c.bay, c.row, c.tier)];
-      if (occBy && occBy !== containerId) return false;
-    }
-    return true;
+
+  // why edits are off: a simulation or a replay drives the yard (null = free)
+  const lockedText = () =>
+    simRef.current ? t("common.simLocked") : replayRef.current ? t("common.replayLocked") : null;
+
+  // ===== Gate area =====
+  // spots in use: boxes standing at the gate + drop spots reserved by running removals
+  function gateSpotsTaken() {
+    const taken = new Set(gateReservedRef.current);
+    containersRef.current.forEach((c) => {
+      if (!c.cells.length && c.gateIndex != null) taken.add(c.gateIndex);
+    });
+    return taken;
   }
-  function hasSupportBelow(sizeTEU, bay, row) {
-    if (sizeTEU === 1) return !!occRef.current[k(bay, row, 1)];
-    if (row >= ROWS) return false;
-    const id1 = occRef.current[k(bay, row, 1)];
-    const id2 = occRef.current[k(bay, row + 1, 1)];
-    return !!(id1 && id2);
-  }
-  function chooseTier(containerId, sizeTEU, bay, row) {
-    const c1 = cellsForSizeAt(sizeTEU, bay, row, 1);
-    if (c1 && isFreeFor(containerId, c1)) return { ok: true, tier: 1, cells: c1 };
-    const c2 = cellsForSizeAt(sizeTEU, bay, row, 2);
-    if (!c2) return { ok: false, reason: "Kein Platz (Rand) für 40’." };
-    if (!isFreeFor(containerId, c2)) return { ok: false, reason: "Ziel auf Ebene 2 ist bereits belegt." };
-    if (!hasSupportBelow(sizeTEU, bay, row)) {
-      return {
-        ok: false,
-        reason:
-          sizeTEU === 1
-            ? "Für 20’ auf Ebene 2 fehlt die Stütze darunter."
-            : "Für 40’ auf Ebene 2 müssen beide Zellen darunter belegt sein (ein 40’ oder zwei 20’).",
-      };
-    }
-    return { ok: true, tier: 2, cells: c2 };
+
+  // free spot for a box (`preferred` while still free); null = gate full
+  const allocateGateSpot = (preferred = null) => gateSpotFor(modelRef.current.config, gateSpotsTaken(), preferred);
+
+  // spots with a truck on them (simulated trucks wait there even without a box yet)
+  function gateSpotsInUse() {
+    const taken = gateSpotsTaken();
+    simRef.current?.trucks.forEach((spot) => taken.add(spot));
+    return taken;
   }
-  function occupy(containerId, newCells, prevCells = []) {
-    const copy = { ...occRef.current };
-    for (const c of prevCells) {
-      const kk = k(c.bay, c.row, c.tier);
-      if (copy[kk] === containerId) delete copy[kk];
-    }
-    for (const c of newCells) copy[k(c.bay, c.row, c.tier)] = containerId;
-    occRef.current = copy;
-    setOcc(copy);
+
+  function refreshGate() {
+    const inUse = gateSpotsInUse();
+    gateRef.current.trucks.forEach((truck, spot) => (truck.visible = inUse.has(spot)));
   }
-  function canRemove(entry) {
-    const blockers = new Set();
-    for (const c of entry.cells || []) {
-      if (c.tier >= MAX_TIERS) continue;
-      const aboveId = occRef.current[k(c.bay, c.row, c.tier + 1)];
-      if (aboveId && aboveId !== entry.id) blockers.add(aboveId);
-    }
-    return { ok: blockers.size === 0, blockers: Array.from(blockers) };
+
+  // truck and box drive off towards the exit (-z), accelerating
+  function driveOff(truck, cont) {
+    const [truckZ, contZ] = [truck.position.z, cont.position.z];
+    const t0 = performance.now();
+    return new Promise((resolve) => {
+      const runner = {
+        done: false,
+        step: (t) => {
+          const k = Math.min(1, (t - t0) / DISPATCH_MS);
+          truck.position.z = truckZ - DISPATCH_DISTANCE * k * k;
+          cont.position.z = contZ - DISPATCH_DISTANCE * k * k;
+          if (k >= 1) { runner.done = true; resolve(); }
+        },
+      };
+      three.current.anims.push(runner);
+    });
   }
 
-  // ===== Promise-based cancelable tween =====
-  function tweenPosition(obj, target, ms = 1000) {
-    const start = obj.position.clone();
+  // ===== Crane motion =====
+  // play one kinematics step; `apply(pose)` moves the meshes every frame
+  function playStep(step, apply) {
     const t0 = performance.now();
-    const token = (obj.userData.tweenToken || 0) + 1;
-    obj.userData.tweenToken = token;
     return new Promise((resolve) => {
       const runner = {
         done: false,
         step: (t) => {
-          if (obj.userData.tweenToken !== token) {
-            runner.done = true; return resolve("canceled");
-          }
-          const p = Math.min(1, (t - t0) / ms);
-          const e = lerpEase(p);
-          obj.position.lerpVectors(start, target, e);
-          if (p >= 1) { runner.done = true; resolve("ok"); }
+          const simT = ((t - t0) / 1000) * CRANE_PLAYBACK;
+          apply(poseAt(step, Math.min(simT, step.duration)));
+          if (simT >= step.duration) { runner.done = true; resolve(); }
         },
       };
       three.current.anims.push(runner);
     });
   }
 
+  // hook pose -> gantry, hook and (while on the spreader) the box
+  function poseCrane(crane, pose, cont = null) {
+    crane.gantry.position.x = pose.x;
+    crane.hook.position.set(pose.x, pose.y, pose.z);
+    if (cont) cont.position.set(pose.x, pose.y - HOOK_ABOVE, pose.z);
+  }
+
+  function driveCrane(crane, step, cont = null) {
+    return playStep(step, (pose) => poseCrane(crane, pose, step.load ? cont : null));
+  }
+
   // ===== Highlights =====
   function showHighlights(cells, ok = true, autoHideMs = 1200) {
     const { planes } = highlightRef.current;
     planes.forEach((pl) => (pl.visible = false));
     cells.slice(0, planes.length).forEach((c, i) => {
       const pl = planes[i];
-      const center = slotCenterAtTier(c.bay, c.row, 1); // draw on floor reference
+      const center = slotCenterAtTier(modelRef.current.config, c.bay, c.row, 1); // draw on floor reference
       pl.position.x = center.x;
       pl.position.z = center.z;
       pl.material.color.set(ok ? 0x2ecc71 : 0xff4d4f);
@@ -527,160 +1765,1819 @@ export default function App() {
     }
   }
 
+  // ===== Cranes =====
+  // lift `entry` where it stands, carry it at travel height and set it down at `dest`;
+  // returns { cycleS (simulated cycle time, s), start (hook pose at the start) }
+  async function craneTransfer(entry, dest, crane) {
+    const cont = entry.node;
+    const hookAt = (p) => ({ x: p.x, y: p.y + HOOK_ABOVE, z: p.z });
+    const { x, y, z } = crane.hook.position;
+    const start = { x, y, z };
+    const { steps, cycleS } = planCycle(craneAxes(modelRef.current.config), {
+      start,
+      pick: hookAt(cont.position),
+      drop: hookAt(dest),
+      travelY: TRAVEL_Y + HOOK_ABOVE,
+    });
+    for (const step of steps) await driveCrane(crane, step, cont);
+    cont.position.copy(dest);
+    return { cycleS, start };
+  }
+
+  function bumpCranes() {
+    setCraneVersion((v) => v + 1);
+  }
+
+  /**
+   * Reserve the best idle crane for a box travelling pickX -> dropX.
+   * ok: { ok, crane, yields } (the yielding neighbours are reserved too)   fail: CRANE_REASONS result
+   */
+  function claimCrane(pickX, dropX, jobId = null) {
+    const cranes = cranesRef.current;
+    const choice = chooseCrane(cranes, pickX, dropX, craneLimits(modelRef.current.config, cranes.length));
+    if (!choice.ok) return choice;
+    const crane = cranes[choice.index];
+    Object.assign(crane, { busy: true, lo: choice.lo, hi: choice.hi, status: "working", jobId });
+    choice.yields.forEach((y) => {
+      const other = cranes[y.index];
+      Object.assign(other, {
+        busy: true, lo: Math.min(other.x, y.x), hi: Math.max(other.x, y.x), x: y.x, status: "yielding",
+      });
+    });
+    bumpCranes();
+    return { ok: true, crane, yields: choice.yields };
+  }
+
+  function releaseCrane(crane) {
+    const x = crane.gantry.position.x;
+    Object.assign(crane, { busy: false, x, lo: x, hi: x, status: "idle", jobId: null, jobText: null });
+    bumpCranes();
+  }
+
+  // push idle neighbours aside, then run `move(crane)` and free the crane again
+  async function runOnCrane({ crane, yields }, move) {
+    try {
+      await Promise.all(
+        yields.map(async (y) => {
+          const other = cranesRef.current[y.index];
+          const { x, y: hookY, z } = other.hook.position;
+          const from = { x, y: hookY, z };
+          const step = moveStep(craneAxes(modelRef.current.config), "yield", from, { ...from, x: y.x });
+          await driveCrane(other, step);
+          kpiRef.current.craneYield({ t: kpiNow(), craneId: other.id, seconds: step.duration });
+          releaseCrane(other);
+        })
+      );
+      return await move(crane);
+    } finally {
+      releaseCrane(crane);
+    }
+  }
+
+  // `busy` while any crane animation runs (queue jobs and undo/redo)
+  async function withBusy(fn) {
+    busyDepthRef.current++;
+    setBusy(true);
+    try {
+      return await fn();
+    } finally {
+      if (--busyDepthRef.current === 0) setBusy(false);
+    }
+  }
+
+  // put a box back where the model has it (after a commit the model refused)
+  function snapBack(entry) {
+    entry.node.position.copy(
+      entry.cells.length ? cellsCenter(modelRef.current.config, entry.cells) : gatePositionForIndex(entry.gateIndex)
+    );
+  }
+
+  // validated crane move into the yard; returns the YardModel decision (+ fromGate)
+  async function executePlace(entry, target, crane) {
+    const model = modelRef.current;
+    const decision = model.validatePlace(entry.id, target);
+    if (!decision.ok) return decision;
+    showHighlights(decision.cells, true, 800);
+
+    return withBusy(async () => {
+      const { cycleS, start } = await craneTransfer(entry, cellsCenter(model.config, decision.cells), crane);
+      const fromGate = entry.gateIndex;
+      const res = model.place(entry.id, target); // re-checked: other cranes may have set down meanwhile
+      if (!res.ok) {
+        snapBack(entry);
+        return res;
+      }
+      syncFromModel(entry);
+      recordCraneMove(entry.id, res, { fromGate, craneId: crane.id, start, cycleS });
+      return { ...decision, fromGate, cycleS };
+    });
+  }
+
+  // validated crane move out of the yard to gate parking index `gateIndex`
+  async function executeToGate(entry, gateIndex, crane) {
+    const model = modelRef.current;
+    const decision = model.validateRemove(entry.id);
+    if (!decision.ok) return decision;
+
+    return withBusy(async () => {
+      const { cycleS, start } = await craneTransfer(entry, gatePositionForIndex(gateIndex), crane);
+      const res = model.remove(entry.id);
+      if (!res.ok) {
+        snapBack(entry);
+        return res;
+      }
+      entry.gateIndex = gateIndex;
+      syncFromModel(entry);
+      recordCraneMove(entry.id, res, { gateIndex, craneId: crane.id, start, cycleS });
+      showHighlights([], true, 0);
+      return { ...decision, gateIndex, cycleS };
+    });
+  }
+
+  // ===== Dig-out plan preview =====
+  function clearPlanPreview() {
+    const group = planPreviewRef.current;
+    if (!group) return;
+    group.traverse((o) => {
+      o.geometry?.dispose();
+      o.material?.map?.dispose?.();
+      o.material?.dispose();
+    });
+    three.current.scene?.remove(group);
+    planPreviewRef.current = null;
+  }
+
+  // red = target, orange = blockers now, blue + step number = where they go
+  function showPlanPreview(plan) {
+    clearPlanPreview();
+    const cfg = modelRef.current.config;
+    const group = new THREE.Group();
+    const addPlane = (cell, color, onTop) => {
+      const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(cfg.bayWidth * 0.9, cfg.rowDepth * 0.9),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.45, depthWrite: false, side: THREE.DoubleSide })
+      );
+      const c = slotCenterAtTier(cfg, cell.bay, cell.row, cell.tier);
+      mesh.rotation.x = -Math.PI / 2;
+      mesh.position.set(c.x, c.y + (onTop ? CONTAINER_HALF_H : -CONTAINER_HALF_H) + 0.02, c.z);
+      group.add(mesh);
+    };
+    modelRef.current.getContainer(plan.targetId).cells.forEach((c) => addPlane(c, 0xff4d4f, true));
+    plan.moves.forEach((m, i) => {
+      m.fromCells.forEach((c) => addPlane(c, 0xf59e0b, true));
+      m.cells.forEach((c) => addPlane(c, 0x3b82f6, false));
+      const label = makeLabelSprite(String(i + 1));
+      label.position.copy(cellsCenter(cfg, m.cells));
+      group.add(label);
+    });
+    three.current.scene.add(group);
+    planPreviewRef.current = group;
+  }
+
+  function discardDigPlan() {
+    clearPlanPreview();
+    setDigPlan(null);
+  }
+
+  // queue the relocations and the final removal as one batch
+  function executeDigPlan() {
+    if (!digPlan) return;
+    const plan = digPlan;
+    discardDigPlan();
+    const label = t("digPlan.jobLabel", { name: nameOf(plan.targetId) });
+    const res = enqueueOrders([
+      ...plan.moves.map((m) => ({ type: "place", containerId: m.id, target: m.target, label, rehandle: true })),
+      { type: "remove", containerId: plan.targetId, label },
+    ]);
+    if (!res.ok) alert(t("digPlan.invalid", { name: nameOf(res.details.containerId), text: reasonText(res, nameOf) }));
+  }
+
+  // ===== Work-order queue =====
+  function bumpQueue() {
+    setQueueVersion((v) => v + 1);
+  }
+
+  // validate against the projected yard, append, and wake the cranes
+  function enqueueOrders(orders) {
+    const leaving = [orders].flat().find((o) => leavingRef.current.has(o.containerId));
+    if (leaving) return { ok: false, reason: "DISPATCHING", details: { containerId: leaving.containerId } };
+    const res = queueRef.current.add(modelRef.current, orders);
+    if (res.ok) {
+      bumpQueue();
+      pumpQueue();
+    }
+    return res;
+  }
+
+  // x the box of `job` travels from and to (a removal drops on a free gate spot; null when full)
+  function jobTravel(job, entry) {
+    const cfg = modelRef.current.config;
+    const pickX = entry.node.position.x;
+    if (job.type === "remove") {
+      const gateIndex = allocateGateSpot();
+      return { pickX, dropX: gateIndex === null ? pickX : gatePositionForIndex(gateIndex).x, gateIndex };
+    }
+    const cells = modelRef.current.cellsFor(entry.sizeTEU, job.target.bay, job.target.row, 1);
+    return { pickX, dropX: cells ? cellsCenter(cfg, cells).x : pickX, gateIndex: null };
+  }
+
+  // JobQueue.start() callback: crane id for the next order, or null (with the reason) to wait
+  function assignCrane(job, executing) {
+    const model = modelRef.current;
+    const wait = (text) => {
+      queueWaitRef.current = { jobId: job.id, text };
+      return null;
+    };
+    if (stepRunningRef.current) return wait(t("jobs.waitHistory"));
+    const clash = executing.find((e) => jobsConflict(model, e, job));
+    if (clash) return wait(t("jobs.waitStack", { job: clash.id, crane: clash.craneId }));
+    const entry = containersRef.current.find((c) => c.id === job.containerId);
+    // an order may rely on a running one (e.g. a removal that clears an IMDG distance)
+    if (executing.length) {
+      const check = job.type === "place" ? model.validatePlace(job.containerId, job.target) : model.validateRemove(job.containerId);
+      if (!check.ok) return wait(t("jobs.waitDepends"));
+    }
+    const { pickX, dropX, gateIndex } = entry ? jobTravel(job, entry) : { pickX: 0, dropX: 0, gateIndex: null };
+    if (entry && job.type === "remove" && gateIndex === null) return wait(t("gate.waitSpot"));
+    const claim = claimCrane(pickX, dropX, job.id);
+    if (!claim.ok) return wait(craneReasonText(claim));
+    if (gateIndex !== null) gateReservedRef.current.add(gateIndex);
+    jobPlansRef.current[job.id] = { ...claim, gateIndex };
+    queueWaitRef.current = null;
+    return claim.crane.id;
+  }
+
+  // start every order a crane can take right now (in queue order)
+  function pumpQueue() {
+    const queue = queueRef.current;
+    let job;
+    while ((job = queue.start(assignCrane))) runJob(job);
+    if (!queue.hasQueued) queueWaitRef.current = null;
+    refreshGate();
+    bumpQueue();
+  }
+
+  async function runJob(job) {
+    const plan = jobPlansRef.current[job.id];
+    delete jobPlansRef.current[job.id];
+    const res = await withBusy(() => runOnCrane(plan, (crane) => executeJob(job, crane, plan.gateIndex)));
+    gateReservedRef.current.delete(plan.gateIndex); // the box stands there now (or the move failed)
+    refreshGate();
+    if (res.ok) logKpiMove(job.containerId, plan.crane.id, res, job.rehandle);
+    queueRef.current.finish(job.id, res);
+    pumpQueue();
+  }
+
+  // one order on the real yard (re-validated by executePlace/executeToGate)
+  async function executeJob(job, crane, gateIndex) {
+    const entry = containersRef.current.find((c) => c.id === job.containerId);
+    if (!entry) return { ok: false, reason: REASONS.UNKNOWN_CONTAINER, details: { id: job.containerId } };
+    if (job.type === "place") {
+      const res = await executePlace(entry, job.target, crane);
+      if (!res.ok) {
+        showHighlights(modelRef.current.cellsFor(entry.sizeTEU, job.target.bay, job.target.row, 1) || [], false, 1400);
+        return res;
+      }
+      if (res.warnings?.length) setNotice(res.warnings.map((w) => warningText(w, nameOf)).join(" "));
+      recordHistory({
+        type: "place", id: entry.id,
+        fromCells: res.prevCells, toCells: res.cells,
+        fromGate: res.prevCells.length ? null : res.fromGate, toGate: null,
+      });
+      return res;
+    }
+    const res = await executeToGate(entry, gateIndex, crane);
+    if (!res.ok) {
+      showHighlights(entry.cells, false, 1400);
+      return res;
+    }
+    recordHistory({
+      type: "remove", id: entry.id,
+      fromCells: res.prevCells, toCells: [],
+      fromGate: null, toGate: res.gateIndex,
+    });
+    return res;
+  }
+
+  function editQueue(action, jobId) {
+    const queue = queueRef.current;
+    const model = modelRef.current;
+    const res =
+      action === "up" ? queue.move(model, jobId, -1)
+        : action === "down" ? queue.move(model, jobId, 1)
+          : action === "first" ? queue.prioritise(model, jobId)
+            : queue.cancel(model, jobId);
+    if (!res.ok) return alert(queueReasonText(res, nameOf));
+    bumpQueue();
+  }
+
+  function jobLabel(job) {
+    const to = job.type === "place" ? formatSlot(job.target.bay, job.target.row) : t("common.gate");
+    return `${nameOf(job.containerId)} → ${to}`;
+  }
+
   // ===== Actions =====
-  async function placeAtSlot() {
+  function placeAtSlot() {
+    if (lockedText()) return alert(lockedText());
+    setNotice(null);
+    const cfg = modelRef.current.config;
+    const target = parseSlot(slot, cfg);
+    if (!target) return alert(t("actions.slotFormat", { range: slotRangeLabel(cfg) }));
+    if (!selectedId) return alert(t("common.selectOrAddFirst"));
+
+    const entry = containersRef.current.find((c) => c.id === selectedId);
+    if (!entry) return alert(t("reason.UNKNOWN_CONTAINER"));
+    orderPlace(entry, target);
+  }
+
+  // crane order for `entry` to `target`, checked against the yard as it will be after the earlier orders
+  function orderPlace(entry, target) {
+    const res = queuePlace(entry, target);
+    if (!res.ok) alert(reasonText(res, nameOf));
+  }
+
+  // same without the alert: the caller reports a refusal (buttons, drag & drop, console)
+  function queuePlace(entry, target) {
+    const model = modelRef.current;
+    const res = enqueueOrders({ type: "place", containerId: entry.id, target });
+    if (!res.ok) {
+      // visual "nope" (+ the hazmat neighbours in the way)
+      const tentative = model.cellsFor(entry.sizeTEU, target.bay, target.row, 1) || [];
+      const conflicting = res.reason === REASONS.SEGREGATION ? res.details.conflicts.flatMap((c) => c.cells) : [];
+      showHighlights([...tentative, ...conflicting], false, conflicting.length ? 2600 : 1400);
+    }
+    return res;
+  }
+
+  function removeSelected() {
+    if (lockedText()) return alert(lockedText());
+    if (!selectedId) return alert(t("common.selectFirst"));
+    const entry = containersRef.current.find((c) => c.id === selectedId);
+    if (!entry) return alert(t("reason.UNKNOWN_CONTAINER"));
+
+    const res = queueRemove(entry);
+    if (!res.ok && !res.plan?.ok) {
+      alert(reasonText(res, nameOf) + (res.plan ? "\n" + plannerReasonText(res.plan, nameOf) : ""));
+    }
+  }
+
+  // removal order; a blocked box gets a dig-out plan preview instead (res.plan = planDigOut() result)
+  function queueRemove(entry) {
+    const res = enqueueOrders({ type: "remove", containerId: entry.id });
+    if (res.ok || res.reason !== REASONS.BLOCKED) return res;
+    // blocked: offer a dig-out plan (on the projected yard) instead of leaving the shuffle to the operator
+    const plan = planDigOut(queueRef.current.projected(modelRef.current), entry.id);
+    if (!plan.ok) showHighlights(entry.cells, false, 1400);
+    else {
+      setDigPlan(plan);
+      showPlanPreview(plan);
+    }
+    return { ...res, plan };
+  }
+
+  function handleAddContainer() {
+    if (!three.current.scene) return;
+    if (lockedText()) return alert(lockedText());
+    // empty boxes may leave the weight blank (tare of the type)
+    const grossKg = newSpec.grossKg === "" && !newSpec.full ? isoType(newSpec.typeCode)?.tareKg : newSpec.grossKg;
+    const res = validateContainerSpec({ ...newSpec, grossKg }, (n) => !!modelRef.current.getContainer(n));
+    setAddErrors(res.errors);
+    if (!res.ok) return;
+    const added = addAtGate(res.spec, newColor);
+    if (!added) return alert(t("gate.fullText"));
+    setSelectedId(added.id);
+    setNewSpec((s) => ({ ...s, number: "" }));
+  }
+
+  // validated spec -> new box on a free gate spot (null when the gate is full)
+  function addAtGate(spec, color) {
+    const spot = allocateGateSpot();
+    if (spot === null) return null;
+    const added = addContainerToScene(three.current.scene, { ...spec, id: spec.id, color }, spot);
+    containersRef.current = [...containersRef.current, added];
+    setContainers((prev) => [...prev, listItem(added)]);
+    recordHistory({ type: "add", id: added.id, sizeTEU: added.sizeTEU, color: added.color, gateIndex: added.gateIndex, ...pickSpec(added) });
+    return added;
+  }
+
+  // ===== Manifest import =====
+  // rows are checked against the projected yard (queued crane orders included)
+  const checkManifestRows = (rows) => validateManifest(rows, queueRef.current.projected(modelRef.current));
+
+  async function loadManifest(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = ""; // allow loading the same file again
+    if (!file) return;
+    const res = parseManifest(await file.text());
+    if (!res.ok) return setManifest({ fileName: file.name, error: manifestErrorText(res) });
+    setManifest({ fileName: file.name, format: res.format, rows: checkManifestRows(res.rows) });
+  }
+
+  // valid rows -> containers at the gate (+ crane orders for their slots)
+  function importManifest() {
+    if (!manifest?.rows || !three.current.scene) return;
+    if (lockedText()) return alert(lockedText());
+    const rows = checkManifestRows(manifest.rows);
+    if (rows.some((r, i) => r.ok !== manifest.rows[i].ok)) {
+      setManifest({ ...manifest, rows });
+      return alert(t("manifest.changed"));
+    }
+    const valid = rows.filter((r) => r.ok);
+    const cfg = modelRef.current.config;
+    const taken = gateSpotsTaken();
+    const free = gateCapacity(cfg) - taken.size;
+    if (valid.length > free) {
+      return alert(t("manifest.gateTooSmall", { free, count: valid.length }));
+    }
+    const added = valid.map((r) => {
+      const spot = freeGateSpot(cfg, taken);
+      taken.add(spot);
+      return addContainerToScene(three.current.scene, { ...r.spec, color: operatorColor(r.spec.operator, newColor) }, spot);
+    });
+    containersRef.current = [...containersRef.current, ...added];
+    setContainers((prev) => [...prev, ...added.map(listItem)]);
+    added.forEach((a) =>
+      recordHistory({ type: "add", id: a.id, sizeTEU: a.sizeTEU, color: a.color, gateIndex: a.gateIndex, ...pickSpec(a) })
+    );
+    setSelectedId(added[0]?.id || selectedId);
+
+    const label = t("manifest.jobLabel", { file: manifest.fileName });
+    const orders = manifestSlots
+      ? valid.filter((r) => r.target).map((r) => ({ type: "place", containerId: r.spec.id, target: r.target, label }))
+      : [];
+    const queued = orders.length ? enqueueOrders(orders) : { ok: true };
+    if (!queued.ok) alert(t("manifest.notPlanned", { name: nameOf(queued.details.containerId), text: reasonText(queued, nameOf) }));
+    setManifest(null);
+    setNotice(t("manifest.added", { count: added.length, file: manifest.fileName, orders: queued.ok ? orders.length : 0 }));
+  }
+
+  // the selected gate box leaves the terminal on its truck (gone from scene and model)
+  async function dispatchSelected() {
     if (busy) return;
-    const target = parseSlot(slot);
-    if (!target) return alert("Bitte Slot im Format A1..C3 eingeben (z. B. A1).");
-    if (!selectedId) return alert("Bitte zuerst einen Container auswählen oder hinzufügen.");
+    if (lockedText()) return alert(lockedText());
+    const entry = containersRef.current.find((c) => c.id === selectedId);
+    if (!entry) return alert(t("common.selectFirst"));
+    if (entry.cells.length) return alert(t("actions.dispatchInYard", { name: entry.name }));
+    if (queueRef.current.pending.some((j) => j.containerId === entry.id)) {
+      return alert(t("actions.dispatchPending", { name: entry.name }));
+    }
+    const truck = gateRef.current.trucks[entry.gateIndex];
+    const cmd = { type: "dispatch", id: entry.id, sizeTEU: entry.sizeTEU, color: entry.color, gateIndex: entry.gateIndex, ...pickSpec(entry) };
+    // the queue refuses orders for the box while its truck is on the way out
+    leavingRef.current.add(entry.id);
+    try {
+      await withBusy(async () => {
+        if (truck) {
+          truck.visible = true;
+          const truckZ = truck.position.z;
+          await driveOff(truck, entry.node);
+          truck.visible = false; // back on its spot for the next truck, hidden until then
+          truck.position.z = truckZ;
+        }
+        deleteContainer(entry);
+        recordEvent(YARD_EVENTS.DISPATCH, { id: entry.id });
+      });
+    } finally {
+      leavingRef.current.delete(entry.id);
+    }
+    recordHistory(cmd);
+    setNotice(t("actions.dispatched", { name: entry.name }));
+  }
+
+  // ===== Command console =====
+  // one command against the yard as it will be after the queued orders; { ok, text }
+  function runCommand(command) {
+    const state = queueRef.current.projected(modelRef.current);
+    const entryOf = (id) => containersRef.current.find((c) => c.id === id);
+    const boxes = [];
+    for (const ref of command.boxes || []) {
+      const res = resolveBoxRef(state, ref);
+      if (!res.ok) return { ok: false, text: commandErrorText(res) };
+      boxes.push(entryOf(res.id));
+    }
+    const [a, b] = boxes;
+    const refused = (res) => ({ ok: false, text: reasonText(res, nameOf) });
+
+    switch (command.verb) {
+      case "HELP":
+        return { ok: true, text: t("console.help") };
+      case "LIST":
+        return { ok: true, text: listText(command.scope) };
+      case "ADD": {
+        // without a weight the box arrives empty (tare of the type)
+        const grossKg = command.grossKg ?? isoType(command.typeCode).tareKg;
+        const res = validateContainerSpec(
+          { number: command.number || "", typeCode: command.typeCode, grossKg, full: command.grossKg !== null },
+          (n) => !!modelRef.current.getContainer(n)
+        );
+        if (!res.ok) return { ok: false, text: Object.values(res.errors).map(specErrorText).join(" ") };
+        const added = addAtGate(res.spec, command.color || newColor);
+        if (!added) return { ok: false, text: t("gate.fullText") };
+        return { ok: true, text: t("console.added", { name: added.name }) };
+      }
+      case "MOVE": {
+        const res = queuePlace(a, command.target);
+        if (!res.ok) return refused(res);
+        return { ok: true, text: t("console.order", { name: a.name, to: formatSlot(command.target.bay, command.target.row) }) };
+      }
+      case "REMOVE": {
+        const res = queueRemove(a);
+        if (res.ok) return { ok: true, text: t("console.order", { name: a.name, to: t("common.gate") }) };
+        const hint = res.plan?.ok ? t("console.digPlanShown") : res.plan ? plannerReasonText(res.plan, nameOf) : "";
+        return { ok: false, text: [reasonText(res, nameOf), hint].filter(Boolean).join(" ") };
+      }
+      case "SWAP": {
+        if (a.id === b.id) return { ok: false, text: t("console.sameBox") };
+        // a goes to the gate, b takes its stack, a takes b's old stack
+        const [slotA, slotB] = [a, b].map((e) => [...state.getContainer(e.id).cells].sort((p, q) => p.row - q.row)[0]);
+        if (!slotA || !slotB) return refused({ reason: REASONS.NOT_IN_YARD });
+        const label = t("console.swapLabel");
+        const res = enqueueOrders([
+          { type: "remove", containerId: a.id, label },
+          { type: "place", containerId: b.id, target: { bay: slotA.bay, row: slotA.row }, label },
+          { type: "place", containerId: a.id, target: { bay: slotB.bay, row: slotB.row }, label },
+        ]);
+        if (!res.ok) return { ok: false, text: `${nameOf(res.details.containerId)}: ${reasonText(res, nameOf)}` };
+        return { ok: true, text: t("console.swapped", { a: a.name, b: b.name }) };
+      }
+      default:
+        return { ok: false, text: commandErrorText({ reason: COMMAND_REASONS.UNKNOWN_COMMAND, details: command }) };
+    }
+  }
+
+  // current stock (not the projected one): all, gate, one bay or one stack top-down
+  function listText(scope) {
+    const model = modelRef.current;
+    if (scope.row) {
+      const { stack } = model.querySlot(scope);
+      const lines = stack.filter((s) => s.id).reverse().map((s) => `${formatSlot(scope.bay, scope.row)}/${s.tier}  ${nameOf(s.id)}`);
+      return lines.length ? lines.join("\n") : t("console.stackEmpty", { slot: formatSlot(scope.bay, scope.row) });
+    }
+    const where = (c) => {
+      const first = [...c.cells].sort((p, q) => p.row - q.row)[0];
+      return first ? `${formatSlot(first.bay, first.row)}/${first.tier}` : t("common.gate");
+    };
+    const items = model
+      .list()
+      .filter((c) => (scope.gate ? !c.cells.length : !scope.bay || c.cells.some((p) => p.bay === scope.bay)))
+      .map((c) => `${where(c).padEnd(6)} ${nameOf(c.id)}`)
+      .sort();
+    return items.length ? items.join("\n") : t("console.noContainers");
+  }
+
+  // console input: one command or a pasted script; stops at the first failing line
+  function runConsole(text) {
+    const cfg = modelRef.current.config;
+    const lines = parseScript(text, cfg);
+    if (!lines.length) return;
+    const script = lines.length > 1;
+    const out = [];
+    for (const line of lines) {
+      out.push({ kind: "in", text: line.text });
+      let res;
+      if (!line.ok) res = { ok: false, text: commandErrorText(line) };
+      else if (lockedText() && !["LIST", "HELP"].includes(line.command.verb)) res = { ok: false, text: lockedText() };
+      else res = runCommand(line.command);
+      const text = script && !res.ok ? t("console.line", { line: line.line, text: res.text }) : res.text;
+      out.push({ kind: res.ok ? "out" : "err", text });
+      if (!res.ok) {
+        if (script && line !== lines[lines.length - 1]) out.push({ kind: "err", text: t("console.aborted") });
+        break;
+      }
+    }
+    setConsoleLog((log) => [...log, ...out].slice(-CONSOLE_MAX_LINES));
+    const history = consoleHistoryRef.current;
+    history.lines = [...history.lines.filter((l) => l !== text.trim()), text.trim()];
+    history.index = null;
+    setConsoleInput("");
+    setConsoleSuggest([]);
+  }
+
+  // Tab: complete the last word (unique choice) or its common prefix, list the choices
+  function completeConsole() {
+    const { prefix, options } = completeCommand(consoleInput.split("\n").pop(), {
+      ids: containersRef.current.map((c) => c.id),
+      config: modelRef.current.config,
+    });
+    if (options.length === 1) return acceptCompletion(prefix, options[0] + " ");
+    let common = options[0] || "";
+    options.forEach((o) => {
+      while (!o.startsWith(common)) common = common.slice(0, -1);
+    });
+    if (common.length > prefix.length) setConsoleInput(consoleInput.slice(0, consoleInput.length - prefix.length) + common);
+    setConsoleSuggest(options);
+  }
+
+  function acceptCompletion(prefix, word) {
+    setConsoleInput((input) => input.slice(0, input.length - prefix.length) + word);
+    setConsoleSuggest([]);
+  }
+
+  // Enter runs, Shift+Enter adds a line, Tab completes, ArrowUp/Down walk the history (single-line input)
+  function consoleKeyDown(ev) {
+    const history = consoleHistoryRef.current;
+    if (ev.key === "Enter" && !ev.shiftKey) {
+      ev.preventDefault();
+      runConsole(consoleInput);
+    } else if (ev.key === "Tab") {
+      ev.preventDefault();
+      completeConsole();
+    } else if (ev.key === "Escape") {
+      setConsoleSuggest([]);
+    } else if ((ev.key === "ArrowUp" || ev.key === "ArrowDown") && !consoleInput.includes("\n") && history.lines.length) {
+      ev.preventDefault();
+      const last = history.lines.length - 1;
+      if (ev.key === "ArrowUp") history.index = history.index === null ? last : Math.max(0, history.index - 1);
+      else if (history.index !== null) history.index = history.index < last ? history.index + 1 : null;
+      setConsoleInput(history.index === null ? "" : history.lines[history.index]);
+      setConsoleSuggest([]);
+    }
+  }
+
+  // ===== Cell picking =====
+  // yard cell under the pointer: first hit among the plate and the stacked boxes; null off the block
+  function cellUnderPointer() {
+    const { plate } = hoverRef.current;
+    if (!plate) return null;
+    const { boxes } = three.current;
+    const inYard = (node) => containersRef.current.some((c) => c.node === node && c.cells.length);
+    const hit = rayRef.current.raycaster
+      .intersectObjects([plate, ...boxes.meshes()], false)
+      .find((h) => h.object === plate || inYard(boxes.nodeOf(h)));
+    if (!hit) return null;
+    const cfg = modelRef.current.config;
+    const cell = cellAtPoint(cfg, hit.point);
+    return cell.bay >= 1 && cell.bay <= cfg.bays && cell.row >= 1 && cell.row <= cfg.rows ? cell : null;
+  }
 
+  // highlight the hovered cell and anchor the tooltip where the pointer entered it
+  function hoverAt(ev) {
+    const hover = hoverRef.current;
+    const cell = ev ? cellUnderPointer() : null;
+    const key = cell ? `${cell.bay}-${cell.row}` : null;
+    if (key === hover.key) return;
+    hover.key = key;
+    if (hover.plane) {
+      hover.plane.visible = !!cell;
+      if (cell) {
+        const p = cellOrigin(modelRef.current.config, cell.bay, cell.row);
+        hover.plane.position.x = p.x;
+        hover.plane.position.z = p.z;
+      }
+    }
+    setHoverCell(cell ? { ...cell, x: ev.offsetX, y: ev.offsetY } : null);
+  }
+
+  function cellClick() {
+    const cell = cellUnderPointer();
+    if (!cell) return;
+    setSlot(formatSlot(cell.bay, cell.row));
+    showHighlights([{ ...cell, tier: 1 }], true, 600);
+  }
+
+  // double-click on a cell: the active container goes there right away
+  function cellDoubleClick() {
+    const cell = cellUnderPointer();
+    if (!cell) return;
+    if (lockedText()) return alert(lockedText());
     const entry = containersRef.current.find((c) => c.id === selectedId);
-    if (!entry) return alert("Ausgewählter Container nicht gefunden.");
+    if (!entry) return alert(t("common.selectOrAddFirst"));
+    setNotice(null);
+    setSlot(formatSlot(cell.bay, cell.row));
+    orderPlace(entry, cell);
+  }
+
+  // ===== Drag & drop =====
+  // pointerdown on a box arms a drag; it starts after DRAG_START_PX of travel
+  function dragArm(entry, ev) {
+    if (lockedText()) return false;
+    dragRef.current = { entry, x: ev.clientX, y: ev.clientY, active: false, ghost: null, state: null, key: null, target: null, preview: null };
+    return true;
+  }
+
+  // cell under the pointer (a 40’ is held at its middle); null outside the block
+  function pointerCell(sizeTEU) {
+    const hit = rayRef.current.raycaster.ray.intersectPlane(GROUND_PLANE, new THREE.Vector3());
+    return snapCell(modelRef.current.config, hit, sizeTEU);
+  }
 
-    const decision = chooseTier(entry.id, entry.sizeTEU, target.bay, target.row);
-    if (!decision.ok) {
-      // visual "nope"
-      const tentative = cellsForSizeAt(entry.sizeTEU, target.bay, target.row, 1) || [];
-      showHighlights(tentative, false, 1400);
-      return alert(decision.reason || "Platzierung nicht möglich.");
+  function dragMove(ev) {
+    const drag = dragRef.current;
+    if (!drag.active) {
+      if (Math.hypot(ev.clientX - drag.x, ev.clientY - drag.y) < DRAG_START_PX) return;
+      const cfg = modelRef.current.config;
+      drag.ghost = new THREE.Mesh(
+        containerGeometry(drag.entry.sizeTEU, cfg),
+        new THREE.MeshBasicMaterial({ color: 0x2ecc71, transparent: true, opacity: 0.45, depthWrite: false })
+      );
+      drag.ghost.visible = false;
+      three.current.scene.add(drag.ghost);
+      drag.state = queueRef.current.projected(modelRef.current); // the yard after the queued orders
+      drag.active = true;
+      hoverAt(null);
     }
-    const { tier, cells } = decision;
-    showHighlights(cells, true, 800);
+    const target = pointerCell(drag.entry.sizeTEU);
+    const key = target ? `${target.bay}-${target.row}` : null;
+    if (key === drag.key) return;
+    drag.key = key;
+    drag.target = target;
+    if (!target) {
+      drag.preview = null;
+      drag.ghost.visible = false;
+      showHighlights([], true, 0);
+      setDragHint({ ok: false, text: t("drag.outside") });
+      return;
+    }
+    const preview = dropPreview(drag.state, drag.entry, target);
+    drag.preview = preview;
+    drag.ghost.position.copy(cellsCenter(modelRef.current.config, preview.cells));
+    drag.ghost.material.color.set(preview.ok ? 0x2ecc71 : 0xff4d4f);
+    drag.ghost.visible = true;
+    const conflicting = preview.reason === REASONS.SEGREGATION ? preview.details.conflicts.flatMap((c) => c.cells) : [];
+    showHighlights([...preview.cells, ...conflicting], preview.ok, 0);
+    const where = t("common.slotTier", { slot: formatSlot(target.bay, target.row), tier: preview.ok ? preview.tier : preview.cells[0].tier });
+    setDragHint(
+      preview.ok
+        ? { ok: true, text: [where, ...(preview.warnings || []).map((w) => warningText(w, nameOf))].join(" · ") }
+        : { ok: false, text: `${where}: ${reasonText(preview, nameOf)}` }
+    );
+  }
 
-    setBusy(true);
-    const { bridge, hook } = craneRef.current;
-    const cont = entry.mesh;
-    const topY = TRAVEL_Y;
+  // release: a green target becomes a crane order (with the usual animation); otherwise nothing happens
+  function dragEnd(commit) {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag?.active) return;
+    three.current.scene.remove(drag.ghost);
+    drag.ghost.material.dispose();
+    setDragHint(null);
+    if (!commit || !drag.preview) return showHighlights([], true, 0);
+    if (!drag.preview.ok) return showHighlights(drag.preview.cells, false, 1400);
+    showHighlights([], true, 0);
+    setNotice(null);
+    setSlot(formatSlot(drag.target.bay, drag.target.row));
+    orderPlace(drag.entry, drag.target);
+  }
 
-    // targets
-    const topOver = slotCenterAtTier(target.bay, target.row, 1).clone(); topOver.y = topY;
+  // take a gate container out of scene and model (undo of "add", dispatch); callers record the event
+  function deleteContainer(entry) {
+    removeContainerNode(entry.node);
+    modelRef.current.deleteContainer(entry.id);
+    containersRef.current = containersRef.current.filter((c) => c.id !== entry.id);
+    setContainers((prev) => prev.filter((c) => c.id !== entry.id));
+    setSelectedId((sel) => (sel === entry.id ? containersRef.current[0]?.id || null : sel));
+  }
+
+  // ===== Undo / redo =====
+  function recordHistory(cmd) {
+    historyRef.current.record(cmd);
+    setHistoryVersion((v) => v + 1);
+  }
+
+  function historyLabel(cmd) {
+    if (!cmd) return "";
+    const name = nameOf(cmd.id);
+    if (cmd.type === "add") return t("history.added", { name });
+    if (cmd.type === "dispatch") return t("history.dispatched", { name });
+    const cells = cmd.toCells.length ? cmd.toCells : null;
+    return `${name} → ${cells ? formatSlot(cells[0].bay, cells[0].row) : t("common.gate")}`;
+  }
+
+  async function stepHistory(direction) {
+    if (busy || lockedText() || queueRef.current.pending.length) return;
+    const history = historyRef.current;
+    const cmd = direction === "undo" ? history.peekUndo() : history.peekRedo();
+    if (!cmd) return;
 
-    let dropCenter = slotCenterAtTier(target.bay, target.row, tier).clone();
-    if (entry.sizeTEU === 2) {
-      const nextCenter = slotCenterAtTier(target.bay, target.row + 1, tier).clone();
-      dropCenter = dropCenter.lerp(nextCenter, 0.5);
+    const plan = planStep(modelRef.current, cmd, direction);
+    const verb = t(direction === "undo" ? "history.undoVerb" : "history.redoVerb");
+    if (!plan.ok) {
+      const entry = containersRef.current.find((c) => c.id === cmd.id);
+      if (entry?.cells.length) showHighlights(entry.cells, false, 1400);
+      return alert(t("history.failedStep", { verb, label: historyLabel(cmd), text: historyReasonText(plan, nameOf) }));
     }
 
-    const pickTop = cont.position.clone(); pickTop.y = topY;
-    const hookRest = dropCenter.clone(); hookRest.y = dropCenter.y + CONTAINER_HALF_H + 0.2; hookRest.z = CRANE_Z;
+    const entry = containersRef.current.find((c) => c.id === plan.id);
+    // back to the recorded gate spot if it is still free, else to any free one
+    const spot = plan.kind === "gate" || plan.kind === "create" ? allocateGateSpot(plan.gateIndex) : null;
+    if (spot === null && (plan.kind === "gate" || plan.kind === "create")) {
+      return alert(t("history.failedStep", { verb, label: historyLabel(cmd), text: t("gate.fullText") }));
+    }
+    let res = { ok: true };
+    if (plan.kind === "place" || plan.kind === "gate") res = await stepOnCrane(entry, { ...plan, gateIndex: spot });
+    else if (plan.kind === "delete") {
+      deleteContainer(entry); // undo of an arrival is no dispatch
+      recordEvent(cmd.type === "add" ? YARD_EVENTS.CANCEL : YARD_EVENTS.DISPATCH, { id: entry.id });
+    } else if (plan.kind === "create") {
+      const added = addContainerToScene(three.current.scene, cmd, spot);
+      containersRef.current = [...containersRef.current, added];
+      setContainers((prev) => [...prev, listItem(added)]);
+      setSelectedId(added.id);
+    }
+    if (!res.ok) {
+      const why = CRANE_REASONS[res.reason] ? craneReasonText(res) : reasonText(res, nameOf);
+      return alert(t("history.failed", { verb, text: why }));
+    }
+
+    if (direction === "undo") history.markUndone();
+    else history.markRedone();
+    setHistoryVersion((v) => v + 1);
+  }
 
+  // undo/redo crane move on the best free crane; the queue holds until it is done
+  async function stepOnCrane(entry, plan) {
+    const cfg = modelRef.current.config;
+    const dropX = plan.kind === "place"
+      ? cellsCenter(cfg, modelRef.current.cellsFor(entry.sizeTEU, plan.target.bay, plan.target.row, 1)).x
+      : gatePositionForIndex(plan.gateIndex).x;
+    const claim = claimCrane(entry.node.position.x, dropX);
+    if (!claim.ok) return claim;
+    stepRunningRef.current = true;
+    if (plan.kind === "gate") gateReservedRef.current.add(plan.gateIndex);
     try {
-      await tweenPosition(bridge, new THREE.Vector3(topOver.x, topY, CRANE_Z), 800);
-      await tweenPosition(hook, pickTop, 600);
-      await tweenPosition(cont, pickTop, 600);
+      const res = await withBusy(() =>
+        runOnCrane(claim, (crane) =>
+          plan.kind === "place" ? executePlace(entry, plan.target, crane) : executeToGate(entry, plan.gateIndex, crane)
+        )
+      );
+      if (res.ok) logKpiMove(entry.id, claim.crane.id, res, false);
+      return res;
+    } finally {
+      stepRunningRef.current = false;
+      gateReservedRef.current.delete(plan.gateIndex);
+      pumpQueue();
+    }
+  }
+
+  // ===== Simulation mode =====
+  // scene geometry for the simulation, so its cycle times match the animation
+  function simGeometry() {
+    const hookAt = (p) => ({ x: p.x, y: p.y + HOOK_ABOVE, z: p.z });
+    return {
+      travelY: TRAVEL_Y + HOOK_ABOVE,
+      slotPose: (cfg, cells) => hookAt(cellsCenter(cfg, cells)),
+      gatePose: (cfg, spot) => hookAt(gatePositionForIndex(spot)),
+    };
+  }
+
+  // the simulation runs on a copy of the yard; its records are replayed on the scene
+  function startSimulation() {
+    if (simRef.current) return;
+    if (replayRef.current) return alert(lockedText());
+    if (busy || queueRef.current.pending.length) return alert(t("jobs.finishFirst"));
+    const model = modelRef.current;
+    const sim = new YardSimulation(model.clone(), simConfigFromDraft(simDraft), {
+      geometry: simGeometry(),
+      gateTaken: [...gateSpotsTaken()], // boxes already waiting at the gate keep their trucks
+      cranePoses: cranesRef.current.map(({ hook }) => ({ x: hook.position.x, y: hook.position.y, z: hook.position.z })),
+    });
+    discardDigPlan();
+    historyRef.current.clear();
+    setHistoryVersion((v) => v + 1);
+    resetKpis(0); // KPIs of the run on the simulated clock
+    const run = {
+      sim, running: true, speed: simSpeed, lastT: null, viewAt: 0, motions: [], trucks: new Map(), // truck id -> gate spot
+      snapshot: buildSnapshot(model, containersRef.current),
+    };
+    simRef.current = run;
+    const runner = {
+      done: false,
+      step: (t) => {
+        if (simRef.current !== run) runner.done = true;
+        else simTickRef.current(run, t);
+      },
+    };
+    three.current.anims.push(runner);
+    updateSimView(run);
+  }
+
+  function simTick(run, t) {
+    const dt = run.lastT === null ? 0 : Math.max(0, t - run.lastT) / 1000;
+    run.lastT = t;
+    const { sim } = run;
+    if (run.running) {
+      sim.runUntil(sim.now + dt * run.speed).forEach((rec) => applySimRecord(run, rec));
+      if (sim.now >= sim.config.durationS) run.running = false;
+    }
+    animateSimMotions(run);
+    if (!run.running || t - run.viewAt > 250) {
+      run.viewAt = t;
+      updateSimView(run);
+    }
+  }
+
+  function updateSimView(run) {
+    const { sim } = run;
+    const finished = sim.now >= sim.config.durationS;
+    setSimView({
+      status: finished ? "done" : run.running ? "running" : "paused",
+      now: sim.now,
+      durationS: sim.config.durationS,
+      summary: sim.summary(),
+    });
+  }
+
+  // one simulation record -> scene + the App's own model (same rules, same order)
+  function applySimRecord(run, rec) {
+    const entryOf = (id) => containersRef.current.find((c) => c.id === id);
+    const craneOf = (id) => cranesRef.current.find((c) => c.id === id);
+    const axes = craneAxes(modelRef.current.config);
+    const kpi = kpiRef.current;
+    if (rec.type === SIM_EVENTS.ARRIVAL) {
+      kpi.truckArrival({ t: rec.t, truckId: rec.truckId, kind: rec.kind, containerId: rec.containerId });
+      run.trucks.set(rec.truckId, rec.spot);
+      refreshGate();
+      if (!rec.spec) return;
+      const added = addContainerToScene(three.current.scene, { ...rec.spec, color: SIM_COLORS[rec.spec.sizeTEU] }, rec.spot);
+      containersRef.current = [...containersRef.current, added];
+      setContainers((prev) => [...prev, listItem(added)]);
+    } else if (rec.type === SIM_EVENTS.JOB_START) {
+      const crane = craneOf(rec.craneId);
+      const to = rec.jobType === "place" ? formatSlot(rec.target.bay, rec.target.row) : t("common.gate");
+      Object.assign(crane, { busy: true, status: "working", jobText: `${nameOf(rec.containerId)} → ${to} (${rec.truckId})` });
+      const { steps } = planCycle(axes, rec);
+      run.motions.push({ crane, cont: entryOf(rec.containerId)?.node, t0: rec.t + rec.delayS, steps, jobId: rec.jobId });
+      rec.yields.forEach((y) => {
+        const other = craneOf(y.craneId);
+        Object.assign(other, { busy: true, status: "yielding" });
+        kpi.craneYield({ t: rec.t, craneId: y.craneId, seconds: y.yieldS });
+        run.motions.push({ crane: other, cont: null, t0: rec.t, steps: [moveStep(axes, "yield", y.from, y.to)], jobId: null });
+      });
+      bumpCranes();
+    } else if (rec.type === SIM_EVENTS.JOB_DONE) {
+      const motion = run.motions.find((m) => m.jobId === rec.jobId);
+      run.motions = run.motions.filter((m) => m !== motion);
+      const entry = entryOf(rec.containerId);
+      const model = modelRef.current;
+      const fromGate = entry.gateIndex;
+      const res = rec.jobType === "place" ? model.place(entry.id, rec.target) : model.remove(entry.id);
+      if (res.ok && rec.jobType === "remove") entry.gateIndex = rec.spot;
+      if (res.ok) {
+        logKpiMove(entry.id, rec.craneId, { ...res, cycleS: rec.cycleS }, rec.rehandle, rec.t, rec.truckId);
+        const gateIndex = rec.jobType === "remove" ? rec.spot : null;
+        recordCraneMove(entry.id, res, { fromGate, gateIndex, craneId: rec.craneId, start: motion?.steps[0].from, cycleS: rec.cycleS });
+      }
+      syncFromModel(entry);
+      snapBack(entry);
+      if (motion) poseCrane(motion.crane, motion.steps[motion.steps.length - 1].to);
+      releaseCrane(craneOf(rec.craneId));
+    } else if (rec.type === SIM_EVENTS.DEPART) {
+      kpi.truckDepart({ t: rec.t, truckId: rec.truckId, kind: rec.kind, containerId: rec.containerId, waitS: rec.waitS });
+      run.trucks.delete(rec.truckId);
+      const entry = rec.kind === "export" && entryOf(rec.containerId);
+      if (entry) {
+        deleteContainer(entry);
+        recordEvent(YARD_EVENTS.DISPATCH, { id: entry.id });
+      }
+      refreshGate();
+      kpi.sample(rec.t, modelRef.current, kpiCraneIds());
+    } else if (rec.type === SIM_EVENTS.REJECT) {
+      kpi.truckReject({ t: rec.t, truckId: rec.truckId, kind: rec.kind, reason: rec.reason });
+    }
+  }
+
+  // crane poses at the simulated time (motions wait for their start, yields end by themselves)
+  function animateSimMotions(run) {
+    const now = run.sim.now;
+    run.motions = run.motions.filter((m) => {
+      let t = now - m.t0;
+      if (t < 0) return true;
+      for (const step of m.steps) {
+        if (t <= step.duration) {
+          poseCrane(m.crane, poseAt(step, t), step.load ? m.cont : null);
+          return true;
+        }
+        t -= step.duration;
+      }
+      poseCrane(m.crane, m.steps[m.steps.length - 1].to);
+      if (m.jobId) return true; // finished by its JOB_DONE record
+      releaseCrane(m.crane);
+      return false;
+    });
+  }
+
+  function pauseSimulation() {
+    const run = simRef.current;
+    if (!run || run.sim.now >= run.sim.config.durationS) return;
+    run.running = !run.running;
+    updateSimView(run);
+  }
+
+  // leave simulation mode; the yard stays as simulated unless `reset`
+  function stopSimulation(reset = false) {
+    const run = simRef.current;
+    if (!run) return;
+    simRef.current = null;
+    kpiClockRef.current = { base: run.sim.now, wallT0: performance.now() };
+    containersRef.current.forEach(snapBack); // boxes still on a spreader go back to the model position
+    cranesRef.current.forEach(releaseCrane);
+    refreshGate(); // waiting export trucks leave with the simulation
+    setSimView((v) => (v ? { ...v, status: "off" } : v));
+    if (reset) {
+      const res = parseYardSnapshot(run.snapshot);
+      if (res.ok) restoreYard(res);
+    }
+  }
+
+  function setSimulationSpeed(speed) {
+    setSimSpeed(speed);
+    if (simRef.current) simRef.current.speed = speed;
+  }
+
+  // headless: same yard, one run per seed, no rendering
+  function runSimulationBatch() {
+    if (lockedText()) return alert(lockedText());
+    const cfg = simConfigFromDraft(simDraft);
+    const count = Math.max(1, Math.min(50, Math.round(Number(batchRuns)) || 1));
+    const seeds = Array.from({ length: count }, (_, i) => cfg.seed + i);
+    setBatchResult("running");
+    setTimeout(() => setBatchResult(runBatch(modelRef.current, cfg, seeds, { geometry: simGeometry(), gateTaken: [...gateSpotsTaken()] })), 0);
+  }
+
+  // ===== KPIs =====
+  // seconds on the KPI clock: simulated time in simulation mode, else crane time
+  // (wall clock × playback factor, so cycle times and idle time share one scale)
+  function kpiNow() {
+    if (simRef.current) return simRef.current.sim.now;
+    const { base, wallT0 } = kpiClockRef.current;
+    return base + ((performance.now() - wallT0) / 1000) * CRANE_PLAYBACK;
+  }
+
+  function resetKpis(at = 0) {
+    recordNow(); // bank the recording time before the KPI clock starts over
+    kpiRef.current = new KpiTracker({ t: at, model: modelRef.current });
+    kpiClockRef.current = { base: at, wallT0: performance.now() };
+    recordClockRef.current.kpiAt = at;
+    setKpiVersion((v) => v + 1);
+  }
+
+  const kpiCraneIds = () => cranesRef.current.map((c) => c.id);
+
+  // committed move (executePlace/executeToGate result) -> event log + chart point
+  function logKpiMove(containerId, craneId, res, rehandle, t = kpiNow(), truckId = null) {
+    const kpi = kpiRef.current;
+    kpi.move({
+      t, containerId, craneId, rehandle, truckId,
+      fromCells: res.prevCells || [], toCells: res.cells || [], cycleS: res.cycleS || 0,
+    });
+    kpi.sample(t, modelRef.current, kpiCraneIds());
+  }
+
+  function exportKpis(kind) {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, "");
+    const kpi = kpiRef.current;
+    if (kind === "events") downloadText(`yard-events-${stamp}.csv`, eventLogCsv(kpi.log, { gateLabel: t("common.gate") }), "text/csv");
+    else downloadText(`yard-kpi-${stamp}.csv`, kpiCsv(kpi.summary(kpiNow(), modelRef.current, kpiCraneIds())), "text/csv");
+  }
+
+  // ===== Event recording (see ./yard/eventLog) =====
+  // seconds since the recording started, on the KPI clock (crane time, simulated time in
+  // simulation mode); KPI resets are banked first, so the timeline never jumps back
+  function recordNow() {
+    const clock = recordClockRef.current;
+    const now = kpiNow();
+    clock.t += Math.max(0, now - clock.kpiAt);
+    clock.kpiAt = now;
+    return clock.t;
+  }
+
+  // record afresh from the current yard
+  function startRecording() {
+    recordClockRef.current = { t: 0, kpiAt: kpiNow() };
+    recorderRef.current.start(buildSnapshot(modelRef.current, containersRef.current), 0);
+    setRecordVersion((v) => v + 1);
+  }
+
+  // one yard event into the recording (not while a replay drives the yard)
+  function recordEvent(type, fields) {
+    if (replayRef.current) return;
+    recorderRef.current.record({ t: recordNow(), type, ...fields });
+  }
+
+  // committed crane move: `res` from YardModel place, or remove when `gateIndex` is set
+  function recordCraneMove(id, res, { fromGate = null, gateIndex = null, craneId, start = null, cycleS = 0 }) {
+    const crane = { craneId, start, cycleS };
+    if (gateIndex !== null) return recordEvent(YARD_EVENTS.REMOVE, { id, gateIndex, ...crane });
+    const type = fromGate !== null ? YARD_EVENTS.PLACE : YARD_EVENTS.MOVE;
+    recordEvent(type, { id, target: { bay: res.bay, row: res.row }, tier: res.tier, ...crane });
+  }
+
+  function exportEventLog() {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, "");
+    downloadText(`yard-recording-${stamp}.json`, JSON.stringify(recorderRef.current.toJSON(), null, 2));
+  }
+
+  async function importEventLog(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!file) return;
+    const res = parseEventLog(await file.text());
+    if (!res.ok) return alert(res.errors.map(eventLogErrorText).join("\n"));
+    startReplay(res.log);
+  }
+
+  // ===== Replay =====
+  // the live yard is put aside and comes back on exit; the slider rebuilds the yard
+  // through stateAt(), playback commits the events in order and drives the cranes
+  // through their recorded cycles (like the simulation records)
+  function startReplay(log) {
+    if (busy || queueRef.current.pending.length) return alert(t("jobs.finishFirst"));
+    if (lockedText()) return alert(lockedText());
+    const { from, to } = logSpan(log);
+    const run = {
+      log, from, to, t: from, next: 0, playing: false, speed: replaySpeed, lastT: null, viewAt: 0,
+      motions: [], started: new Set(), // indices of crane events whose cycle runs
+      lead: Math.max(0, ...log.events.map((e) => e.cycleS || 0)), // longest cycle before its event
+      live: buildSnapshot(modelRef.current, containersRef.current),
+      liveSpots: new Map(containersRef.current.filter((c) => !c.cells.length).map((c) => [c.id, c.gateIndex])),
+    };
+    discardDigPlan();
+    replayRef.current = run;
+    const runner = {
+      done: false,
+      step: (t) => {
+        if (replayRef.current !== run) runner.done = true;
+        else replayTickRef.current(run, t);
+      },
+    };
+    three.current.anims.push(runner);
+    seekReplay(from);
+  }
+
+  // yard at time `t` of the replay; running crane cycles start over from there
+  function seekReplay(t) {
+    const run = replayRef.current;
+    if (!run) return;
+    run.t = Math.min(run.to, Math.max(run.from, t));
+    const res = stateAt(run.log, run.t);
+    if (!res.ok) {
+      stopReplay();
+      return alert(res.errors.map(eventLogErrorText).join("\n"));
+    }
+    rebuildYard(res);
+    run.next = res.applied;
+    run.motions = [];
+    run.started = new Set();
+    cranesRef.current.forEach(releaseCrane);
+    refreshGate();
+    updateReplayView(run);
+  }
+
+  function replayTick(run, t) {
+    const dt = run.lastT === null ? 0 : Math.max(0, t - run.lastT) / 1000;
+    run.lastT = t;
+    if (!run.playing) return;
+    run.t = Math.min(run.to, run.t + dt * run.speed);
+    startReplayMotions(run);
+    const { events } = run.log;
+    while (run.next < events.length && events[run.next].t <= run.t) {
+      // whole-yard replacements (and anything the scene refuses) are rebuilt from the log
+      if (!applyReplayEvent(run, events[run.next], run.next)) return seekReplay(run.t);
+      run.next++;
+    }
+    animateReplayMotions(run);
+    if (run.t >= run.to) run.playing = false;
+    if (!run.playing || t - run.viewAt > 250) {
+      run.viewAt = t;
+      updateReplayView(run);
+    }
+  }
+
+  function updateReplayView(run) {
+    setReplayView({ playing: run.playing, t: run.t, from: run.from, to: run.to, applied: run.next, events: run.log.events.length });
+  }
+
+  // crane events whose cycle has begun (it ends at the event time)
+  function startReplayMotions(run) {
+    const { events } = run.log;
+    const count = run.motions.length;
+    for (let i = run.next; i < events.length && events[i].t - run.lead <= run.t; i++) {
+      const e = events[i];
+      if (!CRANE_EVENTS.includes(e.type) || run.started.has(i) || e.t - (e.cycleS || 0) > run.t) continue;
+      run.started.add(i);
+      const motion = replayMotion(e);
+      if (motion) run.motions.push({ ...motion, index: i });
+    }
+    if (run.motions.length > count) bumpCranes();
+  }
+
+  // recorded cycle: from the recorded hook pose over the box to its target
+  function replayMotion(e) {
+    const crane = cranesRef.current.find((c) => c.id === e.craneId);
+    const entry = containersRef.current.find((c) => c.id === e.id);
+    if (!crane || !entry || !e.start || !(e.cycleS > 0)) return null;
+    const model = modelRef.current;
+    const hookAt = (p) => ({ x: p.x, y: p.y + HOOK_ABOVE, z: p.z });
+    const toGate = e.type === YARD_EVENTS.REMOVE;
+    const dest = toGate
+      ? gatePositionForIndex(e.gateIndex)
+      : cellsCenter(model.config, model.cellsFor(entry.sizeTEU, e.target.bay, e.target.row, e.tier));
+    const { steps } = planCycle(craneAxes(model.config), {
+      start: e.start, pick: hookAt(entry.node.position), drop: hookAt(dest), travelY: TRAVEL_Y + HOOK_ABOVE,
+    });
+    const to = toGate ? t("common.gate") : formatSlot(e.target.bay, e.target.row);
+    Object.assign(crane, { busy: true, status: "working", jobText: `${nameOf(e.id)} → ${to}` });
+    return { crane, cont: entry.node, t0: e.t - e.cycleS, steps };
+  }
+
+  function animateReplayMotions(run) {
+    run.motions.forEach((m) => {
+      let t = run.t - m.t0;
+      for (const step of m.steps) {
+        if (t <= step.duration) return poseCrane(m.crane, poseAt(step, Math.max(0, t)), step.load ? m.cont : null);
+        t -= step.duration;
+      }
+      poseCrane(m.crane, m.steps[m.steps.length - 1].to);
+    });
+  }
+
+  // one recorded event on scene + model; false = rebuild from the log instead
+  function applyReplayEvent(run, e, index) {
+    const motion = run.motions.find((m) => m.index === index);
+    if (motion) {
+      run.motions = run.motions.filter((m) => m !== motion);
+      poseCrane(motion.crane, motion.steps[motion.steps.length - 1].to);
+      releaseCrane(motion.crane);
+    }
+    const model = modelRef.current;
+    const entry = containersRef.current.find((c) => c.id === e.id);
+    if (e.type === YARD_EVENTS.ADD) {
+      const added = addContainerToScene(three.current.scene, e.container, e.gateIndex);
+      containersRef.current = [...containersRef.current, added];
+      setContainers((prev) => [...prev, listItem(added)]);
+    } else if (e.type === YARD_EVENTS.PLACE || e.type === YARD_EVENTS.MOVE) {
+      if (!entry || !model.place(e.id, e.target).ok) return false;
+      syncFromModel(entry);
+      snapBack(entry);
+    } else if (e.type === YARD_EVENTS.REMOVE) {
+      if (!entry || !model.remove(e.id).ok) return false;
+      entry.gateIndex = e.gateIndex;
+      syncFromModel(entry);
+      snapBack(entry);
+    } else if (e.type === YARD_EVENTS.DISPATCH || e.type === YARD_EVENTS.CANCEL) {
+      if (!entry) return false;
+      deleteContainer(entry);
+    } else {
+      return false;
+    }
+    refreshGate();
+    return true;
+  }
+
+  function toggleReplay() {
+    const run = replayRef.current;
+    if (!run) return;
+    if (!run.playing && run.t >= run.to) seekReplay(run.from); // finished: from the start again
+    run.playing = !run.playing;
+    run.lastT = null;
+    updateReplayView(run);
+  }
+
+  function changeReplaySpeed(speed) {
+    setReplaySpeed(speed);
+    if (replayRef.current) replayRef.current.speed = speed;
+  }
+
+  // back to the live yard as it was when the replay started
+  function stopReplay() {
+    const run = replayRef.current;
+    if (!run) return;
+    const res = parseYardSnapshot(run.live);
+    if (res.ok) rebuildYard({ ...res, gateSpots: run.liveSpots }); // history, KPIs and recording untouched
+    replayRef.current = null;
+    cranesRef.current.forEach(releaseCrane);
+    refreshGate();
+    setReplayView(null);
+  }
+
+  // ===== Benchmark =====
+  // replace the yard with a filled block (like an import) and time the frames that follow
+  function runBenchmark() {
+    if (busy || bench === "running") return;
+    if (lockedText()) return alert(lockedText());
+    const res = parseYardSnapshot(benchmarkSnapshot(modelRef.current.config, benchDraft));
+    if (!res.ok) return alert(res.errors.map(snapshotErrorText).join("\n"));
+    setImportReport(null);
+    restoreYard(res);
+    setBench("running");
+    const { renderer, boxes } = three.current;
+    const frames = [];
+    let last = null;
+    let warmup = BENCH_WARMUP_FRAMES;
+    const runner = {
+      done: false,
+      step(time) {
+        if (last !== null && warmup-- <= 0) frames.push(time - last);
+        last = time;
+        if (frames.length < BENCH_FRAMES) return;
+        runner.done = true;
+        const { render, memory } = renderer.info; // figures of the last rendered frame
+        setBench({
+          ...frameStats(frames),
+          boxes: boxes.count,
+          drawCalls: render.calls,
+          triangles: render.triangles,
+          geometries: memory.geometries,
+          textures: memory.textures,
+          instanceMB: boxes.bufferBytes / 2 ** 20,
+          heapMB: performance.memory ? performance.memory.usedJSHeapSize / 2 ** 20 : null, // Chromium only
+        });
+      },
+    };
+    three.current.anims.push(runner);
+  }
+
+  // ===== Save / load =====
+  // replace the whole yard with a validated snapshot (parseYardSnapshot result): a fresh
+  // start for undo history and KPIs, recorded as a snapshot event
+  function restoreYard(res) {
+    rebuildYard(res);
+    historyRef.current.clear();
+    setHistoryVersion((v) => v + 1);
+    recordEvent(YARD_EVENTS.SNAPSHOT, { snapshot: buildSnapshot(res.model, containersRef.current) });
+    resetKpis();
+  }
+
+  // scene, model and lists only (parseYardSnapshot or stateAt result; `gateSpots` keeps
+  // recorded gate spots, else the boxes line up in queue order); undo history, KPIs and
+  // recording stay as they are, so the replay rebuilds through here
+  function rebuildYard({ snapshot, model, gateSpots = null }) {
+    const scene = three.current.scene;
+    containersRef.current.forEach((c) => removeContainerNode(c.node));
+    const prevConfig = modelRef.current.config;
+    if (JSON.stringify(model.config) === JSON.stringify(prevConfig)) model.config = prevConfig; // same block: no scene rebuild
+    modelRef.current = model;
+    queueRef.current = new JobQueue();
+    bumpQueue();
+    const cfg = model.config;
+    const entries = snapshot.containers.map((c) => {
+      const { id, color } = c;
+      const spec = withSpecDefaults({ sizeTEU: c.sizeTEU, ...pickSpec(c) });
+      const cells = model.getContainer(id).cells;
+      const gateIndex = cells.length ? null : gateSpots?.get(id) ?? snapshot.gateQueue.indexOf(id);
+      const position = cells.length ? cellsCenter(cfg, cells) : gatePositionForIndex(gateIndex);
+      const node = buildContainerNode(scene, { ...spec, color }, position);
+      return { ...spec, id, name: containerName(id, spec.typeCode), color, node, cells, gateIndex };
+    });
+    gateReservedRef.current.clear();
+    discardDigPlan();
+    containersRef.current = entries;
+    setContainers(entries.map(listItem));
+    setOcc(model.occupancy());
+    setYardConfig(cfg);
+    setDraftConfig(cfg);
+    setSelectedId(entries[0]?.id || null);
+  }
+
+  function exportYard() {
+    const snap = buildSnapshot(modelRef.current, containersRef.current);
+    const stamp = snap.savedAt.slice(0, 16).replace(/[-:T]/g, "");
+    downloadText(`yard-${stamp}.json`, JSON.stringify(snap, null, 2));
+  }
+
+  // current inventory for the terminal operating system (positions in BBRRTT)
+  function exportInventory() {
+    const snap = buildSnapshot(modelRef.current, containersRef.current);
+    const stamp = snap.savedAt.slice(0, 16).replace(/[-:T]/g, "");
+    if (inventoryFormat === INVENTORY_FORMATS.JSON) {
+      downloadText(`bestand-${stamp}.json`, inventoryJson(snap));
+    } else if (inventoryFormat === INVENTORY_FORMATS.EDIFACT) {
+      downloadText(`bestand-${stamp}.edi`, inventoryEdifact(snap, { reference: stamp }), "text/plain");
+    } else {
+      downloadText(`bestand-${stamp}.csv`, inventoryCsv(snap, { gateLabel: t("common.gate") }), "text/csv");
+    }
+  }
 
-      const topOverZ = entry.sizeTEU === 1 ? topOver.z : dropCenter.z;
-      await tweenPosition(hook, new THREE.Vector3(topOver.x, topOver.y, CRANE_Z), 300);
-      await tweenPosition(cont, new THREE.Vector3(topOver.x, topOver.y, topOverZ), 900);
+  // any inventory format back into the current block (replaces the yard like a JSON import)
+  async function importInventory(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = "";
+    if (!file || busy) return;
+    if (lockedText()) return alert(lockedText());
+    const res = parseInventory(await file.text(), modelRef.current.config, { color: newColor });
+    if (!res.ok) return setImportReport({ title: "io.rejected", messages: res.errors.map(inventoryErrorText) });
+    setImportReport(null);
+    restoreYard(res);
+  }
 
-      await tweenPosition(hook, hookRest, 600);
-      await tweenPosition(cont, dropCenter, 600);
+  async function importYard(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = ""; // allow re-importing the same file
+    if (!file || busy) return;
+    if (lockedText()) return alert(lockedText());
+    const res = parseYardSnapshot(await file.text());
+    if (!res.ok) return setImportReport({ title: "io.rejected", messages: res.errors.map(snapshotErrorText) });
+    setImportReport(null);
+    restoreYard(res);
+    if (res.snapshot.savedAt) setNotice(t("io.loaded", { savedAt: res.snapshot.savedAt }));
+  }
 
-      occupy(entry.id, cells, entry.cells);
-      entry.cells = cells;
-    } finally {
-      setBusy(false);
+  function applyYardConfig() {
+    if (busy) return;
+    if (lockedText()) return alert(lockedText());
+    const next = normalizeYardConfig(draftConfig);
+    // a smaller gate must still hold every box waiting there
+    const atGate = containersRef.current.filter((c) => !c.cells.length).sort((a, b) => a.gateIndex - b.gateIndex);
+    if (atGate.length > gateCapacity(next)) {
+      setDraftConfig(modelRef.current.config);
+      return alert(t("config.gateTooSmall", { count: atGate.length, capacity: gateCapacity(next) }));
     }
+    // shrinking must not cut off placed containers
+    const res = modelRef.current.setConfig(next);
+    if (!res.ok) {
+      setDraftConfig(modelRef.current.config);
+      return alert(reasonText(res, nameOf));
+    }
+    // boxes on spots the new gate no longer has move up to free ones
+    const kept = new Set(atGate.filter((c) => c.gateIndex < gateCapacity(next)).map((c) => c.gateIndex));
+    atGate.filter((c) => !kept.has(c.gateIndex)).forEach((c) => {
+      c.gateIndex = freeGateSpot(next, kept);
+      kept.add(c.gateIndex);
+    });
+    discardDigPlan();
+    recordEvent(YARD_EVENTS.SNAPSHOT, { snapshot: buildSnapshot(modelRef.current, containersRef.current) });
+    setYardConfig(res.config);
+    setDraftConfig(res.config);
   }
 
-  async function removeSelected() {
-    if (busy) return;
-    if (!selectedId) return alert("Bitte zuerst einen Container auswählen.");
-    const entry = containersRef.current.find((c) => c.id === selectedId);
-    if (!entry) return alert("Ausgewählter Container nicht gefunden.");
-    if (!entry.cells || entry.cells.length === 0) return alert("Dieser Container steht bereits am Gate (nicht im Yard).");
+  // ===== Camera views (see ./yard/cameraViews) =====
+  // block extent for the poses; the plan camera also clears the crane beams
+  function viewBounds(cfg, aboveCranes = false) {
+    const first = cellOrigin(cfg, 1, 1);
+    const last = cellOrigin(cfg, cfg.bays, cfg.rows);
+    const stackTop = PLATE_THICKNESS + cfg.tiers * TIER_H;
+    return {
+      minX: first.x - cfg.bayWidth / 2,
+      maxX: last.x + cfg.bayWidth / 2,
+      minZ: first.z - cfg.rowDepth / 2,
+      maxZ: last.z + cfg.rowDepth / 2,
+      top: aboveCranes ? Math.max(stackTop, BEAM_Y + 0.5) : stackTop,
+    };
+  }
 
-    const { ok, blockers } = canRemove(entry);
-    if (!ok) {
-      const names = blockers.map((bid) => containersRef.current.find((x) => x.id === bid)?.name || bid).join(", ");
-      showHighlights(entry.cells, false, 1400);
-      return alert("Entstapeln nicht möglich. Zuerst entfernen: " + names);
+  // target pose of `next` (VIEWS) for the current block
+  function viewPose(next, { bay, crane }) {
+    const cfg = modelRef.current.config;
+    const el = three.current.renderer.domElement;
+    const opts = { aspect: el.clientWidth / el.clientHeight || 1, fov: CAMERA_FOV };
+    const bounds = viewBounds(cfg);
+    if (next === VIEWS.PLAN) return planPose(viewBounds(cfg, true), opts);
+    if (next === VIEWS.SECTION) {
+      // room for the tier labels on the left and the row labels below the plate
+      const framed = { ...bounds, minZ: bounds.minZ - 1.8, bottom: -1 };
+      return sectionPose(framed, cellOrigin(cfg, bay, 1).x, cfg.bayWidth, opts);
+    }
+    if (next === VIEWS.FOLLOW) {
+      const c = cranesRef.current.find((k) => k.id === crane) || cranesRef.current[0];
+      return followPose(c.hook.position);
     }
+    return overviewPose(bounds, opts);
+  }
 
-    setBusy(true);
-    const { bridge, hook } = craneRef.current;
-    const cont = entry.mesh;
-    const topY = TRAVEL_Y;
-
-    // current center (handles 20’/40’)
-    let currentCenter = null;
-    if (entry.cells.length === 1) {
-      const c = entry.cells[0];
-      currentCenter = slotCenterAtTier(c.bay, c.row, c.tier);
+  // pose of the camera in use (orthographic zoom folded into the height)
+  function currentPose() {
+    const { camera, controls } = three.current;
+    const ortho = camera.isOrthographicCamera;
+    return {
+      projection: ortho ? PROJECTIONS.ORTHOGRAPHIC : PROJECTIONS.PERSPECTIVE,
+      position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+      target: { x: controls.target.x, y: controls.target.y, z: controls.target.z },
+      height: ortho ? (camera.top - camera.bottom) / camera.zoom : null,
+      near: camera.near,
+      far: camera.far,
+    };
+  }
+
+  // put the matching camera on `pose` and hand it to the orbit controls
+  function applyPose(pose) {
+    const t3 = three.current;
+    const ortho = pose.projection === PROJECTIONS.ORTHOGRAPHIC;
+    const camera = ortho ? t3.ortho : t3.perspective;
+    camera.position.set(pose.position.x, pose.position.y, pose.position.z);
+    camera.near = pose.near;
+    camera.far = pose.far;
+    camera.zoom = 1;
+    if (ortho) {
+      const el = t3.renderer.domElement;
+      camera.userData.height = pose.height;
+      fitOrthoCamera(camera, el.clientWidth / el.clientHeight || 1);
     } else {
-      const c1 = entry.cells[0], c2 = entry.cells[1];
-      currentCenter = slotCenterAtTier(c1.bay, c1.row, c1.tier).lerp(
-        slotCenterAtTier(c2.bay, c2.row, c2.tier), 0.5
-      );
+      camera.updateProjectionMatrix();
     }
-    const liftTop = currentCenter.clone(); liftTop.y = topY;
+    t3.controls.target.set(pose.target.x, pose.target.y, pose.target.z);
+    camera.lookAt(t3.controls.target);
+    t3.controls.object = camera;
+    t3.camera = camera;
+  }
 
-    const parkIndex = gateIndexRef.current++;
-    const parkPos = gatePositionForIndex(parkIndex).clone();
-    const flyTop = new THREE.Vector3(parkPos.x, topY, parkPos.z);
-    const hookRest = new THREE.Vector3(liftTop.x, topY, CRANE_Z);
+  // plan and section are drawings: pan and zoom only
+  function lockControls(next) {
+    const { controls } = three.current;
+    controls.enableRotate = next === VIEWS.FREE || next === VIEWS.FOLLOW;
+    controls.enabled = true;
+  }
 
-    try {
-      await tweenPosition(bridge, new THREE.Vector3(liftTop.x, topY, CRANE_Z), 600);
-      await tweenPosition(hook, liftTop, 500);
-      await tweenPosition(cont, liftTop, 500);
+  // stop a running flight / follow runner
+  function stopViewRunners() {
+    const state = viewRef.current;
+    [state.flight, state.follow].forEach((runner) => {
+      if (runner) runner.done = true;
+    });
+    state.flight = null;
+    state.follow = null;
+  }
 
-      await tweenPosition(hook, hookRest, 300);
-      await tweenPosition(cont, flyTop, 900);
+  // camera keeps its offset to the hook of `crane` while it moves
+  function startFollow(crane) {
+    const last = new THREE.Vector3();
+    const delta = new THREE.Vector3();
+    let hook = null;
+    const runner = {
+      done: false,
+      step() {
+        const c = cranesRef.current.find((k) => k.id === crane);
+        if (!c) return;
+        // a rebuilt block brings new hook meshes: start over from there
+        if (c.hook !== hook) {
+          hook = c.hook;
+          last.copy(hook.position);
+          return;
+        }
+        delta.subVectors(hook.position, last);
+        last.copy(hook.position);
+        three.current.camera.position.add(delta);
+        three.current.controls.target.add(delta);
+      },
+    };
+    viewRef.current.follow = runner;
+    three.current.anims.push(runner);
+  }
 
-      await tweenPosition(hook, new THREE.Vector3(flyTop.x, flyTop.y, CRANE_Z), 300);
-      await tweenPosition(cont, parkPos, 600);
+  // fly the perspective camera to `pose`, then hand over to the camera of view `next`
+  function flyTo(pose, next, { crane } = {}) {
+    const t3 = three.current;
+    stopViewRunners();
+    const from = currentPose();
+    applyPose(asPerspective(from, CAMERA_FOV));
+    t3.controls.enabled = false;
+    const camera = t3.perspective;
+    const runner = {
+      done: false,
+      t0: null,
+      step(time) {
+        if (runner.t0 === null) runner.t0 = time;
+        const k = Math.min(1, (time - runner.t0) / VIEW_TRANSITION_MS);
+        const p = interpolatePose(from, pose, easeInOut(k), CAMERA_FOV);
+        camera.position.set(p.position.x, p.position.y, p.position.z);
+        t3.controls.target.set(p.target.x, p.target.y, p.target.z);
+        camera.lookAt(t3.controls.target);
+        if (k < 1) return;
+        runner.done = true;
+        viewRef.current.flight = null;
+        applyPose(pose);
+        lockControls(next);
+        if (next === VIEWS.FOLLOW) startFollow(crane);
+      },
+    };
+    viewRef.current.flight = runner;
+    t3.anims.push(runner);
+  }
 
-      occupy(entry.id, [], entry.cells);
-      entry.cells = [];
-      showHighlights([], true, 0);
-    } finally {
-      setBusy(false);
-    }
+  // switch to `next` (VIEWS) with a camera flight; bay/crane pick the section and the followed crane
+  function showView(next, { bay = sectionBay, crane = followCrane } = {}) {
+    if (!three.current.scene) return;
+    viewRef.current = { ...viewRef.current, view: next, bay, crane };
+    setView(next);
+    setSectionBay(bay);
+    setFollowCrane(crane);
+    flyTo(viewPose(next, { bay, crane }), next, { crane });
   }
 
-  function handleAddContainer() {
+  // block changed: same view, re-framed at once (bay/crane clamped to what still exists)
+  function reframeView() {
+    const state = viewRef.current;
+    if (!three.current.scene || state.view === VIEWS.FREE) return;
+    const bay = Math.min(state.bay, modelRef.current.config.bays);
+    const crane = cranesRef.current.some((c) => c.id === state.crane) ? state.crane : craneId(0);
+    viewRef.current = { ...state, bay, crane };
+    setSectionBay(bay);
+    setFollowCrane(crane);
+    stopViewRunners();
+    applyPose(viewPose(state.view, { bay, crane }));
+    lockControls(state.view);
+    if (state.view === VIEWS.FOLLOW) startFollow(crane);
+  }
+
+  function storeViews(next) {
+    setSavedViews(next);
+    if (!saveViews(next)) alert(t("view.storageFailed"));
+  }
+
+  // remember the current camera under `name` (a following camera is kept as a free view)
+  function saveCurrentView(name) {
+    const kind = view === VIEWS.FOLLOW ? VIEWS.FREE : view;
+    storeViews(upsertView(savedViews, { name, view: kind, ...currentPose() }));
+    setViewName("");
+  }
+
+  function openSavedView(saved) {
     if (!three.current.scene) return;
-    const scene = three.current.scene;
-    const added = addContainerToScene(scene, { sizeTEU: Number(newSize), color: newColor }, gateIndexRef.current++);
-    containersRef.current = [...containersRef.current, added];
-    setContainers((prev) => [...prev, { id: added.id, name: added.name, sizeTEU: added.sizeTEU, color: added.color }]);
-    setSelectedId(added.id);
+    const cfg = modelRef.current.config;
+    const bay = Math.min(Math.max(cellAtPoint(cfg, saved.target).bay, 1), cfg.bays);
+    viewRef.current = { ...viewRef.current, view: saved.view, bay };
+    setView(saved.view);
+    if (saved.view === VIEWS.SECTION) setSectionBay(bay);
+    flyTo(saved, saved.view);
+  }
+
+  // ===== Language =====
+  // the catalogs read the module-wide locale; the state only triggers the re-render
+  function changeLocale(next) {
+    setLocaleState(setLocale(next));
+    saveLocale(next);
   }
 
   // ===== UI helpers =====
+  hotkeysRef.current = { undo: () => stepHistory("undo"), redo: () => stepHistory("redo") };
+  pointerRef.current = { dragArm, dragMove, dragEnd, hover: hoverAt, cellClick, cellDoubleClick };
+  simTickRef.current = simTick;
+  replayTickRef.current = replayTick;
+  refreshGateRef.current = refreshGate;
+  reframeViewRef.current = reframeView;
+  restoreYardRef.current = restoreYard;
+  const undoCmd = historyRef.current.peekUndo();
+  const redoCmd = historyRef.current.peekRedo();
   const selectedEntry = containersRef.current.find((c) => c.id === selectedId);
+  const plugUsage = modelRef.current.plugUsage();
+  const jobs = queueRef.current.list();
+  const cycleTimes = jobs.filter((j) => j.cycleS !== null).map((j) => j.cycleS);
+  const queueWait = queueRef.current.hasQueued ? queueWaitRef.current : null;
+  const simActive = !!simView && simView.status !== "off";
+  const kpi = kpiRef.current.summary(kpiNow(), modelRef.current, kpiCraneIds());
+  const kpiSamples = kpiRef.current.samples;
+  const recorder = recorderRef.current;
+  const recordSpan = logSpan(recorder);
+  const historyLocked = busy || simActive || !!replayView || queueRef.current.pending.length > 0; // undo/redo wait for the queue
+  const gateInUse = gateSpotsInUse().size;
+  const gateFull = gateInUse >= gateCapacity(yardConfig);
   const selectedIs40InvalidRow = (() => {
     if (!selectedEntry) return false;
     if (selectedEntry.sizeTEU !== 2) return false;
-    const p = parseSlot(slot);
-    return p ? p.row >= ROWS : false;
+    const p = parseSlot(slot, yardConfig);
+    return p ? p.row >= yardConfig.rows : false;
   })();
 
-  // Build occupancy HUD (3x3 for each tier)
+  // Stack under the hovered cell: tiers top-down, free tiers, load left, reefer plugs
+  // (a render function, not a component: it updates with every pointer move)
+  function renderCellTooltip() {
+    if (!hoverCell || dragHint) return null;
+    const info = modelRef.current.slotSummary(hoverCell);
+    if (!info.ok) return null;
+    const { bay, row, stack, used, free, loadLeftKg, plugs } = info;
+    return (
+      <div
+        style={{
+          position: "absolute",
+          left: hoverCell.x + 14,
+          top: hoverCell.y + 14,
+          padding: "6px 10px",
+          borderRadius: 8,
+          fontSize: 12,
+          lineHeight: 1.45,
+          pointerEvents: "none",
+          background: "rgba(255, 255, 255, 0.95)",
+          border: "1px solid #e5e5e5",
+          boxShadow: "0 2px 8px rgba(0,0,0,0.12)",
+          whiteSpace: "nowrap",
+        }}
+      >
+        <b>{formatSlot(bay, row)}</b> · {t("tooltip.used", { used, tiers: yardConfig.tiers })}{plugs ? t("tooltip.reefer") : ""}
+        {[...stack].reverse().map(({ tier, id, sizeTEU, grossKg }) => (
+          <div key={tier} style={{ color: id ? "#111" : "#999" }}>
+            {t("tooltip.tier", { tier })}{id ? `${nameOf(id)}${sizeTEU === 2 ? " (40’)" : ""} · ${formatTons(grossKg)}` : t("common.free")}
+          </div>
+        ))}
+        <div style={{ color: "#555", marginTop: 2 }}>
+          {t("tooltip.freeLoad", { free, loadKg: loadLeftKg })}
+          {plugs && t("tooltip.plugs", { used: plugs.used, plugs: plugs.total })}
+        </div>
+      </div>
+    );
+  }
+
+  // Details of the active container
+  function ContainerInspector() {
+    const c = containers.find((e) => e.id === selectedId);
+    if (!c) return null;
+    const entry = containersRef.current.find((e) => e.id === c.id);
+    const type = isoType(c.typeCode);
+    const spot = entry && !entry.cells.length && entry.gateIndex != null ? gateSpot(yardConfig, entry.gateIndex) : null;
+    const where = entry?.cells.length
+      ? t("common.slotTier", { slot: formatSlot(entry.cells[0].bay, entry.cells[0].row), tier: entry.cells[0].tier })
+      : spot ? t("gate.spot", { lane: spot.lane + 1, pos: spot.pos + 1 }) : t("common.gate");
+    const none = t("common.none");
+    const rows = [
+      [t("inspector.number"), formatContainerNumber(c.id)],
+      [t("inspector.type"), `${c.typeCode}${type ? ` – ${isoTypeLabel(c.typeCode)}` : ""}`],
+      [t("inspector.size"), t(c.sizeTEU === 2 ? "inspector.size40" : "inspector.size20")],
+      [t("inspector.gross"), t("inspector.grossValue", { kg: c.grossKg, full: c.full })],
+      [t("inspector.operator"), c.operator || none],
+      [t("inspector.remark"), c.remark || none],
+      [t("inspector.imoClass"), c.imoClass ? `${c.imoClass} – ${imoLabel(c.imoClass)}` : none],
+      [t("inspector.position"), where],
+    ];
+    return (
+      <div style={{ padding: 10, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 12, display: "grid", gridTemplateColumns: "auto 1fr", gap: "2px 10px" }}>
+        {rows.map(([k, v]) => (
+          <React.Fragment key={k}>
+            <span style={{ opacity: 0.6 }}>{k}</span>
+            <span>{v}</span>
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  }
+
+  // Stack weight per ground slot (bays × rows), against config.maxStackKg
+  function StackWeightGrid() {
+    const weights = modelRef.current.stackWeights();
+    const rows = [];
+    for (let r = 1; r <= yardConfig.rows; r++) {
+      const cols = [];
+      for (let b = 1; b <= yardConfig.bays; b++) {
+        const kg = weights[`${b}-${r}`] || 0;
+        const share = kg / yardConfig.maxStackKg;
+        cols.push(
+          <div key={b} style={{
+            border: "1px solid #ddd",
+            padding: "4px 6px",
+            fontSize: 12,
+            background: share > 1 ? "#f8c4c4" : share >= 0.9 ? "#ffe0b3" : kg ? "#eef6e8" : "#fafafa",
+            whiteSpace: "nowrap",
+          }}>
+            <span style={{ opacity: 0.6 }}>{formatSlot(b, r)}</span>
+            <div style={{ fontWeight: 600, fontSize: 11 }}>{kg ? formatTons(kg) : "–"}</div>
+          </div>
+        );
+      }
+      rows.push(<div key={r} style={{ display: "grid", gridTemplateColumns: `repeat(${yardConfig.bays}, minmax(0, 1fr))` }}>{cols}</div>);
+    }
+    return <div style={{ display: "grid", gap: 4 }}>{rows}</div>;
+  }
+
+  // Plug usage on powered slots
+  function PlugUsage() {
+    const usage = plugUsage;
+    if (!usage.slots.length) return <div style={{ fontSize: 12, color: "#666" }}>{t("hud.noReefer")}</div>;
+    return (
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+        {usage.slots.map((s) => (
+          <span
+            key={`${s.bay}-${s.row}`}
+            style={{
+              fontSize: 11,
+              padding: "2px 6px",
+              borderRadius: 6,
+              border: "1px solid #bcd4f5",
+              background: s.used >= s.plugs ? "#cfe0fa" : "#f1f6fe",
+            }}
+          >
+            {formatSlot(s.bay, s.row)} {s.used}/{s.plugs}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  // Build occupancy HUD (bays × rows for each tier)
   function HudGrid({ tier }) {
     const rows = [];
-    for (let r = 1; r <= ROWS; r++) {
+    for (let r = 1; r <= yardConfig.rows; r++) {
       const cols = [];
-      for (let b = 1; b <= BAYS; b++) {
-        const id = occ[k(b, r, tier)];
-        const label = `${LETTERS[b - 1]}${r}`;
+      for (let b = 1; b <= yardConfig.bays; b++) {
+        const id = occ[cellKey(b, r, tier)];
+        const label = formatSlot(b, r);
+        const powered = isReeferSlot(yardConfig, b, r);
         cols.push(
           <div key={b} style={{
             border: "1px solid #ddd",
             padding: "4px 6px",
             fontSize: 12,
-            background: id ? "#ffe9cc" : "#fafafa",
+            background: id ? "#ffe9cc" : powered ? "#e3efff" : "#fafafa",
             whiteSpace: "nowrap",
           }}>
-            <span style={{ opacity: 0.6 }}>{label}</span>
+            <span style={{ opacity: 0.6 }}>{label}{powered ? " ⚡" : ""}</span>
             <div style={{ fontWeight: 600, fontSize: 11, overflow: "hidden", textOverflow: "ellipsis" }}>
-              {id ? (containersRef.current.find(c => c.id === id)?.name || id) : "frei"}
+              {id ? formatContainerNumber(id) : t("common.free")}
             </div>
+            {id && (() => {
+              const c = containersRef.current.find((e) => e.id === id);
+              return c ? <div style={{ fontSize: 10, opacity: 0.7 }}>{c.typeCode} · {formatTons(c.grossKg)}{c.imoClass ? ` · ⚠ ${c.imoClass}` : ""}</div> : null;
+            })()}
           </div>
         );
       }
-      rows.push(<div key={r} style={{ display: "grid", gridTemplateColumns: `repeat(${BAYS}, 1fr)` }}>{cols}</div>);
+      rows.push(<div key={r} style={{ display: "grid", gridTemplateColumns: `repeat(${yardConfig.bays}, minmax(0, 1fr))` }}>{cols}</div>);
     }
     return <div style={{ display: "grid", gap: 4 }}>{rows}</div>;
   }
@@ -697,21 +3594,250 @@ export default function App() {
         boxSizing: "border-box",
       }}
     >
-      {/* 3D canvas */}
-      <div
-        ref={mountRef}
-        style={{
-          width: "100%",
-          height: "100%",
-          background: "#fff",
-          borderRadius: 12,
-          boxShadow: "0 2px 8px rgba(0,0,0,0.07)",
-        }}
-      />
+      {/* 3D canvas (+ drag & drop hint and cell tooltip on top) */}
+      <div style={{ position: "relative", minHeight: 0 }}>
+        <div
+          ref={mountRef}
+          style={{
+            width: "100%",
+            height: "100%",
+            background: "#fff",
+            borderRadius: 12,
+            boxShadow: "0 2px 8px rgba(0,0,0,0.07)",
+          }}
+        />
+        {dragHint && (
+          <div
+            style={{
+              position: "absolute",
+              top: 12,
+              left: 12,
+              maxWidth: "60%",
+              padding: "6px 10px",
+              borderRadius: 8,
+              fontSize: 13,
+              pointerEvents: "none",
+              color: dragHint.ok ? "#14532d" : "#7f1d1d",
+              background: dragHint.ok ? "rgba(220, 252, 231, 0.92)" : "rgba(254, 226, 226, 0.92)",
+              border: `1px solid ${dragHint.ok ? "#86efac" : "#fca5a5"}`,
+            }}
+          >
+            {dragHint.ok ? "✓ " : "✕ "}{dragHint.text}
+          </div>
+        )}
+        {renderCellTooltip()}
+      </div>
 
       {/* Sidebar */}
       <div style={{ display: "flex", flexDirection: "column", gap: 12, overflow: "auto" }}>
-        <h2 style={{ margin: 0 }}>Hafenkran · Mini-Yard (A–C × 1–3) · 2 Ebenen</h2>
+        <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between", gap: 8 }}>
+          <h2 style={{ margin: 0 }}>
+            {t("app.title", { firstBay: bayCode(1), lastBay: bayCode(yardConfig.bays), rows: yardConfig.rows, tiers: yardConfig.tiers })}
+          </h2>
+          <select
+            value={locale}
+            onChange={(e) => changeLocale(e.target.value)}
+            title={t("language.label")}
+            aria-label={t("language.label")}
+            style={{ padding: "4px 6px", fontSize: 13 }}
+          >
+            {Object.entries(LOCALES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+          </select>
+        </div>
+
+        {/* Camera views */}
+        <details style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>
+            <b>{t("view.title")}</b> – {t(`view.${view}`)}
+          </summary>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+            {Object.values(VIEWS).map((v) => (
+              <button
+                key={v}
+                onClick={() => showView(v)}
+                style={{ fontWeight: view === v ? 700 : 400, background: view === v ? "#dbeafe" : undefined }}
+              >
+                {t(`view.${v}`)}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 12, marginTop: 6 }}>
+            <label>
+              {t("view.bay")}{" "}
+              <select
+                value={sectionBay}
+                onChange={(e) => showView(VIEWS.SECTION, { bay: Number(e.target.value) })}
+              >
+                {Array.from({ length: yardConfig.bays }, (_, i) => (
+                  <option key={i} value={i + 1}>{bayCode(i + 1)}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t("view.crane")}{" "}
+              <select value={followCrane} onChange={(e) => showView(VIEWS.FOLLOW, { crane: e.target.value })}>
+                {cranesRef.current.map((c) => <option key={c.id} value={c.id}>{c.id}</option>)}
+              </select>
+            </label>
+          </div>
+          <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>{t(`view.hint.${view}`)}</div>
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            <input
+              value={viewName}
+              onChange={(e) => setViewName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && viewName.trim() && saveCurrentView(viewName)}
+              placeholder={t("view.namePlaceholder")}
+              style={{ flex: 1, minWidth: 0 }}
+            />
+            <button onClick={() => saveCurrentView(viewName)} disabled={!viewName.trim()}>
+              {t("view.save")}
+            </button>
+          </div>
+          {savedViews.length === 0 ? (
+            <div style={{ color: "#888", marginTop: 6 }}>{t("view.noneSaved")}</div>
+          ) : (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 6 }}>
+              {savedViews.map((v) => (
+                <div key={v.name} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                  <button onClick={() => openSavedView(v)} style={{ flex: 1, textAlign: "left" }} title={t("view.open")}>
+                    {v.name} <span style={{ color: "#666" }}>· {t(`view.${v.view}`)}</span>
+                  </button>
+                  <button
+                    onClick={() => storeViews(savedViews.filter((x) => x.name !== v.name))}
+                    title={t("view.delete")}
+                    aria-label={t("view.delete")}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </details>
+
+        {/* Yard configuration */}
+        <details
+          style={{
+            padding: 12,
+            border: "1px solid #e5e5e5",
+            borderRadius: 10,
+            background: "#fafafa",
+          }}
+        >
+          <summary style={{ fontSize: 13, cursor: "pointer" }}>{t("config.title")}</summary>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 8 }}>
+            {[
+              ["bays", 1],
+              ["rows", 1],
+              ["tiers", 1],
+              ["bayWidth", 0.1],
+              ["rowDepth", 0.1],
+              ["maxStackKg", 1000],
+              ["weightToleranceKg", 100],
+              ["reeferPlugs", 1],
+              ["cranes", 1],
+              ["craneSafety", 0.5],
+              ["gateLanes", 1],
+              ["gateSpots", 1],
+              ["gantrySpeed", 0.1],
+              ["gantryAccel", 0.1],
+              ["trolleySpeed", 0.1],
+              ["trolleyAccel", 0.1],
+              ["hoistSpeed", 0.1],
+              ["hoistAccel", 0.1],
+              ["spreaderLockS", 0.5],
+            ].map(([key, step]) => (
+              <label key={key} style={{ fontSize: 13 }}>
+                {t(`config.${key}`)}:
+                <input
+                  type="number"
+                  min={YARD_LIMITS[key].min}
+                  max={YARD_LIMITS[key].max}
+                  step={step}
+                  value={draftConfig[key]}
+                  onChange={(e) => setDraftConfig((d) => ({ ...d, [key]: e.target.value }))}
+                  style={{ marginLeft: 8, width: 64, padding: "4px 6px" }}
+                />
+              </label>
+            ))}
+            {["reeferRows", "reeferSlots"].map((key) => (
+              <label key={key} style={{ fontSize: 13, gridColumn: "1 / span 2" }}>
+                {t(`config.${key}`)}:
+                <input
+                  value={Array.isArray(draftConfig[key]) ? draftConfig[key].join(", ") : draftConfig[key]}
+                  onChange={(e) => setDraftConfig((d) => ({ ...d, [key]: e.target.value }))}
+                  placeholder={t(`config.${key}Hint`)}
+                  style={{ marginLeft: 8, width: 140, padding: "4px 6px" }}
+                />
+              </label>
+            ))}
+            <label style={{ fontSize: 13, gridColumn: "1 / span 2" }}>
+              <input
+                type="checkbox"
+                checked={!!draftConfig.weightOrder}
+                onChange={(e) => setDraftConfig((d) => ({ ...d, weightOrder: e.target.checked }))}
+              />{" "}
+              {t("config.weightOrder")}
+            </label>
+            <details style={{ gridColumn: "1 / span 2" }}>
+              <summary style={{ fontSize: 13, cursor: "pointer" }}>{t("config.segregation")}</summary>
+              <div style={{ overflowX: "auto", marginTop: 6 }}>
+                <table style={{ borderCollapse: "collapse", fontSize: 11 }}>
+                  <thead>
+                    <tr>
+                      <th />
+                      {IMO_CLASSES.map((cls) => <th key={cls} style={{ padding: "0 2px" }}>{cls}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {IMO_CLASSES.map((a, i) => (
+                      <tr key={a}>
+                        <th style={{ textAlign: "right", paddingRight: 4 }} title={imoLabel(a)}>{a}</th>
+                        {IMO_CLASSES.map((b, j) => {
+                          if (j > i) return <td key={b} />;
+                          const key = pairKey(a, b);
+                          const n = draftConfig.segregation?.[key] || 0;
+                          return (
+                            <td key={b}>
+                              <input
+                                type="number"
+                                min={0}
+                                max={MAX_SEGREGATION}
+                                value={n}
+                                title={`${a} ↔ ${b}`}
+                                onChange={(e) => setDraftConfig((d) => ({
+                                  ...d, segregation: { ...d.segregation, [key]: Number(e.target.value) },
+                                }))}
+                                style={{ width: 30, padding: 1, fontSize: 11, background: n ? "#fde2e2" : "#fff" }}
+                              />
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>
+                {t("config.segregationHint")}
+              </div>
+            </details>
+            <button
+              onClick={applyYardConfig}
+              disabled={busy}
+              style={{
+                gridColumn: "1 / span 2",
+                padding: "8px 12px",
+                border: "1px solid #ddd",
+                borderRadius: 8,
+                background: busy ? "#eee" : "#f7f7f7",
+                cursor: busy ? "not-allowed" : "pointer",
+              }}
+            >
+              {t("config.apply")}
+            </button>
+          </div>
+        </details>
 
         {/* Add container */}
         <div
@@ -725,20 +3851,67 @@ export default function App() {
             gap: 8,
           }}
         >
-          <label style={{ fontSize: 13 }}>
-            Größe:
+          <label style={{ fontSize: 13, gridColumn: "1 / span 2" }}>
+            {t("addForm.number")}:
+            <input
+              value={newSpec.number}
+              onChange={(e) => setNewSpec((s) => ({ ...s, number: e.target.value }))}
+              placeholder={t("addForm.numberHint")}
+              maxLength={14}
+              style={{ marginLeft: 8, width: 150, padding: "6px 8px", fontFamily: "monospace" }}
+            />
+            {addErrors.number && <div style={{ color: "#b00020", fontSize: 12 }}>{specErrorText(addErrors.number)}</div>}
+          </label>
+
+          <label style={{ fontSize: 13, gridColumn: "1 / span 2" }}>
+            {t("addForm.type")}:
             <select
-              value={newSize}
-              onChange={(e) => setNewSize(Number(e.target.value))}
+              value={newSpec.typeCode}
+              onChange={(e) => setNewSpec((s) => ({ ...s, typeCode: e.target.value }))}
               style={{ marginLeft: 8, padding: "6px 8px" }}
             >
-              <option value={1}>20’ (1 TEU)</option>
-              <option value={2}>40’ (2 TEU)</option>
+              {Object.keys(ISO_TYPES).map((code) => (
+                <option key={code} value={code}>{code} – {isoTypeLabel(code)}</option>
+              ))}
             </select>
+            {addErrors.typeCode && <div style={{ color: "#b00020", fontSize: 12 }}>{specErrorText(addErrors.typeCode)}</div>}
+          </label>
+
+          <label style={{ fontSize: 13 }}>
+            {t("addForm.gross")}:
+            <input
+              type="number"
+              value={newSpec.grossKg}
+              onChange={(e) => setNewSpec((s) => ({ ...s, grossKg: e.target.value }))}
+              placeholder={String(isoType(newSpec.typeCode)?.tareKg ?? "")}
+              style={{ marginLeft: 8, width: 80, padding: "6px 8px" }}
+            />
+          </label>
+
+          <label style={{ fontSize: 13 }}>
+            <input
+              type="checkbox"
+              checked={newSpec.full}
+              onChange={(e) => setNewSpec((s) => ({ ...s, full: e.target.checked }))}
+            />{" "}
+            {t("addForm.loaded")}
+          </label>
+          {addErrors.grossKg && (
+            <div style={{ gridColumn: "1 / span 2", color: "#b00020", fontSize: 12 }}>{specErrorText(addErrors.grossKg)}</div>
+          )}
+
+          <label style={{ fontSize: 13 }}>
+            {t("addForm.operator")}:
+            <input
+              value={newSpec.operator}
+              onChange={(e) => setNewSpec((s) => ({ ...s, operator: e.target.value }))}
+              maxLength={24}
+              style={{ marginLeft: 8, width: 80, padding: "6px 8px" }}
+            />
           </label>
 
           <label style={{ fontSize: 13 }}>
-            Farbe:
+            {t("addForm.color")}:
             <input
               type="color"
               value={newColor}
@@ -747,8 +3920,35 @@ export default function App() {
             />
           </label>
 
+          <label style={{ fontSize: 13, gridColumn: "1 / span 2" }}>
+            {t("addForm.remark")}:
+            <input
+              value={newSpec.remark}
+              onChange={(e) => setNewSpec((s) => ({ ...s, remark: e.target.value }))}
+              maxLength={80}
+              style={{ marginLeft: 8, width: "70%", padding: "6px 8px" }}
+            />
+          </label>
+
+          <label style={{ fontSize: 13, gridColumn: "1 / span 2" }}>
+            {t("addForm.imoClass")}:
+            <select
+              value={newSpec.imoClass}
+              onChange={(e) => setNewSpec((s) => ({ ...s, imoClass: e.target.value }))}
+              style={{ marginLeft: 8, padding: "6px 8px" }}
+            >
+              <option value="">{t("addForm.noImo")}</option>
+              {IMO_CLASSES.map((cls) => (
+                <option key={cls} value={cls}>{cls} – {imoLabel(cls)}</option>
+              ))}
+            </select>
+            {addErrors.imoClass && <div style={{ color: "#b00020", fontSize: 12 }}>{specErrorText(addErrors.imoClass)}</div>}
+          </label>
+
           <button
             onClick={handleAddContainer}
+            disabled={gateFull}
+            title={t(gateFull ? "gate.fullText" : "addForm.addTitle")}
             style={{
               gridColumn: "1 / span 2",
               padding: "8px 12px",
@@ -758,92 +3958,864 @@ export default function App() {
               cursor: "pointer",
             }}
           >
-            Neuen Container hinzufügen
+            {t("addForm.add")}
           </button>
+          <div style={{ gridColumn: "1 / span 2", fontSize: 12, color: gateFull ? "#b00020" : "#444" }}>
+            {t("gate.status", {
+              used: gateInUse,
+              capacity: gateCapacity(yardConfig),
+              lanes: yardConfig.gateLanes,
+              spots: yardConfig.gateSpots,
+            })}
+            {gateFull && <b>{t("gate.fullShort")}</b>}
+          </div>
           <div style={{ gridColumn: "1 / span 2", fontSize: 12, color: "#666" }}>
-            40’ belegt zwei Slots gleicher Buchstabe + nächste Zahl (z. B. A1+A2).
+            {t("addForm.hint40")}
+          </div>
+        </div>
+
+        {/* Save / load */}
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            onClick={exportYard}
+            style={{ flex: 1, padding: "8px 12px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+            title={t("io.exportJsonTitle")}
+          >
+            {t("io.exportJson")}
+          </button>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            disabled={busy}
+            style={{
+              flex: 1,
+              padding: "8px 12px",
+              border: "1px solid #ddd",
+              borderRadius: 8,
+              background: busy ? "#eee" : "#f7f7f7",
+              cursor: busy ? "not-allowed" : "pointer",
+            }}
+            title={t("io.importJsonTitle")}
+          >
+            {t("io.importJson")}
+          </button>
+          <input ref={importInputRef} type="file" accept="application/json,.json" onChange={importYard} style={{ display: "none" }} />
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+          {t("io.inventory")}:
+          <select value={inventoryFormat} onChange={(e) => setInventoryFormat(e.target.value)} style={{ padding: "4px 6px" }}>
+            <option value={INVENTORY_FORMATS.CSV}>CSV</option>
+            <option value={INVENTORY_FORMATS.JSON}>JSON</option>
+            <option value={INVENTORY_FORMATS.EDIFACT}>EDIFACT (BAPLIE)</option>
+          </select>
+          <button
+            onClick={exportInventory}
+            title={t("io.exportInventoryTitle")}
+            style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+          >
+            {t("io.exportInventory")}
+          </button>
+          <button
+            onClick={() => inventoryInputRef.current?.click()}
+            disabled={busy}
+            title={t("io.importInventoryTitle")}
+            style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: busy ? "#eee" : "#f7f7f7", cursor: busy ? "not-allowed" : "pointer" }}
+          >
+            {t("io.importInventory")}
+          </button>
+          <input
+            ref={inventoryInputRef}
+            type="file"
+            accept=".csv,.json,.edi,.txt,text/csv,application/json,text/plain"
+            onChange={importInventory}
+            style={{ display: "none" }}
+          />
+        </div>
+        {importReport && (
+          <div style={{ fontSize: 12, color: "#a94442", background: "#fff4f4", border: "1px solid #f3c6c6", borderRadius: 8, padding: 8 }}>
+            <b>{t(importReport.title, { count: importReport.messages.length })}</b>
+            <ul style={{ margin: "4px 0 0 0", paddingLeft: 18 }}>
+              {importReport.messages.map((msg, i) => <li key={i}>{msg}</li>)}
+            </ul>
+            <button onClick={() => setImportReport(null)} style={{ marginTop: 4, fontSize: 12 }}>{t("common.close")}</button>
           </div>
+        )}
+
+        {/* Manifest import */}
+        <div style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <b style={{ flex: 1 }}>{t("manifest.title")}</b>
+            <button
+              onClick={() => manifestInputRef.current?.click()}
+              disabled={simActive}
+              title={t("manifest.chooseTitle")}
+              style={{ padding: "4px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+            >
+              {t("manifest.choose")}
+            </button>
+            <input
+              ref={manifestInputRef}
+              type="file"
+              accept=".csv,.txt,.edi,.edifact,text/csv,text/plain"
+              onChange={loadManifest}
+              style={{ display: "none" }}
+            />
+          </div>
+          {!manifest && (
+            <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+              {t("manifest.columns")}
+            </div>
+          )}
+          {manifest?.error && (
+            <div style={{ fontSize: 12, color: "#a94442", marginTop: 6 }}>
+              {manifest.fileName}: {manifest.error}{" "}
+              <button onClick={() => setManifest(null)} style={{ fontSize: 12 }}>{t("common.close")}</button>
+            </div>
+          )}
+          {manifest?.rows && (() => {
+            const valid = manifest.rows.filter((r) => r.ok);
+            const withSlot = valid.filter((r) => r.target).length;
+            return (
+              <>
+                <div style={{ fontSize: 12, color: "#444", marginTop: 6 }}>
+                  {manifest.fileName} ({manifest.format === MANIFEST_FORMATS.EDIFACT ? "EDIFACT" : "CSV"}):{" "}
+                  {t("manifest.validRows", { valid: valid.length, total: manifest.rows.length })}
+                </div>
+                <div style={{ maxHeight: 220, overflow: "auto", marginTop: 4, border: "1px solid #eee" }}>
+                  <table style={{ width: "100%", fontSize: 11, borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr style={{ textAlign: "left", background: "#f7f7f7" }}>
+                        {[
+                          t("manifest.colLine"), t("manifest.colNumber"), t("manifest.colType"), "kg",
+                          t("manifest.colFull"), t("manifest.colOperator"), t("manifest.colSlot"), "",
+                        ].map((h, i) => <th key={i}>{h}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {manifest.rows.map((r, i) => (
+                        <React.Fragment key={i}>
+                          <tr style={{ background: r.ok ? "transparent" : "#fff4f4", borderTop: "1px solid #eee" }}>
+                            <td>{r.line}</td>
+                            <td style={{ fontFamily: "monospace" }}>{r.ok ? formatContainerNumber(r.spec.id) : r.number || "–"}</td>
+                            <td>{r.ok ? r.spec.typeCode : r.typeCode || r.size}</td>
+                            <td>{r.ok ? formatNumber(r.spec.grossKg) : r.grossKg}</td>
+                            <td>{r.ok ? t(r.spec.full ? "common.full" : "common.empty") : r.full}</td>
+                            <td>{r.operator}</td>
+                            <td>{r.slot}</td>
+                            <td style={{ color: r.ok ? "#2e7d32" : "#b00020" }}>{r.ok ? "✓" : "✗"}</td>
+                          </tr>
+                          {!r.ok && (
+                            <tr style={{ background: "#fff4f4" }}>
+                              <td />
+                              <td colSpan={7} style={{ color: "#b00020" }}>
+                                {Object.entries(r.errors).map(([field, e]) => manifestErrorText(e, field, nameOf)).join(" ")}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <label style={{ display: "block", fontSize: 12, marginTop: 6 }}>
+                  <input
+                    type="checkbox"
+                    checked={manifestSlots}
+                    onChange={(e) => setManifestSlots(e.target.checked)}
+                    disabled={!withSlot}
+                  />{" "}
+                  {t("manifest.planSlots", { count: withSlot })}
+                </label>
+                <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                  <button
+                    onClick={importManifest}
+                    disabled={!valid.length || simActive}
+                    style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#e8f5e9", cursor: "pointer" }}
+                  >
+                    {t("manifest.apply", { count: valid.length })}
+                  </button>
+                  <button
+                    onClick={() => setManifest(null)}
+                    style={{ padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                  >
+                    {t("common.discard")}
+                  </button>
+                </div>
+              </>
+            );
+          })()}
         </div>
 
         {/* Select active container */}
         <label style={{ fontSize: 14 }}>
-          Aktiver Container:{" "}
+          {t("selection.active")}:{" "}
           <select
             value={selectedId || ""}
             onChange={(e) => setSelectedId(e.target.value)}
             style={{ marginLeft: 8, padding: "6px 8px", minWidth: 280 }}
           >
             {containers.map((c) => (
-              <option key={c.id} value={c.id}>{c.name}</option>
+              <option key={c.id} value={c.id}>
+                {c.name} · {formatTons(c.grossKg)} · {t(c.full ? "common.full" : "common.empty")}
+                {c.operator ? ` · ${c.operator}` : ""}{c.imoClass ? t("selection.imo", { imoClass: c.imoClass }) : ""}
+              </option>
             ))}
           </select>
         </label>
+        <ContainerInspector />
 
         {/* Move / Remove */}
         <label style={{ fontSize: 14 }}>
-          Zielslot (z. B. <b>A1</b>):{" "}
+          {t("actions.targetSlot")}:{" "}
           <input
             value={slot}
             onChange={(e) => setSlot(e.target.value)}
-            pattern="[A-Ca-c][1-3]"
-            title="A1..C3"
-            maxLength={2}
+            pattern="[A-Za-z]+[0-9]+"
+            title={slotRangeLabel(yardConfig)}
+            maxLength={6}
             style={{ width: 64, padding: "6px 8px", marginLeft: 8 }}
           />
         </label>
         {selectedIs40InvalidRow && (
           <div style={{ fontSize: 12, color: "#a94442" }}>
-            40’ kann nicht in die letzte Reihe gestartet werden (benötigt +1 Reihe).
+            {t("actions.lastRow40")}
           </div>
         )}
 
         <div style={{ display: "flex", gap: 8 }}>
           <button
             onClick={placeAtSlot}
-            disabled={busy || !selectedId}
+            disabled={!selectedId}
             style={{
               flex: 1,
               padding: "8px 12px",
               border: "1px solid #ddd",
               borderRadius: 8,
-              background: busy ? "#eee" : "#f7f7f7",
-              cursor: busy ? "not-allowed" : "pointer",
+              background: "#f7f7f7",
+              cursor: "pointer",
             }}
-            title="Bewege aktiven Container zum Slot (Tier 1 bevorzugt; Tier 2 mit Stütze)"
+            title={t("actions.placeTitle")}
           >
-            {busy ? "Kran arbeitet…" : "Zum Slot bewegen"}
+            {t("actions.place")}
           </button>
 
           <button
             onClick={removeSelected}
-            disabled={busy || !selectedId}
+            disabled={!selectedId}
             style={{
               flex: 1,
               padding: "8px 12px",
               border: "1px solid #ddd",
               borderRadius: 8,
-              background: busy ? "#eee" : "#fff4f4",
-              cursor: busy ? "not-allowed" : "pointer",
+              background: "#fff4f4",
+              cursor: "pointer",
+            }}
+            title={t("actions.removeTitle")}
+          >
+            {t("actions.remove")}
+          </button>
+        </div>
+        <button
+          onClick={dispatchSelected}
+          disabled={!selectedEntry || selectedEntry.cells.length > 0 || busy || simActive}
+          style={{
+            padding: "8px 12px",
+            border: "1px solid #ddd",
+            borderRadius: 8,
+            background: "#f4f8ff",
+            cursor: "pointer",
+          }}
+          title={t("actions.dispatchTitle")}
+        >
+          {t("actions.dispatch")}
+        </button>
+        {notice && (
+          <div style={{ fontSize: 12, color: "#8a6d00", background: "#fff8db", border: "1px solid #f3e2a0", borderRadius: 8, padding: "6px 8px" }}>
+            ⚠ {notice}
+          </div>
+        )}
+
+        {/* Dig-out plan */}
+        {digPlan && (
+          <div style={{ padding: 12, border: "1px solid #bfdbfe", borderRadius: 10, background: "#eff6ff", fontSize: 13 }}>
+            <b>{t("digPlan.title", { name: nameOf(digPlan.targetId) })}</b> · {t("digPlan.rehandles", { count: digPlan.rehandles })}
+            <ol style={{ margin: "6px 0", paddingLeft: 20 }}>
+              {digPlan.moves.map((m) => (
+                <li key={m.id}>
+                  {nameOf(m.id)}: {formatSlot(m.fromCells[0].bay, m.fromCells[0].row)}/{m.fromCells[0].tier} →{" "}
+                  {formatSlot(m.target.bay, m.target.row)}/{m.tier}
+                </li>
+              ))}
+              <li>{nameOf(digPlan.targetId)} → {t("common.gate")}</li>
+            </ol>
+            <div style={{ fontSize: 12, color: "#666", marginBottom: 6 }}>
+              {t("digPlan.legend")}
+            </div>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button
+                onClick={executeDigPlan}
+                style={{ flex: 1, padding: "6px 10px", border: "1px solid #93c5fd", borderRadius: 8, background: "#dbeafe", cursor: "pointer" }}
+              >
+                {t("digPlan.enqueue")}
+              </button>
+              <button
+                onClick={discardDigPlan}
+                style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#fff", cursor: "pointer" }}
+              >
+                {t("common.discard")}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Cranes */}
+        <div style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <b>{t("cranes.title")}</b>
+          <div style={{ display: "grid", gap: 4, marginTop: 6 }}>
+            {cranesRef.current.map((crane) => {
+              const job = jobs.find((j) => j.id === crane.jobId);
+              return (
+                <div key={crane.id} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <span style={{ width: 10, height: 10, borderRadius: 2, background: craneColor(crane.id) }} />
+                  <b style={{ width: 24 }}>{crane.id}</b>
+                  <span style={{ color: crane.status === "idle" ? "#666" : "#111" }}>
+                    {t(`craneStatus.${crane.status}`)}
+                    {job ? `: ${jobLabel(job)}` : crane.jobText ? `: ${crane.jobText}` : ""}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+          <div style={{ fontSize: 12, color: "#555", marginTop: 6 }}>
+            {t("cranes.layout", { cycle: formatNumber(layoutEstimate.cycleS, 0), perHour: formatNumber(layoutEstimate.perHour, 1) })}
+            {cranesRef.current.length > 1 &&
+              t("cranes.layoutTotal", { total: formatNumber(layoutEstimate.perHour * cranesRef.current.length, 0) })}
+          </div>
+          {cycleTimes.length > 0 && (
+            <div style={{ fontSize: 12, color: "#555" }}>
+              {t("cranes.measured", {
+                count: cycleTimes.length,
+                cycle: formatNumber(cycleTimes.reduce((a, b) => a + b, 0) / cycleTimes.length, 0),
+                perHour: formatNumber(movesPerHour(cycleTimes), 1),
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Command console */}
+        <details style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>
+            <b>{t("console.title")}</b> – {t("console.subtitle")}
+          </summary>
+          <div
+            ref={consoleLogRef}
+            style={{
+              marginTop: 8, maxHeight: 180, overflow: "auto", padding: 6, background: "#f8fafc", borderRadius: 6,
+              fontFamily: "monospace", fontSize: 12, whiteSpace: "pre-wrap",
+            }}
+          >
+            {consoleLog.length === 0 && <div style={{ color: "#888" }}>{t("console.empty")}</div>}
+            {consoleLog.map((l, i) => (
+              <div key={i} style={{ color: l.kind === "err" ? "#b91c1c" : l.kind === "in" ? "#555" : "#111" }}>
+                {l.kind === "in" ? `> ${l.text}` : l.text}
+              </div>
+            ))}
+          </div>
+          <textarea
+            value={consoleInput}
+            onChange={(e) => {
+              setConsoleInput(e.target.value);
+              setConsoleSuggest([]);
             }}
-            title="Entstapeln: Container zurück zum Gate bringen"
+            onKeyDown={consoleKeyDown}
+            rows={Math.min(6, consoleInput.split("\n").length)}
+            spellCheck={false}
+            placeholder={t("console.placeholder")}
+            style={{ width: "100%", marginTop: 6, fontFamily: "monospace", fontSize: 12, boxSizing: "border-box", resize: "vertical" }}
+          />
+          {consoleSuggest.length > 0 && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 4 }}>
+              {consoleSuggest.map((word) => (
+                <button
+                  key={word}
+                  onClick={() => acceptCompletion(consoleInput.split(/\s/).pop(), word + " ")}
+                  style={{ fontFamily: "monospace", fontSize: 11, padding: "1px 6px" }}
+                >
+                  {word}
+                </button>
+              ))}
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+            <button onClick={() => runConsole(consoleInput)} disabled={!consoleInput.trim()}>
+              {t("console.run")}
+            </button>
+            <button onClick={() => setConsoleLog([])} disabled={!consoleLog.length}>
+              {t("console.clear")}
+            </button>
+          </div>
+          <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>
+            {t("console.hint")}
+          </div>
+        </details>
+
+        {/* Simulation */}
+        <details style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>
+            <b>{t("sim.title")}</b>
+            {simActive && ` – ${formatClock(simView.now)} / ${formatClock(simView.durationS)}`}
+          </summary>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6, marginTop: 8 }}>
+            {[
+              ["seed", 1],
+              ["hours", 0.5],
+              ["share40Pct", 5],
+            ].map(([key, step]) => (
+              <label key={key}>
+                {t(`sim.${key}`)}:
+                <input
+                  type="number"
+                  step={step}
+                  min={0}
+                  value={simDraft[key]}
+                  disabled={simActive}
+                  onChange={(e) => setSimDraft((d) => ({ ...d, [key]: e.target.value }))}
+                  style={{ marginLeft: 6, width: 64, padding: "3px 5px" }}
+                />
+              </label>
+            ))}
+          </div>
+          {["import", "export"].map((stream) => (
+            <div key={stream} style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, marginTop: 6 }}>
+              <b style={{ width: 80 }}>{t(`sim.${stream}s`)}</b>
+              <select
+                value={simDraft[`${stream}Type`]}
+                disabled={simActive}
+                onChange={(e) => setSimDraft((d) => ({ ...d, [`${stream}Type`]: e.target.value }))}
+              >
+                {ARRIVAL_TYPES.map((type) => <option key={type} value={type}>{t(`arrivalType.${type}`)}</option>)}
+              </select>
+              <label>
+                {t("sim.every")}
+                <input
+                  type="number"
+                  min={0}
+                  step={1}
+                  value={simDraft[`${stream}Min`]}
+                  disabled={simActive}
+                  onChange={(e) => setSimDraft((d) => ({ ...d, [`${stream}Min`]: e.target.value }))}
+                  style={{ margin: "0 4px", width: 48, padding: "3px 5px" }}
+                />
+                {t("sim.minutes")}
+              </label>
+              {simDraft[`${stream}Type`] === "uniform" && (
+                <label>
+                  ±
+                  <input
+                    type="number"
+                    min={0}
+                    step={1}
+                    value={simDraft[`${stream}SpreadMin`]}
+                    disabled={simActive}
+                    onChange={(e) => setSimDraft((d) => ({ ...d, [`${stream}SpreadMin`]: e.target.value }))}
+                    style={{ margin: "0 4px", width: 48, padding: "3px 5px" }}
+                  />
+                  {t("sim.minutes")}
+                </label>
+              )}
+            </div>
+          ))}
+          <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>{t("sim.zeroOff")}</div>
+
+          <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8 }}>
+            {t("sim.speed")}
+            <input type="range" min={1} max={100} value={simSpeed} onChange={(e) => setSimulationSpeed(Number(e.target.value))} style={{ flex: 1 }} />
+            <span style={{ width: 36 }}>{simSpeed}×</span>
+          </label>
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            {!simActive ? (
+              <button onClick={startSimulation} disabled={busy || !!replayView} style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}>
+                {t("sim.start")}
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={pauseSimulation}
+                  disabled={simView.status === "done"}
+                  style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                >
+                  {t(simView.status === "running" ? "sim.pause" : "sim.resume")}
+                </button>
+                <button onClick={() => stopSimulation(false)} style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}>
+                  {t("sim.stop")}
+                </button>
+                <button
+                  onClick={() => stopSimulation(true)}
+                  title={t("sim.resetTitle")}
+                  style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                >
+                  {t("sim.reset")}
+                </button>
+              </>
+            )}
+          </div>
+          {simView && (
+            <div style={{ fontSize: 12, color: "#444", marginTop: 8, lineHeight: 1.5 }}>
+              {simView.status === "done" && <div><b>{t("sim.done")}</b></div>}
+              {t("sim.trucks", { arrived: simView.summary.arrived, served: simView.summary.served, atGate: simView.summary.atGate })}
+              {simView.summary.rejected > 0 && t("sim.rejected", { count: simView.summary.rejected })}
+              <br />
+              {t("sim.moves", { moves: simView.summary.moves, perHour: simView.summary.movesPerHour, rehandles: simView.summary.rehandles })}
+              <br />
+              {t("sim.wait", { mean: formatClock(simView.summary.meanWaitS), max: formatClock(simView.summary.maxWaitS) })}
+            </div>
+          )}
+
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 10 }}>
+            <button
+              onClick={runSimulationBatch}
+              disabled={simActive || batchResult === "running"}
+              style={{ padding: "4px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+            >
+              {t("sim.batch")}
+            </button>
+            <input
+              type="number"
+              min={1}
+              max={50}
+              value={batchRuns}
+              onChange={(e) => setBatchRuns(e.target.value)}
+              style={{ width: 48, padding: "3px 5px" }}
+            />
+            {t("sim.batchRuns", { seed: simDraft.seed })}
+          </div>
+          {batchResult === "running" && <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>{t("sim.running")}</div>}
+          {Array.isArray(batchResult) && (
+            <table style={{ width: "100%", fontSize: 11, borderCollapse: "collapse", marginTop: 6 }}>
+              <thead>
+                <tr style={{ textAlign: "right" }}>
+                  {["colSeed", "colServed", "colWait", "colMovesPerHour", "colRehandles", "colCranes"].map((h) => (
+                    <th key={h}>{t(`sim.${h}`)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {batchResult.map((r) => (
+                  <tr key={r.seed} style={{ textAlign: "right" }}>
+                    <td>{r.seed}</td>
+                    <td>{r.served}/{r.arrived}</td>
+                    <td>{formatClock(r.meanWaitS)}</td>
+                    <td>{formatNumber(r.movesPerHour, 1)}</td>
+                    <td>{r.rehandles}</td>
+                    <td>{r.cranes.map((c) => formatPct(c.utilisation)).join(" / ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </details>
+
+        {/* Recording & replay */}
+        <details style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>
+            <b>{t("replay.title")}</b>
+            {replayView && ` – ${formatClock(replayView.t - replayView.from)} / ${formatClock(replayView.to - replayView.from)}`}
+          </summary>
+          {!replayView ? (
+            <>
+              {recorder.recording && (
+                <div style={{ fontSize: 12, color: "#444", marginTop: 8 }}>
+                  {t("replay.recording", {
+                    since: recorder.startedAt, events: recorder.events.length, span: formatClock(recordSpan.to - recordSpan.from),
+                  })}
+                </div>
+              )}
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+                <button
+                  onClick={() => startReplay(recorder.toJSON())}
+                  disabled={busy || simActive || !recorder.recording}
+                  style={{ padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                >
+                  {t("replay.replay")}
+                </button>
+                <button
+                  onClick={exportEventLog}
+                  disabled={!recorder.recording}
+                  style={{ padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                >
+                  {t("replay.export")}
+                </button>
+                <button
+                  onClick={() => eventLogInputRef.current?.click()}
+                  disabled={busy || simActive}
+                  style={{ padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                >
+                  {t("replay.import")}
+                </button>
+                <input ref={eventLogInputRef} type="file" accept="application/json,.json" onChange={importEventLog} style={{ display: "none" }} />
+                <button
+                  onClick={startRecording}
+                  title={t("replay.restartTitle")}
+                  style={{ padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+                >
+                  {t("replay.restart")}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <input
+                type="range"
+                min={replayView.from}
+                max={replayView.to}
+                step="any"
+                value={replayView.t}
+                onChange={(e) => seekReplay(Number(e.target.value))}
+                style={{ width: "100%", marginTop: 8 }}
+              />
+              <div style={{ fontSize: 12, color: "#444" }}>
+                {t("replay.position", {
+                  time: formatClock(replayView.t - replayView.from), span: formatClock(replayView.to - replayView.from),
+                  applied: replayView.applied, events: replayView.events,
+                })}
+              </div>
+              <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8 }}>
+                {t("replay.speed")}
+                <input type="range" min={1} max={100} value={replaySpeed} onChange={(e) => changeReplaySpeed(Number(e.target.value))} style={{ flex: 1 }} />
+                <span style={{ width: 36 }}>{replaySpeed}×</span>
+              </label>
+              <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+                <button onClick={toggleReplay} style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}>
+                  {t(replayView.playing ? "replay.pause" : replayView.t >= replayView.to ? "replay.again" : "replay.play")}
+                </button>
+                <button onClick={stopReplay} style={{ flex: 1, padding: "6px 10px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}>
+                  {t("replay.exit")}
+                </button>
+              </div>
+            </>
+          )}
+          <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>{t("replay.hint")}</div>
+        </details>
+
+        {/* KPIs */}
+        <details style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>
+            <b>{t("kpi.title")}</b> – {kpi.utilisation.teuUsed} / {kpi.utilisation.teuCapacity} TEU ({formatPct(kpi.utilisation.ratio)})
+          </summary>
+          <div style={{ display: "grid", gap: 3, marginTop: 8 }}>
+            {kpi.utilisation.perTier.map((p) => (
+              <div key={p.tier} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}>
+                <span style={{ width: 44 }}>{t("kpi.tier", { tier: p.tier })}</span>
+                <div style={{ flex: 1, height: 8, background: "#eee", borderRadius: 4 }}>
+                  <div style={{ width: `${Math.min(100, p.ratio * 100)}%`, height: "100%", background: "#6a9f5b", borderRadius: 4 }} />
+                </div>
+                <span style={{ width: 70, textAlign: "right" }}>{p.used}/{p.capacity} ({formatPct(p.ratio)})</span>
+              </div>
+            ))}
+          </div>
+          <div style={{ fontSize: 12, color: "#444", marginTop: 8, lineHeight: 1.5 }}>
+            {t("kpi.moves", { moves: kpi.moves, rehandles: kpi.rehandles, ratio: kpi.rehandleRatio })}
+            <br />
+            {kpi.cranes.map((c) => (
+              <React.Fragment key={c.id}>
+                <span style={{ color: craneColor(c.id), fontWeight: 600 }}>{c.id}</span>:{" "}
+                {t("kpi.crane", { busy: formatClock(c.busyS), idle: formatClock(c.idleS), utilisation: c.utilisation })}
+                <br />
+              </React.Fragment>
+            ))}
+            {t("kpi.truckWait", { wait: meanClock(kpi.meanTruckWaitS), served: kpi.trucksServed })}
+            <br />
+            {t("kpi.dwell", { dwell: meanClock(kpi.meanDwellS), count: kpi.dwellCount, inYard: kpi.inYard })}
+            <br />
+            <span style={{ color: "#777" }}>{t("kpi.period", { elapsed: formatClock(kpi.elapsedS), simulated: simActive })}</span>
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6, marginTop: 8, fontSize: 11, color: "#555" }}>
+            {[
+              [t("kpi.chartUtilisation"), "utilisation", "#6a9f5b"],
+              [t("kpi.chartMoves"), "moves", "#2563eb"],
+              [t("kpi.chartCranes"), "craneUtilisation", "#d97706"],
+              [t("kpi.chartWait"), "meanTruckWaitS", "#b91c1c"],
+            ].map(([label, key, color]) => (
+              <div key={key}>
+                {label}
+                <Sparkline values={kpiSamples.map((p) => p[key])} color={color} />
+              </div>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            <button
+              onClick={() => exportKpis("events")}
+              disabled={!kpiRef.current.log.length}
+              style={{ flex: 1, padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+            >
+              {t("kpi.exportEvents")}
+            </button>
+            <button
+              onClick={() => exportKpis("kpi")}
+              style={{ flex: 1, padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+            >
+              {t("kpi.exportKpis")}
+            </button>
+            <button
+              onClick={() => resetKpis(kpiNow())}
+              disabled={simActive}
+              title={t("kpi.resetTitle")}
+              style={{ padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
+            >
+              {t("common.reset")}
+            </button>
+          </div>
+        </details>
+
+        {/* Benchmark */}
+        <details style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>
+            <b>{t("bench.title")}</b> – {t("bench.subtitle")}
+          </summary>
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            {["bays", "rows", "tiers"].map((key) => (
+              <label key={key}>
+                {t(`bench.${key}`)}:
+                <input
+                  type="number"
+                  min={YARD_LIMITS[key].min}
+                  max={YARD_LIMITS[key].max}
+                  value={benchDraft[key]}
+                  disabled={bench === "running"}
+                  onChange={(e) => setBenchDraft((d) => ({ ...d, [key]: e.target.value }))}
+                  style={{ marginLeft: 6, width: 48, padding: "3px 5px" }}
+                />
+              </label>
+            ))}
+          </div>
+          <button
+            onClick={runBenchmark}
+            disabled={busy || simActive || !!replayView || bench === "running"}
+            style={{ marginTop: 8, padding: "4px 8px", border: "1px solid #ddd", borderRadius: 8, background: "#f7f7f7", cursor: "pointer" }}
           >
-            {busy ? "…" : "Entstapeln (entfernen)"}
+            {bench === "running" ? t("bench.running") : t("bench.run")}
           </button>
+          <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>{t("bench.hint", { frames: BENCH_FRAMES })}</div>
+          {bench && bench !== "running" && (
+            <div style={{ fontSize: 12, color: "#444", marginTop: 8, lineHeight: 1.5 }}>
+              {t("bench.frames", {
+                boxes: bench.boxes, frames: bench.frames,
+                mean: formatNumber(bench.meanMs, 1), p95: formatNumber(bench.p95Ms, 1), max: formatNumber(bench.maxMs, 1),
+                fps: formatNumber(bench.fps, 0),
+              })}
+              <br />
+              {t("bench.gpu", { calls: bench.drawCalls, triangles: bench.triangles, geometries: bench.geometries, textures: bench.textures })}
+              <br />
+              {t("bench.memory", {
+                instances: formatNumber(bench.instanceMB, 2),
+                heap: bench.heapMB === null ? t("common.none") : formatNumber(bench.heapMB, 0),
+              })}
+            </div>
+          )}
+        </details>
+
+        {/* Work-order queue */}
+        <div style={{ padding: 12, border: "1px solid #e5e5e5", borderRadius: 10, fontSize: 13 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <b style={{ flex: 1 }}>{t("jobs.title")}</b>
+            <button
+              onClick={() => { queueRef.current.clearFinished(); bumpQueue(); }}
+              disabled={!jobs.some((j) => j.status === JOB_STATUS.DONE || j.status === JOB_STATUS.FAILED)}
+              style={{ padding: "2px 8px", border: "1px solid #ddd", borderRadius: 6, background: "#fff", cursor: "pointer", fontSize: 12 }}
+            >
+              {t("jobs.clearDone")}
+            </button>
+          </div>
+          {!jobs.length && <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>{t("jobs.none")}</div>}
+          <ol style={{ margin: "6px 0 0", paddingLeft: 20, display: "grid", gap: 4 }}>
+            {jobs.map((job) => {
+              const statusLabel = t(`jobStatus.${job.status}`);
+              const statusBg = JOB_STATUS_COLOR[job.status];
+              const queued = job.status === JOB_STATUS.QUEUED;
+              return (
+                <li key={job.id}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                    <span style={{ flex: 1 }}>{jobLabel(job)}</span>
+                    {job.cycleS !== null && <span style={{ fontSize: 11, color: "#666" }}>{formatNumber(job.cycleS, 0)} s</span>}
+                    {job.craneId && (
+                      <span style={{ fontSize: 11, padding: "1px 5px", borderRadius: 6, color: "#fff", background: craneColor(job.craneId) }}>
+                        {job.craneId}
+                      </span>
+                    )}
+                    <span style={{ fontSize: 11, padding: "1px 6px", borderRadius: 6, background: statusBg }}>{statusLabel}</span>
+                    {queued && [
+                      ["first", "⤒"],
+                      ["up", "▲"],
+                      ["down", "▼"],
+                      ["cancel", "✕"],
+                    ].map(([action, icon]) => (
+                      <button
+                        key={action}
+                        onClick={() => editQueue(action, job.id)}
+                        title={t(`jobs.${action}`)}
+                        style={{ padding: "0 5px", border: "1px solid #ddd", borderRadius: 5, background: "#fff", cursor: "pointer", fontSize: 11 }}
+                      >
+                        {icon}
+                      </button>
+                    ))}
+                  </div>
+                  {job.label && <div style={{ fontSize: 11, color: "#666" }}>{job.label}</div>}
+                  {queueWait?.jobId === job.id && <div style={{ fontSize: 11, color: "#8a6d00" }}>{queueWait.text}</div>}
+                  {job.error && <div style={{ fontSize: 11, color: "#b00020" }}>{reasonText(job.error, nameOf)}</div>}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+
+        {/* Undo / redo */}
+        <div style={{ display: "flex", gap: 8 }}>
+          {[
+            ["undo", undoCmd],
+            ["redo", redoCmd],
+          ].map(([direction, cmd]) => {
+            const hotkey = t(`history.${direction}Key`);
+            return (
+              <button
+                key={direction}
+                onClick={() => stepHistory(direction)}
+                disabled={historyLocked || !cmd}
+                style={{
+                  flex: 1,
+                  padding: "6px 10px",
+                  border: "1px solid #ddd",
+                  borderRadius: 8,
+                  background: historyLocked || !cmd ? "#eee" : "#f7f7f7",
+                  cursor: historyLocked || !cmd ? "not-allowed" : "pointer",
+                  fontSize: 13,
+                }}
+                title={cmd ? `${historyLabel(cmd)} (${hotkey})` : hotkey}
+              >
+                {t(`history.${direction}`)}
+              </button>
+            );
+          })}
         </div>
 
         {/* Occupancy HUD */}
         <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
-          <h3 style={{ margin: "8px 0 0 0", fontSize: 14 }}>Belegung · Tier 1</h3>
-          <HudGrid tier={1} />
-          <h3 style={{ margin: "12px 0 0 0", fontSize: 14 }}>Belegung · Tier 2</h3>
-          <HudGrid tier={2} />
+          {Array.from({ length: yardConfig.tiers }, (_, i) => i + 1).map((tier) => (
+            <React.Fragment key={tier}>
+              <h3 style={{ margin: `${tier === 1 ? 8 : 12}px 0 0 0`, fontSize: 14 }}>{t("hud.occupancy", { tier })}</h3>
+              <HudGrid tier={tier} />
+            </React.Fragment>
+          ))}
+          <h3 style={{ margin: "12px 0 0 0", fontSize: 14 }}>
+            {t("hud.stackWeight", { maxKg: yardConfig.maxStackKg })}
+          </h3>
+          <StackWeightGrid />
+          <h3 style={{ margin: "12px 0 0 0", fontSize: 14 }}>
+            {t("hud.plugs", { used: plugUsage.used, total: plugUsage.total })}
+          </h3>
+          <PlugUsage />
         </div>
 
         <div style={{ fontSize: 12, color: "#666", lineHeight: 1.5, marginTop: 8 }}>
-          • Klick auf einen Container in 3D wählt ihn aus.<br />
-          • Grüne Highlights = Zielzellen; Rot = Blockiert.<br />
-          • Tier 1 zuerst; Tier 2 nur mit Stützregeln (20’: 1 Zelle; 40’: beide Zellen).<br />
-          • Entstapeln: nur wenn nichts darüber steht.
+          {t("help").split("\n").map((line) => <div key={line}>• {line}</div>)}
         </div>
       </div>
     </div>
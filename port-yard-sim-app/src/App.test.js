@@ -1,8 +1,61 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { fireEvent, render, screen } from "@testing-library/react";
+import App from "./App";
+import { YardModel } from "./yard/yardModel";
+import { STORAGE_KEY, serializeYard } from "./yard/yardStorage";
 
-test('renders learn react link', () => {
+// jsdom has no WebGL and no 2D canvas: a renderer that draws nothing and a
+// context that accepts every call stand in for them
+jest.mock("three", () => {
+  const THREE = jest.requireActual("three");
+  class WebGLRenderer {
+    constructor() {
+      this.domElement = global.document.createElement("canvas");
+      this.capabilities = { getMaxAnisotropy: () => 1 };
+      this.info = { render: { calls: 0, triangles: 0 }, memory: { geometries: 0, textures: 0 } };
+      this.shadowMap = {};
+    }
+    setPixelRatio() {}
+    setSize() {}
+    render() {}
+    dispose() {}
+  }
+  return { ...THREE, WebGLRenderer };
+});
+
+const context2d = new Proxy(
+  { measureText: (text) => ({ width: String(text).length * 8 }) },
+  { get: (target, key) => (key in target ? target[key] : () => {}), set: () => true }
+);
+
+beforeEach(() => {
+  jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockImplementation(() => context2d);
+});
+
+afterEach(() => window.localStorage.clear());
+
+function savedYard() {
+  const yard = new YardModel({ bays: 3, rows: 3, tiers: 2 });
+  yard.addContainer({ id: "MSKU1234565", sizeTEU: 1, typeCode: "22G1", grossKg: 9000, color: "#abcdef" });
+  yard.addContainer({ id: "TGHU3333337", sizeTEU: 1, typeCode: "22G1", grossKg: 8000, color: "#123456" });
+  yard.place("MSKU1234565", "B2");
+  return serializeYard({ config: yard.config, containers: yard.list(), occ: yard.occupancy(), gateQueue: ["TGHU3333337"] });
+}
+
+test("starts from the auto-saved yard", () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(savedYard()));
+  render(<App />);
+  expect(screen.getAllByText(/MSKU 123456 5/).length).toBeGreaterThan(0);
+  expect(screen.getAllByText(/TGHU 333333 7/).length).toBeGreaterThan(0);
+});
+
+test("starts with one box at the gate without an auto-save", () => {
+  render(<App />);
+  expect(screen.queryByText(/MSKU 123456 5/)).toBeNull();
+  expect(screen.getAllByText(/YRDU \d{6} \d/).length).toBeGreaterThan(0);
+});
+
+test("KPI reset starts the counters afresh", () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByTitle("Start counters and charts afresh from now"));
+  expect(screen.getByTitle("Start counters and charts afresh from now")).toBeEnabled();
 });
@@ -0,0 +1,524 @@
+// src/i18n/de.js
+// ---------------------------------------------
+// German message catalog (source language: every key lives here first)
+// ---------------------------------------------
+
+const de = {
+  language: { label: "Sprache" },
+
+  common: {
+    gate: "Gate",
+    free: "frei",
+    full: "voll",
+    empty: "leer",
+    none: "–",
+    close: "Schließen",
+    discard: "Verwerfen",
+    reset: "Zurücksetzen",
+    simLocked: "Während der Simulation nicht möglich (erst stoppen).",
+    replayLocked: "Während der Wiedergabe nicht möglich (erst zurück zum Live-Yard).",
+    selectFirst: "Bitte zuerst einen Container auswählen.",
+    selectOrAddFirst: "Bitte zuerst einen Container auswählen oder hinzufügen.",
+    slotTier: "{slot} / Ebene {tier}",
+    tiers: (p) => `${p.count} ${p.count === 1 ? "Ebene" : "Ebenen"}`,
+  },
+
+  // ===== Rule results (reason codes -> text) =====
+  reason: {
+    INVALID_SLOT: "Ungültiger Zielslot.",
+    UNKNOWN_CONTAINER: "Ausgewählter Container nicht gefunden.",
+    DUPLICATE_ID: "Container {id} existiert bereits.",
+    INVALID_SIZE: "Ungültige Containergröße.",
+    EDGE_ROW_40: "Kein Platz (Rand) für 40’.",
+    STACK_FULL: "Ziel auf Ebene {tier} ist bereits belegt (Stapel voll).",
+    NO_SUPPORT: (p) =>
+      p.sizeTEU === 1
+        ? `Für 20’ auf Ebene ${p.tier} fehlt die Stütze darunter.`
+        : `Für 40’ auf Ebene ${p.tier} müssen beide Zellen darunter belegt sein (ein 40’ oder zwei 20’).`,
+    BLOCKED: (p, f) => `Entstapeln nicht möglich. Zuerst entfernen: ${f.names(p.blockers)}`,
+    NOT_IN_YARD: "Dieser Container steht bereits am Gate (nicht im Yard).",
+    OUT_OF_BOUNDS: (p, f) => `Yard kann nicht verkleinert werden. Zuerst entfernen: ${f.names(p.containers)}`,
+    HEAVY_ON_LIGHT: (p, f) =>
+      `Zu schwer: ${f.name(p.id)} (${f.tons(p.kg)}) darf nicht auf ${f.name(p.below)} (${f.tons(p.belowKg)}) gestapelt werden` +
+      (p.split ? " – Last je 20’-Stellplatz." : "."),
+    STACK_OVERWEIGHT: (p, f) =>
+      `Stapel ${f.slot(p.bay, p.row)} wäre mit ${f.tons(p.loadKg)} zu schwer (max. ${f.tons(p.maxKg)} je 20’-Stellplatz).`,
+    WEIGHT_RULES: (p, f) => `Gewichtsregeln werden von platzierten Containern verletzt: ${f.names(p.containers)}`,
+    SEGREGATION: (p, f) =>
+      `IMDG-Trennung: Klasse ${p.imoClass} zu nah an ` +
+      p.conflicts.map((c) => `${f.name(c.id)} (Kl. ${c.imoClass}, Abstand ${c.distance}, nötig > ${c.required})`).join(", ") +
+      ".",
+    SEGREGATION_RULES: (p, f) => `Trennmatrix wird von platzierten Containern verletzt: ${f.names(p.containers)}`,
+    NO_POWER: (p, f) => `Kühlcontainer brauchen Strom: ${f.slot(p.bay, p.row)} ist kein Reefer-Stellplatz.`,
+    NO_PLUG: (p, f) => `Alle ${p.plugs} Stecker am Stapel ${f.slot(p.bay, p.row)} sind belegt.`,
+    REEFER_RULES: (p, f) => `Strom wird noch gebraucht von: ${f.names(p.containers)}`,
+    DISPATCHING: (p, f) => `${f.name(p.containerId)} verlässt gerade das Terminal auf seinem Lkw.`,
+    default: "Platzierung nicht möglich.",
+  },
+
+  warning: {
+    POWERED_SLOT: (p, f) =>
+      `${f.name(p.id)} ist kein Kühlcontainer, belegt aber den Reefer-Stellplatz ${f.slot(p.bay, p.row)}.`,
+    default: "Hinweis zur Platzierung.",
+  },
+
+  queueReason: {
+    UNKNOWN_JOB: "Auftrag nicht gefunden.",
+    NOT_QUEUED: "Auftrag läuft bereits oder ist abgeschlossen.",
+    BREAKS_ORDER: (p, f) =>
+      `Auftrag ${p.jobId} wäre danach ungültig: ${f.result({ reason: p.reason, details: p.details }, "reason")}`,
+  },
+
+  historyReason: {
+    NOTHING: "Nichts zu tun.",
+    STATE_CHANGED: (p, f) => `${f.name(p.id)} steht inzwischen woanders.`,
+    SLOT_TAKEN: (p, f) =>
+      `Ursprungsplatz ${f.slot(p.bay, p.row)} (Ebene ${p.tier}) ist nicht mehr frei` +
+      (p.reason ? `: ${f.result({ reason: p.reason, details: p }, "reason")}` : "."),
+    BLOCKED: (p, f) => `Auf ${f.name(p.id)} wurde inzwischen gestapelt: ${f.names(p.blockers)}.`,
+  },
+
+  plannerReason: {
+    NO_SPACE: (p, f) =>
+      `Kein Ausgrabplan möglich: Für ${f.name(p.id)} gibt es keinen freien, gestützten Platz außerhalb des Stapels (Yard zu voll).`,
+    SEARCH_LIMIT: "Kein Ausgrabplan gefunden (Suche nach {nodes} Versuchen abgebrochen).",
+  },
+
+  craneReason: {
+    CRANE_BUSY: (p) => (p.by ? `Weg blockiert von Kran ${p.by} (Sicherheitsabstand).` : "Alle Kräne arbeiten."),
+    OUT_OF_REACH: "Kran {id} erreicht den Weg nicht (Schienenende).",
+    default: "Kein Kran frei.",
+  },
+
+  snapshotError: {
+    INVALID_JSON: "Datei ist kein gültiges JSON ({message}).",
+    UNSUPPORTED_VERSION: (p) => `Nicht unterstützte Dateiversion: ${p.version ?? "keine"}.`,
+    MISSING_FIELD: "Pflichtfeld fehlt: {field}.",
+    INVALID_CONTAINER: (p) => `Container #${p.index + 1}${p.id ? ` (${p.id})` : ""} ist ungültig.`,
+    DUPLICATE_ID: "Container-ID doppelt vergeben: {id}.",
+    INVALID_CELLS: "{id}: Zellen passen nicht zur Größe (20’ = 1 Zelle, 40’ = 2 Zellen hintereinander).",
+    CELL_CONFLICT: (p) => `Zelle ${p.cell} doppelt belegt: ${p.ids.join(" und ")}.`,
+    PLACEMENT_REJECTED: (p, f) => `${p.id}: ${f.result({ reason: p.reason, details: p }, "reason")}`,
+    TIER_MISMATCH: "{id}: gespeichert auf Ebene {expected}, nach Stapelregeln aber Ebene {actual}.",
+    OCC_MISMATCH: (p) => `Belegung ${p.cell}: Datei sagt ${p.expected || "frei"}, Container ergeben ${p.actual || "frei"}.`,
+    GATE_QUEUE_MISMATCH: "Gate-Warteschlange passt nicht zu Container {id}.",
+    GATE_FULL: "{count} Container am Gate, aber nur {capacity} LKW-Stellplätze.",
+    default: "Unbekannter Fehler in der Datei.",
+  },
+
+  inventoryError: {
+    INVALID_FILE: "Datei ist kein Bestandsexport ({message}).",
+    INVALID_POSITION: "Zeile {line}: Position „{position}“ ist nicht im Format BBRRTT.",
+    INVALID_ITEM: "Zeile {line}: Containernummer fehlt.",
+  },
+
+  replayReason: {
+    TIER_MISMATCH: "aufgezeichnet auf Ebene {expected}, nach Stapelregeln aber Ebene {actual}.",
+    INVALID_SNAPSHOT: "Yard-Ersatz ungültig: {text}",
+    UNKNOWN_EVENT: "unbekannter Ereignistyp.",
+  },
+
+  eventLogError: {
+    INVALID_JSON: "Datei ist kein gültiges JSON ({message}).",
+    UNSUPPORTED_VERSION: (p) => `Nicht unterstützte Log-Version: ${p.version ?? "keine"}.`,
+    MISSING_FIELD: "Pflichtfeld fehlt: {field}.",
+    INVALID_BASE: "Startzustand ungültig: {text}",
+    INVALID_EVENT: (p) => `Ereignis #${p.index + 1} ist unvollständig oder von unbekanntem Typ.`,
+    TIME_ORDER: (p) => `Ereignis #${p.index + 1} liegt vor dem vorherigen.`,
+    EVENT_REJECTED: (p, f) =>
+      `Ereignis #${p.index + 1} (${p.type}${p.id ? ` ${p.id}` : ""}): ${f.result({ reason: p.reason, details: p }, ["replayReason", "reason"])}`,
+    default: "Unbekannter Fehler im Log.",
+  },
+
+  specError: {
+    INVALID_FORMAT: "Format: 4 Buchstaben + 7 Ziffern (z. B. CSQU 305438 3).",
+    INVALID_CATEGORY: "4. Buchstabe muss U, J oder Z sein.",
+    CHECK_DIGIT: "Prüfziffer falsch (erwartet {expected}).",
+    DUPLICATE_NUMBER: "Nummer ist im Yard bereits vergeben.",
+    UNKNOWN_TYPE: "Unbekannter Typcode.",
+    INVALID_WEIGHT: "Bruttogewicht muss zwischen {min} und {max} kg liegen.",
+    INVALID_IMO_CLASS: "Unbekannte IMO-Klasse.",
+    default: "Ungültige Eingabe.",
+  },
+
+  manifestError: {
+    EMPTY_FILE: "Keine Containerzeilen gefunden.",
+    MISSING_COLUMN: (p) => `Spalte „${p.column === "number" ? "Nummer" : "Typ oder Größe"}“ fehlt in der Kopfzeile.`,
+    UNSUPPORTED_MESSAGE: (p) => `Nachrichtentyp ${p.type || "?"} wird nicht unterstützt (nur COPRAR / CODECO).`,
+    MISSING_NUMBER: "Containernummer fehlt.",
+    DUPLICATE_IN_FILE: "Nummer steht schon in Zeile {line}.",
+    INVALID_SIZE: "Größe „{value}“ unbekannt (20, 40 oder 45).",
+    INVALID_FULL: "Voll/Leer „{value}“ unbekannt.",
+    INVALID_SLOT: "Stellplatz „{slot}“ ungültig oder außerhalb des Blocks.",
+    slot: "Stellplatz: {text}",
+  },
+
+  commandError: {
+    UNKNOWN_COMMAND: "Unbekannter Befehl „{verb}“ – HELP listet alle Befehle.",
+    MISSING_ARGUMENT: (p, f) => `${f.t(`console.arg.${p.arg}`)} fehlt.`,
+    INVALID_ARGUMENT: (p, f) => `${f.t(`console.arg.${p.arg}`)} „${p.value}“ ungültig.`,
+    EXTRA_ARGUMENT: "Zu viele Angaben ab „{value}“.",
+    EMPTY_SLOT: (p, f) => `${f.slot(p.bay, p.row)}${p.tier ? ` Ebene ${p.tier}` : ""} ist leer.`,
+    NOT_FOUND: "Container {number} ist nicht im Terminal.",
+    default: "Befehl nicht ausführbar.",
+  },
+
+  // ===== Labels of codes =====
+  craneStatus: { idle: "frei", working: "arbeitet", yielding: "weicht aus" },
+  jobStatus: { queued: "wartet", executing: "läuft", done: "erledigt", failed: "fehlgeschlagen" },
+  arrivalType: { exponential: "Exponentiell", uniform: "Gleichverteilt", fixed: "Fest" },
+  // IMO classes ("2.1" -> "2_1": keys must not contain dots)
+  imo: {
+    1: "Explosiv", "2_1": "Entzündbares Gas", "2_2": "Nicht entzündbares Gas", "2_3": "Giftiges Gas",
+    3: "Entzündbare Flüssigkeit", "4_1": "Entzündbarer Feststoff", "4_2": "Selbstentzündlich",
+    "4_3": "Gefährlich bei Nässe", "5_1": "Oxidierend", "5_2": "Organisches Peroxid", "6_1": "Giftig",
+    "6_2": "Ansteckungsgefährlich", 7: "Radioaktiv", 8: "Ätzend", 9: "Verschiedene",
+  },
+  isoType: {
+    "22G1": "20’ Standard", "22R1": "20’ Kühlcontainer", "22U1": "20’ Open Top", "22T6": "20’ Tank",
+    "22P1": "20’ Flat Rack", "42G1": "40’ Standard", "45G1": "40’ High Cube",
+    "45R1": "40’ High Cube Kühlcontainer", "42U1": "40’ Open Top",
+  },
+
+  // ===== Sidebar =====
+  app: {
+    title: (p) => `Hafenkran · Yard (${p.firstBay}–${p.lastBay} × 1–${p.rows}) · ${p.tiers} Ebenen`,
+  },
+
+  view: {
+    title: "Ansicht",
+    free: "Frei",
+    plan: "Draufsicht",
+    section: "Bay-Schnitt",
+    follow: "Kran folgen",
+    bay: "Bay",
+    crane: "Kran",
+    hint: {
+      free: "Freie Kamera: ziehen = drehen, rechte Maustaste = verschieben, Rad = zoomen.",
+      plan: "Orthografische Draufsicht mit Slot-Beschriftung, Reihe 1 oben. Verschieben und zoomen.",
+      section: "Schnitt durch die gewählte Bay: Reihen von links nach rechts, Ebenen von unten nach oben.",
+      follow: "Die Kamera fährt mit dem Haken des gewählten Krans mit; drehen und zoomen bleibt möglich.",
+    },
+    tierTag: "E{tier}",
+    namePlaceholder: "Name der Ansicht",
+    save: "Ansicht speichern",
+    noneSaved: "Noch keine gespeicherten Ansichten.",
+    open: "Ansicht anfahren",
+    delete: "Ansicht löschen",
+    storageFailed: "Ansichten konnten nicht im Browser gespeichert werden.",
+  },
+
+  config: {
+    title: "Yard-Konfiguration",
+    bays: "Bays (Buchstaben)",
+    rows: "Reihen (Zahlen)",
+    tiers: "Ebenen",
+    bayWidth: "Bay-Breite (m)",
+    rowDepth: "Reihen-Tiefe (m)",
+    maxStackKg: "Max. Stapel (kg)",
+    weightToleranceKg: "Toleranz (kg)",
+    reeferPlugs: "Stecker je Stapel",
+    cranes: "Kräne",
+    craneSafety: "Kran-Abstand (m)",
+    gateLanes: "LKW-Spuren",
+    gateSpots: "Stellplätze je Spur",
+    gantrySpeed: "Portal v (m/s)",
+    gantryAccel: "Portal a (m/s²)",
+    trolleySpeed: "Katze v (m/s)",
+    trolleyAccel: "Katze a (m/s²)",
+    hoistSpeed: "Hub v (m/s)",
+    hoistAccel: "Hub a (m/s²)",
+    spreaderLockS: "Spreader (s)",
+    reeferRows: "Reefer-Reihen",
+    reeferRowsHint: "z. B. 3, 4",
+    reeferSlots: "Reefer-Slots",
+    reeferSlotsHint: "z. B. A1, B2",
+    weightOrder: "Schwer nie auf leicht stapeln",
+    segregation: "IMDG-Trennmatrix (Mindestabstand in Slots)",
+    segregationHint: "0 = verträglich; N = nicht nebeneinander/übereinander und mindestens N Slots Abstand dazwischen frei.",
+    apply: "Yard übernehmen",
+    gateTooSmall: "{count} Container am Gate, aber nur {capacity} LKW-Stellplätze – bitte erst abfertigen oder einlagern.",
+  },
+
+  addForm: {
+    number: "Nummer",
+    numberHint: "leer = automatisch",
+    type: "Typ",
+    gross: "Brutto (kg)",
+    loaded: "beladen",
+    operator: "Reederei",
+    color: "Farbe",
+    remark: "Bemerkung",
+    imoClass: "IMO-Klasse",
+    noImo: "– keine Gefahrgut –",
+    add: "Neuen Container hinzufügen",
+    addTitle: "Container auf einem freien LKW-Stellplatz am Gate anlegen",
+    hint40: "40’ belegt zwei Slots gleicher Buchstabe + nächste Zahl (z. B. A1+A2).",
+  },
+
+  gate: {
+    fullText: "Gate voll – alle LKW-Stellplätze belegt, neue Anlieferungen sind gesperrt.",
+    status: "Gate: {used} / {capacity} Stellplätze belegt ({lanes} Spuren × {spots})",
+    fullShort: " · Gate voll – neue Anlieferungen gesperrt",
+    spot: "Gate · Spur {lane}, Platz {pos}",
+    waitSpot: "Gate voll – wartet auf freien LKW-Stellplatz.",
+  },
+
+  io: {
+    exportJson: "Export (JSON)",
+    exportJsonTitle: "Yard als JSON-Datei speichern",
+    importJson: "Import (JSON)",
+    importJsonTitle: "Yard aus JSON-Datei laden (wird gegen die Stapelregeln geprüft)",
+    inventory: "Bestand",
+    exportInventory: "Exportieren",
+    exportInventoryTitle: "Bestandsliste für das TOS: jede Box mit Position BBRRTT (Bay, Reihe, Lage), danach das Gate",
+    importInventory: "Importieren",
+    importInventoryTitle: "Bestandsliste (CSV, JSON oder EDIFACT) laden – ersetzt den Yard, Format wird erkannt",
+    rejected: (p) => `Import abgelehnt (${p.count} ${p.count === 1 ? "Problem" : "Probleme"}):`,
+    autosaveRejected: (p) => `Gespeicherter Yard verworfen, Start mit leerem Yard (${p.count} ${p.count === 1 ? "Problem" : "Probleme"}):`,
+    loaded: (p, f) => `Yard vom ${f.date(p.savedAt)} geladen.`,
+  },
+
+  manifest: {
+    title: "Manifest-Import",
+    choose: "Datei wählen (CSV / EDI)",
+    chooseTitle: "Anlieferliste der Reederei: CSV mit Kopfzeile oder EDIFACT COPRAR / CODECO",
+    columns: "CSV-Spalten: Nummer, Typ (oder Größe 20/40), Gewicht, Voll/Leer, Reederei, Bemerkung, IMO, Stellplatz.",
+    validRows: "{valid} von {total} Zeilen gültig",
+    colLine: "Zeile",
+    colNumber: "Nummer",
+    colType: "Typ",
+    colFull: "V/L",
+    colOperator: "Reederei",
+    colSlot: "Platz",
+    planSlots: "Vorgeplante Stellplätze als Kranaufträge anlegen ({count})",
+    apply: "{count} Container ans Gate übernehmen",
+    changed: "Der Yard hat sich seit der Vorschau geändert – bitte die Vorschau erneut prüfen.",
+    gateTooSmall: "Nur noch {free} freie LKW-Stellplätze am Gate für {count} Container – bitte erst Platz schaffen.",
+    notPlanned: "Stellplätze nicht eingeplant ({name}): {text}",
+    jobLabel: "Manifest {file}",
+    added: (p) =>
+      `${p.count} Container aus ${p.file} am Gate angelegt` + (p.orders ? `, ${p.orders} Kranaufträge eingeplant.` : "."),
+  },
+
+  selection: {
+    active: "Aktiver Container",
+    imo: " · ⚠ IMO {imoClass}",
+  },
+
+  inspector: {
+    number: "Nummer",
+    type: "Typ",
+    size: "Größe",
+    size20: "20’ (1 TEU)",
+    size40: "40’ (2 TEU)",
+    gross: "Brutto",
+    grossValue: (p, f) => `${f.number(p.kg)} kg (${p.full ? "voll" : "leer"})`,
+    operator: "Reederei",
+    remark: "Bemerkung",
+    imoClass: "IMO-Klasse",
+    position: "Position",
+  },
+
+  actions: {
+    targetSlot: "Zielslot (z. B. A1)",
+    slotFormat: "Bitte Slot im Format {range} eingeben (z. B. A1).",
+    lastRow40: "40’ kann nicht in die letzte Reihe gestartet werden (benötigt +1 Reihe).",
+    place: "Zum Slot bewegen",
+    placeTitle: "Auftrag: aktiven Container zum Slot bewegen (Tier 1 bevorzugt; Tier 2 mit Stütze)",
+    remove: "Entstapeln (entfernen)",
+    removeTitle: "Auftrag: Container entstapeln und zurück zum Gate bringen",
+    dispatch: "Abfertigen (verlässt Terminal)",
+    dispatchTitle: "Container am Gate mit seinem LKW aus dem Terminal fahren (verschwindet aus Yard und Szene)",
+    dispatchInYard: "{name} steht im Yard – erst entstapeln, dann abfertigen.",
+    dispatchPending: "Für {name} sind noch Kranaufträge offen.",
+    dispatched: "{name} hat das Terminal verlassen.",
+  },
+
+  drag: {
+    outside: "Außerhalb des Blocks – loslassen bricht ab.",
+  },
+
+  tooltip: {
+    used: "{used} / {tiers} belegt",
+    reefer: " · Reefer",
+    tier: "Ebene {tier}: ",
+    freeLoad: (p, f) => `Frei: ${f.t("common.tiers", { count: p.free })} · Restlast ${f.tons(p.loadKg)}`,
+    plugs: " · Stecker {used} / {plugs}",
+  },
+
+  digPlan: {
+    title: "Ausgrabplan für {name}",
+    rehandles: (p) => `${p.count} ${p.count === 1 ? "Umlagerung" : "Umlagerungen"}`,
+    legend: "Rot = Ziel, Orange = Blocker, Blau = neue Plätze (Nummer = Schritt).",
+    enqueue: "In Auftragsliste",
+    jobLabel: "Ausgraben {name}",
+    invalid: "Ausgrabplan nicht mehr gültig ({name}): {text}",
+  },
+
+  cranes: {
+    title: "Kräne",
+    layout: "Layout: Ø Zyklus {cycle} s ≈ {perHour} Moves/h je Kran",
+    layoutTotal: " ({total} gesamt ohne Wartezeiten)",
+    measured: "Gemessen ({count} Aufträge): Ø Zyklus {cycle} s ≈ {perHour} Moves/h je Kran",
+  },
+
+  jobs: {
+    title: "Kranaufträge",
+    clearDone: "Erledigte entfernen",
+    none: "Keine Aufträge.",
+    first: "Priorisieren",
+    up: "Nach oben",
+    down: "Nach unten",
+    cancel: "Stornieren",
+    waitHistory: "Rückgängig/Wiederholen läuft.",
+    waitStack: "Gleicher Stapel wie {job} (Kran {crane}).",
+    waitDepends: "Hängt von laufenden Aufträgen ab.",
+    finishFirst: "Bitte erst alle Kranaufträge abschließen.",
+  },
+
+  history: {
+    undo: "↶ Rückgängig",
+    redo: "↷ Wiederholen",
+    undoVerb: "Rückgängig",
+    redoVerb: "Wiederholen",
+    undoKey: "Strg+Z",
+    redoKey: "Strg+Y",
+    added: "{name} hinzugefügt",
+    dispatched: "{name} abgefertigt",
+    failedStep: "{verb} nicht möglich ({label}): {text}",
+    failed: "{verb} nicht möglich: {text}",
+  },
+
+  console: {
+    title: "Konsole",
+    subtitle: "Befehle und Skripte",
+    empty: "HELP zeigt alle Befehle.",
+    placeholder: "z. B. MOVE MSKU1234565 B2 (Tab ergänzt, ↑/↓ Verlauf)",
+    run: "Ausführen",
+    clear: "Ausgabe leeren",
+    hint: "Enter führt aus, Shift+Enter = neue Zeile; eingefügte Skripte laufen Zeile für Zeile und stoppen beim ersten Fehler.",
+    help: () =>
+      [
+        "ADD <20|40|45|Typcode> [#farbe] [Nummer] [Gewicht kg|t] – neuer Container am Gate (ohne Gewicht: leer)",
+        "MOVE <Container> <Slot> – Kranauftrag, z. B. MOVE MSKU1234565 B2",
+        "REMOVE <Container> – Entstapeln zum Gate, z. B. REMOVE C3/2",
+        "SWAP <Container> <Container> – zwei Yard-Container tauschen die Stellplätze",
+        "LIST [Bay | Slot | GATE] – Bestand anzeigen",
+        "Container = Nummer, Slot (oberster Container) oder Slot/Ebene · Skripte: eine Zeile je Befehl, # kommentiert",
+      ].join("\n"),
+    arg: { size: "Größe oder Typcode", slot: "Zielslot", box: "Container", scope: "Bereich", add: "ADD-Angabe" },
+    added: "{name} steht am Gate.",
+    order: "Kranauftrag: {name} → {to}",
+    digPlanShown: "Ausgrabplan wird angezeigt.",
+    sameBox: "Bitte zwei verschiedene Container angeben.",
+    swapLabel: "Tausch",
+    swapped: "Kranaufträge: {a} ⇄ {b} (3 Moves)",
+    stackEmpty: "{slot} ist leer.",
+    noContainers: "Keine Container.",
+    line: "Zeile {line}: {text}",
+    aborted: "Skript abgebrochen.",
+  },
+
+  sim: {
+    title: "Simulation",
+    seed: "Seed",
+    hours: "Dauer (h)",
+    share40Pct: "40’-Anteil (%)",
+    imports: "Import-LKW",
+    exports: "Export-LKW",
+    every: "Ø alle",
+    minutes: "min",
+    zeroOff: "Ø 0 min schaltet den Strom ab.",
+    speed: "Tempo",
+    start: "▶ Start",
+    pause: "⏸ Pause",
+    resume: "▶ Weiter",
+    stop: "■ Stopp",
+    reset: "↺ Zurücksetzen",
+    resetTitle: "Stoppen und Yard wie vor dem Start wiederherstellen",
+    done: "Simulation beendet.",
+    trucks: "LKW: {arrived} angekommen · {served} bedient · {atGate} am Gate",
+    rejected: " · {count} abgewiesen",
+    moves: (p, f) => `Moves: ${p.moves} (${f.number(p.perHour, 1)}/h) · Umstapler: ${p.rehandles}`,
+    wait: "Wartezeit LKW: Ø {mean} · max {max}",
+    batch: "Batch ohne Grafik",
+    batchRuns: "Läufe (Seeds ab {seed})",
+    running: "Berechne…",
+    colSeed: "Seed",
+    colServed: "bedient",
+    colWait: "Ø Warten",
+    colMovesPerHour: "Moves/h",
+    colRehandles: "Umstapler",
+    colCranes: "Kranauslastung",
+  },
+
+  kpi: {
+    title: "Kennzahlen",
+    tier: "Tier {tier}",
+    moves: (p, f) => `Moves: ${p.moves} · Umstapler: ${p.rehandles} (Quote ${f.pct(p.ratio)})`,
+    crane: (p, f) => `aktiv ${p.busy} · frei ${p.idle} (${f.pct(p.utilisation)})`,
+    truckWait: "Wartezeit LKW: {wait} ({served} bedient)",
+    dwell: "Verweildauer: {dwell} ({count} ausgelagert) · {inYard} im Yard",
+    mean: "Ø {value}",
+    period: (p) => `Zeitraum: ${p.elapsed} ${p.simulated ? "(simuliert)" : "(Kranzeit)"}`,
+    chartUtilisation: "Auslastung",
+    chartMoves: "Moves",
+    chartCranes: "Kranauslastung",
+    chartWait: "Ø Wartezeit LKW",
+    exportEvents: "Ereignisse (CSV)",
+    exportKpis: "Kennzahlen (CSV)",
+    resetTitle: "Zähler und Diagramme ab jetzt neu beginnen",
+  },
+
+  replay: {
+    title: "Aufzeichnung & Wiedergabe",
+    recording: (p, f) => `Aufzeichnung seit ${f.date(p.since)}: ${p.events} ${p.events === 1 ? "Ereignis" : "Ereignisse"} über ${p.span}`,
+    replay: "▶ Aufzeichnung abspielen",
+    export: "Log exportieren",
+    import: "Log importieren…",
+    restart: "↺ Neu aufzeichnen",
+    restartTitle: "Aufzeichnung verwerfen und ab dem aktuellen Yard neu aufzeichnen",
+    play: "▶ Abspielen",
+    pause: "⏸ Pause",
+    again: "▶ Von vorn",
+    exit: "■ Zurück zum Live-Yard",
+    speed: "Tempo",
+    position: "{time} / {span} · Ereignis {applied} von {events}",
+    hint: "Der Regler baut den Yard zu jedem Zeitpunkt der Aufzeichnung auf, die Wiedergabe fährt die Krane. Beim Beenden kommt der Live-Yard zurück (Zähler und Rückgängig beginnen neu); Bearbeiten ist solange gesperrt.",
+  },
+
+  bench: {
+    title: "Benchmark",
+    subtitle: "großer Block, Bildzeit und Speicher",
+    bays: "Bays",
+    rows: "Reihen",
+    tiers: "Ebenen",
+    run: "Yard füllen und messen",
+    running: "Messung läuft …",
+    hint: "Ersetzt den aktuellen Yard durch einen voll belegten Block (vorher exportieren). Gemessen werden {frames} Bilder.",
+    frames: "{boxes} Container · {frames} Bilder: Ø {mean} ms, 95 % ≤ {p95} ms, max. {max} ms (≈ {fps} fps)",
+    gpu: "{calls} Draw Calls · {triangles} Dreiecke · {geometries} Geometrien · {textures} Texturen",
+    memory: "Instanzpuffer {instances} MB · JS-Heap {heap} MB",
+  },
+
+  hud: {
+    occupancy: "Belegung · Tier {tier}",
+    stackWeight: (p, f) => `Stapelgewicht · max. ${f.tons(p.maxKg)} je Stellplatz`,
+    plugs: "Reefer-Stecker · {used} / {total} belegt",
+    noReefer: "Keine Reefer-Stellplätze konfiguriert.",
+  },
+
+  help: () => [
+    "Klick auf einen Container in 3D wählt ihn aus.",
+    "Grüne Highlights = Zielzellen; Rot = Blockiert.",
+    "Unterste freie Ebene zuerst; darüber nur mit Stützregeln (20’: 1 Zelle; 40’: beide Zellen).",
+    "Gewicht: nie schwer auf leicht; ein 40’ verteilt sein Gewicht je zur Hälfte auf beide Stellplätze.",
+    "Gefahrgut: unverträgliche IMO-Klassen brauchen N freie Slots dazwischen (Trennmatrix); Konflikte leuchten rot.",
+    "Kühlcontainer (22R1/45R1) nur auf blauen Reefer-Stellplätzen mit freiem Stecker.",
+    "Entstapeln: nur wenn nichts darüber steht – sonst wird ein Ausgrabplan vorgeschlagen.",
+    "Bewegen/Entstapeln jederzeit möglich: Aufträge werden gegen den geplanten Endzustand geprüft und nacheinander abgearbeitet.",
+  ].join("\n"),
+};
+
+export default de;
@@ -0,0 +1,522 @@
+// src/i18n/en.js
+// ---------------------------------------------
+// English message catalog (same keys as ./de)
+// ---------------------------------------------
+
+const en = {
+  language: { label: "Language" },
+
+  common: {
+    gate: "Gate",
+    free: "free",
+    full: "full",
+    empty: "empty",
+    none: "–",
+    close: "Close",
+    discard: "Discard",
+    reset: "Reset",
+    simLocked: "Not possible while the simulation runs (stop it first).",
+    replayLocked: "Not possible during the replay (back to the live yard first).",
+    selectFirst: "Please select a container first.",
+    selectOrAddFirst: "Please select or add a container first.",
+    slotTier: "{slot} / tier {tier}",
+    tiers: (p) => `${p.count} ${p.count === 1 ? "tier" : "tiers"}`,
+  },
+
+  // ===== Rule results (reason codes -> text) =====
+  reason: {
+    INVALID_SLOT: "Invalid target slot.",
+    UNKNOWN_CONTAINER: "Selected container not found.",
+    DUPLICATE_ID: "Container {id} already exists.",
+    INVALID_SIZE: "Invalid container size.",
+    EDGE_ROW_40: "No room (edge row) for a 40’.",
+    STACK_FULL: "Target on tier {tier} is already taken (stack full).",
+    NO_SUPPORT: (p) =>
+      p.sizeTEU === 1
+        ? `A 20’ on tier ${p.tier} has no support below.`
+        : `A 40’ on tier ${p.tier} needs both cells below taken (one 40’ or two 20’).`,
+    BLOCKED: (p, f) => `Cannot unstack. Remove first: ${f.names(p.blockers)}`,
+    NOT_IN_YARD: "This container is already at the gate (not in the yard).",
+    OUT_OF_BOUNDS: (p, f) => `The yard cannot shrink. Remove first: ${f.names(p.containers)}`,
+    HEAVY_ON_LIGHT: (p, f) =>
+      `Too heavy: ${f.name(p.id)} (${f.tons(p.kg)}) must not be stacked on ${f.name(p.below)} (${f.tons(p.belowKg)})` +
+      (p.split ? " – load per 20’ slot." : "."),
+    STACK_OVERWEIGHT: (p, f) =>
+      `Stack ${f.slot(p.bay, p.row)} would be too heavy at ${f.tons(p.loadKg)} (max. ${f.tons(p.maxKg)} per 20’ slot).`,
+    WEIGHT_RULES: (p, f) => `Placed containers break the weight rules: ${f.names(p.containers)}`,
+    SEGREGATION: (p, f) =>
+      `IMDG segregation: class ${p.imoClass} too close to ` +
+      p.conflicts.map((c) => `${f.name(c.id)} (cl. ${c.imoClass}, distance ${c.distance}, needs > ${c.required})`).join(", ") +
+      ".",
+    SEGREGATION_RULES: (p, f) => `Placed containers break the segregation matrix: ${f.names(p.containers)}`,
+    NO_POWER: (p, f) => `Reefers need power: ${f.slot(p.bay, p.row)} is not a reefer slot.`,
+    NO_PLUG: (p, f) => `All ${p.plugs} plugs at stack ${f.slot(p.bay, p.row)} are in use.`,
+    REEFER_RULES: (p, f) => `Power is still needed by: ${f.names(p.containers)}`,
+    DISPATCHING: (p, f) => `${f.name(p.containerId)} is leaving the terminal on its truck.`,
+    default: "Placement not possible.",
+  },
+
+  warning: {
+    POWERED_SLOT: (p, f) => `${f.name(p.id)} is not a reefer but takes the reefer slot ${f.slot(p.bay, p.row)}.`,
+    default: "Placement note.",
+  },
+
+  queueReason: {
+    UNKNOWN_JOB: "Order not found.",
+    NOT_QUEUED: "Order is already running or finished.",
+    BREAKS_ORDER: (p, f) =>
+      `Order ${p.jobId} would become invalid: ${f.result({ reason: p.reason, details: p.details }, "reason")}`,
+  },
+
+  historyReason: {
+    NOTHING: "Nothing to do.",
+    STATE_CHANGED: (p, f) => `${f.name(p.id)} has moved since.`,
+    SLOT_TAKEN: (p, f) =>
+      `Original slot ${f.slot(p.bay, p.row)} (tier ${p.tier}) is no longer free` +
+      (p.reason ? `: ${f.result({ reason: p.reason, details: p }, "reason")}` : "."),
+    BLOCKED: (p, f) => `Containers were stacked on ${f.name(p.id)} since: ${f.names(p.blockers)}.`,
+  },
+
+  plannerReason: {
+    NO_SPACE: (p, f) =>
+      `No dig-out plan possible: there is no free, supported slot outside the stack for ${f.name(p.id)} (yard too full).`,
+    SEARCH_LIMIT: "No dig-out plan found (search stopped after {nodes} attempts).",
+  },
+
+  craneReason: {
+    CRANE_BUSY: (p) => (p.by ? `Path blocked by crane ${p.by} (safety distance).` : "All cranes are working."),
+    OUT_OF_REACH: "Crane {id} cannot reach the path (end of rail).",
+    default: "No crane available.",
+  },
+
+  snapshotError: {
+    INVALID_JSON: "File is not valid JSON ({message}).",
+    UNSUPPORTED_VERSION: (p) => `Unsupported file version: ${p.version ?? "none"}.`,
+    MISSING_FIELD: "Required field missing: {field}.",
+    INVALID_CONTAINER: (p) => `Container #${p.index + 1}${p.id ? ` (${p.id})` : ""} is invalid.`,
+    DUPLICATE_ID: "Container id used twice: {id}.",
+    INVALID_CELLS: "{id}: cells do not match the size (20’ = 1 cell, 40’ = 2 cells in a row).",
+    CELL_CONFLICT: (p) => `Cell ${p.cell} taken twice: ${p.ids.join(" and ")}.`,
+    PLACEMENT_REJECTED: (p, f) => `${p.id}: ${f.result({ reason: p.reason, details: p }, "reason")}`,
+    TIER_MISMATCH: "{id}: saved on tier {expected}, but the stacking rules give tier {actual}.",
+    OCC_MISMATCH: (p) => `Occupancy ${p.cell}: the file says ${p.expected || "free"}, the containers give ${p.actual || "free"}.`,
+    GATE_QUEUE_MISMATCH: "Gate queue does not match container {id}.",
+    GATE_FULL: "{count} containers at the gate, but only {capacity} truck spots.",
+    default: "Unknown error in the file.",
+  },
+
+  inventoryError: {
+    INVALID_FILE: "File is not an inventory export ({message}).",
+    INVALID_POSITION: "Line {line}: position “{position}” is not in BBRRTT format.",
+    INVALID_ITEM: "Line {line}: container number missing.",
+  },
+
+  replayReason: {
+    TIER_MISMATCH: "recorded on tier {expected}, but the stacking rules give tier {actual}.",
+    INVALID_SNAPSHOT: "yard replacement invalid: {text}",
+    UNKNOWN_EVENT: "unknown event type.",
+  },
+
+  eventLogError: {
+    INVALID_JSON: "File is not valid JSON ({message}).",
+    UNSUPPORTED_VERSION: (p) => `Unsupported log version: ${p.version ?? "none"}.`,
+    MISSING_FIELD: "Required field missing: {field}.",
+    INVALID_BASE: "Start state invalid: {text}",
+    INVALID_EVENT: (p) => `Event #${p.index + 1} is incomplete or of an unknown type.`,
+    TIME_ORDER: (p) => `Event #${p.index + 1} is earlier than the one before.`,
+    EVENT_REJECTED: (p, f) =>
+      `Event #${p.index + 1} (${p.type}${p.id ? ` ${p.id}` : ""}): ${f.result({ reason: p.reason, details: p }, ["replayReason", "reason"])}`,
+    default: "Unknown error in the log.",
+  },
+
+  specError: {
+    INVALID_FORMAT: "Format: 4 letters + 7 digits (e.g. CSQU 305438 3).",
+    INVALID_CATEGORY: "4th letter must be U, J or Z.",
+    CHECK_DIGIT: "Wrong check digit (expected {expected}).",
+    DUPLICATE_NUMBER: "Number is already used in the yard.",
+    UNKNOWN_TYPE: "Unknown type code.",
+    INVALID_WEIGHT: "Gross weight must be between {min} and {max} kg.",
+    INVALID_IMO_CLASS: "Unknown IMO class.",
+    default: "Invalid input.",
+  },
+
+  manifestError: {
+    EMPTY_FILE: "No container lines found.",
+    MISSING_COLUMN: (p) => `Column “${p.column === "number" ? "number" : "type or size"}” missing in the header.`,
+    UNSUPPORTED_MESSAGE: (p) => `Message type ${p.type || "?"} is not supported (COPRAR / CODECO only).`,
+    MISSING_NUMBER: "Container number missing.",
+    DUPLICATE_IN_FILE: "Number already listed in line {line}.",
+    INVALID_SIZE: "Unknown size “{value}” (20, 40 or 45).",
+    INVALID_FULL: "Unknown full/empty “{value}”.",
+    INVALID_SLOT: "Slot “{slot}” invalid or outside the block.",
+    slot: "Slot: {text}",
+  },
+
+  commandError: {
+    UNKNOWN_COMMAND: "Unknown command “{verb}” – HELP lists all commands.",
+    MISSING_ARGUMENT: (p, f) => `${f.t(`console.arg.${p.arg}`)} missing.`,
+    INVALID_ARGUMENT: (p, f) => `${f.t(`console.arg.${p.arg}`)} “${p.value}” invalid.`,
+    EXTRA_ARGUMENT: "Too many arguments from “{value}”.",
+    EMPTY_SLOT: (p, f) => `${f.slot(p.bay, p.row)}${p.tier ? ` tier ${p.tier}` : ""} is empty.`,
+    NOT_FOUND: "Container {number} is not in the terminal.",
+    default: "Command cannot be run.",
+  },
+
+  // ===== Labels of codes =====
+  craneStatus: { idle: "idle", working: "working", yielding: "yielding" },
+  jobStatus: { queued: "waiting", executing: "running", done: "done", failed: "failed" },
+  arrivalType: { exponential: "Exponential", uniform: "Uniform", fixed: "Fixed" },
+  imo: {
+    1: "Explosive", "2_1": "Flammable gas", "2_2": "Non-flammable gas", "2_3": "Toxic gas",
+    3: "Flammable liquid", "4_1": "Flammable solid", "4_2": "Spontaneously combustible",
+    "4_3": "Dangerous when wet", "5_1": "Oxidizing", "5_2": "Organic peroxide", "6_1": "Toxic",
+    "6_2": "Infectious", 7: "Radioactive", 8: "Corrosive", 9: "Miscellaneous",
+  },
+  isoType: {
+    "22G1": "20’ Standard", "22R1": "20’ Reefer", "22U1": "20’ Open Top", "22T6": "20’ Tank",
+    "22P1": "20’ Flat Rack", "42G1": "40’ Standard", "45G1": "40’ High Cube",
+    "45R1": "40’ High Cube Reefer", "42U1": "40’ Open Top",
+  },
+
+  // ===== Sidebar =====
+  app: {
+    title: (p) => `Yard crane · Yard (${p.firstBay}–${p.lastBay} × 1–${p.rows}) · ${p.tiers} tiers`,
+  },
+
+  view: {
+    title: "View",
+    free: "Free",
+    plan: "Plan",
+    section: "Bay section",
+    follow: "Follow crane",
+    bay: "Bay",
+    crane: "Crane",
+    hint: {
+      free: "Free camera: drag = rotate, right mouse button = pan, wheel = zoom.",
+      plan: "Orthographic plan with slot labels, row 1 at the top. Pan and zoom.",
+      section: "Cut through the selected bay: rows left to right, tiers bottom to top.",
+      follow: "The camera moves with the hook of the selected crane; rotating and zooming still work.",
+    },
+    tierTag: "T{tier}",
+    namePlaceholder: "View name",
+    save: "Save view",
+    noneSaved: "No saved views yet.",
+    open: "Go to view",
+    delete: "Delete view",
+    storageFailed: "Views could not be stored in the browser.",
+  },
+
+  config: {
+    title: "Yard configuration",
+    bays: "Bays (letters)",
+    rows: "Rows (numbers)",
+    tiers: "Tiers",
+    bayWidth: "Bay width (m)",
+    rowDepth: "Row depth (m)",
+    maxStackKg: "Max. stack (kg)",
+    weightToleranceKg: "Tolerance (kg)",
+    reeferPlugs: "Plugs per stack",
+    cranes: "Cranes",
+    craneSafety: "Crane distance (m)",
+    gateLanes: "Truck lanes",
+    gateSpots: "Spots per lane",
+    gantrySpeed: "Gantry v (m/s)",
+    gantryAccel: "Gantry a (m/s²)",
+    trolleySpeed: "Trolley v (m/s)",
+    trolleyAccel: "Trolley a (m/s²)",
+    hoistSpeed: "Hoist v (m/s)",
+    hoistAccel: "Hoist a (m/s²)",
+    spreaderLockS: "Spreader (s)",
+    reeferRows: "Reefer rows",
+    reeferRowsHint: "e.g. 3, 4",
+    reeferSlots: "Reefer slots",
+    reeferSlotsHint: "e.g. A1, B2",
+    weightOrder: "Never stack heavy on light",
+    segregation: "IMDG segregation matrix (minimum distance in slots)",
+    segregationHint: "0 = compatible; N = not side by side / on top and at least N free slots in between.",
+    apply: "Apply yard",
+    gateTooSmall: "{count} containers at the gate, but only {capacity} truck spots – dispatch or store some first.",
+  },
+
+  addForm: {
+    number: "Number",
+    numberHint: "empty = automatic",
+    type: "Type",
+    gross: "Gross (kg)",
+    loaded: "loaded",
+    operator: "Operator",
+    color: "Color",
+    remark: "Remark",
+    imoClass: "IMO class",
+    noImo: "– no dangerous goods –",
+    add: "Add new container",
+    addTitle: "Create the container on a free truck spot at the gate",
+    hint40: "A 40’ takes two slots: same letter + next number (e.g. A1+A2).",
+  },
+
+  gate: {
+    fullText: "Gate full – every truck spot is taken, new arrivals are blocked.",
+    status: "Gate: {used} / {capacity} spots taken ({lanes} lanes × {spots})",
+    fullShort: " · Gate full – new arrivals blocked",
+    spot: "Gate · lane {lane}, spot {pos}",
+    waitSpot: "Gate full – waiting for a free truck spot.",
+  },
+
+  io: {
+    exportJson: "Export (JSON)",
+    exportJsonTitle: "Save the yard as a JSON file",
+    importJson: "Import (JSON)",
+    importJsonTitle: "Load the yard from a JSON file (checked against the stacking rules)",
+    inventory: "Inventory",
+    exportInventory: "Export",
+    exportInventoryTitle: "Inventory list for the TOS: every box with its BBRRTT position (bay, row, tier), then the gate",
+    importInventory: "Import",
+    importInventoryTitle: "Load an inventory list (CSV, JSON or EDIFACT) – replaces the yard, format is detected",
+    rejected: (p) => `Import rejected (${p.count} ${p.count === 1 ? "problem" : "problems"}):`,
+    autosaveRejected: (p) => `Saved yard discarded, starting empty (${p.count} ${p.count === 1 ? "problem" : "problems"}):`,
+    loaded: (p, f) => `Yard from ${f.date(p.savedAt)} loaded.`,
+  },
+
+  manifest: {
+    title: "Manifest import",
+    choose: "Choose file (CSV / EDI)",
+    chooseTitle: "Shipping line arrival list: CSV with a header row or EDIFACT COPRAR / CODECO",
+    columns: "CSV columns: number, type (or size 20/40), weight, full/empty, operator, remark, IMO, slot.",
+    validRows: "{valid} of {total} lines valid",
+    colLine: "Line",
+    colNumber: "Number",
+    colType: "Type",
+    colFull: "F/E",
+    colOperator: "Operator",
+    colSlot: "Slot",
+    planSlots: "Create crane orders for pre-planned slots ({count})",
+    apply: "Take {count} containers to the gate",
+    changed: "The yard has changed since the preview – please check the preview again.",
+    gateTooSmall: "Only {free} free truck spots at the gate for {count} containers – make room first.",
+    notPlanned: "Slots not planned ({name}): {text}",
+    jobLabel: "Manifest {file}",
+    added: (p) =>
+      `${p.count} containers from ${p.file} created at the gate` + (p.orders ? `, ${p.orders} crane orders planned.` : "."),
+  },
+
+  selection: {
+    active: "Active container",
+    imo: " · ⚠ IMO {imoClass}",
+  },
+
+  inspector: {
+    number: "Number",
+    type: "Type",
+    size: "Size",
+    size20: "20’ (1 TEU)",
+    size40: "40’ (2 TEU)",
+    gross: "Gross",
+    grossValue: (p, f) => `${f.number(p.kg)} kg (${p.full ? "full" : "empty"})`,
+    operator: "Operator",
+    remark: "Remark",
+    imoClass: "IMO class",
+    position: "Position",
+  },
+
+  actions: {
+    targetSlot: "Target slot (e.g. A1)",
+    slotFormat: "Please enter a slot in the format {range} (e.g. A1).",
+    lastRow40: "A 40’ cannot start in the last row (needs +1 row).",
+    place: "Move to slot",
+    placeTitle: "Order: move the active container to the slot (tier 1 first; tier 2 with support)",
+    remove: "Unstack (remove)",
+    removeTitle: "Order: unstack the container and bring it back to the gate",
+    dispatch: "Dispatch (leaves terminal)",
+    dispatchTitle: "Drive the gate container off the terminal on its truck (removed from yard and scene)",
+    dispatchInYard: "{name} is in the yard – unstack it before dispatching.",
+    dispatchPending: "{name} still has open crane orders.",
+    dispatched: "{name} has left the terminal.",
+  },
+
+  drag: {
+    outside: "Outside the block – release to cancel.",
+  },
+
+  tooltip: {
+    used: "{used} / {tiers} taken",
+    reefer: " · Reefer",
+    tier: "Tier {tier}: ",
+    freeLoad: (p, f) => `Free: ${f.t("common.tiers", { count: p.free })} · load left ${f.tons(p.loadKg)}`,
+    plugs: " · plugs {used} / {plugs}",
+  },
+
+  digPlan: {
+    title: "Dig-out plan for {name}",
+    rehandles: (p) => `${p.count} ${p.count === 1 ? "rehandle" : "rehandles"}`,
+    legend: "Red = target, orange = blockers, blue = new slots (number = step).",
+    enqueue: "Add to order list",
+    jobLabel: "Dig out {name}",
+    invalid: "Dig-out plan no longer valid ({name}): {text}",
+  },
+
+  cranes: {
+    title: "Cranes",
+    layout: "Layout: Ø cycle {cycle} s ≈ {perHour} moves/h per crane",
+    layoutTotal: " ({total} in total without waiting)",
+    measured: "Measured ({count} orders): Ø cycle {cycle} s ≈ {perHour} moves/h per crane",
+  },
+
+  jobs: {
+    title: "Crane orders",
+    clearDone: "Remove finished",
+    none: "No orders.",
+    first: "Prioritise",
+    up: "Move up",
+    down: "Move down",
+    cancel: "Cancel",
+    waitHistory: "Undo/redo in progress.",
+    waitStack: "Same stack as {job} (crane {crane}).",
+    waitDepends: "Depends on running orders.",
+    finishFirst: "Please finish all crane orders first.",
+  },
+
+  history: {
+    undo: "↶ Undo",
+    redo: "↷ Redo",
+    undoVerb: "Undo",
+    redoVerb: "Redo",
+    undoKey: "Ctrl+Z",
+    redoKey: "Ctrl+Y",
+    added: "{name} added",
+    dispatched: "{name} dispatched",
+    failedStep: "{verb} not possible ({label}): {text}",
+    failed: "{verb} not possible: {text}",
+  },
+
+  console: {
+    title: "Console",
+    subtitle: "commands and scripts",
+    empty: "HELP lists all commands.",
+    placeholder: "e.g. MOVE MSKU1234565 B2 (Tab completes, ↑/↓ history)",
+    run: "Run",
+    clear: "Clear output",
+    hint: "Enter runs, Shift+Enter = new line; pasted scripts run line by line and stop at the first error.",
+    help: () =>
+      [
+        "ADD <20|40|45|type code> [#color] [number] [weight kg|t] – new container at the gate (no weight: empty)",
+        "MOVE <container> <slot> – crane order, e.g. MOVE MSKU1234565 B2",
+        "REMOVE <container> – unstack to the gate, e.g. REMOVE C3/2",
+        "SWAP <container> <container> – two yard containers swap their slots",
+        "LIST [bay | slot | GATE] – show the inventory",
+        "container = number, slot (top container) or slot/tier · scripts: one command per line, # comments",
+      ].join("\n"),
+    arg: { size: "Size or type code", slot: "Target slot", box: "Container", scope: "Scope", add: "ADD argument" },
+    added: "{name} is at the gate.",
+    order: "Crane order: {name} → {to}",
+    digPlanShown: "Dig-out plan is shown.",
+    sameBox: "Please give two different containers.",
+    swapLabel: "Swap",
+    swapped: "Crane orders: {a} ⇄ {b} (3 moves)",
+    stackEmpty: "{slot} is empty.",
+    noContainers: "No containers.",
+    line: "Line {line}: {text}",
+    aborted: "Script aborted.",
+  },
+
+  sim: {
+    title: "Simulation",
+    seed: "Seed",
+    hours: "Duration (h)",
+    share40Pct: "40’ share (%)",
+    imports: "Import trucks",
+    exports: "Export trucks",
+    every: "Ø every",
+    minutes: "min",
+    zeroOff: "Ø 0 min switches the stream off.",
+    speed: "Speed",
+    start: "▶ Start",
+    pause: "⏸ Pause",
+    resume: "▶ Resume",
+    stop: "■ Stop",
+    reset: "↺ Reset",
+    resetTitle: "Stop and restore the yard as it was before the start",
+    done: "Simulation finished.",
+    trucks: "Trucks: {arrived} arrived · {served} served · {atGate} at the gate",
+    rejected: " · {count} turned away",
+    moves: (p, f) => `Moves: ${p.moves} (${f.number(p.perHour, 1)}/h) · rehandles: ${p.rehandles}`,
+    wait: "Truck waiting time: Ø {mean} · max {max}",
+    batch: "Batch without graphics",
+    batchRuns: "runs (seeds from {seed})",
+    running: "Calculating…",
+    colSeed: "Seed",
+    colServed: "served",
+    colWait: "Ø wait",
+    colMovesPerHour: "Moves/h",
+    colRehandles: "Rehandles",
+    colCranes: "Crane utilisation",
+  },
+
+  kpi: {
+    title: "KPIs",
+    tier: "Tier {tier}",
+    moves: (p, f) => `Moves: ${p.moves} · rehandles: ${p.rehandles} (ratio ${f.pct(p.ratio)})`,
+    crane: (p, f) => `busy ${p.busy} · idle ${p.idle} (${f.pct(p.utilisation)})`,
+    truckWait: "Truck waiting time: {wait} ({served} served)",
+    dwell: "Dwell time: {dwell} ({count} delivered) · {inYard} in the yard",
+    mean: "Ø {value}",
+    period: (p) => `Period: ${p.elapsed} ${p.simulated ? "(simulated)" : "(crane time)"}`,
+    chartUtilisation: "Utilisation",
+    chartMoves: "Moves",
+    chartCranes: "Crane utilisation",
+    chartWait: "Ø truck waiting time",
+    exportEvents: "Events (CSV)",
+    exportKpis: "KPIs (CSV)",
+    resetTitle: "Start counters and charts afresh from now",
+  },
+
+  replay: {
+    title: "Recording & replay",
+    recording: (p, f) => `Recording since ${f.date(p.since)}: ${p.events} ${p.events === 1 ? "event" : "events"} over ${p.span}`,
+    replay: "▶ Replay recording",
+    export: "Export log",
+    import: "Import log…",
+    restart: "↺ New recording",
+    restartTitle: "Discard the recording and record afresh from the current yard",
+    play: "▶ Play",
+    pause: "⏸ Pause",
+    again: "▶ From the start",
+    exit: "■ Back to live yard",
+    speed: "Speed",
+    position: "{time} / {span} · event {applied} of {events}",
+    hint: "The slider rebuilds the yard at any point of the recording, playback runs the cranes. On exit the live yard comes back (counters and undo start afresh); edits are locked meanwhile.",
+  },
+
+  bench: {
+    title: "Benchmark",
+    subtitle: "large block, frame time and memory",
+    bays: "Bays",
+    rows: "Rows",
+    tiers: "Tiers",
+    run: "Fill yard and measure",
+    running: "Measuring …",
+    hint: "Replaces the current yard with a completely filled block (export it first). {frames} frames are measured.",
+    frames: "{boxes} containers · {frames} frames: mean {mean} ms, 95% ≤ {p95} ms, max {max} ms (≈ {fps} fps)",
+    gpu: "{calls} draw calls · {triangles} triangles · {geometries} geometries · {textures} textures",
+    memory: "Instance buffers {instances} MB · JS heap {heap} MB",
+  },
+
+  hud: {
+    occupancy: "Occupancy · tier {tier}",
+    stackWeight: (p, f) => `Stack weight · max. ${f.tons(p.maxKg)} per slot`,
+    plugs: "Reefer plugs · {used} / {total} in use",
+    noReefer: "No reefer slots configured.",
+  },
+
+  help: () => [
+    "Click a container in 3D to select it.",
+    "Green highlights = target cells; red = blocked.",
+    "Lowest free tier first; above only with support (20’: 1 cell; 40’: both cells).",
+    "Weight: never heavy on light; a 40’ puts half its weight on each of its slots.",
+    "Dangerous goods: incompatible IMO classes need N free slots in between (segregation matrix); conflicts light up red.",
+    "Reefers (22R1/45R1) only on blue reefer slots with a free plug.",
+    "Unstacking: only when nothing is on top – otherwise a dig-out plan is proposed.",
+    "Move/unstack at any time: orders are checked against the planned end state and worked off one after another.",
+  ].join("\n"),
+};
+
+export default en;
@@ -0,0 +1,150 @@
+// src/i18n/index.js
+// ---------------------------------------------
+// UI language layer (headless, no React)
+// - Message catalogs per locale (./de = source language, ./en): nested objects,
+//   keys like "reason.STACK_FULL"; a message is a string with {param}
+//   placeholders or a function (params, format) for plurals, lists and names
+// - translate(): catalog of the locale, then German, then the key itself
+// - Rule results { reason | code, details } become text via resultText(): the
+//   reason is the key inside a scope ("reason", "queue", …), details are the params
+// - Numbers, tons, percentages and dates formatted per locale (Intl)
+// - The app's current locale (setLocale / t / tr), remembered in localStorage
+// ---------------------------------------------
+
+import { formatSlot } from "../yard/yardConfig";
+import de from "./de";
+import en from "./en";
+
+export const LOCALES = Object.freeze({
+  de: { label: "Deutsch", tag: "de-DE" },
+  en: { label: "English", tag: "en-GB" },
+});
+export const DEFAULT_LOCALE = "de";
+export const LOCALE_STORAGE_KEY = "port-yard-sim.locale";
+
+const CATALOGS = { de, en };
+
+const tagOf = (locale) => (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).tag;
+
+// ===== Lookup =====
+function lookup(catalog, key) {
+  const msg = String(key).split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+  return typeof msg === "string" || typeof msg === "function" ? msg : undefined;
+}
+
+const findMessage = (locale, key) => lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+export const hasMessage = (locale, key) => findMessage(locale, key) !== undefined;
+
+// every message key of a catalog ("reason.STACK_FULL", …), for completeness checks
+export function messageKeys(locale) {
+  const keys = [];
+  const walk = (node, prefix) =>
+    Object.entries(node).forEach(([k, v]) => (v && typeof v === "object" ? walk(v, `${prefix}${k}.`) : keys.push(prefix + k)));
+  walk(CATALOGS[locale] || {}, "");
+  return keys.sort();
+}
+
+// ===== Formatting =====
+const numberFormats = new Map(); // Intl formatters are costly to build; the HUD formats per cell
+
+function numberFormat(tag, options) {
+  const id = `${tag}|${JSON.stringify(options)}`;
+  if (!numberFormats.has(id)) numberFormats.set(id, new Intl.NumberFormat(tag, options));
+  return numberFormats.get(id);
+}
+
+/**
+ * Formatting helpers bound to `locale`; message functions get them as second argument.
+ * `nameOf` turns container ids into display names (defaults to the id).
+ */
+export function formatter(locale, { nameOf = (id) => id } = {}) {
+  const tag = tagOf(locale);
+  const number = (value, digits = null) =>
+    numberFormat(tag, digits === null ? { maximumFractionDigits: 2 } : { minimumFractionDigits: digits, maximumFractionDigits: digits })
+      .format(value);
+  return {
+    locale,
+    number,
+    tons: (kg) => `${number(kg / 1000, 1)} t`,
+    pct: (ratio) => numberFormat(tag, { style: "percent", maximumFractionDigits: 0 }).format(ratio),
+    date: (value) => new Intl.DateTimeFormat(tag, { dateStyle: "medium", timeStyle: "short" }).format(new Date(value)),
+    slot: formatSlot,
+    name: nameOf,
+    names: (ids) => ids.map(nameOf).join(", "),
+    t: (key, params) => translate(locale, key, params, { nameOf }),
+    result: (res, scopes) => resultText(locale, res, scopes, { nameOf }),
+  };
+}
+
+// ===== Messages =====
+/**
+ * Message `key` in `locale` with `params`. Numbers in placeholders are formatted
+ * for the locale; unknown keys fall back to `fallback` (a key), else to the key itself.
+ */
+export function translate(locale, key, params = {}, { nameOf, fallback = null } = {}) {
+  const msg = findMessage(locale, key);
+  if (msg === undefined) return fallback ? translate(locale, fallback, params, { nameOf }) : key;
+  const f = formatter(locale, { nameOf });
+  if (typeof msg === "function") return msg(params, f);
+  return msg.replace(/\{(\w+)\}/g, (m, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return m;
+    return typeof value === "number" ? f.number(value) : String(value);
+  });
+}
+
+/**
+ * Text for a rule result { reason (or code), details }: the first of `scopes`
+ * that knows the reason wins ("queue" before "reason" …), else "<last scope>.default".
+ */
+export function resultText(locale, result, scopes, options = {}) {
+  const reason = result.reason ?? result.code;
+  const list = Array.isArray(scopes) ? scopes : [scopes];
+  const key = list.map((scope) => `${scope}.${reason}`).find((k) => hasMessage(locale, k));
+  return translate(locale, key || `${list[list.length - 1]}.default`, result.details || {}, options);
+}
+
+// ===== Current locale (app-wide) =====
+let current = DEFAULT_LOCALE;
+
+export const getLocale = () => current;
+
+export function setLocale(locale) {
+  current = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  return current;
+}
+
+export const t = (key, params, options) => translate(current, key, params, options);
+export const tr = (result, scopes, options) => resultText(current, result, scopes, options);
+
+export const formatNumber = (value, digits = null) => formatter(current).number(value, digits);
+export const formatTons = (kg) => formatter(current).tons(kg);
+export const formatPct = (ratio) => formatter(current).pct(ratio);
+export const formatDate = (value) => formatter(current).date(value);
+
+// ===== localStorage =====
+const defaultStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+const browserLanguages = () => (typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : []);
+
+// stored choice, else the first supported browser language, else German
+export function loadLocale(storage = defaultStorage(), languages = browserLanguages()) {
+  let stored = null;
+  try {
+    stored = storage?.getItem(LOCALE_STORAGE_KEY);
+  } catch {
+    // private mode: fall through to the browser language
+  }
+  if (LOCALES[stored]) return stored;
+  const match = languages.map((l) => String(l || "").slice(0, 2).toLowerCase()).find((l) => LOCALES[l]);
+  return match || DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale, storage = defaultStorage()) {
+  try {
+    storage?.setItem(LOCALE_STORAGE_KEY, locale);
+    return true;
+  } catch {
+    return false;
+  }
+}
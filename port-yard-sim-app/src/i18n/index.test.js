@@ -0,0 +1,87 @@
+import {
+  LOCALE_STORAGE_KEY,
+  formatter,
+  loadLocale,
+  messageKeys,
+  resultText,
+  saveLocale,
+  setLocale,
+  t,
+  translate,
+  tr,
+} from "./index";
+import { REASONS } from "../yard/yardModel";
+import { ISO_TYPES } from "../yard/iso6346";
+import { IMO_CLASSES } from "../yard/imdg";
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => { data[k] = String(v); }, data };
+};
+
+describe("i18n", () => {
+  afterEach(() => setLocale("de"));
+
+  test("both catalogs have the same keys and cover every reason, type and IMO class", () => {
+    expect(messageKeys("en")).toEqual(messageKeys("de"));
+    Object.values(REASONS).forEach((reason) => {
+      expect(messageKeys("en")).toContain(`reason.${reason}`);
+    });
+    Object.keys(ISO_TYPES).forEach((code) => expect(messageKeys("en")).toContain(`isoType.${code}`));
+    IMO_CLASSES.forEach((cls) => expect(messageKeys("en")).toContain(`imo.${cls.replace(".", "_")}`));
+  });
+
+  test("placeholders are filled and numbers formatted per locale", () => {
+    expect(translate("de", "specError.INVALID_WEIGHT", { min: 2000, max: 32500 })).toBe(
+      "Bruttogewicht muss zwischen 2.000 und 32.500 kg liegen."
+    );
+    expect(translate("en", "specError.INVALID_WEIGHT", { min: 2000, max: 32500 })).toBe(
+      "Gross weight must be between 2,000 and 32,500 kg."
+    );
+    expect(translate("en", "gate.status", { used: 3 })).toContain("3 / {capacity}"); // missing params stay visible
+    expect(formatter("de").tons(12500)).toBe("12,5 t");
+    expect(formatter("en").tons(12500)).toBe("12.5 t");
+    expect(formatter("en").pct(0.256)).toBe("26%");
+  });
+
+  test("rule results become text via scope, with names and a default", () => {
+    const nameOf = (id) => `<${id}>`;
+    const blocked = { ok: false, reason: "BLOCKED", details: { blockers: ["A", "B"] } };
+    expect(resultText("en", blocked, "reason", { nameOf })).toBe("Cannot unstack. Remove first: <A>, <B>");
+    // the history scope has its own BLOCKED text, other reasons fall through to "reason"
+    expect(resultText("en", { ...blocked, details: { id: "X", blockers: ["A"] } }, ["historyReason", "reason"], { nameOf }))
+      .toBe("Containers were stacked on <X> since: <A>.");
+    expect(resultText("en", { reason: "STACK_FULL", details: { tier: 3 } }, ["historyReason", "reason"]))
+      .toBe("Target on tier 3 is already taken (stack full).");
+    expect(resultText("en", { reason: "NO_SUCH_THING" }, ["queueReason", "reason"])).toBe("Placement not possible.");
+    expect(resultText("en", { code: "CHECK_DIGIT", details: { expected: 3 } }, "specError")).toBe(
+      "Wrong check digit (expected 3)."
+    );
+  });
+
+  test("unknown keys fall back to German, then to the key", () => {
+    expect(translate("fr", "common.free")).toBe("frei");
+    expect(translate("en", "no.such.key")).toBe("no.such.key");
+    expect(translate("en", "no.such.key", {}, { fallback: "common.free" })).toBe("free");
+  });
+
+  test("current locale drives t / tr", () => {
+    expect(t("common.gate")).toBe("Gate");
+    expect(setLocale("en")).toBe("en");
+    expect(t("common.free")).toBe("free");
+    expect(tr({ reason: "NOT_IN_YARD" }, "reason")).toMatch(/^This container/);
+    expect(setLocale("xx")).toBe("de");
+  });
+
+  test("locale is stored, else taken from the browser languages", () => {
+    expect(loadLocale(memoryStorage(), ["fr-FR", "en-US"])).toBe("en");
+    expect(loadLocale(memoryStorage(), ["fr-FR"])).toBe("de");
+    const storage = memoryStorage();
+    expect(saveLocale("en", storage)).toBe(true);
+    expect(storage.data[LOCALE_STORAGE_KEY]).toBe("en");
+    expect(loadLocale(storage, ["de-DE"])).toBe("en");
+    const broken = { getItem: () => { throw new Error("denied"); }, setItem: () => { throw new Error("denied"); } };
+    expect(loadLocale(broken, ["en"])).toBe("en");
+    expect(saveLocale("en", broken)).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+// src/yard/benchmark.js
+// ---------------------------------------------
+// Rendering benchmark (headless, no three.js / React)
+// - benchmarkSnapshot(): a full block of empty 20’ / 40’ boxes as a yard
+//   snapshot (loads through parseYardSnapshot like any saved yard); seeded,
+//   a stack column (bay × row pair) is either all 40’ or all 20’
+// - frameStats(): frame time figures from requestAnimationFrame timestamps
+// ---------------------------------------------
+
+import { normalizeYardConfig } from "./yardConfig";
+import { cellKey } from "./yardModel";
+import { generateContainerNumber } from "./iso6346";
+import { createRng } from "./simulation";
+import { SNAPSHOT_VERSION } from "./yardStorage";
+
+// 40 × 40 × 4 = 6,400 slots; with 30 % of the stack pairs in 40’ boxes about 5,400 boxes
+export const DEFAULT_BENCHMARK = Object.freeze({ bays: 40, rows: 40, tiers: 4, share40: 0.3, seed: 1 });
+export const BENCHMARK_OWNER = "BNCU";
+
+const BENCH_COLORS = ["#7fb3d5", "#f0b27a", "#82e0aa", "#c39bd3", "#f7dc6f", "#e59866", "#76d7c4", "#f1948a"];
+
+/**
+ * Snapshot of a completely filled block: `base` config with the benchmark
+ * bays/rows/tiers (clamped to the yard limits), every slot taken, gate empty.
+ */
+export function benchmarkSnapshot(base, options = {}) {
+  const { share40, seed, ...size } = { ...DEFAULT_BENCHMARK, ...options };
+  const config = normalizeYardConfig({ ...base, ...size });
+  const rng = createRng(seed);
+  const taken = new Set();
+  const containers = [];
+  const occ = {};
+  const addBox = (sizeTEU, cells) => {
+    const id = generateContainerNumber(BENCHMARK_OWNER, (n) => taken.has(n), rng);
+    taken.add(id);
+    const color = BENCH_COLORS[Math.floor(rng() * BENCH_COLORS.length)];
+    containers.push({ id, sizeTEU, color, typeCode: sizeTEU === 2 ? "42G1" : "22G1", full: false, cells });
+    cells.forEach((c) => { occ[cellKey(c.bay, c.row, c.tier)] = id; });
+  };
+  for (let bay = 1; bay <= config.bays; bay++) {
+    for (let row = 1; row <= config.rows; row += 2) {
+      const pair = row < config.rows && rng() < share40;
+      for (let tier = 1; tier <= config.tiers; tier++) {
+        if (pair) {
+          addBox(2, [{ bay, row, tier }, { bay, row: row + 1, tier }]);
+        } else {
+          addBox(1, [{ bay, row, tier }]);
+          if (row < config.rows) addBox(1, [{ bay, row: row + 1, tier }]);
+        }
+      }
+    }
+  }
+  return { version: SNAPSHOT_VERSION, savedAt: null, config, containers, occ, gateQueue: [] };
+}
+
+/** { frames, meanMs, p95Ms, maxMs, fps } for the gaps between frames (ms); null without frames. */
+export function frameStats(frameMs) {
+  if (!frameMs.length) return null;
+  const sorted = [...frameMs].sort((a, b) => a - b);
+  const meanMs = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+  return {
+    frames: sorted.length,
+    meanMs,
+    p95Ms: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+    maxMs: sorted[sorted.length - 1],
+    fps: meanMs > 0 ? 1000 / meanMs : 0,
+  };
+}
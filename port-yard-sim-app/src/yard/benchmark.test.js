@@ -0,0 +1,36 @@
+import { DEFAULT_BENCHMARK, benchmarkSnapshot, frameStats } from "./benchmark";
+import { DEFAULT_YARD_CONFIG } from "./yardConfig";
+import { parseYardSnapshot } from "./yardStorage";
+
+describe("benchmark", () => {
+  test("fills every slot of the block and loads like a saved yard", () => {
+    const snapshot = benchmarkSnapshot(DEFAULT_YARD_CONFIG, { bays: 4, rows: 5, tiers: 3, seed: 7 });
+    const res = parseYardSnapshot(snapshot);
+    expect(res.errors).toEqual([]);
+    expect(Object.keys(res.model.occupancy())).toHaveLength(4 * 5 * 3);
+    expect(snapshot.gateQueue).toEqual([]);
+    expect(new Set(snapshot.containers.map((c) => c.sizeTEU))).toEqual(new Set([1, 2]));
+    // same seed, same yard
+    expect(benchmarkSnapshot(DEFAULT_YARD_CONFIG, { bays: 4, rows: 5, tiers: 3, seed: 7 }).containers).toEqual(
+      snapshot.containers
+    );
+  });
+
+  test("the default block holds at least 5,000 boxes", () => {
+    const snapshot = benchmarkSnapshot(DEFAULT_YARD_CONFIG, DEFAULT_BENCHMARK);
+    const { bays, rows, tiers } = DEFAULT_BENCHMARK;
+    expect(Object.keys(snapshot.occ)).toHaveLength(bays * rows * tiers);
+    expect(snapshot.config).toMatchObject({ bays, rows, tiers }); // within the yard limits
+    expect(snapshot.containers.length).toBeGreaterThanOrEqual(5000);
+    expect(snapshot.containers.some((c) => c.sizeTEU === 2)).toBe(true);
+    expect(benchmarkSnapshot(DEFAULT_YARD_CONFIG, { share40: 0 }).containers).toHaveLength(bays * rows * tiers);
+  });
+
+  test("frame statistics", () => {
+    expect(frameStats([])).toBeNull();
+    const stats = frameStats([...Array(19).fill(10), 50]);
+    expect(stats).toMatchObject({ frames: 20, maxMs: 50, p95Ms: 10 });
+    expect(stats.meanMs).toBeCloseTo(12);
+    expect(stats.fps).toBeCloseTo(1000 / 12);
+  });
+});
@@ -0,0 +1,208 @@
+// src/yard/cameraViews.js
+// ---------------------------------------------
+// Camera views of the 3D yard (headless, no three.js / React)
+// - A pose is { projection: "perspective" | "orthographic", position, target,
+//   height, near, far } with plain { x, y, z } points in metres; `height` is the
+//   visible height at the target (the orthographic frustum)
+// - overviewPose(): oblique perspective view of the whole block (free camera)
+// - planPose(): top-down orthographic plan of the block, row 1 at the top
+// - sectionPose(): orthographic cross-section through one bay (rows left to
+//   right, tiers bottom-up); near/far cut out a slab one bay wide
+// - followPose(): perspective camera trailing a crane hook
+// - Transitions run on the perspective camera: asPerspective() turns an
+//   orthographic pose into the perspective one that shows the same height,
+//   interpolatePose() + easeInOut() blend two poses
+// - Saved viewpoints: validated list in localStorage
+// ---------------------------------------------
+
+export const VIEWS = Object.freeze({
+  FREE: "free", // orbit camera
+  PLAN: "plan",
+  SECTION: "section",
+  FOLLOW: "follow",
+});
+export const PROJECTIONS = Object.freeze({ PERSPECTIVE: "perspective", ORTHOGRAPHIC: "orthographic" });
+
+export const VIEWS_STORAGE_KEY = "port-yard-sim.views";
+export const MAX_SAVED_VIEWS = 12;
+export const MAX_VIEW_NAME = 40;
+
+const DEFAULT_NEAR = 0.1;
+const DEFAULT_FAR = 1000;
+const OVERVIEW_DIR = { x: -8, y: 14, z: 18 };  // start view direction (from the target)
+const FOLLOW_OFFSET = { x: -10, y: 12, z: 14 }; // behind and above the hook, like the start view
+
+const vec = (x, y, z) => ({ x, y, z });
+const lerp = (a, b, k) => a + (b - a) * k;
+const lerpVec = (a, b, k) => vec(lerp(a.x, b.x, k), lerp(a.y, b.y, k), lerp(a.z, b.z, k));
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const halfAngle = (fov) => Math.tan((fov * Math.PI) / 360);
+
+// perspective camera with vertical `fov` (degrees): visible height at `dist`, and back
+export const visibleHeight = (dist, fov) => 2 * dist * halfAngle(fov);
+export const distanceForHeight = (height, fov) => height / (2 * halfAngle(fov));
+
+// frustum height that fits a width × height rectangle into a viewport of `aspect` (+ margin)
+export function fitHeight(width, height, aspect, margin = 1.15) {
+  return Math.max(height, width / aspect) * margin;
+}
+
+const centreOf = (bounds, y = 0) => vec((bounds.minX + bounds.maxX) / 2, y, (bounds.minZ + bounds.maxZ) / 2);
+
+/** Oblique view from the start direction, pulled back until the whole block fits. */
+export function overviewPose(bounds, { aspect, fov }) {
+  const target = centreOf(bounds);
+  const height = fitHeight(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ, aspect);
+  const len = Math.hypot(OVERVIEW_DIR.x, OVERVIEW_DIR.y, OVERVIEW_DIR.z);
+  const dist = Math.max(distanceForHeight(height, fov), len);
+  return {
+    projection: PROJECTIONS.PERSPECTIVE,
+    position: vec(
+      target.x + (OVERVIEW_DIR.x / len) * dist,
+      target.y + (OVERVIEW_DIR.y / len) * dist,
+      target.z + (OVERVIEW_DIR.z / len) * dist
+    ),
+    target,
+    height: null,
+    near: DEFAULT_NEAR,
+    far: DEFAULT_FAR,
+  };
+}
+
+/**
+ * Top-down plan of `bounds` { minX, maxX, minZ, maxZ, top } (top = highest stack).
+ * The camera sits a hair towards +z so screen "up" stays -z: row 1 on top, bays left to right.
+ */
+export function planPose(bounds, { aspect, fov }) {
+  const target = centreOf(bounds);
+  const height = fitHeight(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ, aspect);
+  const dist = Math.max(distanceForHeight(height, fov), bounds.top + 5);
+  return {
+    projection: PROJECTIONS.ORTHOGRAPHIC,
+    position: vec(target.x, dist, target.z + 1e-3),
+    target,
+    height,
+    near: DEFAULT_NEAR,
+    far: DEFAULT_FAR,
+  };
+}
+
+/**
+ * Cross-section through the bay centred at `bayX`: the camera looks along +x, so rows run
+ * left to right and tiers bottom-up; near/far keep only the slab of that bay (`bayWidth`).
+ * `bounds.bottom` (default 0) leaves room below the plate, e.g. for row labels.
+ */
+export function sectionPose(bounds, bayX, bayWidth, { aspect, fov }) {
+  const bottom = bounds.bottom ?? 0;
+  const target = vec(bayX, (bottom + bounds.top) / 2, (bounds.minZ + bounds.maxZ) / 2);
+  const height = fitHeight(bounds.maxZ - bounds.minZ, bounds.top - bottom, aspect);
+  const dist = Math.max(distanceForHeight(height, fov), bayWidth);
+  return {
+    projection: PROJECTIONS.ORTHOGRAPHIC,
+    position: vec(bayX - dist, target.y, target.z),
+    target,
+    height,
+    near: dist - bayWidth / 2,
+    far: dist + bayWidth / 2,
+  };
+}
+
+// perspective view on the crane hook at `hook`; `offset` = camera position relative to the hook
+export function followPose(hook, offset = FOLLOW_OFFSET) {
+  return {
+    projection: PROJECTIONS.PERSPECTIVE,
+    position: vec(hook.x + offset.x, hook.y + offset.y, hook.z + offset.z),
+    target: vec(hook.x, hook.y, hook.z),
+    height: null,
+    near: DEFAULT_NEAR,
+    far: DEFAULT_FAR,
+  };
+}
+
+/** Same viewing direction, moved to where a perspective camera with `fov` shows `pose.height`. */
+export function asPerspective(pose, fov) {
+  if (pose.projection !== PROJECTIONS.ORTHOGRAPHIC) return pose;
+  const dist = distanceForHeight(pose.height, fov);
+  const len = distance(pose.position, pose.target) || 1;
+  const dir = vec(
+    (pose.position.x - pose.target.x) / len,
+    (pose.position.y - pose.target.y) / len,
+    (pose.position.z - pose.target.z) / len
+  );
+  return {
+    ...pose,
+    projection: PROJECTIONS.PERSPECTIVE,
+    position: vec(pose.target.x + dir.x * dist, pose.target.y + dir.y * dist, pose.target.z + dir.z * dist),
+    near: DEFAULT_NEAR,
+    far: DEFAULT_FAR,
+  };
+}
+
+/** Perspective pose between `a` (k = 0) and `b` (k = 1); both are made perspective first. */
+export function interpolatePose(a, b, k, fov) {
+  const [from, to] = [asPerspective(a, fov), asPerspective(b, fov)];
+  return {
+    projection: PROJECTIONS.PERSPECTIVE,
+    position: lerpVec(from.position, to.position, k),
+    target: lerpVec(from.target, to.target, k),
+    height: null,
+    near: DEFAULT_NEAR,
+    far: DEFAULT_FAR,
+  };
+}
+
+// slow start, slow end
+export const easeInOut = (k) => (k < 0.5 ? 2 * k * k : 1 - (-2 * k + 2) ** 2 / 2);
+
+// ===== Saved viewpoints =====
+const isPoint = (p) => !!p && ["x", "y", "z"].every((k) => Number.isFinite(p[k]));
+
+/** A stored viewpoint { name, view, ...pose } or null when it is not usable. */
+export function normalizeSavedView(input) {
+  if (!input || typeof input !== "object") return null;
+  const name = String(input.name ?? "").trim().slice(0, MAX_VIEW_NAME);
+  const ortho = input.projection === PROJECTIONS.ORTHOGRAPHIC;
+  if (!name || !Object.values(PROJECTIONS).includes(input.projection)) return null;
+  if (!isPoint(input.position) || !isPoint(input.target)) return null;
+  if (ortho && !(input.height > 0)) return null;
+  const near = Number.isFinite(input.near) && input.near > 0 ? input.near : DEFAULT_NEAR;
+  const far = Number.isFinite(input.far) && input.far > near ? input.far : DEFAULT_FAR;
+  return {
+    name,
+    view: Object.values(VIEWS).includes(input.view) ? input.view : VIEWS.FREE,
+    projection: input.projection,
+    position: vec(input.position.x, input.position.y, input.position.z),
+    target: vec(input.target.x, input.target.y, input.target.z),
+    height: ortho ? input.height : null,
+    near,
+    far,
+  };
+}
+
+/** Add or replace (same name) a viewpoint; the newest comes last, the oldest drop out. */
+export function upsertView(views, view) {
+  const clean = normalizeSavedView(view);
+  if (!clean) return views;
+  return [...views.filter((v) => v.name !== clean.name), clean].slice(-MAX_SAVED_VIEWS);
+}
+
+const defaultStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+export function saveViews(views, storage = defaultStorage()) {
+  try {
+    storage?.setItem(VIEWS_STORAGE_KEY, JSON.stringify(views));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// stored viewpoints (broken entries dropped); [] when nothing usable is stored
+export function loadViews(storage = defaultStorage()) {
+  try {
+    const list = JSON.parse(storage?.getItem(VIEWS_STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list.map(normalizeSavedView).filter(Boolean).slice(-MAX_SAVED_VIEWS) : [];
+  } catch {
+    return [];
+  }
+}
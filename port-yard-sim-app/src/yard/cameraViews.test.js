@@ -0,0 +1,121 @@
+import {
+  MAX_SAVED_VIEWS,
+  VIEWS,
+  VIEWS_STORAGE_KEY,
+  asPerspective,
+  distanceForHeight,
+  easeInOut,
+  fitHeight,
+  followPose,
+  interpolatePose,
+  loadViews,
+  normalizeSavedView,
+  overviewPose,
+  planPose,
+  saveViews,
+  sectionPose,
+  upsertView,
+  visibleHeight,
+} from "./cameraViews";
+
+const bounds = { minX: 0, maxX: 40, minZ: 0, maxZ: 20, top: 10 };
+const FOV = 55;
+
+const memoryStorage = () => {
+  const data = {};
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => { data[k] = String(v); }, data };
+};
+
+describe("cameraViews", () => {
+  test("perspective distance and visible height are inverse", () => {
+    expect(visibleHeight(distanceForHeight(30, FOV), FOV)).toBeCloseTo(30);
+    expect(fitHeight(40, 10, 2, 1)).toBe(20); // width-bound
+    expect(fitHeight(10, 30, 2, 1)).toBe(30); // height-bound
+  });
+
+  test("overview looks at the block centre from the start direction", () => {
+    const pose = overviewPose(bounds, { aspect: 2, fov: FOV });
+    expect(pose.target).toEqual({ x: 20, y: 0, z: 10 });
+    expect(pose.position.x).toBeLessThan(20);
+    expect(pose.position.y).toBeGreaterThan(0);
+    expect(pose.position.z).toBeGreaterThan(10);
+    const big = overviewPose({ ...bounds, maxX: 400 }, { aspect: 2, fov: FOV });
+    expect(big.position.y - big.target.y).toBeGreaterThan(pose.position.y - pose.target.y);
+  });
+
+  test("plan looks straight down on the block centre and fits it", () => {
+    const pose = planPose(bounds, { aspect: 2, fov: FOV });
+    expect(pose.projection).toBe("orthographic");
+    expect(pose.target).toEqual({ x: 20, y: 0, z: 10 });
+    expect(pose.position.x).toBe(20);
+    expect(pose.position.z).toBeGreaterThan(10); // screen-up = -z, row 1 on top
+    expect(pose.position.y).toBeGreaterThan(bounds.top);
+    expect(pose.height).toBeCloseTo(20 * 1.15);
+  });
+
+  test("section looks along +x and clips to one bay", () => {
+    const pose = sectionPose(bounds, 15, 6, { aspect: 2, fov: FOV });
+    expect(pose.target).toEqual({ x: 15, y: 5, z: 10 });
+    expect(pose.position.y).toBe(5);
+    expect(pose.position.z).toBe(10);
+    const dist = pose.target.x - pose.position.x;
+    expect(dist).toBeGreaterThan(0);
+    expect(pose.near).toBeCloseTo(dist - 3);
+    expect(pose.far).toBeCloseTo(dist + 3);
+    // room below the plate (labels) moves the centre down
+    expect(sectionPose({ ...bounds, bottom: -2 }, 15, 6, { aspect: 2, fov: FOV }).target.y).toBe(4);
+  });
+
+  test("follow trails the hook", () => {
+    const pose = followPose({ x: 5, y: 8, z: 2 }, { x: -1, y: 2, z: 3 });
+    expect(pose.target).toEqual({ x: 5, y: 8, z: 2 });
+    expect(pose.position).toEqual({ x: 4, y: 10, z: 5 });
+  });
+
+  test("transitions blend perspective equivalents with easing", () => {
+    const plan = planPose(bounds, { aspect: 2, fov: FOV });
+    const persp = asPerspective(plan, FOV);
+    expect(persp.projection).toBe("perspective");
+    expect(visibleHeight(persp.position.y - persp.target.y, FOV)).toBeCloseTo(plan.height, 2);
+    const start = followPose({ x: 0, y: 0, z: 0 });
+    expect(interpolatePose(start, plan, 0, FOV).position).toEqual(start.position);
+    const end = interpolatePose(start, plan, 1, FOV);
+    expect(end.position.y).toBeCloseTo(persp.position.y);
+    expect(end.target).toEqual(plan.target);
+    expect(easeInOut(0)).toBe(0);
+    expect(easeInOut(0.5)).toBe(0.5);
+    expect(easeInOut(1)).toBe(1);
+  });
+
+  test("saved views are validated, replaced by name and capped", () => {
+    const good = { name: " Nord ", ...planPose(bounds, { aspect: 2, fov: FOV }), view: VIEWS.PLAN };
+    expect(normalizeSavedView(good)).toMatchObject({ name: "Nord", view: "plan", projection: "orthographic" });
+    expect(normalizeSavedView({ ...good, name: "" })).toBeNull();
+    expect(normalizeSavedView({ ...good, height: 0 })).toBeNull();
+    expect(normalizeSavedView({ ...good, target: { x: 1, y: NaN, z: 0 } })).toBeNull();
+    expect(normalizeSavedView({ ...good, view: "fisheye" }).view).toBe(VIEWS.FREE);
+
+    let views = upsertView([], good);
+    views = upsertView(views, { ...good, name: "Nord", view: VIEWS.SECTION });
+    expect(views).toHaveLength(1);
+    expect(views[0].view).toBe("section");
+    expect(upsertView(views, { name: "x" })).toBe(views);
+    for (let i = 0; i < MAX_SAVED_VIEWS + 3; i++) views = upsertView(views, { ...good, name: `v${i}` });
+    expect(views).toHaveLength(MAX_SAVED_VIEWS);
+    expect(views[views.length - 1].name).toBe(`v${MAX_SAVED_VIEWS + 2}`);
+  });
+
+  test("views round-trip through storage, broken storage is harmless", () => {
+    const storage = memoryStorage();
+    const views = upsertView([], { name: "Kran", ...followPose({ x: 1, y: 2, z: 3 }) });
+    expect(saveViews(views, storage)).toBe(true);
+    expect(loadViews(storage)).toEqual(views);
+    storage.data[VIEWS_STORAGE_KEY] = JSON.stringify([...views, { name: "kaputt" }]);
+    expect(loadViews(storage)).toEqual(views);
+    storage.data[VIEWS_STORAGE_KEY] = "{not json";
+    expect(loadViews(storage)).toEqual([]);
+    const broken = { getItem: () => { throw new Error("denied"); }, setItem: () => { throw new Error("denied"); } };
+    expect(loadViews(broken)).toEqual([]);
+    expect(saveViews(views, broken)).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+// src/yard/commands.js
+// ---------------------------------------------
+// Text commands for the yard console (headless, no three.js / React)
+// - One command per line, case-insensitive verbs:
+//     ADD <20|40|45|type> [#color] [number] [weight kg|t]
+//     MOVE <box> <slot>      REMOVE <box>      SWAP <box> <box>
+//     LIST [bay | slot | GATE]                 HELP
+//   <box> is a container number, a slot ("C3" = top of the stack) or a
+//   slot/tier ("C3/2")
+// - Scripts: several lines, blank lines and "#" / "//" comments skipped, errors
+//   carry the line number
+// - completeCommand() proposes verbs, container numbers and slots for the
+//   word under the cursor
+// ---------------------------------------------
+
+import { DEFAULT_TYPE_FOR_SIZE, isoType, normalizeContainerNumber } from "./iso6346";
+import { bayCode, bayIndex, formatSlot, parseSlot } from "./yardConfig";
+
+export const COMMANDS = Object.freeze(["ADD", "MOVE", "REMOVE", "SWAP", "LIST", "HELP"]);
+
+export const COMMAND_REASONS = Object.freeze({
+  UNKNOWN_COMMAND: "UNKNOWN_COMMAND",   // details.verb
+  MISSING_ARGUMENT: "MISSING_ARGUMENT", // details.arg
+  INVALID_ARGUMENT: "INVALID_ARGUMENT", // details.arg, details.value
+  EXTRA_ARGUMENT: "EXTRA_ARGUMENT",     // details.value
+  EMPTY_SLOT: "EMPTY_SLOT",             // details.bay, details.row, details.tier (null = whole stack)
+  NOT_FOUND: "NOT_FOUND",               // details.id
+});
+
+// argument kinds per verb (drives parsing and completion)
+const ARGS = {
+  MOVE: ["box", "slot"],
+  REMOVE: ["box"],
+  SWAP: ["box", "box"],
+  LIST: ["scope"],
+  HELP: [],
+};
+
+const SIZE_TYPES = { 20: DEFAULT_TYPE_FOR_SIZE[1], 40: DEFAULT_TYPE_FOR_SIZE[2], 45: "45G1" };
+const NUMBER_RE = /^[A-Z]{4}\d{7}$/;
+
+const fail = (reason, details = {}) => ({ ok: false, reason, details });
+
+// "MSKU1234565" -> { id }, "C3/2" -> { bay, row, tier }, "C3" -> { bay, row } (top box); null if neither
+export function parseBoxRef(text, cfg) {
+  const word = String(text || "").trim().toUpperCase();
+  if (NUMBER_RE.test(normalizeContainerNumber(word))) return { id: normalizeContainerNumber(word) };
+  const m = /^([A-Z]+\d+)(?:\/(\d+))?$/.exec(word);
+  const pos = m && parseSlot(m[1], cfg);
+  if (!pos) return null;
+  if (m[2] === undefined) return pos;
+  const tier = Number(m[2]);
+  return tier >= 1 && tier <= cfg.tiers ? { ...pos, tier } : null;
+}
+
+/** Container id a box reference points at in `model`: { ok, id } or EMPTY_SLOT / NOT_FOUND. */
+export function resolveBoxRef(model, ref) {
+  if (ref.id) return model.getContainer(ref.id) ? { ok: true, id: ref.id } : fail(COMMAND_REASONS.NOT_FOUND, { id: ref.id });
+  if (ref.tier) {
+    const id = model.occupantAt(ref.bay, ref.row, ref.tier);
+    return id ? { ok: true, id } : fail(COMMAND_REASONS.EMPTY_SLOT, { bay: ref.bay, row: ref.row, tier: ref.tier });
+  }
+  for (let tier = model.config.tiers; tier >= 1; tier--) {
+    const id = model.occupantAt(ref.bay, ref.row, tier);
+    if (id) return { ok: true, id };
+  }
+  return fail(COMMAND_REASONS.EMPTY_SLOT, { bay: ref.bay, row: ref.row, tier: null });
+}
+
+// LIST scope: "" = everything, "GATE", a bay ("B") or a stack ("B2")
+function parseScope(text, cfg) {
+  const word = text.toUpperCase();
+  if (word === "GATE") return { gate: true };
+  const slot = parseSlot(word, cfg);
+  if (slot) return slot;
+  const bay = bayIndex(word);
+  return bay && bay <= cfg.bays ? { bay } : null;
+}
+
+function parseAdd(args) {
+  const cmd = { verb: "ADD", typeCode: null, color: null, number: null, grossKg: null };
+  for (const arg of args) {
+    const word = arg.toUpperCase();
+    const weight = /^(\d+(?:[.,]\d+)?)(KG|T)$/.exec(word);
+    if (!cmd.typeCode && (SIZE_TYPES[word] || isoType(word))) cmd.typeCode = SIZE_TYPES[word] || word;
+    else if (!cmd.color && /^#[0-9A-F]{6}$/.test(word)) cmd.color = arg.toLowerCase();
+    else if (!cmd.number && NUMBER_RE.test(word)) cmd.number = word;
+    else if (cmd.grossKg === null && weight) cmd.grossKg = Number(weight[1].replace(",", ".")) * (weight[2] === "T" ? 1000 : 1);
+    else return fail(COMMAND_REASONS.INVALID_ARGUMENT, { arg: "add", value: arg });
+  }
+  if (!cmd.typeCode) return fail(COMMAND_REASONS.MISSING_ARGUMENT, { arg: "size" });
+  return { ok: true, command: cmd };
+}
+
+/**
+ * One command line -> { ok, command: { verb, … } } or { ok: false, reason, details }.
+ * MOVE/REMOVE/SWAP carry box references (see parseBoxRef), MOVE a target { bay, row },
+ * LIST a scope ({} / { gate } / { bay } / { bay, row }).
+ */
+export function parseCommand(line, cfg) {
+  const [first = "", ...args] = String(line || "").trim().split(/\s+/);
+  const verb = first.toUpperCase();
+  if (!COMMANDS.includes(verb)) return fail(COMMAND_REASONS.UNKNOWN_COMMAND, { verb: first });
+  if (verb === "ADD") return parseAdd(args);
+
+  const kinds = ARGS[verb];
+  if (args.length > kinds.length) return fail(COMMAND_REASONS.EXTRA_ARGUMENT, { value: args[kinds.length] });
+  const command = { verb };
+  if (verb === "LIST") {
+    const scope = args.length ? parseScope(args[0], cfg) : {};
+    return scope ? { ok: true, command: { verb, scope } } : fail(COMMAND_REASONS.INVALID_ARGUMENT, { arg: "scope", value: args[0] });
+  }
+  const boxes = [];
+  for (let i = 0; i < kinds.length; i++) {
+    if (args[i] === undefined) return fail(COMMAND_REASONS.MISSING_ARGUMENT, { arg: kinds[i] });
+    const value = kinds[i] === "slot" ? parseSlot(args[i], cfg) : parseBoxRef(args[i], cfg);
+    if (!value) return fail(COMMAND_REASONS.INVALID_ARGUMENT, { arg: kinds[i], value: args[i] });
+    if (kinds[i] === "slot") command.target = value;
+    else boxes.push(value);
+  }
+  return { ok: true, command: { ...command, boxes } };
+}
+
+/** Multi-line script -> [{ line, text, ...parseCommand() }] without blank lines and "#" / "//" comments. */
+export function parseScript(text, cfg) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((raw, i) => ({ line: i + 1, text: raw.trim() }))
+    .filter(({ text: t }) => t && !t.startsWith("//") && !t.startsWith("#"))
+    .map((entry) => ({ ...entry, ...parseCommand(entry.text, cfg) }));
+}
+
+// ===== Completion =====
+function slotWords(cfg) {
+  const words = [];
+  for (let bay = 1; bay <= cfg.bays; bay++) {
+    for (let row = 1; row <= cfg.rows; row++) words.push(formatSlot(bay, row));
+  }
+  return words;
+}
+
+function candidates(kind, ids, cfg) {
+  if (kind === "verb") return [...COMMANDS];
+  if (kind === "slot") return slotWords(cfg);
+  if (kind === "box") return [...ids, ...slotWords(cfg)];
+  if (kind === "scope") return ["GATE", ...Array.from({ length: cfg.bays }, (_, i) => bayCode(i + 1)), ...slotWords(cfg)];
+  if (kind === "add") return ["20", "40", "45"];
+  return [];
+}
+
+/**
+ * Proposals for the last word of `input` (the line being typed).
+ * Returns { prefix, options } where options are whole words (upper case), at most `limit`.
+ */
+export function completeCommand(input, { ids = [], config, limit = 8 }) {
+  const words = String(input || "").replace(/^\s+/, "").split(/\s+/);
+  const prefix = words[words.length - 1].toUpperCase();
+  const verb = words[0].toUpperCase();
+  const kind = words.length === 1 ? "verb" : verb === "ADD" ? (words.length === 2 ? "add" : null) : ARGS[verb]?.[words.length - 2];
+  const options = candidates(kind, ids, config).filter((w) => w.startsWith(prefix) && w !== prefix);
+  return { prefix, options: options.slice(0, limit) };
+}
@@ -0,0 +1,69 @@
+import { YardModel } from "./yardModel";
+import { COMMAND_REASONS, completeCommand, parseBoxRef, parseCommand, parseScript, resolveBoxRef } from "./commands";
+
+const CFG = { bays: 4, rows: 5, tiers: 3 };
+
+describe("commands", () => {
+  test("ADD takes size or type, color, number and weight in any order", () => {
+    expect(parseCommand("add 40 #FF0000", CFG)).toEqual({
+      ok: true,
+      command: { verb: "ADD", typeCode: "42G1", color: "#ff0000", number: null, grossKg: null },
+    });
+    expect(parseCommand("ADD 12,5t 22R1 MSKU1234565", CFG).command).toMatchObject({
+      typeCode: "22R1",
+      number: "MSKU1234565",
+      grossKg: 12500,
+    });
+    expect(parseCommand("ADD #00ff00", CFG)).toMatchObject({ ok: false, reason: COMMAND_REASONS.MISSING_ARGUMENT });
+    expect(parseCommand("ADD 20 blau", CFG)).toMatchObject({ ok: false, details: { value: "blau" } });
+  });
+
+  test("MOVE / REMOVE / SWAP / LIST arguments", () => {
+    expect(parseCommand("MOVE MSKU1234565 B2", CFG).command).toEqual({
+      verb: "MOVE",
+      boxes: [{ id: "MSKU1234565" }],
+      target: { bay: 2, row: 2 },
+    });
+    expect(parseCommand("remove c3/2", CFG).command.boxes).toEqual([{ bay: 3, row: 3, tier: 2 }]);
+    expect(parseCommand("SWAP A1 B1", CFG).command.boxes).toEqual([{ bay: 1, row: 1 }, { bay: 2, row: 1 }]);
+    expect(parseCommand("LIST B", CFG).command.scope).toEqual({ bay: 2 });
+    expect(parseCommand("LIST gate", CFG).command.scope).toEqual({ gate: true });
+    expect(parseCommand("LIST", CFG).command.scope).toEqual({});
+
+    expect(parseCommand("PARK A1", CFG)).toMatchObject({ reason: COMMAND_REASONS.UNKNOWN_COMMAND, details: { verb: "PARK" } });
+    expect(parseCommand("MOVE A1", CFG)).toMatchObject({ reason: COMMAND_REASONS.MISSING_ARGUMENT, details: { arg: "slot" } });
+    expect(parseCommand("MOVE A1 Z9", CFG)).toMatchObject({ reason: COMMAND_REASONS.INVALID_ARGUMENT, details: { arg: "slot" } });
+    expect(parseCommand("REMOVE C3/4", CFG)).toMatchObject({ reason: COMMAND_REASONS.INVALID_ARGUMENT }); // only 3 tiers
+    expect(parseCommand("REMOVE A1 A2", CFG)).toMatchObject({ reason: COMMAND_REASONS.EXTRA_ARGUMENT, details: { value: "A2" } });
+    expect(parseCommand("LIST F", CFG)).toMatchObject({ reason: COMMAND_REASONS.INVALID_ARGUMENT });
+  });
+
+  test("box references resolve against the yard", () => {
+    const yard = new YardModel(CFG);
+    yard.addContainer({ id: "MSKU1234565", sizeTEU: 1 });
+    yard.addContainer({ id: "MSCU7654329", sizeTEU: 1 });
+    yard.place("MSKU1234565", "C3");
+    yard.place("MSCU7654329", "C3");
+    expect(resolveBoxRef(yard, parseBoxRef("C3", CFG))).toEqual({ ok: true, id: "MSCU7654329" });
+    expect(resolveBoxRef(yard, parseBoxRef("C3/1", CFG))).toEqual({ ok: true, id: "MSKU1234565" });
+    expect(resolveBoxRef(yard, parseBoxRef("C3/3", CFG))).toMatchObject({ reason: COMMAND_REASONS.EMPTY_SLOT });
+    expect(resolveBoxRef(yard, parseBoxRef("A1", CFG))).toMatchObject({ details: { bay: 1, row: 1, tier: null } });
+    expect(resolveBoxRef(yard, parseBoxRef("HLXU1111119", CFG))).toMatchObject({ reason: COMMAND_REASONS.NOT_FOUND });
+  });
+
+  test("scripts skip blanks and comments and keep line numbers", () => {
+    const lines = parseScript("# Umstapeln\nADD 20\n\n// dann\nMOVE C3 D1\nFOO\n", CFG);
+    expect(lines.map((l) => [l.line, l.ok])).toEqual([[2, true], [5, true], [6, false]]);
+    expect(lines[2]).toMatchObject({ text: "FOO", reason: COMMAND_REASONS.UNKNOWN_COMMAND });
+  });
+
+  test("completion by argument position", () => {
+    const ctx = { ids: ["MSKU1234565", "MSCU7654329"], config: CFG };
+    expect(completeCommand("mo", ctx).options).toEqual(["MOVE"]);
+    expect(completeCommand("MOVE MS", ctx).options).toEqual(["MSKU1234565", "MSCU7654329"]);
+    expect(completeCommand("MOVE MSKU1234565 D", ctx).options).toEqual(["D1", "D2", "D3", "D4", "D5"]);
+    expect(completeCommand("LIST G", ctx).options).toEqual(["GATE"]);
+    expect(completeCommand("REMOVE ", ctx).options).toHaveLength(8);
+    expect(completeCommand("HELP x", ctx).options).toEqual([]);
+  });
+});
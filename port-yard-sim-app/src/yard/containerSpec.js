@@ -0,0 +1,93 @@
+// src/yard/containerSpec.js
+// ---------------------------------------------
+// Container attributes (headless)
+// - ISO number (= container id), size/type code, gross weight,
+//   full/empty flag, line operator, free-text remark, IMO hazard class
+// - validateContainerSpec() collects field errors for the entry form
+// ---------------------------------------------
+
+import { DEFAULT_TYPE_FOR_SIZE, ISO_REASONS, isoType, validateContainerNumber } from "./iso6346";
+import { isImoClass } from "./imdg";
+
+// attributes stored next to id/sizeTEU/color (model entries, snapshots)
+export const SPEC_FIELDS = Object.freeze(["typeCode", "grossKg", "full", "operator", "remark", "imoClass"]);
+
+export const SPEC_REASONS = Object.freeze({
+  ...ISO_REASONS,
+  DUPLICATE_NUMBER: "DUPLICATE_NUMBER",
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  INVALID_WEIGHT: "INVALID_WEIGHT",   // details.min / details.max
+  INVALID_IMO_CLASS: "INVALID_IMO_CLASS",
+});
+
+export const pickSpec = (src = {}) =>
+  SPEC_FIELDS.reduce((acc, f) => (src[f] === undefined ? acc : { ...acc, [f]: src[f] }), {});
+
+/**
+ * Fill defaults for a (possibly legacy) container: type from size, tare weight
+ * for empties, empty strings for operator/remark.
+ */
+export function withSpecDefaults({ sizeTEU = 1, ...spec }) {
+  const typeCode = spec.typeCode || DEFAULT_TYPE_FOR_SIZE[sizeTEU] || DEFAULT_TYPE_FOR_SIZE[1];
+  const type = isoType(typeCode);
+  const kg = Number(spec.grossKg);
+  return {
+    ...spec,
+    sizeTEU: type ? type.sizeTEU : sizeTEU,
+    typeCode,
+    full: spec.full ?? true,
+    grossKg: spec.grossKg != null && spec.grossKg !== "" && Number.isFinite(kg) ? kg : type?.tareKg || 0,
+    operator: spec.operator || "",
+    remark: spec.remark || "",
+    imoClass: spec.imoClass ? String(spec.imoClass) : "",
+  };
+}
+
+/**
+ * Validate a new container. `number` may be empty (caller generates one).
+ * `exists(id)` reports numbers already in the yard.
+ * Returns { ok, spec, errors: { field: { reason, details } } }.
+ */
+export function validateContainerSpec(input, exists = () => false) {
+  const errors = {};
+  let id = null;
+  if (input.number) {
+    const res = validateContainerNumber(input.number);
+    if (!res.ok) errors.number = { reason: res.reason, details: res.details };
+    else if (exists(res.number)) errors.number = { reason: SPEC_REASONS.DUPLICATE_NUMBER, details: { number: res.number } };
+    else id = res.number;
+  }
+
+  const type = isoType(input.typeCode);
+  if (!type) errors.typeCode = { reason: SPEC_REASONS.UNKNOWN_TYPE, details: { typeCode: input.typeCode } };
+
+  const grossKg = Number(input.grossKg);
+  if (type) {
+    const min = type.tareKg;
+    const max = type.maxGrossKg;
+    if (!Number.isFinite(grossKg) || grossKg < min || grossKg > max) {
+      errors.grossKg = { reason: SPEC_REASONS.INVALID_WEIGHT, details: { min, max } };
+    }
+  }
+
+  const imoClass = String(input.imoClass || "").trim();
+  if (imoClass && !isImoClass(imoClass)) {
+    errors.imoClass = { reason: SPEC_REASONS.INVALID_IMO_CLASS, details: { imoClass } };
+  }
+
+  if (Object.keys(errors).length) return { ok: false, errors };
+  return {
+    ok: true,
+    errors: {},
+    spec: withSpecDefaults({
+      id,
+      sizeTEU: type.sizeTEU,
+      typeCode: input.typeCode.toUpperCase(),
+      grossKg,
+      full: !!input.full,
+      operator: String(input.operator || "").trim(),
+      remark: String(input.remark || "").trim(),
+      imoClass,
+    }),
+  };
+}
@@ -0,0 +1,36 @@
+import { SPEC_REASONS, validateContainerSpec, withSpecDefaults } from "./containerSpec";
+
+describe("container spec", () => {
+  test("accepts a complete entry", () => {
+    const res = validateContainerSpec({
+      number: "CSQU 305438 3", typeCode: "45G1", grossKg: "24000", full: true, operator: " MSC ", remark: "",
+    });
+    expect(res).toMatchObject({
+      ok: true,
+      spec: { id: "CSQU3054383", sizeTEU: 2, typeCode: "45G1", grossKg: 24000, full: true, operator: "MSC" },
+    });
+  });
+
+  test("collects field errors", () => {
+    const res = validateContainerSpec(
+      { number: "CSQU3054383", typeCode: "22G1", grossKg: 40000 },
+      (n) => n === "CSQU3054383"
+    );
+    expect(res.ok).toBe(false);
+    expect(res.errors.number.reason).toBe(SPEC_REASONS.DUPLICATE_NUMBER);
+    expect(res.errors.grossKg).toEqual({ reason: SPEC_REASONS.INVALID_WEIGHT, details: { min: 2200, max: 30480 } });
+    expect(validateContainerSpec({ typeCode: "XXXX" }).errors.typeCode.reason).toBe(SPEC_REASONS.UNKNOWN_TYPE);
+    expect(validateContainerSpec({ typeCode: "22G1", grossKg: 9000, imoClass: "10" }).errors.imoClass.reason)
+      .toBe(SPEC_REASONS.INVALID_IMO_CLASS);
+  });
+
+  test("number may be left empty", () => {
+    expect(validateContainerSpec({ typeCode: "22G1", grossKg: 2200 })).toMatchObject({ ok: true, spec: { id: null } });
+  });
+
+  test("legacy containers get defaults from their size", () => {
+    expect(withSpecDefaults({ id: "Cabc", sizeTEU: 2 })).toEqual({
+      id: "Cabc", sizeTEU: 2, typeCode: "42G1", full: true, grossKg: 3750, operator: "", remark: "", imoClass: "",
+    });
+  });
+});
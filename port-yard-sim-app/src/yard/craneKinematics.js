@@ -0,0 +1,105 @@
+// src/yard/craneKinematics.js
+// ---------------------------------------------
+// Crane kinematics + cycle-time model (headless, no three.js / React)
+// - Three axes: gantry (X, along the rails), trolley (Z, across the rows),
+//   hoist (Y); each with max speed (m/s) and acceleration (m/s²)
+// - Trapezoidal velocity profile per axis (triangular when the distance is
+//   too short to reach top speed)
+// - A job is a list of steps; the axes of one step start together and the
+//   step lasts as long as its slowest axis; spreader lock/unlock take fixed time
+// - Poses are hook positions { x, y, z } in metres
+// ---------------------------------------------
+
+// crane parameters from the yard config
+export function craneAxes(cfg) {
+  return {
+    gantry: { vMax: cfg.gantrySpeed, aMax: cfg.gantryAccel },
+    trolley: { vMax: cfg.trolleySpeed, aMax: cfg.trolleyAccel },
+    hoist: { vMax: cfg.hoistSpeed, aMax: cfg.hoistAccel },
+    lockS: cfg.spreaderLockS,
+  };
+}
+
+/**
+ * Velocity profile for `distance` (sign ignored).
+ * { distance, vPeak, tAccel, tCruise, duration } — accelerate, cruise, brake.
+ */
+export function trapezoid(distance, vMax, aMax) {
+  const d = Math.abs(distance);
+  if (d === 0) return { distance: 0, vPeak: 0, tAccel: 0, tCruise: 0, duration: 0 };
+  const rampDistance = (vMax * vMax) / aMax; // speeding up + braking at full speed
+  const vPeak = d >= rampDistance ? vMax : Math.sqrt(d * aMax);
+  const tAccel = vPeak / aMax;
+  const tCruise = d >= rampDistance ? (d - rampDistance) / vMax : 0;
+  return { distance: d, vPeak, tAccel, tCruise, duration: 2 * tAccel + tCruise };
+}
+
+// distance covered after `t` seconds (0..profile.distance)
+export function distanceAt(profile, t) {
+  const { distance, vPeak, tAccel, tCruise, duration } = profile;
+  if (t <= 0 || duration === 0) return t <= 0 ? 0 : distance;
+  if (t >= duration) return distance;
+  const a = vPeak / tAccel;
+  if (t < tAccel) return 0.5 * a * t * t;
+  if (t < tAccel + tCruise) return 0.5 * vPeak * tAccel + vPeak * (t - tAccel);
+  const left = duration - t;
+  return distance - 0.5 * a * left * left;
+}
+
+// ===== Steps =====
+const POSE_AXES = [["x", "gantry"], ["z", "trolley"], ["y", "hoist"]];
+
+// every axis that has to move from `from` to `to` runs its own profile
+export function moveStep(axes, label, from, to, load = false) {
+  const profiles = {};
+  for (const [key, axis] of POSE_AXES) {
+    profiles[axis] = trapezoid(to[key] - from[key], axes[axis].vMax, axes[axis].aMax);
+  }
+  const duration = Math.max(...Object.values(profiles).map((p) => p.duration));
+  return { kind: "move", label, from, to, profiles, duration, load };
+}
+
+export function holdStep(label, pose, duration, load = false) {
+  return { kind: "hold", label, from: pose, to: pose, profiles: null, duration, load };
+}
+
+// hook pose `t` seconds into a step
+export function poseAt(step, t) {
+  if (!step.profiles) return { ...step.to };
+  const pose = {};
+  for (const [key, axis] of POSE_AXES) {
+    pose[key] = step.from[key] + Math.sign(step.to[key] - step.from[key]) * distanceAt(step.profiles[axis], t);
+  }
+  return pose;
+}
+
+/**
+ * One container move: from the hook pose `start` over the box at `pick`,
+ * hoist down, lock, lift to `travelY`, carry to `drop`, set down, unlock and
+ * hoist back to travel height. `load` marks the steps with the box on the hook.
+ * Returns { steps, cycleS }.
+ */
+export function planCycle(axes, { start, pick, drop, travelY }) {
+  const steps = [];
+  let pose = start;
+  const go = (label, to, load = false) => {
+    steps.push(moveStep(axes, label, pose, to, load));
+    pose = to;
+  };
+  go("approach", { x: pick.x, y: travelY, z: pick.z });
+  go("lower", pick);
+  steps.push(holdStep("lock", pick, axes.lockS));
+  go("lift", { ...pick, y: travelY }, true);
+  go("travel", { x: drop.x, y: travelY, z: drop.z }, true);
+  go("setDown", drop, true);
+  steps.push(holdStep("unlock", drop, axes.lockS));
+  go("raise", { ...drop, y: travelY });
+  return { steps, cycleS: steps.reduce((sum, s) => sum + s.duration, 0) };
+}
+
+// moves per hour of one crane at the mean of the given cycle times
+export function movesPerHour(cycleSeconds) {
+  if (!cycleSeconds.length) return 0;
+  const mean = cycleSeconds.reduce((a, b) => a + b, 0) / cycleSeconds.length;
+  return mean > 0 ? 3600 / mean : 0;
+}
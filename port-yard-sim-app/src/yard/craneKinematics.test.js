@@ -0,0 +1,53 @@
+import { distanceAt, holdStep, moveStep, movesPerHour, planCycle, poseAt, trapezoid } from "./craneKinematics";
+
+const axes = {
+  gantry: { vMax: 2, aMax: 0.5 },
+  trolley: { vMax: 1, aMax: 0.5 },
+  hoist: { vMax: 0.5, aMax: 0.5 },
+  lockS: 3,
+};
+
+describe("craneKinematics", () => {
+  test("long moves reach top speed, short ones stay triangular", () => {
+    // 2 m/s at 0.5 m/s²: 4 s ramp, 8 m for speeding up + braking
+    expect(trapezoid(20, 2, 0.5)).toEqual({ distance: 20, vPeak: 2, tAccel: 4, tCruise: 6, duration: 14 });
+    const short = trapezoid(-2, 2, 0.5);
+    expect(short.vPeak).toBeCloseTo(1);
+    expect(short.tCruise).toBe(0);
+    expect(short.duration).toBeCloseTo(4);
+    expect(trapezoid(0, 2, 0.5).duration).toBe(0);
+  });
+
+  test("distance follows the profile", () => {
+    const p = trapezoid(20, 2, 0.5);
+    expect(distanceAt(p, 0)).toBe(0);
+    expect(distanceAt(p, 4)).toBeCloseTo(4);   // end of the ramp
+    expect(distanceAt(p, 7)).toBeCloseTo(10);  // half way
+    expect(distanceAt(p, 12)).toBeCloseTo(19);
+    expect(distanceAt(p, 99)).toBe(20);
+  });
+
+  test("a step lasts as long as its slowest axis", () => {
+    const step = moveStep(axes, "travel", { x: 0, y: 5, z: 0 }, { x: 20, y: 5, z: -2 });
+    expect(step.duration).toBeCloseTo(14);
+    expect(poseAt(step, step.duration)).toEqual({ x: 20, y: 5, z: -2 });
+    expect(poseAt(step, 7).x).toBeCloseTo(10);
+    expect(poseAt(holdStep("lock", { x: 1, y: 2, z: 3 }, 3), 1)).toEqual({ x: 1, y: 2, z: 3 });
+  });
+
+  test("a cycle adds up travel, hoisting and two spreader times", () => {
+    const pose = (x, y, z) => ({ x, y, z });
+    const { steps, cycleS } = planCycle(axes, {
+      start: pose(0, 6, 0), pick: pose(0, 2, 0), drop: pose(20, 2, 0), travelY: 6,
+    });
+    expect(steps.map((s) => s.label)).toEqual(["approach", "lower", "lock", "lift", "travel", "setDown", "unlock", "raise"]);
+    expect(steps.filter((s) => s.load).map((s) => s.label)).toEqual(["lift", "travel", "setDown"]);
+    // hoist 4 m: 1 s ramp, 7 s cruise -> 9 s; four hoist moves + 14 s travel + 2 × 3 s
+    expect(cycleS).toBeCloseTo(4 * 9 + 14 + 6);
+  });
+
+  test("moves per hour from the mean cycle", () => {
+    expect(movesPerHour([])).toBe(0);
+    expect(movesPerHour([50, 70])).toBeCloseTo(60);
+  });
+});
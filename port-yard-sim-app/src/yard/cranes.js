@@ -0,0 +1,90 @@
+// src/yard/cranes.js
+// ---------------------------------------------
+// Gantry cranes on shared rails (headless, no three.js / React)
+// - Cranes are ordered left -> right along X and never pass each other
+// - Neighbouring bridges keep `safety` metres apart (interlock)
+// - A working crane reserves the X span [lo, hi] it will travel
+// - Idle cranes in the way yield (are pushed aside); a working crane in
+//   the way makes the new job wait
+// ---------------------------------------------
+
+export const CRANE_REASONS = Object.freeze({
+  OUT_OF_REACH: "OUT_OF_REACH",   // rails too short to make room (details.id)
+  CRANE_BUSY: "CRANE_BUSY",       // a working crane holds the span (details.by)
+});
+
+export const craneId = (index) => `K${index + 1}`;
+
+// spread `count` cranes over [minX, maxX], at least `safety` apart
+export function initialCranePositions(count, minX, maxX, safety) {
+  const xs = [];
+  for (let i = 0; i < count; i++) {
+    const x = count === 1 ? (minX + maxX) / 2 : minX + ((maxX - minX) * i) / (count - 1);
+    xs.push(i ? Math.max(x, xs[i - 1] + safety) : x);
+  }
+  return xs;
+}
+
+// rail limits for `count` cranes on a block (bay 1 at x = 0): the right-most crane
+// may park past the last bay to make room
+export function craneLimits(cfg, count) {
+  const lastX = (cfg.bays - 1) * cfg.bayWidth;
+  return { safety: cfg.craneSafety, railMax: lastX + cfg.bayWidth / 2 + cfg.craneSafety * (count - 1) };
+}
+
+/**
+ * Reserve [lo, hi] for crane `index`. `cranes`: [{ id, x, busy, lo, hi }] left -> right,
+ * where lo/hi of a busy crane is its own reservation.
+ * ok:   { ok, yields: [{ id, index, x }] }  (idle cranes to push aside first)
+ * fail: { ok: false, reason, details }
+ */
+export function reserveSpan(cranes, index, lo, hi, { safety, railMin = -Infinity, railMax = Infinity }) {
+  const n = cranes.length;
+  if (lo - safety * index < railMin || hi + safety * (n - 1 - index) > railMax) {
+    return { ok: false, reason: CRANE_REASONS.OUT_OF_REACH, details: { id: cranes[index].id, lo, hi } };
+  }
+  for (let j = 0; j < n; j++) {
+    const c = cranes[j];
+    if (j === index || !c.busy) continue;
+    const gap = j < index ? lo - c.hi : c.lo - hi;
+    if (gap < safety * Math.abs(index - j)) {
+      return { ok: false, reason: CRANE_REASONS.CRANE_BUSY, details: { id: cranes[index].id, by: c.id } };
+    }
+  }
+  const yields = [];
+  for (let j = 0; j < n; j++) {
+    const c = cranes[j];
+    if (j === index || c.busy) continue;
+    const x = j < index ? Math.min(c.x, lo - safety * (index - j)) : Math.max(c.x, hi + safety * (j - index));
+    if (x !== c.x) yields.push({ id: c.id, index: j, x });
+  }
+  return { ok: true, yields };
+}
+
+/**
+ * Idle crane that can carry a box from `pickX` to `dropX` right now with the least
+ * travel (own way + pushed neighbours).
+ * ok: { ok, index, id, lo, hi, yields }   fail: CRANE_BUSY (wait) before OUT_OF_REACH
+ */
+export function chooseCrane(cranes, pickX, dropX, limits) {
+  let best = null;
+  let failure = null;
+  cranes.forEach((c, index) => {
+    if (c.busy) return;
+    const lo = Math.min(c.x, pickX, dropX);
+    const hi = Math.max(c.x, pickX, dropX);
+    const res = reserveSpan(cranes, index, lo, hi, limits);
+    if (!res.ok) {
+      if (!failure || res.reason === CRANE_REASONS.CRANE_BUSY) failure = res;
+      return;
+    }
+    const cost = Math.abs(c.x - pickX) + Math.abs(pickX - dropX) +
+      res.yields.reduce((sum, y) => sum + Math.abs(y.x - cranes[y.index].x), 0);
+    if (!best || cost < best.cost) best = { ok: true, index, id: c.id, lo, hi, yields: res.yields, cost };
+  });
+  if (best) {
+    const { cost, ...choice } = best;
+    return choice;
+  }
+  return failure || { ok: false, reason: CRANE_REASONS.CRANE_BUSY, details: { by: null } };
+}
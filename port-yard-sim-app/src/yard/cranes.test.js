@@ -0,0 +1,46 @@
+import { CRANE_REASONS, chooseCrane, craneLimits, initialCranePositions, reserveSpan } from "./cranes";
+
+const crane = (id, x, busy = false, lo = x, hi = x) => ({ id, x, busy, lo, hi });
+const limits = { safety: 4, railMin: -100, railMax: 30 };
+
+describe("cranes", () => {
+  test("initial positions respect the safety distance", () => {
+    expect(initialCranePositions(1, 0, 10, 4)).toEqual([5]);
+    expect(initialCranePositions(3, 0, 4, 4)).toEqual([0, 4, 8]);
+  });
+
+  test("idle neighbours are pushed aside", () => {
+    const cranes = [crane("K1", 0), crane("K2", 10), crane("K3", 14)];
+    // K1 works up to x = 9 -> K2 must go to 13, K3 to 17
+    expect(reserveSpan(cranes, 0, 0, 9, limits)).toEqual({
+      ok: true,
+      yields: [{ id: "K2", index: 1, x: 13 }, { id: "K3", index: 2, x: 17 }],
+    });
+  });
+
+  test("a working crane in the way makes the job wait", () => {
+    const cranes = [crane("K1", 2, true, 0, 6), crane("K2", 12)];
+    expect(reserveSpan(cranes, 1, 8, 12, limits)).toMatchObject({
+      ok: false,
+      reason: CRANE_REASONS.CRANE_BUSY,
+      details: { id: "K2", by: "K1" },
+    });
+    expect(reserveSpan(cranes, 1, 10, 12, limits)).toEqual({ ok: true, yields: [] });
+  });
+
+  test("rails limit how far cranes can yield", () => {
+    const cranes = [crane("K1", 0), crane("K2", 10)];
+    expect(reserveSpan(cranes, 0, 0, 28, limits)).toMatchObject({ ok: false, reason: CRANE_REASONS.OUT_OF_REACH });
+    // 4 bays à 2.5 m: last bay at 7.5, half a bay of rail beyond, plus room for one more crane
+    expect(craneLimits({ bays: 4, bayWidth: 2.5, craneSafety: 4 }, 2)).toEqual({ safety: 4, railMax: 12.75 });
+  });
+
+  test("chooseCrane picks the idle crane with the least travel", () => {
+    const cranes = [crane("K1", 0), crane("K2", 20)];
+    expect(chooseCrane(cranes, 18, 16, limits)).toMatchObject({ ok: true, id: "K2", lo: 16, hi: 20, yields: [] });
+    // pick at the far left: K1 is closer, K2 would have to push K1 away
+    expect(chooseCrane(cranes, 1, 3, limits)).toMatchObject({ ok: true, id: "K1" });
+    const busy = [crane("K1", 5, true, 0, 12), crane("K2", 20)];
+    expect(chooseCrane(busy, 10, 14, limits)).toMatchObject({ ok: false, reason: CRANE_REASONS.CRANE_BUSY, details: { by: "K1" } });
+  });
+});
@@ -0,0 +1,61 @@
+// src/yard/csv.js
+// ---------------------------------------------
+// CSV helpers (headless)
+// - Writing: comma-separated, header row, quotes only where needed
+// - Reading: delimiter (";", "," or tab) from the header line, quoted fields
+//   with delimiters, quotes and newlines, source line of every record
+// ---------------------------------------------
+
+function csvValue(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "number") return Number.isInteger(v) ? String(v) : v.toFixed(2);
+  const text = String(v);
+  return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => csvValue(r[c])).join(","))].join("\n") + "\n";
+}
+
+// records of `text` as { line, cells } (quoted fields may contain delimiters, quotes and newlines)
+function csvRecords(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endCell = () => { cells.push(cell); cell = ""; };
+  const endRecord = () => {
+    endCell();
+    if (cells.some((c) => c.trim() !== "")) records.push({ line: start, cells });
+    cells = [];
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) endCell();
+    else if (ch === "\n") {
+      endRecord();
+      start = ++line;
+    } else if (ch !== "\r") cell += ch;
+  }
+  endRecord();
+  return records;
+}
+
+
+// non-empty records of `text` as { line, cells }; the first one is the header
+export function parseCsv(text) {
+  const body = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = body.split("\n", 1)[0];
+  const delimiter = [";", ",", "\t"].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best));
+  return csvRecords(body, delimiter);
+}
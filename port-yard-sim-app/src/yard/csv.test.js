@@ -0,0 +1,18 @@
+import { parseCsv, toCsv } from "./csv";
+
+describe("csv", () => {
+  test("quotes only where needed", () => {
+    expect(toCsv([{ a: 1.005, b: 'say "hi"', c: null }, { a: 2, b: "x;y", c: "z" }], ["a", "b", "c"])).toBe(
+      'a,b,c\n1.00,"say ""hi""",\n2,"x;y",z\n'
+    );
+  });
+
+  test("reads back with delimiter detection and source lines", () => {
+    expect(parseCsv('﻿a;b\r\n1;"multi\nline"\n\n2;"x;""y"""\n')).toEqual([
+      { line: 1, cells: ["a", "b"] },
+      { line: 2, cells: ["1", "multi\nline"] },
+      { line: 5, cells: ["2", 'x;"y"'] },
+    ]);
+    expect(parseCsv("a\tb\n1\t2").map((r) => r.cells)).toEqual([["a", "b"], ["1", "2"]]);
+  });
+});
@@ -0,0 +1,107 @@
+// src/yard/digOutPlanner.js
+// ---------------------------------------------
+// Dig-out planner (headless, no three.js / React)
+// - Finds the containers stacked (transitively) above a target
+// - Relocates each of them exactly once → minimal number of rehandles
+// - Destinations are free, supported cells accepted by YardModel.chooseTier,
+//   never on a column of the target or of a blocker still waiting to move
+// - Depth-first search with backtracking; nearest destinations tried first
+// ---------------------------------------------
+
+import { REASONS } from "./yardModel";
+
+export const PLANNER_REASONS = Object.freeze({
+  NO_SPACE: "NO_SPACE",          // a blocker has no valid destination (details.id)
+  SEARCH_LIMIT: "SEARCH_LIMIT",  // gave up after details.nodes search steps
+});
+
+const MAX_NODES = 4000;          // search budget (placements tried)
+const MAX_BRANCH = 12;           // destinations tried per blocker and step
+
+const columnKey = (c) => `${c.bay}-${c.row}`;
+
+// everything that has to leave before `targetId` can be lifted (nearest first)
+export function blockersAbove(model, targetId) {
+  const found = new Set();
+  const queue = [targetId];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const b of model.canRemove(id).blockers) {
+      if (!found.has(b)) {
+        found.add(b);
+        queue.push(b);
+      }
+    }
+  }
+  return Array.from(found);
+}
+
+// valid relocation targets for `id`, nearest first
+function destinations(model, id, forbidden) {
+  const entry = model.getContainer(id);
+  const from = entry.cells[0];
+  const { bays, rows, bayWidth, rowDepth } = model.config;
+  const out = [];
+  for (let bay = 1; bay <= bays; bay++) {
+    for (let row = 1; row <= rows; row++) {
+      const decision = model.validatePlace(id, { bay, row });
+      if (!decision.ok) continue;
+      if (decision.cells.some((c) => forbidden.has(columnKey(c)))) continue;
+      const dist = Math.abs(bay - from.bay) * bayWidth + Math.abs(row - from.row) * rowDepth;
+      out.push({ target: { bay, row }, tier: decision.tier, cells: decision.cells, score: dist + decision.tier * 0.5 });
+    }
+  }
+  return out.sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Plan the relocations needed to take `targetId` out of its stack.
+ * ok:   { ok, targetId, moves: [{ id, fromCells, target, tier, cells }], rehandles }
+ * fail: { ok: false, reason, details } (REASONS.* or PLANNER_REASONS.*)
+ * The model is not modified.
+ */
+export function planDigOut(model, targetId) {
+  const target = model.getContainer(targetId);
+  if (!target) return { ok: false, reason: REASONS.UNKNOWN_CONTAINER, details: { id: targetId } };
+  if (!target.cells.length) return { ok: false, reason: REASONS.NOT_IN_YARD, details: { id: targetId } };
+
+  const blockers = blockersAbove(model, targetId);
+  if (!blockers.length) return { ok: true, targetId, moves: [], rehandles: 0 };
+
+  let nodes = 0;
+  let stuck = null;
+
+  const search = (state, remaining, moves) => {
+    if (!remaining.length) return moves;
+    const forbidden = new Set(target.cells.map(columnKey));
+    remaining.forEach((id) => state.getContainer(id).cells.forEach((c) => forbidden.add(columnKey(c))));
+
+    for (const id of remaining.filter((r) => state.canRemove(r).ok)) {
+      const options = destinations(state, id, forbidden).slice(0, MAX_BRANCH);
+      if (!options.length && !stuck) stuck = id;
+      for (const opt of options) {
+        if (++nodes > MAX_NODES) return null;
+        const next = state.clone();
+        const fromCells = next.getContainer(id).cells;
+        next.place(id, opt.target);
+        const found = search(
+          next,
+          remaining.filter((r) => r !== id),
+          [...moves, { id, fromCells, target: opt.target, tier: opt.tier, cells: opt.cells }]
+        );
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+
+  const moves = search(model.clone(), blockers, []);
+  if (moves) return { ok: true, targetId, moves, rehandles: moves.length };
+  if (nodes > MAX_NODES) return { ok: false, reason: PLANNER_REASONS.SEARCH_LIMIT, details: { id: targetId, nodes: MAX_NODES } };
+  const stuckId = stuck || blockers[blockers.length - 1];
+  return {
+    ok: false,
+    reason: PLANNER_REASONS.NO_SPACE,
+    details: { id: stuckId, sizeTEU: model.getContainer(stuckId).sizeTEU, targetId, blockers },
+  };
+}
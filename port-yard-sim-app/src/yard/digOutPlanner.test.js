@@ -0,0 +1,89 @@
+import { YardModel, REASONS } from "./yardModel";
+import { PLANNER_REASONS, blockersAbove, planDigOut } from "./digOutPlanner";
+
+function yardWith(config, placements) {
+  const yard = new YardModel(config);
+  placements.forEach(([id, sizeTEU, slot]) => {
+    yard.addContainer({ id, sizeTEU });
+    if (slot) expect(yard.place(id, slot).ok).toBe(true);
+  });
+  return yard;
+}
+
+// apply a plan to a copy and check the target comes free
+function applyPlan(yard, plan) {
+  const copy = yard.clone();
+  plan.moves.forEach((m) => expect(copy.place(m.id, m.target)).toMatchObject({ ok: true, tier: m.tier }));
+  return copy;
+}
+
+describe("planDigOut", () => {
+  test("free containers need no rehandles", () => {
+    const yard = yardWith({}, [["T", 1, "A1"]]);
+    expect(planDigOut(yard, "T")).toEqual({ ok: true, targetId: "T", moves: [], rehandles: 0 });
+  });
+
+  test("gate and unknown containers are rejected", () => {
+    const yard = yardWith({}, [["T", 1]]);
+    expect(planDigOut(yard, "T")).toMatchObject({ ok: false, reason: REASONS.NOT_IN_YARD });
+    expect(planDigOut(yard, "X")).toMatchObject({ ok: false, reason: REASONS.UNKNOWN_CONTAINER });
+  });
+
+  test("one blocker is moved to the nearest free ground slot", () => {
+    const yard = yardWith({}, [["T", 1, "B2"], ["X", 1, "B2"]]);
+    const plan = planDigOut(yard, "T");
+    expect(plan.rehandles).toBe(1);
+    expect(plan.moves[0]).toMatchObject({ id: "X", tier: 1 });
+    const { bay, row } = plan.moves[0].target;
+    expect(Math.abs(bay - 2) + Math.abs(row - 2)).toBe(1);
+    expect(applyPlan(yard, plan).canRemove("T").ok).toBe(true);
+  });
+
+  test("transitive blockers move top-down, each exactly once", () => {
+    const yard = yardWith({ bays: 3, rows: 3, tiers: 4 }, [
+      ["T", 1, "A1"], ["X1", 1, "A1"], ["X2", 1, "A1"], ["X3", 1, "A1"],
+    ]);
+    expect(blockersAbove(yard, "T")).toEqual(["X1", "X2", "X3"]);
+    const plan = planDigOut(yard, "T");
+    expect(plan.moves.map((m) => m.id)).toEqual(["X3", "X2", "X1"]);
+    expect(plan.rehandles).toBe(3);
+    expect(applyPlan(yard, plan).canRemove("T").ok).toBe(true);
+  });
+
+  test("a 40’ bridging the target and a neighbour is relocated", () => {
+    const yard = yardWith({ bays: 2, rows: 4, tiers: 2 }, [
+      ["T", 1, "A1"], ["N", 1, "A2"], ["F", 2, "A1"],
+    ]);
+    const plan = planDigOut(yard, "T");
+    expect(plan.moves).toHaveLength(1);
+    expect(plan.moves[0].id).toBe("F");
+    expect(plan.moves[0].cells).toHaveLength(2);
+    expect(applyPlan(yard, plan).canRemove("T").ok).toBe(true);
+  });
+
+  test("blockers are never put back onto the target column", () => {
+    // A1 tier 2 is free again once X is lifted, but the target column is off-limits
+    const yard = yardWith({ bays: 1, rows: 2, tiers: 2 }, [["T", 1, "A1"], ["X", 1, "A1"]]);
+    const plan = planDigOut(yard, "T");
+    expect(plan.ok).toBe(true);
+    expect(plan.moves[0].target).toEqual({ bay: 1, row: 2 });
+  });
+
+  test("explains when the yard is too full", () => {
+    const yard = yardWith({ bays: 1, rows: 2, tiers: 2 }, [
+      ["T", 1, "A1"], ["X", 1, "A1"], ["Y", 1, "A2"], ["Z", 1, "A2"],
+    ]);
+    expect(planDigOut(yard, "T")).toMatchObject({
+      ok: false,
+      reason: PLANNER_REASONS.NO_SPACE,
+      details: { id: "X", sizeTEU: 1, targetId: "T" },
+    });
+  });
+
+  test("does not modify the model", () => {
+    const yard = yardWith({}, [["T", 1, "C3"], ["X", 1, "C3"]]);
+    const before = yard.occupancy();
+    planDigOut(yard, "T");
+    expect(yard.occupancy()).toEqual(before);
+  });
+});
@@ -0,0 +1,33 @@
+// src/yard/dragDrop.js
+// ---------------------------------------------
+// Drag & drop onto the block (headless, no three.js / React)
+// - snapCell(): ground point under the pointer -> stack (bay, row); a 40’ box
+//   is held by its middle, so it snaps to the row pair whose centre is nearest
+// - dropPreview(): the placement decision for a drop; a refused drop still
+//   gets ghost cells, on the first free tier (above the stack when it is full)
+// ---------------------------------------------
+
+import { REASONS } from "./yardModel";
+
+// { bay, row } under ground point { x, z } (stall centres at (bay-1, row-1) × stall size); null off the block
+export function snapCell(cfg, point, sizeTEU = 1) {
+  if (!point) return null;
+  const bay = Math.round(point.x / cfg.bayWidth) + 1;
+  const row = Math.round(point.z / cfg.rowDepth - (sizeTEU - 1) / 2) + 1;
+  return bay >= 1 && bay <= cfg.bays && row >= 1 && row <= cfg.rows ? { bay, row } : null;
+}
+
+/**
+ * Decision for dropping `entry` ({ id, sizeTEU }) on `target` in `state` (a
+ * YardModel, e.g. the yard after the queued orders): validatePlace() as is when
+ * it is ok, else the refusal with `cells` for the ghost.
+ */
+export function dropPreview(state, entry, target) {
+  const decision = state.validatePlace(entry.id, target);
+  if (decision.ok) return decision;
+  // a 40’ on the last row has no pair: the ghost covers the one row
+  const cellsAt = (tier) => state.cellsFor(entry.sizeTEU, target.bay, target.row, tier) || [{ ...target, tier }];
+  let tier = decision.details?.tier && decision.reason === REASONS.NO_SUPPORT ? decision.details.tier : 1;
+  while (tier <= state.config.tiers && !state.isFreeFor(entry.id, cellsAt(tier))) tier++;
+  return { ...decision, cells: cellsAt(tier) };
+}
@@ -0,0 +1,66 @@
+import { YardModel, REASONS } from "./yardModel";
+import { DEFAULT_YARD_CONFIG } from "./yardConfig";
+import { dropPreview, snapCell } from "./dragDrop";
+
+const cfg = { ...DEFAULT_YARD_CONFIG, bays: 3, rows: 3, tiers: 2 };
+// ground point over the centre of stall (bay, row), shifted by (dx, dz) stalls
+const over = (bay, row, dx = 0, dz = 0) => ({ x: (bay - 1 + dx) * cfg.bayWidth, z: (row - 1 + dz) * cfg.rowDepth });
+
+function yardWith(containers) {
+  const yard = new YardModel(cfg);
+  containers.forEach(([id, sizeTEU, slot]) => {
+    yard.addContainer({ id, sizeTEU });
+    if (slot) yard.place(id, slot);
+  });
+  return yard;
+}
+
+describe("dragDrop · snapping", () => {
+  test("a 20’ snaps to the stall under the pointer, edge rows included", () => {
+    expect(snapCell(cfg, over(1, 1))).toEqual({ bay: 1, row: 1 });
+    expect(snapCell(cfg, over(3, 3, 0.4, 0.4))).toEqual({ bay: 3, row: 3 });
+    expect(snapCell(cfg, over(2, 2, 0.4, -0.4))).toEqual({ bay: 2, row: 2 });
+    expect(snapCell(cfg, over(1, 1, 0, -0.6))).toBeNull(); // in front of row 1
+    expect(snapCell(cfg, over(3, 3, 0, 0.6))).toBeNull(); // behind the last row
+    expect(snapCell(cfg, over(3, 3, 0.6, 0))).toBeNull();
+    expect(snapCell(cfg, null)).toBeNull();
+  });
+
+  test("a 40’ is held by its middle and snaps to the nearest row pair", () => {
+    expect(snapCell(cfg, over(1, 1, 0, 0.5), 2)).toEqual({ bay: 1, row: 1 }); // between rows 1 and 2
+    expect(snapCell(cfg, over(1, 2, 0, 0.4), 2)).toEqual({ bay: 1, row: 2 });
+    expect(snapCell(cfg, over(1, 1, 0, 0.1), 2)).toEqual({ bay: 1, row: 1 });
+    expect(snapCell(cfg, over(1, 1, 0, -0.1), 2)).toBeNull(); // the box would hang out in front
+    // behind the last row the pair starts on it (refused by the rules, see below)
+    expect(snapCell(cfg, over(1, 3, 0, 0.6), 2)).toEqual({ bay: 1, row: 3 });
+    expect(snapCell(cfg, over(1, 3, 0, 1.1), 2)).toBeNull();
+  });
+});
+
+describe("dragDrop · preview", () => {
+  test("an allowed drop is the placement decision", () => {
+    const yard = yardWith([["A", 1, "A1"], ["B", 1]]);
+    expect(dropPreview(yard, { id: "B", sizeTEU: 1 }, { bay: 1, row: 1 })).toMatchObject({ ok: true, tier: 2 });
+  });
+
+  test("a 40’ on the last row is refused, the ghost covers that row", () => {
+    const yard = yardWith([["F", 2]]);
+    const res = dropPreview(yard, { id: "F", sizeTEU: 2 }, { bay: 2, row: 3 });
+    expect(res).toMatchObject({ ok: false, reason: REASONS.EDGE_ROW_40 });
+    expect(res.cells).toEqual([{ bay: 2, row: 3, tier: 1 }]);
+  });
+
+  test("a 40’ without support shows on the tier it would need", () => {
+    const yard = yardWith([["A", 1, "A1"], ["F", 2]]);
+    const res = dropPreview(yard, { id: "F", sizeTEU: 2 }, { bay: 1, row: 1 });
+    expect(res).toMatchObject({ ok: false, reason: REASONS.NO_SUPPORT });
+    expect(res.cells).toEqual([{ bay: 1, row: 1, tier: 2 }, { bay: 1, row: 2, tier: 2 }]);
+  });
+
+  test("a full stack puts the ghost above it", () => {
+    const yard = yardWith([["A", 1, "B2"], ["B", 1, "B2"], ["C", 1]]);
+    const res = dropPreview(yard, { id: "C", sizeTEU: 1 }, { bay: 2, row: 2 });
+    expect(res).toMatchObject({ ok: false, reason: REASONS.STACK_FULL });
+    expect(res.cells).toEqual([{ bay: 2, row: 2, tier: 3 }]);
+  });
+});
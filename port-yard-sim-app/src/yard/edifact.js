@@ -0,0 +1,59 @@
+// src/yard/edifact.js
+// ---------------------------------------------
+// UN/EDIFACT syntax helpers (headless)
+// - Reading: segments with their source line; separators from the UNA
+//   service string advice (default : + . ? ' ) and release-character escapes
+// - Writing: segments with the default separators, special characters escaped
+// ---------------------------------------------
+
+export const UNA = "UNA:+.? '";
+
+// segments of an interchange as { line, elements: [[component, …], …] }
+export function edifactSegments(text) {
+  let body = String(text || "").replace(/^\uFEFF/, "").trimStart();
+  // UNA service string advice: component, element, decimal, release, reserved, segment
+  let [comp, elem, release, term] = [":", "+", "?", "'"];
+  if (body.startsWith("UNA")) {
+    [comp, elem, release, term] = [body[3], body[4], body[6], body[8]];
+    body = body.slice(9);
+  }
+  const segments = [];
+  let elements = [[""]];
+  let line = 1;
+  let start = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === "\n") line++;
+    if (ch === release && i + 1 < body.length) {
+      elements[elements.length - 1][elements[elements.length - 1].length - 1] += body[++i];
+    } else if (ch === term) {
+      if (start !== null) segments.push({ line: start, elements });
+      elements = [[""]];
+      start = null;
+    } else if (ch === elem) elements.push([""]);
+    else if (ch === comp) elements[elements.length - 1].push("");
+    else if (ch !== "\n" && ch !== "\r") {
+      if (start === null) start = line;
+      const last = elements[elements.length - 1];
+      last[last.length - 1] += ch;
+    }
+  }
+  return segments;
+}
+
+const escape = (v) => String(v ?? "").replace(/[?:+']/g, (ch) => `?${ch}`);
+
+const trimEnd = (list) => {
+  const out = [...list];
+  while (out.length && out[out.length - 1] === "") out.pop();
+  return out;
+};
+
+/**
+ * One segment with the default separators: segment("EQD", "CN", ["MSKU1234565", "6346", "5"]).
+ * Array elements are components; trailing empty elements/components are dropped.
+ */
+export function segment(tag, ...elements) {
+  const parts = elements.map((e) => (Array.isArray(e) ? trimEnd(e.map(escape)).join(":") : escape(e)));
+  return [tag, ...trimEnd(parts)].join("+") + "'";
+}
@@ -0,0 +1,18 @@
+import { UNA, edifactSegments, segment } from "./edifact";
+
+describe("edifact", () => {
+  test("writes segments with escaped separators", () => {
+    expect(segment("EQD", "CN", ["MSKU1234565", "6346", "5"], "45G1", "", "", "5")).toBe("EQD+CN+MSKU1234565:6346:5+45G1+++5'");
+    expect(segment("FTX", "AAI", "", "", ["Tür + Siegel: ok?", ""], "")).toBe("FTX+AAI+++Tür ?+ Siegel?: ok??'");
+  });
+
+  test("reads what it writes, with line numbers", () => {
+    const text = [UNA, segment("UNH", "1", ["BAPLIE", "D", "95B", "UN"]), segment("FTX", "ZZZ", "", "", "it's 5:1")].join("\n");
+    expect(edifactSegments(text)).toEqual([
+      { line: 2, elements: [["UNH"], ["1"], ["BAPLIE", "D", "95B", "UN"]] },
+      { line: 3, elements: [["FTX"], ["ZZZ"], [""], [""], ["it's 5:1"]] },
+    ]);
+    // custom separators from the service string advice
+    expect(edifactSegments("UNA|*.! ~UNH*1*COPRAR|D~")[0].elements).toEqual([["UNH"], ["1"], ["COPRAR", "D"]]);
+  });
+});
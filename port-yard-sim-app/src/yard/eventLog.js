@@ -0,0 +1,278 @@
+// src/yard/eventLog.js
+// ---------------------------------------------
+// Event recording for timeline replay (headless, no three.js / React)
+// - Every yard event with its time t (seconds on the crane clock): arrivals at
+//   the gate (and their undo), crane moves into, within and out of the yard,
+//   dispatches, and whole-yard replacements (import, config change) as full snapshots
+// - A log = base snapshot (./yardStorage) + events in time order; past the
+//   limit the older half is folded into the base
+// - stateAt(): the yard at any time on the timeline, replayed through YardModel
+//   (same result shape as parseYardSnapshot, plus the gate spots)
+// - Versioned JSON export; import re-checks every event against the rules
+// ---------------------------------------------
+
+import { parseYardSnapshot, serializeYard } from "./yardStorage";
+
+export const EVENT_LOG_VERSION = 1;
+export const MAX_EVENTS = 10000;
+
+/**
+ * Events (all carry t):
+ *   { type: "add", container: { id, sizeTEU, color, ...spec }, gateIndex }
+ *   { type: "place" | "move", id, target: { bay, row }, tier, craneId, start, cycleS } (from the gate / within the yard)
+ *   { type: "remove", id, gateIndex, craneId, start, cycleS }                       (yard -> gate spot)
+ *   { type: "dispatch", id }                                                        (leaves the terminal)
+ *   { type: "cancel", id }                                                          (arrival undone)
+ *   { type: "snapshot", snapshot }                                                  (yard replaced)
+ * Crane events: `start` = hook pose when the cycle began, `cycleS` = its duration (ends at t).
+ */
+export const YARD_EVENTS = Object.freeze({
+  ADD: "add",
+  PLACE: "place",
+  MOVE: "move",
+  REMOVE: "remove",
+  DISPATCH: "dispatch",
+  CANCEL: "cancel",
+  SNAPSHOT: "snapshot",
+});
+
+export const CRANE_EVENTS = Object.freeze([YARD_EVENTS.PLACE, YARD_EVENTS.MOVE, YARD_EVENTS.REMOVE]);
+
+export const EVENT_LOG_ERRORS = Object.freeze({
+  INVALID_JSON: "INVALID_JSON",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  MISSING_FIELD: "MISSING_FIELD",       // details.field
+  INVALID_BASE: "INVALID_BASE",         // details.errors (snapshot errors)
+  INVALID_EVENT: "INVALID_EVENT",       // details.index
+  TIME_ORDER: "TIME_ORDER",             // details.index: earlier than the event before
+  EVENT_REJECTED: "EVENT_REJECTED",     // details.index, type, id, reason (rules say no)
+});
+
+// why an event does not replay, besides the YardModel reasons
+export const REPLAY_REASONS = Object.freeze({
+  TIER_MISMATCH: "TIER_MISMATCH",       // lands on another tier than recorded
+  INVALID_SNAPSHOT: "INVALID_SNAPSHOT", // details.errors (snapshot errors)
+  UNKNOWN_EVENT: "UNKNOWN_EVENT",
+});
+
+const err = (code, details = {}) => ({ code, details });
+const fail = (reason, details = {}) => ({ ok: false, reason, details });
+
+// ===== Replay =====
+// { model, gate: Map id -> gate spot } from a parseYardSnapshot result
+function stateOf({ model, snapshot }) {
+  return { model, gate: new Map(snapshot.gateQueue.map((id, spot) => [id, spot])) };
+}
+
+// one event on `state` (mutated); { ok } or { ok: false, reason, details }
+function applyEvent(state, e) {
+  const { model, gate } = state;
+  switch (e.type) {
+    case YARD_EVENTS.ADD: {
+      const res = model.addContainer({ ...e.container });
+      if (res.ok) gate.set(e.container.id, e.gateIndex);
+      return res;
+    }
+    case YARD_EVENTS.PLACE:
+    case YARD_EVENTS.MOVE: {
+      const res = model.place(e.id, e.target);
+      if (!res.ok) return res;
+      if (res.tier !== e.tier) return fail(REPLAY_REASONS.TIER_MISMATCH, { expected: e.tier, actual: res.tier });
+      gate.delete(e.id);
+      return res;
+    }
+    case YARD_EVENTS.REMOVE: {
+      const res = model.remove(e.id);
+      if (res.ok) gate.set(e.id, e.gateIndex);
+      return res;
+    }
+    case YARD_EVENTS.DISPATCH:
+    case YARD_EVENTS.CANCEL: {
+      const res = model.deleteContainer(e.id);
+      if (res.ok) gate.delete(e.id);
+      return res;
+    }
+    case YARD_EVENTS.SNAPSHOT: {
+      const res = parseYardSnapshot(e.snapshot);
+      if (!res.ok) return fail(REPLAY_REASONS.INVALID_SNAPSHOT, { errors: res.errors });
+      Object.assign(state, stateOf(res));
+      return res;
+    }
+    default:
+      return fail(REPLAY_REASONS.UNKNOWN_EVENT);
+  }
+}
+
+function snapshotOf({ model, gate }) {
+  return serializeYard({
+    config: model.config,
+    containers: model.list(),
+    occ: model.occupancy(),
+    gateQueue: [...gate.entries()].sort((a, b) => a[1] - b[1]).map(([id]) => id),
+  });
+}
+
+// `base` snapshot + `events` in order; stops at the first event the rules reject
+function replay(base, events) {
+  const parsed = parseYardSnapshot(base);
+  if (!parsed.ok) return { ok: false, errors: [err(EVENT_LOG_ERRORS.INVALID_BASE, { errors: parsed.errors })] };
+  const state = stateOf(parsed);
+  for (let index = 0; index < events.length; index++) {
+    const e = events[index];
+    const res = applyEvent(state, e);
+    if (!res.ok) {
+      const id = e.id ?? e.container?.id;
+      return {
+        ok: false,
+        errors: [err(EVENT_LOG_ERRORS.EVENT_REJECTED, { ...res.details, index, type: e.type, id, reason: res.reason })],
+      };
+    }
+  }
+  return { ok: true, errors: [], snapshot: snapshotOf(state), model: state.model, gateSpots: state.gate, applied: events.length };
+}
+
+// index of the first event after time `t` (events sorted by t)
+export function eventIndexAfter(events, t) {
+  let [lo, hi] = [0, events.length];
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].t <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Yard at time `t` of `log`: every event up to and including t applied to the base.
+ * Returns { ok, errors, snapshot, model, gateSpots (Map id -> spot), applied (event count) }.
+ */
+export function stateAt(log, t) {
+  return replay(log.base, log.events.slice(0, eventIndexAfter(log.events, t)));
+}
+
+// first and last time on the timeline of `log`
+export function logSpan(log) {
+  const last = log.events[log.events.length - 1];
+  return { from: log.startT, to: last ? Math.max(last.t, log.startT) : log.startT };
+}
+
+// ===== Recorder =====
+export class EventRecorder {
+  constructor(limit = MAX_EVENTS) {
+    this.limit = limit;
+    this.base = null;
+    this.events = [];
+    this.startT = 0;
+    this.startedAt = null;
+  }
+
+  // new recording from the yard `snapshot` at time `t`
+  start(snapshot, t = 0) {
+    this.base = snapshot;
+    this.events = [];
+    this.startT = t;
+    this.startedAt = new Date().toISOString();
+  }
+
+  get recording() {
+    return this.base !== null;
+  }
+
+  // events keep time order (a clock that stepped back is clamped); ignored until start()
+  record(event) {
+    if (!this.base) return false;
+    const last = this.events[this.events.length - 1];
+    this.events.push({ ...event, t: Math.max(event.t, last ? last.t : this.startT) });
+    if (this.events.length > this.limit) this.compact();
+    return true;
+  }
+
+  // older half into the base; a log the rules reject is kept whole
+  compact() {
+    const cut = Math.floor(this.events.length / 2);
+    const res = replay(this.base, this.events.slice(0, cut));
+    if (!res.ok) return;
+    this.base = res.snapshot;
+    this.startT = this.events[cut - 1].t;
+    this.events = this.events.slice(cut);
+  }
+
+  toJSON() {
+    return {
+      version: EVENT_LOG_VERSION,
+      recordedAt: this.startedAt,
+      startT: this.startT,
+      base: this.base,
+      events: this.events.map((e) => ({ ...e })),
+    };
+  }
+}
+
+// ===== Import =====
+const isFiniteNumber = (n) => typeof n === "number" && Number.isFinite(n);
+const isId = (id) => typeof id === "string" && id.length > 0;
+const isSlot = (p) => !!p && Number.isInteger(p.bay) && Number.isInteger(p.row);
+const isPose = (p) => !!p && ["x", "y", "z"].every((k) => isFiniteNumber(p[k]));
+// crane fields are optional (no animation without them), but must be usable when present
+const craneOk = (e) => (e.start == null || isPose(e.start)) && (e.cycleS == null || (isFiniteNumber(e.cycleS) && e.cycleS >= 0));
+
+function eventShapeOk(e) {
+  if (!e || typeof e !== "object" || !isFiniteNumber(e.t)) return false;
+  switch (e.type) {
+    case YARD_EVENTS.ADD:
+      return !!e.container && isId(e.container.id) && Number.isInteger(e.gateIndex) && e.gateIndex >= 0;
+    case YARD_EVENTS.PLACE:
+    case YARD_EVENTS.MOVE:
+      return isId(e.id) && isSlot(e.target) && Number.isInteger(e.tier) && craneOk(e);
+    case YARD_EVENTS.REMOVE:
+      return isId(e.id) && Number.isInteger(e.gateIndex) && e.gateIndex >= 0 && craneOk(e);
+    case YARD_EVENTS.DISPATCH:
+    case YARD_EVENTS.CANCEL:
+      return isId(e.id);
+    case YARD_EVENTS.SNAPSHOT:
+      return !!e.snapshot && typeof e.snapshot === "object";
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse and validate an exported log (JSON text or object): structure, time
+ * order, then a full replay through the rules. Returns { ok, errors, log }.
+ */
+export function parseEventLog(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      return { ok: false, errors: [err(EVENT_LOG_ERRORS.INVALID_JSON, { message: e.message })] };
+    }
+  }
+  if (!data || typeof data !== "object") {
+    return { ok: false, errors: [err(EVENT_LOG_ERRORS.INVALID_JSON, { message: "not an object" })] };
+  }
+  if (data.version !== EVENT_LOG_VERSION) {
+    return { ok: false, errors: [err(EVENT_LOG_ERRORS.UNSUPPORTED_VERSION, { version: data.version })] };
+  }
+  const missing = [];
+  if (!data.base || typeof data.base !== "object") missing.push("base");
+  if (!Array.isArray(data.events)) missing.push("events");
+  if (missing.length) {
+    return { ok: false, errors: missing.map((field) => err(EVENT_LOG_ERRORS.MISSING_FIELD, { field })) };
+  }
+
+  const errors = [];
+  const startT = isFiniteNumber(data.startT) ? data.startT : 0;
+  let lastT = startT;
+  data.events.forEach((e, index) => {
+    if (!eventShapeOk(e)) return errors.push(err(EVENT_LOG_ERRORS.INVALID_EVENT, { index }));
+    if (e.t < lastT) errors.push(err(EVENT_LOG_ERRORS.TIME_ORDER, { index }));
+    lastT = Math.max(lastT, e.t);
+  });
+  if (errors.length) return { ok: false, errors };
+
+  const log = { version: EVENT_LOG_VERSION, recordedAt: data.recordedAt ?? null, startT, base: data.base, events: data.events };
+  const res = replay(log.base, log.events);
+  return res.ok ? { ok: true, errors: [], log } : { ok: false, errors: res.errors };
+}
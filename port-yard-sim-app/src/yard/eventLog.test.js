@@ -0,0 +1,127 @@
+import { YardModel } from "./yardModel";
+import { serializeYard } from "./yardStorage";
+import {
+  EVENT_LOG_ERRORS,
+  EventRecorder,
+  REPLAY_REASONS,
+  YARD_EVENTS,
+  eventIndexAfter,
+  logSpan,
+  parseEventLog,
+  stateAt,
+} from "./eventLog";
+
+const emptyYard = () => {
+  const yard = new YardModel({ bays: 3, rows: 3, tiers: 2 });
+  return serializeYard({ config: yard.config, containers: [], occ: {}, gateQueue: [] });
+};
+
+const add = (t, id, gateIndex, sizeTEU = 1) => ({
+  t, type: YARD_EVENTS.ADD, container: { id, sizeTEU, color: "#abcdef", typeCode: "22G1" }, gateIndex,
+});
+
+// A and B arrive, A goes to B1, B on top of it, B back to the gate, A moves to B2, B leaves
+function shift() {
+  const recorder = new EventRecorder();
+  recorder.start(emptyYard(), 0);
+  recorder.record(add(1, "A", 0));
+  recorder.record(add(2, "B", 1));
+  recorder.record({ t: 10, type: YARD_EVENTS.PLACE, id: "A", target: { bay: 1, row: 1 }, tier: 1, craneId: "K1", cycleS: 6 });
+  recorder.record({ t: 20, type: YARD_EVENTS.PLACE, id: "B", target: { bay: 1, row: 1 }, tier: 2, craneId: "K1", cycleS: 6 });
+  recorder.record({ t: 30, type: YARD_EVENTS.REMOVE, id: "B", gateIndex: 3, craneId: "K1", cycleS: 6 });
+  recorder.record({ t: 40, type: YARD_EVENTS.MOVE, id: "A", target: { bay: 2, row: 1 }, tier: 1, craneId: "K1", cycleS: 6 });
+  recorder.record({ t: 50, type: YARD_EVENTS.DISPATCH, id: "B" });
+  return recorder;
+}
+
+describe("eventLog", () => {
+  test("rebuilds the yard at any time on the timeline", () => {
+    const log = shift().toJSON();
+    expect(logSpan(log)).toEqual({ from: 0, to: 50 });
+
+    expect(stateAt(log, 0).snapshot.containers).toEqual([]);
+    const at20 = stateAt(log, 20);
+    expect(at20.ok).toBe(true);
+    expect(at20.applied).toBe(4);
+    expect(at20.model.occupantAt(1, 1, 2)).toBe("B");
+
+    const at35 = stateAt(log, 35);
+    expect(at35.model.getContainer("B").cells).toEqual([]);
+    expect(at35.gateSpots.get("B")).toBe(3); // the recorded spot, not the queue position
+    expect(at35.snapshot.gateQueue).toEqual(["B"]);
+
+    const end = stateAt(log, Infinity);
+    expect(end.model.getContainer("B")).toBeNull();
+    expect(end.model.occupancy()).toEqual({ "2-1-1": "A" });
+  });
+
+  test("snapshot events replace the whole yard", () => {
+    const recorder = shift();
+    const other = new YardModel({ bays: 4, rows: 2, tiers: 3 });
+    other.addContainer({ id: "Z", sizeTEU: 2, color: "#123456" });
+    other.place("Z", { bay: 4, row: 1 });
+    const snapshot = serializeYard({ config: other.config, containers: other.list(), occ: other.occupancy(), gateQueue: [] });
+    recorder.record({ t: 60, type: YARD_EVENTS.SNAPSHOT, snapshot });
+    const res = stateAt(recorder.toJSON(), 60);
+    expect(res.model.config).toMatchObject({ bays: 4, rows: 2, tiers: 3 });
+    expect(res.model.list().map((c) => c.id)).toEqual(["Z"]);
+  });
+
+  test("an undone arrival leaves the yard like a dispatch", () => {
+    const recorder = shift();
+    recorder.record(add(55, "C", 2));
+    recorder.record({ t: 56, type: YARD_EVENTS.CANCEL, id: "C" });
+    const log = recorder.toJSON();
+    expect(stateAt(log, 55).snapshot.gateQueue).toEqual(["C"]);
+    expect(stateAt(log, 56).model.getContainer("C")).toBeNull();
+    expect(parseEventLog(JSON.stringify(log)).ok).toBe(true);
+  });
+
+  test("recorder keeps time order and folds old events into the base", () => {
+    const recorder = new EventRecorder(4);
+    expect(recorder.record(add(1, "X", 0))).toBe(false); // not started
+    recorder.start(emptyYard(), 0);
+    ["A", "B", "C", "D"].forEach((id, i) => recorder.record(add(5 - i, id, i))); // clock stepping back
+    expect(recorder.events.map((e) => e.t)).toEqual([5, 5, 5, 5]);
+    recorder.record(add(6, "E", 4));
+    expect(recorder.events).toHaveLength(3);
+    expect(recorder.startT).toBe(5);
+    expect(recorder.base.gateQueue).toEqual(["A", "B"]);
+    expect(stateAt(recorder.toJSON(), Infinity).model.list()).toHaveLength(5);
+  });
+
+  test("finds the next event by time", () => {
+    const { events } = shift();
+    expect(eventIndexAfter(events, 0)).toBe(0);
+    expect(eventIndexAfter(events, 10)).toBe(3);
+    expect(eventIndexAfter(events, 999)).toBe(events.length);
+  });
+
+  test("round-trips through JSON and re-checks every event", () => {
+    const log = shift().toJSON();
+    const res = parseEventLog(JSON.stringify(log));
+    expect(res.ok).toBe(true);
+    expect(res.log.events).toHaveLength(7);
+
+    // B recorded on tier 1, but A already stands there
+    const swapped = { ...log, events: [...log.events] };
+    swapped.events[3] = { ...swapped.events[3], tier: 1 };
+    const rejected = parseEventLog(swapped);
+    expect(rejected.ok).toBe(false);
+    expect(rejected.errors[0]).toMatchObject({
+      code: EVENT_LOG_ERRORS.EVENT_REJECTED,
+      details: { index: 3, id: "B", reason: REPLAY_REASONS.TIER_MISMATCH },
+    });
+  });
+
+  test("reports broken files", () => {
+    const codes = (res) => res.errors.map((e) => e.code);
+    expect(codes(parseEventLog("{"))).toEqual([EVENT_LOG_ERRORS.INVALID_JSON]);
+    expect(codes(parseEventLog({ version: 9 }))).toEqual([EVENT_LOG_ERRORS.UNSUPPORTED_VERSION]);
+    expect(codes(parseEventLog({ version: 1 }))).toEqual([EVENT_LOG_ERRORS.MISSING_FIELD, EVENT_LOG_ERRORS.MISSING_FIELD]);
+    const log = shift().toJSON();
+    const broken = { ...log, events: [log.events[1], log.events[0], { t: 3, type: "teleport" }] };
+    expect(codes(parseEventLog(broken))).toEqual([EVENT_LOG_ERRORS.TIME_ORDER, EVENT_LOG_ERRORS.INVALID_EVENT]);
+    expect(codes(parseEventLog({ ...log, base: { version: 1 } }))).toEqual([EVENT_LOG_ERRORS.INVALID_BASE]);
+  });
+});
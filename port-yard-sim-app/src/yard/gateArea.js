@@ -0,0 +1,46 @@
+// src/yard/gateArea.js
+// ---------------------------------------------
+// Gate area (headless, no three.js / React)
+// - config.gateLanes truck lanes with config.gateSpots parking positions each
+// - Spots are numbered 0..capacity-1: the front position of every lane
+//   first, then the next position back
+// - Free spots are reused (lowest number first); no free spot = gate full
+// ---------------------------------------------
+
+export const GATE_REASONS = Object.freeze({
+  GATE_FULL: "GATE_FULL", // every parking position is taken (details.capacity)
+});
+
+export const gateCapacity = (cfg) => cfg.gateLanes * cfg.gateSpots;
+
+// spot number -> { lane, pos } (both 0-based)
+export function gateSpot(cfg, spot) {
+  return { lane: spot % cfg.gateLanes, pos: Math.floor(spot / cfg.gateLanes) };
+}
+
+/** Lowest spot not in `taken` (Set or array of spot numbers); null when the gate is full. */
+export function freeGateSpot(cfg, taken) {
+  const used = taken instanceof Set ? taken : new Set(taken);
+  for (let spot = 0; spot < gateCapacity(cfg); spot++) {
+    if (!used.has(spot)) return spot;
+  }
+  return null;
+}
+
+/** Spot for a box: `preferred` while it is still free, else the lowest free one (null = full). */
+export function gateSpotFor(cfg, taken, preferred = null) {
+  const used = taken instanceof Set ? taken : new Set(taken);
+  if (preferred !== null && preferred >= 0 && preferred < gateCapacity(cfg) && !used.has(preferred)) return preferred;
+  return freeGateSpot(cfg, used);
+}
+
+// ===== Geometry =====
+// metres from the front position of lane 0: lanes side by side away from the
+// block (-x), positions one behind the other along the rows (+z, 40’ long)
+const LANE_GAP = 0.2;
+const SPOT_GAP = 1.6; // room for the tractor cab in front of each chassis
+
+export function gateSpotOffset(cfg, spot) {
+  const { lane, pos } = gateSpot(cfg, spot);
+  return { x: -lane * (cfg.bayWidth * 1.1 + LANE_GAP), z: pos * (2 * cfg.rowDepth + SPOT_GAP) };
+}
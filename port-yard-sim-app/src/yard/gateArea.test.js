@@ -0,0 +1,21 @@
+import { freeGateSpot, gateCapacity, gateSpot, gateSpotFor } from "./gateArea";
+
+const cfg = { gateLanes: 3, gateSpots: 2 };
+
+describe("gateArea", () => {
+  test("front positions of every lane come first", () => {
+    expect(gateCapacity(cfg)).toBe(6);
+    expect([0, 1, 2, 3, 5].map((s) => gateSpot(cfg, s))).toEqual([
+      { lane: 0, pos: 0 }, { lane: 1, pos: 0 }, { lane: 2, pos: 0 }, { lane: 0, pos: 1 }, { lane: 2, pos: 1 },
+    ]);
+  });
+
+  test("free spots are reused, a full gate has none", () => {
+    expect(freeGateSpot(cfg, [])).toBe(0);
+    expect(freeGateSpot(cfg, [0, 1, 3])).toBe(2);
+    expect(freeGateSpot(cfg, new Set([0, 1, 2, 3, 4, 5]))).toBeNull();
+    expect(gateSpotFor(cfg, [0, 1], 4)).toBe(4);
+    expect(gateSpotFor(cfg, [0, 4], 4)).toBe(1);
+    expect(gateSpotFor(cfg, [], 9)).toBe(0); // outside a shrunken gate
+  });
+});
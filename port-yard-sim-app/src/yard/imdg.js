@@ -0,0 +1,82 @@
+// src/yard/imdg.js
+// ---------------------------------------------
+// IMDG segregation (headless)
+// - IMO hazard classes as used by the IMDG segregation table
+// - Matrix per class pair: N = minimum ground distance in slots
+//   (0 = compatible; 1 = not next to / on top; 2 = one free slot between, …)
+// - Defaults follow the IMDG segregation codes (1 "away from" …
+//   4 "separated longitudinally"), read directly as slot distances
+// ---------------------------------------------
+
+export const IMO_CLASSES = Object.freeze([
+  "1", "2.1", "2.2", "2.3", "3", "4.1", "4.2", "4.3", "5.1", "5.2", "6.1", "6.2", "7", "8", "9",
+]);
+
+export const MAX_SEGREGATION = 6;
+
+export const isImoClass = (cls) => IMO_CLASSES.includes(String(cls));
+
+// order-independent key: "3|5.1"
+export function pairKey(a, b) {
+  const [x, y] = [String(a), String(b)].sort((p, q) => IMO_CLASSES.indexOf(p) - IMO_CLASSES.indexOf(q));
+  return `${x}|${y}`;
+}
+
+// upper triangle of the table, one row per class (columns from that class on)
+const TABLE = {
+  "1":   [0, 4, 2, 2, 4, 4, 4, 4, 4, 4, 2, 4, 2, 4, 0],
+  "2.1": [0, 0, 0, 2, 1, 2, 0, 2, 2, 0, 4, 2, 1, 0],
+  "2.2": [0, 0, 1, 0, 1, 0, 0, 1, 0, 2, 1, 0, 0],
+  "2.3": [0, 2, 0, 2, 0, 0, 2, 0, 2, 1, 0, 0],
+  "3":   [0, 0, 2, 1, 2, 2, 0, 3, 2, 0, 0],
+  "4.1": [0, 1, 0, 1, 2, 0, 3, 2, 1, 0],
+  "4.2": [0, 1, 2, 2, 1, 3, 2, 1, 0],
+  "4.3": [0, 2, 2, 0, 2, 2, 1, 0],
+  "5.1": [0, 2, 1, 3, 1, 2, 0],
+  "5.2": [0, 1, 3, 2, 2, 0],
+  "6.1": [0, 1, 0, 0, 0],
+  "6.2": [0, 3, 3, 0],
+  "7":   [0, 2, 0],
+  "8":   [0, 0],
+  "9":   [0],
+};
+
+export const DEFAULT_SEGREGATION = Object.freeze(
+  IMO_CLASSES.reduce((acc, a, i) => {
+    TABLE[a].forEach((n, j) => {
+      if (n > 0) acc[pairKey(a, IMO_CLASSES[i + j])] = n;
+    });
+    return acc;
+  }, {})
+);
+
+/**
+ * Clean a pair matrix from config/snapshots: known pairs only, integers in
+ * 0..MAX_SEGREGATION; pairs not given keep their default. Explicit zeros are
+ * kept so that a cleared default survives a save/load round trip.
+ */
+export function normalizeSegregation(input) {
+  const out = { ...DEFAULT_SEGREGATION };
+  if (!input || typeof input !== "object") return out;
+  for (const [key, raw] of Object.entries(input)) {
+    const [a, b] = key.split("|");
+    if (!isImoClass(a) || !isImoClass(b)) continue;
+    const n = Math.round(Number(raw));
+    if (!Number.isFinite(n)) continue;
+    out[pairKey(a, b)] = Math.min(MAX_SEGREGATION, Math.max(0, n));
+  }
+  return out;
+}
+
+export const requiredDistance = (matrix, a, b) => matrix[pairKey(a, b)] || 0;
+
+// ground distance in slots between two footprints (Chebyshev; same column = 0)
+export function slotDistance(cellsA, cellsB) {
+  let best = Infinity;
+  for (const a of cellsA) {
+    for (const b of cellsB) {
+      best = Math.min(best, Math.max(Math.abs(a.bay - b.bay), Math.abs(a.row - b.row)));
+    }
+  }
+  return best;
+}
@@ -0,0 +1,35 @@
+import { DEFAULT_SEGREGATION, IMO_CLASSES, normalizeSegregation, pairKey, requiredDistance, slotDistance } from "./imdg";
+
+describe("IMDG segregation matrix", () => {
+  test("pair keys are order-independent", () => {
+    expect(pairKey("5.1", "3")).toBe("3|5.1");
+    expect(requiredDistance(DEFAULT_SEGREGATION, "6.2", "2.1")).toBe(4);
+    expect(requiredDistance(DEFAULT_SEGREGATION, "9", "1")).toBe(0);
+  });
+
+  test("every default pair is known and in range", () => {
+    for (const [key, n] of Object.entries(DEFAULT_SEGREGATION)) {
+      const [a, b] = key.split("|");
+      expect(IMO_CLASSES).toContain(a);
+      expect(IMO_CLASSES).toContain(b);
+      expect(n).toBeGreaterThanOrEqual(1);
+      expect(n).toBeLessThanOrEqual(4);
+    }
+  });
+
+  test("normalizeSegregation overrides, clamps and drops unknown pairs", () => {
+    const m = normalizeSegregation({ "5.1|3": 0, "8|9": "3", "9|8": 99, "3|11": 2 });
+    expect(m["3|5.1"]).toBe(0);
+    expect(normalizeSegregation(m)["3|5.1"]).toBe(0);
+    expect(m["8|9"]).toBe(6);
+    expect(Object.keys(m).some((k) => k.includes("11"))).toBe(false);
+    expect(m["1|3"]).toBe(4);
+  });
+
+  test("slot distance is the Chebyshev distance between footprints", () => {
+    const a = [{ bay: 1, row: 1 }, { bay: 1, row: 2 }];
+    expect(slotDistance(a, [{ bay: 1, row: 2 }])).toBe(0);
+    expect(slotDistance(a, [{ bay: 2, row: 3 }])).toBe(1);
+    expect(slotDistance(a, [{ bay: 4, row: 5 }])).toBe(3);
+  });
+});
@@ -0,0 +1,278 @@
+// src/yard/inventory.js
+// ---------------------------------------------
+// Yard inventory for the terminal operating system (headless)
+// - Built from a yard snapshot: positions from occ, attributes from the
+//   container entries; yard boxes by position, then the gate queue in order
+// - Position in BBRRTT notation: bay, row, tier with two digits each
+//   (C2 tier 1 = 030201); a 40’ is listed at its first row and covers row + 1
+// - CSV, JSON and a simplified BAPLIE/COARRI-style EDIFACT file
+//   (LOC+147 stowage position, EQD, MEA, NAD+CF, DGS, FTX); remark lines go
+//   into separate FTX text components, so line breaks survive the file
+// - parseInventory() reads all three back into a snapshot that goes through
+//   parseYardSnapshot(), so export -> import round-trips exactly
+// ---------------------------------------------
+
+import { parseCsv, toCsv } from "./csv";
+import { UNA, edifactSegments, segment } from "./edifact";
+import { isoType } from "./iso6346";
+import { formatSlot } from "./yardConfig";
+import { cellKey } from "./yardModel";
+import { SNAPSHOT_VERSION, parseYardSnapshot } from "./yardStorage";
+
+export const INVENTORY_FORMATS = Object.freeze({ CSV: "csv", JSON: "json", EDIFACT: "edifact" });
+export const INVENTORY_JSON_FORMAT = "yard-inventory";
+
+export const INVENTORY_ERRORS = Object.freeze({
+  INVALID_FILE: "INVALID_FILE",         // details.message
+  INVALID_POSITION: "INVALID_POSITION", // details.line, details.position
+  INVALID_ITEM: "INVALID_ITEM",         // details.line (no container number)
+});
+
+// CSV columns; slot/tier repeat the position for people reading the file
+export const INVENTORY_COLUMNS = Object.freeze([
+  "position", "slot", "tier", "number", "size", "typeCode", "grossKg", "full", "operator", "imoClass", "remark", "color",
+]);
+
+// EDIFACT LOC+147 for boxes at the gate (mutually defined code list)
+const GATE_POSITION = "GATE";
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// { bay: 3, row: 2, tier: 1 } -> "030201"
+export function positionCode({ bay, row, tier }) {
+  return `${pad2(bay)}${pad2(row)}${pad2(tier)}`;
+}
+
+// "030201" -> { bay: 3, row: 2, tier: 1 }; null unless six digits without a zero part
+export function parsePositionCode(code) {
+  const m = /^(\d{2})(\d{2})(\d{2})$/.exec(String(code || "").trim());
+  if (!m) return null;
+  const [bay, row, tier] = m.slice(1).map(Number);
+  return bay && row && tier ? { bay, row, tier } : null;
+}
+
+/**
+ * Inventory items of a snapshot (see serializeYard):
+ * [{ position ("" at the gate), number, sizeTEU, typeCode, grossKg, full, operator, remark, imoClass, color }]
+ */
+export function inventoryItems(snapshot) {
+  const cellsById = {};
+  for (const [key, id] of Object.entries(snapshot.occ)) {
+    const [bay, row, tier] = key.split("-").map(Number);
+    (cellsById[id] = cellsById[id] || []).push({ bay, row, tier });
+  }
+  const byId = new Map(snapshot.containers.map((c) => [c.id, c]));
+  const item = (c, first) => ({
+    position: first ? positionCode(first) : "",
+    number: c.id,
+    sizeTEU: c.sizeTEU,
+    typeCode: c.typeCode || "",
+    grossKg: c.grossKg,
+    full: c.full !== false,
+    operator: c.operator || "",
+    remark: c.remark || "",
+    imoClass: c.imoClass || "",
+    color: c.color || "",
+  });
+  const yard = Object.entries(cellsById)
+    .map(([id, cells]) => ({ c: byId.get(id), first: [...cells].sort((a, b) => a.row - b.row)[0] }))
+    .filter(({ c }) => c)
+    .sort((a, b) => a.first.bay - b.first.bay || a.first.row - b.first.row || a.first.tier - b.first.tier);
+  return [
+    ...yard.map(({ c, first }) => item(c, first)),
+    ...snapshot.gateQueue.filter((id) => byId.has(id)).map((id) => item(byId.get(id), null)),
+  ];
+}
+
+// ===== Export =====
+// `gateLabel`: slot column of the gate boxes (in the UI language)
+export function inventoryCsv(snapshot, { gateLabel = "" } = {}) {
+  const rows = inventoryItems(snapshot).map((it) => {
+    const pos = parsePositionCode(it.position);
+    return {
+      ...it,
+      slot: pos ? formatSlot(pos.bay, pos.row) : gateLabel,
+      tier: pos ? pos.tier : "",
+      size: it.sizeTEU === 2 ? "40" : "20",
+      grossKg: String(it.grossKg), // as stored, no rounding
+      full: it.full ? "F" : "E",
+    };
+  });
+  return toCsv(rows, INVENTORY_COLUMNS);
+}
+
+export function inventoryJson(snapshot, { now = new Date() } = {}) {
+  const { bays, rows, tiers } = snapshot.config;
+  return JSON.stringify(
+    {
+      format: INVENTORY_JSON_FORMAT,
+      version: 1,
+      generatedAt: now.toISOString(),
+      block: { bays, rows, tiers },
+      containers: inventoryItems(snapshot),
+    },
+    null,
+    2
+  );
+}
+
+// FTX free text (C108): one component per line, at most five; CR/LF never reach the file
+const FTX_LINES = 5;
+function ftxLines(text) {
+  const lines = String(text).split(/\r\n|\r|\n/);
+  return lines.length > FTX_LINES ? [...lines.slice(0, FTX_LINES - 1), lines.slice(FTX_LINES - 1).join(" ")] : lines;
+}
+
+/** Simplified BAPLIE: one LOC+147 group per container; boxes at the gate get LOC+147+GATE. */
+export function inventoryEdifact(snapshot, { now = new Date(), reference = "1" } = {}) {
+  const iso = now.toISOString();
+  const [date, time] = [iso.slice(0, 10).replace(/-/g, ""), iso.slice(11, 16).replace(":", "")];
+  const body = [
+    segment("UNH", "1", ["BAPLIE", "D", "95B", "UN", "SMDG20"]),
+    segment("BGM", "", reference, "9"),
+    segment("DTM", ["137", date + time, "203"]),
+  ];
+  for (const it of inventoryItems(snapshot)) {
+    body.push(
+      it.position ? segment("LOC", "147", [it.position, "", "5"]) : segment("LOC", "147", [GATE_POSITION, "", "ZZZ"]),
+      segment("EQD", "CN", it.number, it.typeCode, "", "", it.full ? "5" : "4"),
+      segment("MEA", "AAE", "G", ["KGM", String(it.grossKg)])
+    );
+    if (it.operator) body.push(segment("NAD", "CF", [it.operator, "172", "20"]));
+    if (it.imoClass) body.push(segment("DGS", "IMD", it.imoClass));
+    if (it.remark) body.push(segment("FTX", "AAI", "", "", ftxLines(it.remark)));
+    if (it.color) body.push(segment("FTX", "ZZZ", "", "", it.color)); // display color of the yard view
+  }
+  body.push(segment("UNT", String(body.length + 1), "1"));
+  return [
+    UNA,
+    segment("UNB", ["UNOC", "3"], "YARD", "TOS", [date.slice(2), time], reference),
+    ...body,
+    segment("UNZ", "1", reference),
+  ].join("\n") + "\n";
+}
+
+// ===== Import =====
+export function detectInventoryFormat(text) {
+  const head = String(text || "").replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("{")) return INVENTORY_FORMATS.JSON;
+  return /^(UNA|UNB|UNH)/.test(head) ? INVENTORY_FORMATS.EDIFACT : INVENTORY_FORMATS.CSV;
+}
+
+// each reader returns [{ line, ...item }] or throws with a message
+function jsonItems(text) {
+  const data = JSON.parse(text);
+  if (data?.format !== INVENTORY_JSON_FORMAT || !Array.isArray(data.containers)) {
+    throw new Error(`not a ${INVENTORY_JSON_FORMAT} file`);
+  }
+  return data.containers.map((c, i) => ({ ...c, line: i + 1 }));
+}
+
+function csvItems(text) {
+  const [header, ...records] = parseCsv(text);
+  const columns = header ? header.cells.map((c) => c.trim()) : [];
+  if (!columns.includes("position") || !columns.includes("number")) throw new Error("columns position/number missing");
+  return records.map(({ line, cells }) => {
+    const row = Object.fromEntries(columns.map((c, i) => [c, (cells[i] || "").trim()]));
+    return {
+      line,
+      position: row.position,
+      number: row.number,
+      sizeTEU: row.size === "40" ? 2 : 1,
+      typeCode: row.typeCode,
+      grossKg: Number(row.grossKg),
+      full: row.full !== "E",
+      operator: row.operator,
+      remark: row.remark,
+      imoClass: row.imoClass,
+      color: row.color,
+    };
+  });
+}
+
+function edifactItems(text) {
+  const items = [];
+  let item = null;
+  const value = (seg, e, c = 0) => seg.elements[e]?.[c] || "";
+  for (const seg of edifactSegments(text)) {
+    const tag = value(seg, 0);
+    if (tag === "LOC" && value(seg, 1) === "147") {
+      const code = value(seg, 2);
+      item = { line: seg.line, position: code === GATE_POSITION ? "" : code, operator: "", remark: "", imoClass: "", color: "" };
+      items.push(item);
+    } else if (item && tag === "EQD") {
+      const typeCode = value(seg, 3);
+      Object.assign(item, { number: value(seg, 2), typeCode, sizeTEU: isoType(typeCode)?.sizeTEU || 1, full: value(seg, 6) !== "4" });
+    } else if (item && tag === "MEA" && value(seg, 1) === "AAE") {
+      item.grossKg = Number(value(seg, 3, 1));
+    } else if (item && tag === "NAD" && value(seg, 1) === "CF") {
+      item.operator = value(seg, 2);
+    } else if (item && tag === "DGS" && value(seg, 1) === "IMD") {
+      item.imoClass = value(seg, 2);
+    } else if (item && tag === "FTX") {
+      if (value(seg, 1) === "ZZZ") item.color = value(seg, 4);
+      else item.remark = (seg.elements[4] || []).join("\n");
+    } else if (item && tag === "UNT") {
+      item = null;
+    }
+  }
+  return items;
+}
+
+const READERS = {
+  [INVENTORY_FORMATS.JSON]: jsonItems,
+  [INVENTORY_FORMATS.CSV]: csvItems,
+  [INVENTORY_FORMATS.EDIFACT]: edifactItems,
+};
+
+/**
+ * Inventory file (any of the three formats) -> yard in `config`.
+ * Same result as parseYardSnapshot ({ ok, errors, snapshot, model }) plus `format`;
+ * errors are INVENTORY_ERRORS or SNAPSHOT_ERRORS ({ code, details }).
+ * `color` is used for boxes without one (files from other systems).
+ */
+export function parseInventory(text, config, { color = "#d7bde2" } = {}) {
+  const format = detectInventoryFormat(text);
+  let items;
+  try {
+    items = READERS[format](String(text).replace(/^\uFEFF/, ""));
+  } catch (e) {
+    return { ok: false, format, errors: [{ code: INVENTORY_ERRORS.INVALID_FILE, details: { message: e.message } }] };
+  }
+
+  const errors = [];
+  const containers = [];
+  const occ = {};
+  const gateQueue = [];
+  for (const it of items) {
+    if (!it.number) {
+      errors.push({ code: INVENTORY_ERRORS.INVALID_ITEM, details: { line: it.line } });
+      continue;
+    }
+    let cells = [];
+    if (it.position) {
+      const pos = parsePositionCode(it.position);
+      if (!pos) {
+        errors.push({ code: INVENTORY_ERRORS.INVALID_POSITION, details: { line: it.line, position: it.position } });
+        continue;
+      }
+      cells = it.sizeTEU === 2 ? [pos, { ...pos, row: pos.row + 1 }] : [pos];
+      cells.forEach((c) => (occ[cellKey(c.bay, c.row, c.tier)] = it.number));
+    } else gateQueue.push(it.number);
+    containers.push({
+      id: it.number,
+      sizeTEU: it.sizeTEU,
+      color: it.color || color,
+      typeCode: it.typeCode,
+      grossKg: it.grossKg,
+      full: it.full,
+      operator: it.operator || "",
+      remark: it.remark || "",
+      imoClass: it.imoClass || "",
+      cells,
+    });
+  }
+  if (errors.length) return { ok: false, format, errors };
+  const res = parseYardSnapshot({ version: SNAPSHOT_VERSION, config, containers, occ, gateQueue });
+  return { ...res, format };
+}
@@ -0,0 +1,130 @@
+import { YardModel } from "./yardModel";
+import { serializeYard } from "./yardStorage";
+import {
+  INVENTORY_ERRORS,
+  INVENTORY_FORMATS,
+  inventoryCsv,
+  inventoryEdifact,
+  inventoryItems,
+  inventoryJson,
+  parseInventory,
+  parsePositionCode,
+  positionCode,
+} from "./inventory";
+
+const NOW = new Date("2024-03-01T08:15:00Z");
+
+function sampleYard() {
+  const yard = new YardModel({ bays: 4, rows: 5, tiers: 3 });
+  const add = (id, typeCode, sizeTEU, extra = {}) =>
+    yard.addContainer({ id, sizeTEU, typeCode, grossKg: 9000.5, full: true, operator: "", remark: "", imoClass: "", color: "#abcdef", ...extra });
+  add("MSKU1234565", "22G1", 1, { operator: "MSK", remark: "Siegel; geprüft, 'ok'?" });
+  add("MSCU7654329", "22G1", 1, { grossKg: 12000 });
+  add("HLXU1111119", "45G1", 2, { imoClass: "3", color: "#112233" });
+  add("CMAU2222228", "22R1", 1, { full: false, grossKg: 3000 });
+  add("TGHU3333337", "42G1", 2);
+  yard.place("MSKU1234565", "C2");
+  yard.place("MSCU7654329", "C3");
+  yard.place("HLXU1111119", "C2"); // 40’ on two 20’, tier 2
+  return serializeYard({
+    config: yard.config,
+    containers: yard.list(),
+    occ: yard.occupancy(),
+    gateQueue: ["TGHU3333337", "CMAU2222228"],
+  });
+}
+
+describe("inventory", () => {
+  test("BBRRTT positions", () => {
+    expect(positionCode({ bay: 3, row: 2, tier: 1 })).toBe("030201");
+    expect(parsePositionCode("122408")).toEqual({ bay: 12, row: 24, tier: 8 });
+    expect(parsePositionCode("030001")).toBeNull();
+    expect(parsePositionCode("C2")).toBeNull();
+  });
+
+  test("items from occ: yard by position, then the gate queue", () => {
+    const items = inventoryItems(sampleYard());
+    expect(items.map((i) => [i.position, i.number])).toEqual([
+      ["030201", "MSKU1234565"],
+      ["030202", "HLXU1111119"],
+      ["030301", "MSCU7654329"],
+      ["", "TGHU3333337"],
+      ["", "CMAU2222228"],
+    ]);
+  });
+
+  test("CSV and EDIFACT look like the TOS expects", () => {
+    const snap = sampleYard();
+    const csv = inventoryCsv(snap, { gateLabel: "Tor" }).split("\n");
+    expect(csv[0]).toBe("position,slot,tier,number,size,typeCode,grossKg,full,operator,imoClass,remark,color");
+    expect(csv[1]).toBe('030201,C2,1,MSKU1234565,20,22G1,9000.5,F,MSK,,"Siegel; geprüft, \'ok\'?",#abcdef');
+    expect(csv[3]).toBe("030301,C3,1,MSCU7654329,20,22G1,12000,F,,,,#abcdef");
+    expect(csv[5]).toBe(",Tor,,CMAU2222228,20,22R1,3000,E,,,,#abcdef");
+    expect(inventoryCsv(snap).split("\n")[5]).toBe(",,,CMAU2222228,20,22R1,3000,E,,,,#abcdef");
+
+    const edi = inventoryEdifact(snap, { now: NOW, reference: "42" }).split("\n");
+    expect(edi.slice(0, 5)).toEqual([
+      "UNA:+.? '",
+      "UNB+UNOC:3+YARD+TOS+240301:0815+42'",
+      "UNH+1+BAPLIE:D:95B:UN:SMDG20'",
+      "BGM++42+9'",
+      "DTM+137:202403010815:203'",
+    ]);
+    expect(edi.slice(5, 10)).toEqual([
+      "LOC+147+030201::5'",
+      "EQD+CN+MSKU1234565+22G1+++5'",
+      "MEA+AAE+G+KGM:9000.5'",
+      "NAD+CF+MSK:172:20'",
+      "FTX+AAI+++Siegel; geprüft, ?'ok?'??'",
+    ]);
+    expect(edi).toContain("LOC+147+GATE::ZZZ'");
+    expect(edi).toContain("DGS+IMD+3'");
+    expect(edi.slice(-3)).toEqual([`UNT+${edi.length - 4}+1'`, "UNZ+1+42'", ""]);
+  });
+
+  test.each([
+    ["CSV", inventoryCsv, INVENTORY_FORMATS.CSV],
+    ["JSON", (s) => inventoryJson(s, { now: NOW }), INVENTORY_FORMATS.JSON],
+    ["EDIFACT", (s) => inventoryEdifact(s, { now: NOW }), INVENTORY_FORMATS.EDIFACT],
+  ])("%s export -> import round-trips exactly", (_, exportFn, format) => {
+    const snap = sampleYard();
+    const text = exportFn(snap);
+    const res = parseInventory(text, snap.config);
+    expect(res).toMatchObject({ ok: true, format });
+    const byId = (list) => [...list].sort((a, b) => a.id.localeCompare(b.id));
+    expect(byId(res.model.list())).toEqual(byId(snap.containers));
+    expect(res.model.occupancy()).toEqual(snap.occ);
+    expect(res.snapshot.gateQueue).toEqual(snap.gateQueue);
+    const again = serializeYard({ config: snap.config, containers: res.model.list(), occ: res.model.occupancy(), gateQueue: res.snapshot.gateQueue });
+    expect(exportFn(again)).toBe(text);
+  });
+
+  test("remarks with line breaks and EDIFACT separators round-trip", () => {
+    const remark = "Zoll: Tür + Plombe 'B'?\nnicht stapeln";
+    const base = sampleYard();
+    const snap = { ...base, containers: base.containers.map((c) => (c.id === "TGHU3333337" ? { ...c, remark } : c)) };
+    [inventoryCsv(snap), inventoryJson(snap, { now: NOW }), inventoryEdifact(snap, { now: NOW })].forEach((text) => {
+      expect(parseInventory(text, snap.config).model.getContainer("TGHU3333337").remark).toBe(remark);
+    });
+    const edi = inventoryEdifact(snap, { now: NOW }).split("\n");
+    expect(edi).toContain("FTX+AAI+++Zoll?: Tür ?+ Plombe ?'B?'??:nicht stapeln'");
+
+    // CR/LF and CR become line breaks; past five lines the rest shares the last one
+    const messy = { ...base, containers: base.containers.map((c) => (c.id === "TGHU3333337" ? { ...c, remark: "a\r\nb\rc\nd\ne\nf" } : c)) };
+    const back = parseInventory(inventoryEdifact(messy, { now: NOW }), messy.config);
+    expect(back.model.getContainer("TGHU3333337").remark).toBe("a\nb\nc\nd\ne f");
+  });
+
+  test("bad files and positions are reported", () => {
+    const cfg = sampleYard().config;
+    expect(parseInventory("{\"format\":\"other\"}", cfg).errors[0].code).toBe(INVENTORY_ERRORS.INVALID_FILE);
+    expect(parseInventory("number,size\nX,20\n", cfg).errors[0].code).toBe(INVENTORY_ERRORS.INVALID_FILE);
+    const res = parseInventory("position,number,size,typeCode\nC2,MSKU1234565,20,22G1\n,,20,22G1\n", cfg);
+    expect(res.errors).toEqual([
+      { code: INVENTORY_ERRORS.INVALID_POSITION, details: { line: 2, position: "C2" } },
+      { code: INVENTORY_ERRORS.INVALID_ITEM, details: { line: 3 } },
+    ]);
+    // a box floating on tier 2 is caught by the snapshot rules
+    expect(parseInventory("position,number,size,typeCode,grossKg\n010102,MSKU1234565,20,22G1,9000\n", cfg).ok).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+// src/yard/iso6346.js
+// ---------------------------------------------
+// ISO 6346 container identity (headless)
+// - Container number: owner code (3 letters) + category (U/J/Z)
+//   + 6-digit serial + check digit, e.g. MSKU 123456 5
+// - Size/type codes (22G1, 45R1, …) with size and reefer flag
+// ---------------------------------------------
+
+export const ISO_REASONS = Object.freeze({
+  INVALID_FORMAT: "INVALID_FORMAT",   // not AAAU999999 9
+  INVALID_CATEGORY: "INVALID_CATEGORY", // 4th letter must be U, J or Z
+  CHECK_DIGIT: "CHECK_DIGIT",         // details.expected
+});
+
+// letter values skip multiples of 11 (A=10, B=12, … K=21, L=23, …)
+const LETTER_VALUES = (() => {
+  const values = {};
+  let v = 10;
+  for (let i = 0; i < 26; i++) {
+    if (v % 11 === 0) v++;
+    values[String.fromCharCode(65 + i)] = v++;
+  }
+  return values;
+})();
+
+const charValue = (ch) => (/\d/.test(ch) ? Number(ch) : LETTER_VALUES[ch]);
+
+/** Check digit for the first 10 characters (owner + category + serial). */
+export function checkDigit(first10) {
+  const s = String(first10).toUpperCase();
+  let sum = 0;
+  for (let i = 0; i < 10; i++) sum += charValue(s[i]) * 2 ** i;
+  return (sum % 11) % 10;
+}
+
+// strip spaces/dashes and upper-case: "mscu 123456-5" -> "MSCU1234565"
+export function normalizeContainerNumber(text) {
+  return String(text || "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+export function validateContainerNumber(text) {
+  const number = normalizeContainerNumber(text);
+  if (!/^[A-Z]{4}\d{7}$/.test(number)) return { ok: false, reason: ISO_REASONS.INVALID_FORMAT, details: { number } };
+  if (!"UJZ".includes(number[3])) return { ok: false, reason: ISO_REASONS.INVALID_CATEGORY, details: { number } };
+  const expected = checkDigit(number.slice(0, 10));
+  if (Number(number[10]) !== expected) {
+    return { ok: false, reason: ISO_REASONS.CHECK_DIGIT, details: { number, expected } };
+  }
+  return { ok: true, number };
+}
+
+export const isContainerNumber = (text) => validateContainerNumber(text).ok;
+
+// "MSKU1234565" -> "MSKU 123456 5" (anything else unchanged)
+export function formatContainerNumber(number) {
+  const n = normalizeContainerNumber(number);
+  return /^[A-Z]{4}\d{7}$/.test(n) ? `${n.slice(0, 4)} ${n.slice(4, 10)} ${n[10]}` : String(number);
+}
+
+/**
+ * Random valid number for `ownerCode` (3 letters + category, default "YRDU").
+ * `taken(number)` lets callers skip numbers already in use.
+ */
+export function generateContainerNumber(ownerCode = "YRDU", taken = () => false, random = Math.random) {
+  const owner = normalizeContainerNumber(ownerCode).padEnd(4, "U").slice(0, 4);
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const serial = String(Math.floor(random() * 1e6)).padStart(6, "0");
+    const number = `${owner}${serial}${checkDigit(owner + serial)}`;
+    if (!taken(number)) return number;
+  }
+  throw new Error(`No free container number for owner ${owner}`);
+}
+
+// ===== Size/type codes =====
+// first char = length (2 = 20’, 4 = 40’), second = height, last two = type group
+export const ISO_TYPES = Object.freeze({
+  "22G1": { sizeTEU: 1, reefer: false, tareKg: 2200, maxGrossKg: 30480 },
+  "22R1": { sizeTEU: 1, reefer: true, tareKg: 3000, maxGrossKg: 30480 },
+  "22U1": { sizeTEU: 1, reefer: false, tareKg: 2300, maxGrossKg: 30480 },
+  "22T6": { sizeTEU: 1, reefer: false, tareKg: 3700, maxGrossKg: 36000 },
+  "22P1": { sizeTEU: 1, reefer: false, tareKg: 2700, maxGrossKg: 34000 },
+  "42G1": { sizeTEU: 2, reefer: false, tareKg: 3750, maxGrossKg: 32500 },
+  "45G1": { sizeTEU: 2, reefer: false, tareKg: 3900, maxGrossKg: 32500 },
+  "45R1": { sizeTEU: 2, reefer: true, tareKg: 4800, maxGrossKg: 34000 },
+  "42U1": { sizeTEU: 2, reefer: false, tareKg: 3800, maxGrossKg: 32500 },
+});
+
+export const DEFAULT_TYPE_FOR_SIZE = Object.freeze({ 1: "22G1", 2: "42G1" });
+
+export function isoType(code) {
+  return ISO_TYPES[String(code || "").toUpperCase()] || null;
+}
+
+export const isReeferType = (code) => !!isoType(code)?.reefer;
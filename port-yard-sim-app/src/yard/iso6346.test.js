@@ -0,0 +1,49 @@
+import {
+  ISO_REASONS,
+  checkDigit,
+  formatContainerNumber,
+  generateContainerNumber,
+  isReeferType,
+  isoType,
+  validateContainerNumber,
+} from "./iso6346";
+
+describe("ISO 6346 numbers", () => {
+  test("computes the check digit (CSQU 305438 3)", () => {
+    expect(checkDigit("CSQU305438")).toBe(3);
+    expect(checkDigit("MSKU123456")).toBe(5);
+  });
+
+  test("validates format, category and check digit", () => {
+    expect(validateContainerNumber("csqu 305438-3")).toEqual({ ok: true, number: "CSQU3054383" });
+    expect(validateContainerNumber("CSQU305438")).toMatchObject({ ok: false, reason: ISO_REASONS.INVALID_FORMAT });
+    expect(validateContainerNumber("CSQX3054383")).toMatchObject({ ok: false, reason: ISO_REASONS.INVALID_CATEGORY });
+    expect(validateContainerNumber("CSQU3054384")).toMatchObject({
+      ok: false,
+      reason: ISO_REASONS.CHECK_DIGIT,
+      details: { expected: 3 },
+    });
+  });
+
+  test("formats numbers for display", () => {
+    expect(formatContainerNumber("CSQU3054383")).toBe("CSQU 305438 3");
+    expect(formatContainerNumber("Cabc12")).toBe("Cabc12");
+  });
+
+  test("generates valid, unused numbers", () => {
+    const seq = [0.1, 0.1, 0.2];
+    const random = () => seq.shift();
+    const first = generateContainerNumber("ABC", () => false, () => 0.1);
+    const second = generateContainerNumber("ABC", (n) => n === first, random);
+    expect(first).toBe("ABCU1000006");
+    expect(validateContainerNumber(first).ok).toBe(true);
+    expect(second).not.toBe(first);
+    expect(validateContainerNumber(second).ok).toBe(true);
+  });
+
+  test("knows size/type codes", () => {
+    expect(isoType("45r1")).toMatchObject({ sizeTEU: 2, reefer: true });
+    expect(isReeferType("22G1")).toBe(false);
+    expect(isoType("99X9")).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+// src/yard/jobQueue.js
+// ---------------------------------------------
+// Crane work-order queue (headless, no three.js / React)
+// - Orders: "place" (container -> slot) and "remove" (container -> gate)
+// - Every order is validated against the projected yard: the model plus
+//   all orders still queued or executing before it
+// - Reorder / prioritise / cancel only while every later order stays valid
+// - Status: queued -> executing -> done | failed (finished orders stay listed)
+// - Done orders keep their simulated crane cycle time (cycleS)
+// - Orders start in queue order; with several cranes an order may start
+//   while others run if it touches none of their stacks (jobsConflict)
+// ---------------------------------------------
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: "queued",
+  EXECUTING: "executing",
+  DONE: "done",
+  FAILED: "failed",
+});
+
+export const JOB_REASONS = Object.freeze({
+  UNKNOWN_JOB: "UNKNOWN_JOB",
+  INVALID_TYPE: "INVALID_TYPE",   // order type other than place/remove
+  NOT_QUEUED: "NOT_QUEUED",       // only waiting orders can be moved or cancelled
+  BREAKS_ORDER: "BREAKS_ORDER",   // change would invalidate a later order (details.jobId/reason/details)
+});
+
+const isPending = (job) => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.EXECUTING;
+const fail = (reason, details = {}) => ({ ok: false, reason, details });
+
+// apply one order to a (projected) model; YardModel result
+function applyJob(model, job) {
+  if (job.type === "place") return model.place(job.containerId, job.target);
+  if (job.type === "remove") return model.remove(job.containerId);
+  return fail(JOB_REASONS.INVALID_TYPE, { type: job.type });
+}
+
+// replay `jobs` on a copy of `model`; stops at the first order that no longer fits
+function replay(model, jobs) {
+  const state = model.clone();
+  for (const job of jobs) {
+    const res = applyJob(state, job);
+    if (!res.ok) return { ok: false, job, result: res, state };
+  }
+  return { ok: true, state };
+}
+
+// ground columns ("b-r") an order lifts from or sets down on
+export function jobColumns(model, job) {
+  const entry = model.getContainer(job.containerId);
+  const cols = new Set((entry?.cells || []).map((c) => `${c.bay}-${c.row}`));
+  if (job.type === "place" && entry) {
+    for (const c of model.cellsFor(entry.sizeTEU, job.target.bay, job.target.row, 1) || []) cols.add(`${c.bay}-${c.row}`);
+  }
+  return cols;
+}
+
+// two orders must not run side by side: same container or a shared stack
+export function jobsConflict(model, a, b) {
+  if (a.containerId === b.containerId) return true;
+  const cols = jobColumns(model, a);
+  for (const key of jobColumns(model, b)) if (cols.has(key)) return true;
+  return false;
+}
+
+export class JobQueue {
+  constructor() {
+    this.jobs = [];   // finished/executing first, then queued (execution order)
+    this.seq = 0;
+  }
+
+  list() {
+    return this.jobs.map((j) => ({ ...j }));
+  }
+
+  get pending() {
+    return this.jobs.filter(isPending);
+  }
+
+  get hasQueued() {
+    return this.jobs.some((j) => j.status === JOB_STATUS.QUEUED);
+  }
+
+  // yard as it will look after every pending order (orders that no longer fit are skipped)
+  projected(model) {
+    const state = model.clone();
+    for (const job of this.pending) applyJob(state, job);
+    return state;
+  }
+
+  /**
+   * Append one order or a batch (all-or-nothing). Orders: { type, containerId, target?, label?, rehandle? }
+   * (rehandle: relocation of a blocker, counted separately in the KPIs).
+   * ok:   { ok, jobs }          fail: YardModel/JOB result + details.index of the order
+   */
+  add(model, orders) {
+    const list = Array.isArray(orders) ? orders : [orders];
+    const state = this.projected(model);
+    for (let i = 0; i < list.length; i++) {
+      const res = applyJob(state, list[i]);
+      if (!res.ok) return { ...res, details: { ...res.details, index: i, containerId: list[i].containerId } };
+    }
+    const jobs = list.map(({ type, containerId, target = null, label = "", rehandle = false }) => ({
+      id: `J${++this.seq}`, type, containerId, target, label, rehandle,
+      status: JOB_STATUS.QUEUED, error: null, craneId: null, cycleS: null,
+    }));
+    this.jobs.push(...jobs);
+    return { ok: true, jobs: jobs.map((j) => ({ ...j })) };
+  }
+
+  // ===== Editing (queued orders only) =====
+  move(model, jobId, delta) {
+    const queued = this.jobs.filter((j) => j.status === JOB_STATUS.QUEUED);
+    const from = queued.findIndex((j) => j.id === jobId);
+    const check = this._editable(jobId);
+    if (!check.ok) return check;
+    const to = Math.max(0, Math.min(queued.length - 1, from + delta));
+    const next = [...queued];
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    return this._reorder(model, next);
+  }
+
+  prioritise(model, jobId) {
+    const check = this._editable(jobId);
+    if (!check.ok) return check;
+    const queued = this.jobs.filter((j) => j.status === JOB_STATUS.QUEUED);
+    return this._reorder(model, [queued.find((j) => j.id === jobId), ...queued.filter((j) => j.id !== jobId)]);
+  }
+
+  cancel(model, jobId) {
+    const check = this._editable(jobId);
+    if (!check.ok) return check;
+    return this._reorder(model, this.jobs.filter((j) => j.status === JOB_STATUS.QUEUED && j.id !== jobId));
+  }
+
+  clearFinished() {
+    this.jobs = this.jobs.filter(isPending);
+  }
+
+  // ===== Execution =====
+  /**
+   * Next order to run (marked executing) or null. `assign(job, executing)` returns
+   * the id of the crane taking it, or null to keep it waiting (default: one at a time).
+   */
+  start(assign = (job, executing) => (executing.length ? null : "K1")) {
+    const job = this.jobs.find((j) => j.status === JOB_STATUS.QUEUED);
+    if (!job) return null;
+    const craneId = assign({ ...job }, this.jobs.filter((j) => j.status === JOB_STATUS.EXECUTING).map((j) => ({ ...j })));
+    if (!craneId) return null;
+    job.status = JOB_STATUS.EXECUTING;
+    job.craneId = craneId;
+    return { ...job };
+  }
+
+  // result: executor outcome; `result.cycleS` = simulated crane seconds
+  finish(jobId, result) {
+    const job = this.jobs.find((j) => j.id === jobId);
+    if (!job) return fail(JOB_REASONS.UNKNOWN_JOB, { jobId });
+    job.status = result.ok ? JOB_STATUS.DONE : JOB_STATUS.FAILED;
+    job.error = result.ok ? null : { reason: result.reason, details: result.details || {} };
+    job.cycleS = result.ok ? result.cycleS ?? null : null;
+    return { ok: true, job: { ...job } };
+  }
+
+  _editable(jobId) {
+    const job = this.jobs.find((j) => j.id === jobId);
+    if (!job) return fail(JOB_REASONS.UNKNOWN_JOB, { jobId });
+    if (job.status !== JOB_STATUS.QUEUED) return fail(JOB_REASONS.NOT_QUEUED, { jobId, status: job.status });
+    return { ok: true };
+  }
+
+  // replace the queued part by `queued` if every pending order still fits
+  _reorder(model, queued) {
+    const executing = this.jobs.filter((j) => j.status === JOB_STATUS.EXECUTING);
+    const res = replay(model, [...executing, ...queued]);
+    if (!res.ok) {
+      return fail(JOB_REASONS.BREAKS_ORDER, { jobId: res.job.id, reason: res.result.reason, details: res.result.details });
+    }
+    this.jobs = [...this.jobs.filter((j) => j.status !== JOB_STATUS.QUEUED), ...queued];
+    return { ok: true };
+  }
+}
@@ -0,0 +1,111 @@
+import { YardModel, REASONS } from "./yardModel";
+import { JOB_REASONS, JOB_STATUS, JobQueue, jobsConflict } from "./jobQueue";
+
+function yardWith(ids) {
+  const yard = new YardModel({ bays: 3, rows: 3, tiers: 2 });
+  ids.forEach((id) => yard.addContainer({ id, sizeTEU: 1 }));
+  return yard;
+}
+
+const place = (containerId, bay, row) => ({ type: "place", containerId, target: { bay, row } });
+const ids = (q) => q.list().map((j) => `${j.id}:${j.status}`);
+
+describe("JobQueue", () => {
+  test("orders are validated against the projected yard", () => {
+    const yard = yardWith(["C1", "C2", "C3"]);
+    const q = new JobQueue();
+    expect(q.add(yard, place("C1", 1, 1)).ok).toBe(true);
+    expect(q.add(yard, place("C2", 1, 1)).ok).toBe(true); // lands on tier 2 after C1
+    expect(q.add(yard, place("C3", 1, 1))).toMatchObject({
+      ok: false,
+      reason: REASONS.STACK_FULL,
+      details: { index: 0, containerId: "C3" },
+    });
+    // removing C1 is blocked by the queued C2 on top of it
+    expect(q.add(yard, { type: "remove", containerId: "C1" })).toMatchObject({ ok: false, reason: REASONS.BLOCKED });
+    expect(yard.getContainer("C1").cells).toEqual([]); // the real model is untouched
+  });
+
+  test("batches are all-or-nothing", () => {
+    const yard = yardWith(["C1", "C2"]);
+    const q = new JobQueue();
+    const res = q.add(yard, [place("C1", 2, 2), place("C2", 9, 9)]);
+    expect(res).toMatchObject({ ok: false, reason: REASONS.INVALID_SLOT, details: { index: 1 } });
+    expect(q.list()).toEqual([]);
+    const added = q.add(yard, [{ ...place("C1", 2, 2), rehandle: true }, place("C2", 3, 3)]);
+    expect(added.jobs.map((j) => j.rehandle)).toEqual([true, false]);
+  });
+
+  test("start/finish run the orders in sequence", () => {
+    const yard = yardWith(["C1", "C2"]);
+    const q = new JobQueue();
+    q.add(yard, [place("C1", 1, 1), place("C2", 2, 1)]);
+    const first = q.start();
+    expect(first).toMatchObject({ id: "J1", status: JOB_STATUS.EXECUTING });
+    expect(q.start()).toBeNull(); // one at a time
+    yard.place("C1", first.target);
+    q.finish(first.id, { ok: true, cycleS: 42.5 });
+    expect(q.list()[0].cycleS).toBe(42.5);
+    const second = q.start();
+    q.finish(second.id, { ok: false, reason: REASONS.STACK_FULL, details: { tier: 2 } });
+    expect(ids(q)).toEqual(["J1:done", "J2:failed"]);
+    expect(q.list()[1].error).toEqual({ reason: REASONS.STACK_FULL, details: { tier: 2 } });
+    q.clearFinished();
+    expect(q.list()).toEqual([]);
+  });
+
+  test("reorder and prioritise keep later orders valid", () => {
+    const yard = yardWith(["C1", "C2", "C3"]);
+    const q = new JobQueue();
+    q.add(yard, [place("C1", 1, 1), place("C2", 1, 1), place("C3", 3, 3)]);
+    expect(q.prioritise(yard, "J3").ok).toBe(true);
+    expect(q.list().map((j) => j.id)).toEqual(["J3", "J1", "J2"]);
+    // C2 first takes tier 1 and C1 goes on top – still valid
+    expect(q.move(yard, "J2", -1).ok).toBe(true);
+    expect(q.list().map((j) => j.id)).toEqual(["J3", "J2", "J1"]);
+  });
+
+  test("changes that break a later order are refused", () => {
+    const yard = yardWith(["C1", "C2"]);
+    const q = new JobQueue();
+    q.add(yard, [place("C1", 1, 1), { type: "remove", containerId: "C1" }]);
+    expect(q.move(yard, "J2", -1)).toMatchObject({
+      ok: false,
+      reason: JOB_REASONS.BREAKS_ORDER,
+      details: { jobId: "J2", reason: REASONS.NOT_IN_YARD },
+    });
+    expect(q.cancel(yard, "J1")).toMatchObject({ ok: false, reason: JOB_REASONS.BREAKS_ORDER, details: { jobId: "J2" } });
+    expect(q.cancel(yard, "J2").ok).toBe(true);
+    expect(q.list().map((j) => j.id)).toEqual(["J1"]);
+  });
+
+  test("only queued orders can be edited", () => {
+    const yard = yardWith(["C1"]);
+    const q = new JobQueue();
+    q.add(yard, place("C1", 1, 1));
+    q.start();
+    expect(q.cancel(yard, "J1")).toMatchObject({ ok: false, reason: JOB_REASONS.NOT_QUEUED });
+    expect(q.cancel(yard, "J9")).toMatchObject({ ok: false, reason: JOB_REASONS.UNKNOWN_JOB });
+  });
+
+  test("with an assign callback independent orders run side by side", () => {
+    const yard = yardWith(["C1", "C2", "C3"]);
+    const q = new JobQueue();
+    q.add(yard, [place("C1", 1, 1), place("C2", 3, 3), place("C3", 3, 3)]);
+    const assign = (job, executing) => (executing.some((e) => jobsConflict(yard, e, job)) ? null : `K${executing.length + 1}`);
+    expect(q.start(assign)).toMatchObject({ id: "J1", craneId: "K1" });
+    expect(q.start(assign)).toMatchObject({ id: "J2", craneId: "K2" });
+    expect(q.start(assign)).toBeNull(); // J3 shares the C3 stack with J2
+    expect(ids(q)).toEqual(["J1:executing", "J2:executing", "J3:queued"]);
+  });
+
+  test("jobsConflict looks at the container and both 40’ columns", () => {
+    const yard = new YardModel({ bays: 3, rows: 3, tiers: 2 });
+    yard.addContainer({ id: "F", sizeTEU: 2 });
+    yard.addContainer({ id: "S", sizeTEU: 1 });
+    yard.place("S", "B2");
+    expect(jobsConflict(yard, place("F", 2, 1), { type: "remove", containerId: "S" })).toBe(true);
+    expect(jobsConflict(yard, place("F", 1, 1), { type: "remove", containerId: "S" })).toBe(false);
+    expect(jobsConflict(yard, place("F", 1, 1), place("F", 3, 1))).toBe(true);
+  });
+});
@@ -0,0 +1,186 @@
+// src/yard/kpi.js
+// ---------------------------------------------
+// Yard KPIs (headless, no three.js / React)
+// - Utilisation in TEU (one TEU per 20’ cell) for the block and per tier,
+//   straight from the occupancy map
+// - Event log: crane moves, yields, truck arrivals/departures/rejections
+// - Moves, rehandle ratio (blocker relocations per productive move),
+//   crane busy/idle time, mean truck wait, container dwell (yard in -> out)
+// - Time-series samples for charts (thinned out when they grow)
+// - CSV of the raw event log and of the aggregated KPIs
+// ---------------------------------------------
+
+import { toCsv } from "./csv";
+import { formatSlot } from "./yardConfig";
+
+export const KPI_EVENTS = Object.freeze({
+  MOVE: "MOVE",
+  YIELD: "YIELD",
+  TRUCK_ARRIVAL: "TRUCK_ARRIVAL",
+  TRUCK_DEPART: "TRUCK_DEPART",
+  TRUCK_REJECT: "TRUCK_REJECT",
+});
+
+export const MAX_SAMPLES = 400;
+
+// { teuUsed, teuCapacity, ratio, perTier: [{ tier, used, capacity, ratio }] }
+export function yardUtilisation(model) {
+  const { bays, rows, tiers } = model.config;
+  const capacity = bays * rows;
+  const used = Array(tiers).fill(0);
+  for (const key of Object.keys(model.occupancy())) {
+    const tier = Number(key.split("-")[2]);
+    if (tier >= 1 && tier <= tiers) used[tier - 1]++;
+  }
+  const teuUsed = used.reduce((a, b) => a + b, 0);
+  return {
+    teuUsed,
+    teuCapacity: capacity * tiers,
+    ratio: teuUsed / (capacity * tiers),
+    perTier: used.map((n, i) => ({ tier: i + 1, used: n, capacity, ratio: n / capacity })),
+  };
+}
+
+// "B1/2" (slot/tier) in the yard, "" at the gate (named on export, see eventLogCsv)
+const cellsLabel = (cells) => (cells?.length ? `${formatSlot(cells[0].bay, cells[0].row)}/${cells[0].tier}` : "");
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+export class KpiTracker {
+  /** Start at time `t` (s); boxes already in `model` count as in the yard since then. */
+  constructor({ t = 0, model = null } = {}) {
+    this.startT = t;
+    this.lastT = t;
+    this.log = [];
+    this.samples = [];
+    this.busy = new Map();       // crane id -> busy seconds
+    this.inYardSince = new Map(); // container id -> t
+    this.dwells = [];
+    this.waits = [];
+    this.moves = 0;
+    this.rehandles = 0;
+    for (const c of model?.list() || []) if (c.cells.length) this.inYardSince.set(c.id, t);
+  }
+
+  add(row) {
+    this.lastT = Math.max(this.lastT, row.t);
+    this.log.push(row);
+  }
+
+  // one committed crane move; fromCells/toCells empty = gate
+  move({ t, containerId, craneId, fromCells = [], toCells = [], rehandle = false, cycleS = 0, truckId = null }) {
+    this.moves++;
+    if (rehandle) this.rehandles++;
+    this.busy.set(craneId, (this.busy.get(craneId) || 0) + cycleS);
+    if (!fromCells.length && toCells.length) this.inYardSince.set(containerId, t);
+    if (fromCells.length && !toCells.length && this.inYardSince.has(containerId)) {
+      this.dwells.push(t - this.inYardSince.get(containerId));
+      this.inYardSince.delete(containerId);
+    }
+    this.add({
+      t, type: KPI_EVENTS.MOVE, craneId, containerId, truckId,
+      from: cellsLabel(fromCells), to: cellsLabel(toCells), rehandle, cycleS,
+    });
+  }
+
+  // idle crane pushed aside for another one
+  craneYield({ t, craneId, seconds }) {
+    this.busy.set(craneId, (this.busy.get(craneId) || 0) + seconds);
+    this.add({ t, type: KPI_EVENTS.YIELD, craneId, cycleS: seconds });
+  }
+
+  truckArrival({ t, truckId, kind, containerId = null }) {
+    this.add({ t, type: KPI_EVENTS.TRUCK_ARRIVAL, truckId, kind, containerId });
+  }
+
+  truckDepart({ t, truckId, kind, containerId = null, waitS }) {
+    this.waits.push(waitS);
+    this.add({ t, type: KPI_EVENTS.TRUCK_DEPART, truckId, kind, containerId, waitS });
+  }
+
+  truckReject({ t, truckId, kind, reason }) {
+    this.add({ t, type: KPI_EVENTS.TRUCK_REJECT, truckId, kind, reason });
+  }
+
+  /**
+   * Aggregated KPIs at time `t`. `craneIds` lists the cranes to report
+   * (cranes without moves are idle the whole time).
+   */
+  summary(t, model, craneIds = []) {
+    const elapsedS = Math.max(0, t - this.startT);
+    const ids = [...new Set([...craneIds, ...this.busy.keys()])];
+    const productive = this.moves - this.rehandles;
+    return {
+      t,
+      elapsedS,
+      utilisation: yardUtilisation(model),
+      moves: this.moves,
+      rehandles: this.rehandles,
+      rehandleRatio: productive > 0 ? this.rehandles / productive : 0,
+      cranes: ids.map((id) => {
+        const busyS = Math.min(elapsedS, this.busy.get(id) || 0);
+        return { id, busyS, idleS: elapsedS - busyS, utilisation: elapsedS > 0 ? busyS / elapsedS : 0 };
+      }),
+      trucksServed: this.waits.length,
+      meanTruckWaitS: mean(this.waits),
+      dwellCount: this.dwells.length,
+      meanDwellS: mean(this.dwells),
+      inYard: this.inYardSince.size,
+    };
+  }
+
+  // time-series point for the charts
+  sample(t, model, craneIds = []) {
+    const s = this.summary(t, model, craneIds);
+    this.samples.push({
+      t,
+      utilisation: s.utilisation.ratio,
+      moves: s.moves,
+      rehandleRatio: s.rehandleRatio,
+      craneUtilisation: s.cranes.length ? mean(s.cranes.map((c) => c.utilisation)) : 0,
+      meanTruckWaitS: s.meanTruckWaitS || 0,
+    });
+    // keep the charts light: drop every second point (first and last stay)
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples = this.samples.filter((_, i, all) => i % 2 === 0 || i === all.length - 1);
+    }
+    return s;
+  }
+}
+
+// ===== CSV =====
+export const EVENT_COLUMNS = Object.freeze([
+  "t", "type", "craneId", "containerId", "truckId", "kind", "from", "to", "rehandle", "cycleS", "waitS", "reason",
+]);
+
+// `gateLabel`: from/to of moves at the gate (in the UI language at export time)
+export function eventLogCsv(log, { gateLabel = "" } = {}) {
+  const rows = log.map((r) => (r.type === KPI_EVENTS.MOVE ? { ...r, from: r.from || gateLabel, to: r.to || gateLabel } : r));
+  return toCsv(rows, EVENT_COLUMNS);
+}
+
+// one "kpi,value" row per figure (per tier and per crane included)
+export function kpiCsv(summary) {
+  const u = summary.utilisation;
+  const rows = [
+    ["t_s", summary.t],
+    ["elapsed_s", summary.elapsedS],
+    ["teu_used", u.teuUsed],
+    ["teu_capacity", u.teuCapacity],
+    ["utilisation", u.ratio],
+    ...u.perTier.flatMap((p) => [[`tier_${p.tier}_teu`, p.used], [`tier_${p.tier}_utilisation`, p.ratio]]),
+    ["moves", summary.moves],
+    ["rehandles", summary.rehandles],
+    ["rehandle_ratio", summary.rehandleRatio],
+    ...summary.cranes.flatMap((c) => [
+      [`crane_${c.id}_busy_s`, c.busyS],
+      [`crane_${c.id}_idle_s`, c.idleS],
+      [`crane_${c.id}_utilisation`, c.utilisation],
+    ]),
+    ["trucks_served", summary.trucksServed],
+    ["mean_truck_wait_s", summary.meanTruckWaitS],
+    ["dwell_count", summary.dwellCount],
+    ["mean_dwell_s", summary.meanDwellS],
+    ["in_yard", summary.inYard],
+  ];
+  return toCsv(rows.map(([kpi, value]) => ({ kpi, value })), ["kpi", "value"]);
+}
@@ -0,0 +1,85 @@
+import { YardModel } from "./yardModel";
+import { KPI_EVENTS, KpiTracker, MAX_SAMPLES, eventLogCsv, kpiCsv, yardUtilisation } from "./kpi";
+
+function yard() {
+  const model = new YardModel({ bays: 2, rows: 2, tiers: 2 });
+  model.addContainer({ id: "S1", sizeTEU: 1 });
+  model.addContainer({ id: "F1", sizeTEU: 2 });
+  return model;
+}
+
+describe("kpi", () => {
+  test("utilisation in TEU per tier", () => {
+    const model = yard();
+    model.place("F1", "A1");
+    model.place("S1", "A1");
+    const u = yardUtilisation(model);
+    expect(u).toMatchObject({ teuUsed: 3, teuCapacity: 8, ratio: 3 / 8 });
+    expect(u.perTier).toEqual([
+      { tier: 1, used: 2, capacity: 4, ratio: 0.5 },
+      { tier: 2, used: 1, capacity: 4, ratio: 0.25 },
+    ]);
+  });
+
+  test("moves, rehandles, crane time, waits and dwell", () => {
+    const model = yard();
+    const kpi = new KpiTracker({ t: 100 });
+    const cell = (bay, row, tier) => ({ bay, row, tier });
+    kpi.move({ t: 110, containerId: "S1", craneId: "K1", toCells: [cell(1, 1, 1)], cycleS: 10 });
+    kpi.move({ t: 150, containerId: "F1", craneId: "K1", fromCells: [cell(1, 1, 1)], toCells: [cell(2, 1, 1)], rehandle: true, cycleS: 20 });
+    kpi.move({ t: 200, containerId: "S1", craneId: "K2", fromCells: [cell(1, 1, 1)], cycleS: 30 });
+    kpi.craneYield({ t: 200, craneId: "K1", seconds: 5 });
+    kpi.truckDepart({ t: 210, truckId: "T1", kind: "export", waitS: 60 });
+    kpi.truckDepart({ t: 220, truckId: "T2", kind: "import", waitS: 120 });
+
+    const s = kpi.summary(300, model, ["K1", "K2", "K3"]);
+    expect(s).toMatchObject({ elapsedS: 200, moves: 3, rehandles: 1, rehandleRatio: 0.5, meanTruckWaitS: 90 });
+    expect(s.cranes).toEqual([
+      { id: "K1", busyS: 35, idleS: 165, utilisation: 35 / 200 },
+      { id: "K2", busyS: 30, idleS: 170, utilisation: 30 / 200 },
+      { id: "K3", busyS: 0, idleS: 200, utilisation: 0 },
+    ]);
+    // S1 entered at 110 and left at 200; F1 never came from the gate
+    expect(s).toMatchObject({ dwellCount: 1, meanDwellS: 90 });
+    expect(kpi.log.map((r) => r.type)).toEqual([
+      KPI_EVENTS.MOVE, KPI_EVENTS.MOVE, KPI_EVENTS.MOVE, KPI_EVENTS.YIELD, KPI_EVENTS.TRUCK_DEPART, KPI_EVENTS.TRUCK_DEPART,
+    ]);
+  });
+
+  test("boxes already in the yard dwell from the start", () => {
+    const model = yard();
+    model.place("S1", "B2");
+    const kpi = new KpiTracker({ t: 0, model });
+    kpi.move({ t: 50, containerId: "S1", craneId: "K1", fromCells: model.getContainer("S1").cells, cycleS: 10 });
+    expect(kpi.summary(50, model)).toMatchObject({ meanDwellS: 50, inYard: 0 });
+  });
+
+  test("samples are thinned out", () => {
+    const model = yard();
+    const kpi = new KpiTracker();
+    for (let t = 1; t <= MAX_SAMPLES + 1; t++) kpi.sample(t, model);
+    expect(kpi.samples.length).toBeLessThanOrEqual(MAX_SAMPLES / 2 + 2);
+    expect(kpi.samples[0].t).toBe(1);
+    expect(kpi.samples[kpi.samples.length - 1].t).toBe(MAX_SAMPLES + 1);
+  });
+
+  test("CSV of events and KPIs", () => {
+    const model = yard();
+    const kpi = new KpiTracker();
+    kpi.move({ t: 12.345, containerId: "S1", craneId: "K1", toCells: [{ bay: 2, row: 1, tier: 1 }], cycleS: 40 });
+    kpi.truckReject({ t: 13, truckId: "T1", kind: "export", reason: "no box, sorry" });
+    expect(eventLogCsv(kpi.log, { gateLabel: "Tor" }).split("\n")).toEqual([
+      "t,type,craneId,containerId,truckId,kind,from,to,rehandle,cycleS,waitS,reason",
+      "12.35,MOVE,K1,S1,,,Tor,B1/1,false,40,,",
+      '13,TRUCK_REJECT,,,T1,export,,,,,,"no box, sorry"',
+      "",
+    ]);
+    expect(eventLogCsv(kpi.log, { gateLabel: "Gate" })).toContain(",Gate,B1/1,"); // named when exported
+    const csv = kpiCsv(kpi.summary(20, model, ["K1"]));
+    expect(csv.startsWith("kpi,value\n")).toBe(true);
+    expect(csv).toContain("teu_capacity,8\n");
+    expect(csv).toContain("tier_2_teu,0\n");
+    expect(csv).toContain("crane_K1_busy_s,20\n"); // capped at the elapsed time
+    expect(csv).toContain("mean_truck_wait_s,\n");
+  });
+});
@@ -0,0 +1,210 @@
+// src/yard/manifest.js
+// ---------------------------------------------
+// Arrival manifests from shipping lines (headless, no three.js / React)
+// - CSV with a header row (";", "," or tab; German or English column names)
+// - EDIFACT COPRAR / CODECO, common subset: EQD (number, size/type, full/empty),
+//   MEA (gross weight / VGM), NAD+CF/CA (operator), DGS (IMO class), FTX (remark)
+// - One row per container with its source line; validateManifest() checks
+//   every row (spec rules, duplicates in the file, optional target slot on the
+//   projected yard) and collects all errors instead of failing on the first
+// ---------------------------------------------
+
+import { validateContainerSpec } from "./containerSpec";
+import { parseCsv } from "./csv";
+import { edifactSegments } from "./edifact";
+import { DEFAULT_TYPE_FOR_SIZE, isoType, normalizeContainerNumber } from "./iso6346";
+import { parseSlot } from "./yardConfig";
+
+export const MANIFEST_FORMATS = Object.freeze({ CSV: "csv", EDIFACT: "edifact" });
+
+export const MANIFEST_REASONS = Object.freeze({
+  EMPTY_FILE: "EMPTY_FILE",                   // no container lines
+  MISSING_COLUMN: "MISSING_COLUMN",           // details.column
+  UNSUPPORTED_MESSAGE: "UNSUPPORTED_MESSAGE", // details.type (only COPRAR / CODECO)
+  MISSING_NUMBER: "MISSING_NUMBER",
+  DUPLICATE_IN_FILE: "DUPLICATE_IN_FILE",     // details.number, details.line
+  INVALID_SIZE: "INVALID_SIZE",               // details.value (20 / 40 / 45)
+  INVALID_FULL: "INVALID_FULL",               // details.value
+  INVALID_SLOT: "INVALID_SLOT",               // details.slot (malformed or outside the block)
+});
+
+export const EDIFACT_MESSAGES = Object.freeze(["COPRAR", "CODECO"]);
+
+// raw row fields (all strings) shared by both formats
+export const MANIFEST_FIELDS = Object.freeze([
+  "number", "typeCode", "size", "grossKg", "full", "operator", "remark", "imoClass", "slot",
+]);
+
+const fail = (reason, details = {}) => ({ ok: false, reason, details });
+const blankRow = (line, segment) => MANIFEST_FIELDS.reduce((row, f) => ({ ...row, [f]: "" }), { line, segment });
+
+export function detectManifestFormat(text) {
+  const head = String(text || "").replace(/^\uFEFF/, "").trimStart();
+  return /^(UNA|UNB|UNH)/.test(head) ? MANIFEST_FORMATS.EDIFACT : MANIFEST_FORMATS.CSV;
+}
+
+/**
+ * Parse a CSV or EDIFACT manifest (format detected from the content).
+ * ok:   { ok, format, rows: [{ line, segment, number, typeCode, … }] }
+ * fail: { ok: false, format, reason, details } for problems with the whole file
+ */
+export function parseManifest(text) {
+  const format = detectManifestFormat(text);
+  const res = format === MANIFEST_FORMATS.EDIFACT ? parseEdifactManifest(text) : parseCsvManifest(text);
+  return { ...res, format };
+}
+
+// ===== CSV =====
+const HEADER_ALIASES = {
+  number: ["number", "containernumber", "containerno", "container", "cntr", "nummer", "containernummer"],
+  typeCode: ["typecode", "type", "isotype", "sizetype", "iso", "typ"],
+  size: ["size", "length", "groesse", "größe", "laenge", "länge"],
+  grossKg: ["grosskg", "gross", "weight", "weightkg", "vgm", "gewicht", "bruttogewicht"],
+  full: ["full", "fullempty", "fe", "status", "voll", "vollleer"],
+  operator: ["operator", "line", "carrier", "reederei", "betreiber"],
+  remark: ["remark", "remarks", "comment", "bemerkung"],
+  imoClass: ["imoclass", "imo", "imdg", "imdgclass", "imoklasse"],
+  slot: ["slot", "target", "targetslot", "stellplatz", "ziel"],
+};
+
+const headerKey = (text) => {
+  const name = String(text).toLowerCase().replace(/[^a-z0-9äöüß]/g, "");
+  return Object.keys(HEADER_ALIASES).find((field) => HEADER_ALIASES[field].includes(name)) || null;
+};
+
+export function parseCsvManifest(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header || !records.length) return fail(MANIFEST_REASONS.EMPTY_FILE);
+  const columns = header.cells.map(headerKey);
+  if (!columns.includes("number")) return fail(MANIFEST_REASONS.MISSING_COLUMN, { column: "number" });
+  if (!columns.includes("typeCode") && !columns.includes("size")) {
+    return fail(MANIFEST_REASONS.MISSING_COLUMN, { column: "typeCode" });
+  }
+  const rows = records.map(({ line, cells }) => {
+    const row = blankRow(line, null);
+    columns.forEach((field, i) => {
+      if (field && cells[i] !== undefined) row[field] = cells[i].trim();
+    });
+    return row;
+  });
+  return { ok: true, rows };
+}
+
+// ===== EDIFACT =====
+// EQD full/empty indicator: 5 = full, 4 = empty
+const EDIFACT_FULL = { 5: "F", 4: "E" };
+const KG_PER_UNIT = { KGM: 1, TNE: 1000 };
+
+export function parseEdifactManifest(text) {
+  const segments = edifactSegments(text);
+  const rows = [];
+  let row = null;
+  let carrier = "";
+  const value = (seg, e, c = 0) => (seg.elements[e]?.[c] || "").trim();
+  for (let s = 0; s < segments.length; s++) {
+    const seg = segments[s];
+    const tag = value(seg, 0);
+    if (tag === "UNH") {
+      const type = value(seg, 2).toUpperCase();
+      if (!EDIFACT_MESSAGES.includes(type)) return fail(MANIFEST_REASONS.UNSUPPORTED_MESSAGE, { type });
+      row = null;
+      carrier = "";
+    } else if (tag === "EQD" && value(seg, 1) === "CN") {
+      row = {
+        ...blankRow(seg.line, s + 1),
+        number: value(seg, 2),
+        typeCode: value(seg, 3),
+        full: EDIFACT_FULL[value(seg, 6)] || value(seg, 6),
+        operator: carrier,
+      };
+      rows.push(row);
+    } else if (tag === "NAD" && ["CF", "CA"].includes(value(seg, 1))) {
+      // before the first EQD of a message: carrier for every box; after: operator of that box
+      if (row) row.operator = value(seg, 2);
+      else carrier = value(seg, 2);
+    } else if (row && tag === "MEA" && value(seg, 1) === "AAE" && ["G", "VGM", "AAL"].includes(value(seg, 2))) {
+      const unit = value(seg, 3).toUpperCase();
+      const amount = Number(value(seg, 3, 1).replace(",", "."));
+      // the verified gross mass wins over a declared gross weight
+      if (!row.vgm || value(seg, 2) === "VGM") {
+        row.grossKg = Number.isFinite(amount) && KG_PER_UNIT[unit] ? String(amount * KG_PER_UNIT[unit]) : value(seg, 3, 1);
+        row.vgm = value(seg, 2) === "VGM";
+      }
+    } else if (row && tag === "DGS" && value(seg, 1) === "IMD") {
+      row.imoClass = value(seg, 2);
+    } else if (row && tag === "FTX") {
+      row.remark = [row.remark, ...(seg.elements[4] || [])].filter(Boolean).join(" ");
+    } else if (tag === "UNT") {
+      row = null;
+    }
+  }
+  if (!rows.length) return fail(MANIFEST_REASONS.EMPTY_FILE);
+  return { ok: true, rows: rows.map(({ vgm, ...r }) => r) };
+}
+
+// ===== Validation =====
+const FULL_WORDS = ["f", "full", "voll", "v", "1", "true", "yes", "ja", "x", "5"];
+const EMPTY_WORDS = ["e", "empty", "leer", "l", "mt", "0", "false", "no", "nein", "4"];
+const SIZE_TEU = { 20: 1, 40: 2, 45: 2 };
+
+// "" -> true (manifests list full boxes unless marked), null when unreadable
+function parseFull(text) {
+  const word = String(text || "").trim().toLowerCase();
+  if (!word || FULL_WORDS.includes(word)) return true;
+  return EMPTY_WORDS.includes(word) ? false : null;
+}
+
+const parseKg = (text) => String(text || "").replace(/\s|kg$/gi, "").replace(",", ".");
+
+/**
+ * Check every row. `model` is the yard the containers arrive in (for target
+ * slots pass the projected yard: the rows are placed on a copy one after the other).
+ * Returns [{ ...row, ok, spec, target, errors: { field: { reason, details } } }];
+ * `spec` carries the container id, `target` is { bay, row } or null.
+ */
+export function validateManifest(rows, model) {
+  const state = model.clone();
+  const seen = new Map(); // number -> first line
+  return rows.map((row) => {
+    const errors = {};
+    const number = normalizeContainerNumber(row.number);
+    if (!number) errors.number = { reason: MANIFEST_REASONS.MISSING_NUMBER, details: {} };
+    else if (seen.has(number)) {
+      errors.number = { reason: MANIFEST_REASONS.DUPLICATE_IN_FILE, details: { number, line: seen.get(number) } };
+    } else seen.set(number, row.line);
+
+    let typeCode = row.typeCode.toUpperCase();
+    if (!typeCode && row.size) {
+      const sizeTEU = SIZE_TEU[parseInt(row.size, 10)];
+      if (sizeTEU) typeCode = DEFAULT_TYPE_FOR_SIZE[sizeTEU];
+      else errors.typeCode = { reason: MANIFEST_REASONS.INVALID_SIZE, details: { value: row.size } };
+    }
+
+    const full = parseFull(row.full);
+    if (full === null) errors.full = { reason: MANIFEST_REASONS.INVALID_FULL, details: { value: row.full } };
+    // empty boxes may leave the weight blank (tare of the type)
+    const grossKg = row.grossKg === "" && full === false ? isoType(typeCode)?.tareKg : parseKg(row.grossKg);
+
+    const res = validateContainerSpec(
+      { number, typeCode, grossKg, full, operator: row.operator, remark: row.remark, imoClass: row.imoClass },
+      (n) => !!model.getContainer(n)
+    );
+    Object.entries(res.errors).forEach(([field, e]) => {
+      if (!errors[field]) errors[field] = e;
+    });
+
+    let target = null;
+    if (row.slot) {
+      target = parseSlot(row.slot, model.config);
+      if (!target) errors.slot = { reason: MANIFEST_REASONS.INVALID_SLOT, details: { slot: row.slot } };
+    }
+    const ok = Object.keys(errors).length === 0;
+    if (ok && target) {
+      state.addContainer({ ...res.spec, id: res.spec.id });
+      const placed = state.place(res.spec.id, target);
+      if (!placed.ok) errors.slot = { reason: placed.reason, details: placed.details };
+    }
+    const valid = Object.keys(errors).length === 0;
+    return { ...row, ok: valid, spec: valid ? res.spec : null, target: valid ? target : null, errors };
+  });
+}
@@ -0,0 +1,93 @@
+import { YardModel, REASONS } from "./yardModel";
+import { SPEC_REASONS } from "./containerSpec";
+import { MANIFEST_FORMATS, MANIFEST_REASONS, detectManifestFormat, parseManifest, validateManifest } from "./manifest";
+
+const COPRAR = [
+  "UNA:+.? '",
+  "UNB+UNOA:2+MSK+YARD+240301:0800+17'",
+  "UNH+1+COPRAR:D:95B:UN:ITG13'",
+  "BGM+45+DISCH17+9'",
+  "NAD+CA+MSK:172:20'",
+  "EQD+CN+MSKU1234565:6346:5+45G1:6346:5+2+2+5'",
+  "MEA+AAE+G+KGM:24500'",
+  "MEA+AAE+VGM+KGM:24610'",
+  "DGS+IMD+3+1203'",
+  "EQD+CN+MSCU7654329+22G1+2+2+4'",
+  "NAD+CF+MSC:172:20'",
+  "FTX+AAI+++Tür ?+ Siegel geprüft'",
+  "UNT+11+1'",
+  "UNZ+1+17'",
+].join("\n");
+
+describe("manifest", () => {
+  test("detects the format from the content", () => {
+    expect(detectManifestFormat("UNA:+.? 'UNB+…")).toBe(MANIFEST_FORMATS.EDIFACT);
+    expect(detectManifestFormat("\n UNH+1+CODECO:D:95B:UN'")).toBe(MANIFEST_FORMATS.EDIFACT);
+    expect(detectManifestFormat("number;type\n")).toBe(MANIFEST_FORMATS.CSV);
+  });
+
+  test("CSV with German headers, quotes and line numbers", () => {
+    const res = parseManifest([
+      "Containernummer;Typ;Gewicht;Voll/Leer;Reederei;Bemerkung;Stellplatz",
+      "MSKU 123456 5;45G1;24500;F;MSK;\"Siegel; geprüft\";B2",
+      "",
+      "MSCU7654329;22G1;;E;MSC;;",
+    ].join("\r\n"));
+    expect(res).toMatchObject({ ok: true, format: MANIFEST_FORMATS.CSV });
+    expect(res.rows).toEqual([
+      expect.objectContaining({ line: 2, number: "MSKU 123456 5", typeCode: "45G1", grossKg: "24500", remark: "Siegel; geprüft", slot: "B2" }),
+      expect.objectContaining({ line: 4, number: "MSCU7654329", full: "E", grossKg: "", slot: "" }),
+    ]);
+    expect(parseManifest("Weight,Operator\n1,2\n")).toMatchObject({
+      ok: false, reason: MANIFEST_REASONS.MISSING_COLUMN, details: { column: "number" },
+    });
+    expect(parseManifest("number,type\n")).toMatchObject({ ok: false, reason: MANIFEST_REASONS.EMPTY_FILE });
+  });
+
+  test("EDIFACT COPRAR subset", () => {
+    const res = parseManifest(COPRAR);
+    expect(res).toMatchObject({ ok: true, format: MANIFEST_FORMATS.EDIFACT });
+    expect(res.rows).toEqual([
+      expect.objectContaining({
+        line: 6, segment: 5, number: "MSKU1234565", typeCode: "45G1", full: "F", grossKg: "24610", operator: "MSK", imoClass: "3",
+      }),
+      expect.objectContaining({
+        line: 10, number: "MSCU7654329", typeCode: "22G1", full: "E", grossKg: "", operator: "MSC", remark: "Tür + Siegel geprüft",
+      }),
+    ]);
+    // one-line interchange with default separators
+    const flat = parseManifest("UNH+1+CODECO:D:95B:UN'EQD+CN+HLXU1111119+22G1+++5'MEA+AAE+G+TNE:12.5'UNT+3+1'");
+    expect(flat.rows[0]).toMatchObject({ line: 1, segment: 2, number: "HLXU1111119", grossKg: "12500" });
+    expect(parseManifest("UNH+1+BAPLIE:D:95B:UN'")).toMatchObject({
+      ok: false, reason: MANIFEST_REASONS.UNSUPPORTED_MESSAGE, details: { type: "BAPLIE" },
+    });
+  });
+
+  test("every row is validated on its own", () => {
+    const model = new YardModel({ bays: 3, rows: 3, tiers: 1 });
+    model.addContainer({ id: "CMAU2222228", sizeTEU: 1 });
+    const { rows } = parseManifest([
+      "number,size,type,weight,full,slot",
+      "MSKU1234565,,45G1,24500,F,B2",
+      "MSCU7654329,20,,,empty,A1",
+      "MSCU7654329,20,,,E,",
+      "CMAU2222228,,22G1,9000,F,",
+      "TGHU3333330,,22G1,9000,maybe,Z9",
+      ",45,,40000,F,",
+      "HLXU1111119,20,,9000,F,B2",
+    ].join("\n"));
+    const res = validateManifest(rows, model);
+    expect(res.map((r) => r.ok)).toEqual([true, true, false, false, false, false, false]);
+    expect(res[0]).toMatchObject({ spec: { id: "MSKU1234565", sizeTEU: 2, grossKg: 24500 }, target: { bay: 2, row: 2 } });
+    expect(res[1].spec).toMatchObject({ typeCode: "22G1", full: false, grossKg: 2200 }); // tare for an empty box
+    expect(res[2].errors.number).toEqual({ reason: MANIFEST_REASONS.DUPLICATE_IN_FILE, details: { number: "MSCU7654329", line: 3 } });
+    expect(res[3].errors.number.reason).toBe(SPEC_REASONS.DUPLICATE_NUMBER);
+    expect(Object.keys(res[4].errors).sort()).toEqual(["full", "number", "slot"]);
+    expect(res[4].errors.slot).toEqual({ reason: MANIFEST_REASONS.INVALID_SLOT, details: { slot: "Z9" } });
+    expect(res[5].errors.number.reason).toBe(MANIFEST_REASONS.MISSING_NUMBER);
+    expect(res[5].errors.grossKg.reason).toBe(SPEC_REASONS.INVALID_WEIGHT);
+    // B2 already holds the 40’ from line 2 of the file (projected on a copy)
+    expect(res[6].errors.slot.reason).toBe(REASONS.STACK_FULL);
+    expect(model.getContainer("MSKU1234565")).toBeFalsy();
+  });
+});
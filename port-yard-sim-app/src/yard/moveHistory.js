@@ -0,0 +1,125 @@
+// src/yard/moveHistory.js
+// ---------------------------------------------
+// Command history for crane moves (headless, no three.js / React)
+// - Records additions, placements, removals (with their previous cells) and
+//   dispatches out of the terminal
+// - Undo/redo stacks; a new command clears redo
+// - planStep() checks against the live YardModel whether a step can still
+//   be reversed (e.g. nothing was stacked on top in the meantime)
+// ---------------------------------------------
+
+import { REASONS } from "./yardModel";
+
+export const HISTORY_REASONS = Object.freeze({
+  NOTHING: "NOTHING",               // empty undo/redo stack
+  STATE_CHANGED: "STATE_CHANGED",   // container is no longer where the step left it
+  SLOT_TAKEN: "SLOT_TAKEN",         // original cells cannot be restored (details.reason)
+});
+
+/**
+ * Commands:
+ *   { type: "add", id, sizeTEU, color, gateIndex }
+ *   { type: "dispatch", id, sizeTEU, color, gateIndex } (truck left the terminal; mirror of "add")
+ *   { type: "place" | "remove", id, fromCells, toCells, fromGate, toGate }
+ * Empty cells mean "at the gate" (fromGate/toGate = gate parking index).
+ */
+export class MoveHistory {
+  constructor(limit = 200) {
+    this.limit = limit;
+    this.past = [];
+    this.future = [];
+  }
+
+  record(cmd) {
+    this.past.push(cmd);
+    if (this.past.length > this.limit) this.past.shift();
+    this.future = [];
+  }
+
+  peekUndo() {
+    return this.past[this.past.length - 1] || null;
+  }
+
+  peekRedo() {
+    return this.future[this.future.length - 1] || null;
+  }
+
+  markUndone() {
+    if (this.past.length) this.future.push(this.past.pop());
+  }
+
+  markRedone() {
+    if (this.future.length) this.past.push(this.future.pop());
+  }
+
+  clear() {
+    this.past = [];
+    this.future = [];
+  }
+
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  get canRedo() {
+    return this.future.length > 0;
+  }
+}
+
+const ok = (extra) => ({ ok: true, ...extra });
+const fail = (reason, details = {}) => ({ ok: false, reason, details });
+
+const sameCells = (a = [], b = []) => {
+  const norm = (cells) => cells.map((c) => `${c.bay}-${c.row}-${c.tier}`).sort().join("|");
+  return norm(a) === norm(b);
+};
+
+/**
+ * What has to happen to undo (direction "undo") or redo ("redo") `cmd`.
+ * Returns { ok, kind, ... } without touching the model:
+ *   kind "place"  -> target { bay, row } (lands on the recorded tier)
+ *   kind "gate"   -> gateIndex
+ *   kind "delete" -> container leaves the scene
+ *   kind "create" -> container is re-added at gateIndex
+ */
+export function planStep(model, cmd, direction) {
+  if (!cmd) return fail(HISTORY_REASONS.NOTHING);
+  const undo = direction === "undo";
+
+  if (cmd.type === "add" || cmd.type === "dispatch") {
+    const current = model.getContainer(cmd.id);
+    if (undo === (cmd.type === "add")) {
+      // only containers standing at the gate can leave the scene
+      if (!current || current.cells.length) return fail(HISTORY_REASONS.STATE_CHANGED, { id: cmd.id });
+      return ok({ kind: "delete", id: cmd.id });
+    }
+    if (current) return fail(REASONS.DUPLICATE_ID, { id: cmd.id });
+    return ok({ kind: "create", id: cmd.id, gateIndex: cmd.gateIndex });
+  }
+
+  const src = undo ? cmd.toCells : cmd.fromCells;
+  const dst = undo ? cmd.fromCells : cmd.toCells;
+  const dstGate = undo ? cmd.fromGate : cmd.toGate;
+
+  const current = model.getContainer(cmd.id);
+  if (!current || !sameCells(current.cells, src)) return fail(HISTORY_REASONS.STATE_CHANGED, { id: cmd.id });
+
+  // something stacked on top since?
+  if (src.length) {
+    const lift = model.canRemove(cmd.id);
+    if (!lift.ok) return fail(REASONS.BLOCKED, { id: cmd.id, blockers: lift.blockers });
+  }
+
+  if (!dst.length) return ok({ kind: "gate", id: cmd.id, gateIndex: dstGate });
+
+  const first = [...dst].sort((a, b) => a.row - b.row)[0];
+  const target = { bay: first.bay, row: first.row };
+  const decision = model.validatePlace(cmd.id, target);
+  if (!decision.ok) {
+    return fail(HISTORY_REASONS.SLOT_TAKEN, { id: cmd.id, ...target, tier: first.tier, reason: decision.reason });
+  }
+  if (decision.tier !== first.tier) {
+    return fail(HISTORY_REASONS.SLOT_TAKEN, { id: cmd.id, ...target, tier: first.tier, actualTier: decision.tier });
+  }
+  return ok({ kind: "place", id: cmd.id, target });
+}
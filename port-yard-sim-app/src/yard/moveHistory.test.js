@@ -0,0 +1,111 @@
+import { YardModel, REASONS } from "./yardModel";
+import { HISTORY_REASONS, MoveHistory, planStep } from "./moveHistory";
+
+function placeCmd(yard, id, slot, fromGate = 0) {
+  const before = yard.getContainer(id).cells;
+  const res = yard.place(id, slot);
+  return { type: "place", id, fromCells: before, toCells: res.cells, fromGate: before.length ? null : fromGate, toGate: null };
+}
+
+describe("MoveHistory", () => {
+  test("undo/redo stacks; recording clears redo", () => {
+    const h = new MoveHistory();
+    h.record({ type: "add", id: "A" });
+    h.record({ type: "add", id: "B" });
+    expect(h.peekUndo().id).toBe("B");
+    h.markUndone();
+    expect(h.canRedo).toBe(true);
+    expect(h.peekRedo().id).toBe("B");
+    h.markRedone();
+    expect(h.peekUndo().id).toBe("B");
+    h.markUndone();
+    h.record({ type: "add", id: "C" });
+    expect(h.canRedo).toBe(false);
+  });
+
+  test("keeps at most `limit` commands", () => {
+    const h = new MoveHistory(2);
+    ["A", "B", "C"].forEach((id) => h.record({ type: "add", id }));
+    expect(h.past.map((c) => c.id)).toEqual(["B", "C"]);
+  });
+});
+
+describe("planStep", () => {
+  let yard;
+  beforeEach(() => {
+    yard = new YardModel();
+    yard.addContainer({ id: "C1", sizeTEU: 1 });
+    yard.addContainer({ id: "C2", sizeTEU: 1 });
+  });
+
+  test("nothing to undo", () => {
+    expect(planStep(yard, null, "undo")).toMatchObject({ ok: false, reason: HISTORY_REASONS.NOTHING });
+  });
+
+  test("undo of a placement from the gate goes back to the gate slot", () => {
+    const cmd = placeCmd(yard, "C1", "A1", 3);
+    expect(planStep(yard, cmd, "undo")).toEqual({ ok: true, kind: "gate", id: "C1", gateIndex: 3 });
+  });
+
+  test("undo of a yard-to-yard move targets the previous cells", () => {
+    yard.place("C1", "A1");
+    const cmd = placeCmd(yard, "C1", "C3");
+    expect(planStep(yard, cmd, "undo")).toEqual({ ok: true, kind: "place", id: "C1", target: { bay: 1, row: 1 } });
+    yard.place("C1", "A1");
+    expect(planStep(yard, cmd, "redo")).toEqual({ ok: true, kind: "place", id: "C1", target: { bay: 3, row: 3 } });
+  });
+
+  test("undo is refused once something was stacked on top", () => {
+    const cmd = placeCmd(yard, "C1", "B2");
+    yard.place("C2", "B2");
+    expect(planStep(yard, cmd, "undo")).toMatchObject({
+      ok: false,
+      reason: REASONS.BLOCKED,
+      details: { id: "C1", blockers: ["C2"] },
+    });
+  });
+
+  test("undo is refused when the previous cell is taken", () => {
+    yard.place("C1", "A1");
+    const cmd = placeCmd(yard, "C1", "B1");
+    yard.place("C2", "A1");
+    expect(planStep(yard, cmd, "undo")).toMatchObject({
+      ok: false,
+      reason: HISTORY_REASONS.SLOT_TAKEN,
+      details: { tier: 1, actualTier: 2 },
+    });
+  });
+
+  test("undo is refused when the container moved elsewhere", () => {
+    const cmd = placeCmd(yard, "C1", "A1");
+    yard.place("C1", "C1");
+    expect(planStep(yard, cmd, "undo")).toMatchObject({ ok: false, reason: HISTORY_REASONS.STATE_CHANGED });
+  });
+
+  test("undo of a removal puts the container back on its tier", () => {
+    yard.place("C1", "A1");
+    yard.place("C2", "A1");
+    const prev = yard.getContainer("C2").cells;
+    yard.remove("C2");
+    const cmd = { type: "remove", id: "C2", fromCells: prev, toCells: [], fromGate: null, toGate: 5 };
+    expect(planStep(yard, cmd, "undo")).toMatchObject({ ok: true, kind: "place", target: { bay: 1, row: 1 } });
+    expect(planStep(yard, cmd, "redo")).toMatchObject({ ok: false, reason: HISTORY_REASONS.STATE_CHANGED });
+  });
+
+  test("add: undo deletes a gate container, redo re-creates it", () => {
+    const cmd = { type: "add", id: "C1", sizeTEU: 1, color: "#fff", gateIndex: 0 };
+    expect(planStep(yard, cmd, "undo")).toEqual({ ok: true, kind: "delete", id: "C1" });
+    yard.place("C1", "A1");
+    expect(planStep(yard, cmd, "undo")).toMatchObject({ ok: false, reason: HISTORY_REASONS.STATE_CHANGED });
+    yard.deleteContainer("C1");
+    expect(planStep(yard, cmd, "redo")).toEqual({ ok: true, kind: "create", id: "C1", gateIndex: 0 });
+  });
+
+  test("dispatch: undo brings the truck back, redo sends it off again", () => {
+    const cmd = { type: "dispatch", id: "C1", sizeTEU: 1, color: "#fff", gateIndex: 2 };
+    expect(planStep(yard, cmd, "redo")).toEqual({ ok: true, kind: "delete", id: "C1" });
+    yard.deleteContainer("C1");
+    expect(planStep(yard, cmd, "redo")).toMatchObject({ ok: false, reason: HISTORY_REASONS.STATE_CHANGED });
+    expect(planStep(yard, cmd, "undo")).toEqual({ ok: true, kind: "create", id: "C1", gateIndex: 2 });
+  });
+});
@@ -0,0 +1,66 @@
+// src/yard/platePool.js
+// ---------------------------------------------
+// Number-plate assignment (headless, no three.js / React)
+// - A fixed pool of plates goes to the boxes nearest the camera
+// - A plate keeps its box while the box stays among the nearest (no redraw);
+//   plates of boxes that dropped out are freed and reused for the new ones
+// - A new config (other stall size) lays every shown plate out again
+// - Re-assigned at most every refreshMs, at once on a config change
+// ---------------------------------------------
+
+export const NUMBER_PLATES = 48;
+export const PLATE_REFRESH_MS = 250;
+
+// the `n` items with the smallest distanceSq(item), nearest first
+export function nearestItems(items, distanceSq, n) {
+  return items
+    .map((item) => [item, distanceSq(item)])
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, n)
+    .map(([item]) => item);
+}
+
+export class PlatePool {
+  constructor(size = NUMBER_PLATES, refreshMs = PLATE_REFRESH_MS) {
+    this.slots = Array(size).fill(null); // plate index -> key of the box it is on, or null
+    this.refreshMs = refreshMs;
+    this.lastT = -Infinity;
+    this.config = null;
+  }
+
+  /**
+   * Plates for the nearest `items` (`distanceSq(item)` to the eye, `keyOf(item)`
+   * identifies a box across updates). null when nothing is due, else
+   *   { freed: [{ plate, key }], assigned: [{ plate, item }], relayout: [plate] }
+   * to apply in that order; relayout lists the plates that kept their box
+   * but were laid out for the previous config.
+   */
+  update(items, { distanceSq, keyOf = (item) => item }, config, time) {
+    if (config === this.config && time - this.lastT < this.refreshMs) return null;
+    this.lastT = time;
+    const configChanged = config !== this.config;
+    this.config = config;
+
+    const nearest = nearestItems(items, distanceSq, this.slots.length);
+    const wanted = new Set(nearest.map(keyOf));
+    const freed = [];
+    this.slots.forEach((key, plate) => {
+      if (key === null || wanted.has(key)) return;
+      freed.push({ plate, key });
+      this.slots[plate] = null;
+    });
+    const relayout = configChanged ? this.slots.flatMap((key, plate) => (key === null ? [] : [plate])) : [];
+
+    const shown = new Set(this.slots);
+    const free = this.slots.flatMap((key, plate) => (key === null ? [plate] : []));
+    const assigned = [];
+    nearest.forEach((item) => {
+      const key = keyOf(item);
+      if (shown.has(key)) return;
+      const plate = free.shift();
+      this.slots[plate] = key;
+      assigned.push({ plate, item });
+    });
+    return { freed, assigned, relayout };
+  }
+}
@@ -0,0 +1,51 @@
+import { PlatePool, nearestItems } from "./platePool";
+
+// boxes on a line, the eye at x = eye
+const boxes = (...xs) => xs.map((x) => ({ id: `B${x}`, x }));
+const from = (eye) => ({ distanceSq: (b) => (b.x - eye) ** 2, keyOf: (b) => b.id });
+const CFG = { bayWidth: 2.6 };
+
+describe("platePool", () => {
+  test("picks the nearest items, nearest first", () => {
+    expect(nearestItems([5, -1, 3, 9], (x) => x * x, 2)).toEqual([-1, 3]);
+    expect(nearestItems([1], (x) => x, 5)).toEqual([1]);
+  });
+
+  test("keeps plates on boxes that stay near and reuses freed ones", () => {
+    const pool = new PlatePool(3, 250);
+    const yard = boxes(0, 1, 2, 3, 4, 5);
+    const first = pool.update(yard, from(0), CFG, 0);
+    expect(first.assigned.map((a) => [a.plate, a.item.id])).toEqual([[0, "B0"], [1, "B1"], [2, "B2"]]);
+    expect(first.freed).toEqual([]);
+
+    // the eye moves on by two boxes: B2 keeps plate 2, B0 / B1 give theirs to B3 / B4
+    const next = pool.update(yard, from(3.4), CFG, 300);
+    expect(next.freed).toEqual([{ plate: 0, key: "B0" }, { plate: 1, key: "B1" }]);
+    expect(next.assigned.map((a) => [a.plate, a.item.id])).toEqual([[0, "B3"], [1, "B4"]]);
+    expect(next.relayout).toEqual([]);
+    expect(pool.slots).toEqual(["B3", "B4", "B2"]);
+  });
+
+  test("waits for the refresh interval unless the config changes", () => {
+    const pool = new PlatePool(2, 250);
+    const yard = boxes(0, 1, 2);
+    pool.update(yard, from(0), CFG, 0);
+    expect(pool.update(yard, from(2), CFG, 100)).toBeNull();
+
+    // new stall size: due at once, the kept plates are laid out again
+    const wider = { bayWidth: 3 };
+    const res = pool.update(yard, from(0), wider, 120);
+    expect(res.freed).toEqual([]);
+    expect(res.assigned).toEqual([]);
+    expect(res.relayout).toEqual([0, 1]);
+  });
+
+  test("frees the plates of removed boxes and copes with fewer boxes than plates", () => {
+    const pool = new PlatePool(4, 250);
+    pool.update(boxes(0, 1), from(0), CFG, 0);
+    expect(pool.slots).toEqual(["B0", "B1", null, null]);
+    const res = pool.update(boxes(1), from(0), CFG, 500);
+    expect(res.freed).toEqual([{ plate: 0, key: "B0" }]);
+    expect(pool.slots).toEqual([null, "B1", null, null]);
+  });
+});
@@ -0,0 +1,460 @@
+// src/yard/simulation.js
+// ---------------------------------------------
+// Discrete-event yard simulation (headless, no three.js / React)
+// - Simulated clock in seconds; events processed in time order
+// - Trucks arrive at the gate from seeded arrival distributions:
+//   imports deliver a new container, exports ask for a container in the yard
+// - Orders go through JobQueue (projected-state validation) and are served by
+//   the gantry cranes (interlock from ./cranes, cycle times from ./craneKinematics)
+// - Imports: best valid slot (lowest tier, nearest the gate);
+//   exports: blocked targets are dug out first (rehandles, ./digOutPlanner)
+// - Trucks park on the bounded gate spots (./gateArea); arrivals at a full
+//   gate are turned away
+// - Same seed + same yard = same run; batch runs need no rendering
+// ---------------------------------------------
+
+import { JobQueue, jobsConflict } from "./jobQueue";
+import { chooseCrane, craneId, craneLimits, initialCranePositions } from "./cranes";
+import { craneAxes, planCycle, trapezoid } from "./craneKinematics";
+import { planDigOut } from "./digOutPlanner";
+import { DEFAULT_TYPE_FOR_SIZE, ISO_TYPES, generateContainerNumber } from "./iso6346";
+import { freeGateSpot, gateCapacity, gateSpotOffset } from "./gateArea";
+
+export const SIM_EVENTS = Object.freeze({
+  ARRIVAL: "ARRIVAL",       // truck at the gate (kind, containerId, spec, spot)
+  JOB_START: "JOB_START",   // crane takes an order (poses + cycle time)
+  JOB_DONE: "JOB_DONE",     // order committed to the yard
+  DEPART: "DEPART",         // truck served and gone (waitS)
+  REJECT: "REJECT",         // truck turned away (reason)
+});
+
+export const REJECT_REASONS = Object.freeze({
+  NO_CONTAINER: "NO_CONTAINER", // export truck, but nothing in the yard to hand out
+  GATE_FULL: "GATE_FULL",       // no free parking spot at the gate
+});
+
+export const ARRIVAL_TYPES = Object.freeze(["exponential", "uniform", "fixed"]);
+
+// meanS = 0 switches a stream off; uniform draws from meanS ± spreadS
+export const DEFAULT_SIM_CONFIG = Object.freeze({
+  seed: 1,
+  durationS: 8 * 3600,
+  imports: Object.freeze({ type: "exponential", meanS: 600, spreadS: 0 }),
+  exports: Object.freeze({ type: "exponential", meanS: 900, spreadS: 0 }),
+  share40: 0.4,     // share of 40’ boxes among imports
+});
+
+export const SIM_LIMITS = Object.freeze({
+  seed: { min: 0, max: 2 ** 31 - 1 },
+  durationS: { min: 60, max: 7 * 24 * 3600 },
+  meanS: { min: 0, max: 24 * 3600 },
+  spreadS: { min: 0, max: 24 * 3600 },
+  share40: { min: 0, max: 1 },
+});
+
+const clamp = (v, { min, max }, fallback) => (Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback);
+
+function normalizeArrivals(input, fallback) {
+  const src = input && typeof input === "object" ? input : {};
+  return {
+    type: ARRIVAL_TYPES.includes(src.type) ? src.type : fallback.type,
+    meanS: clamp(Number(src.meanS), SIM_LIMITS.meanS, fallback.meanS),
+    spreadS: clamp(Number(src.spreadS), SIM_LIMITS.spreadS, fallback.spreadS),
+  };
+}
+
+export function normalizeSimConfig(input = {}) {
+  return {
+    seed: Math.round(clamp(Number(input.seed), SIM_LIMITS.seed, DEFAULT_SIM_CONFIG.seed)),
+    durationS: clamp(Number(input.durationS), SIM_LIMITS.durationS, DEFAULT_SIM_CONFIG.durationS),
+    imports: normalizeArrivals(input.imports, DEFAULT_SIM_CONFIG.imports),
+    exports: normalizeArrivals(input.exports, DEFAULT_SIM_CONFIG.exports),
+    share40: clamp(Number(input.share40), SIM_LIMITS.share40, DEFAULT_SIM_CONFIG.share40),
+  };
+}
+
+// ===== Random numbers =====
+// mulberry32: small, fast, good enough for arrivals; [0, 1)
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// seconds until the next arrival of a stream
+export function sampleInterval(rng, { type, meanS, spreadS }) {
+  if (type === "fixed") return meanS;
+  if (type === "uniform") return Math.max(0, meanS - spreadS + 2 * spreadS * rng());
+  return -meanS * Math.log(1 - rng());
+}
+
+// ===== Geometry =====
+// Hook poses in metres (bay 1 / row 1 at x = z = 0). The App passes its scene
+// geometry so animation and simulation agree; batch runs use this one.
+const TIER_HEIGHT = 2.3;
+export const SIM_GEOMETRY = Object.freeze({
+  travelY: 4 * TIER_HEIGHT,
+  slotPose: (cfg, cells) => ({
+    x: cells.reduce((sum, c) => sum + (c.bay - 1) * cfg.bayWidth, 0) / cells.length,
+    y: cells[0].tier * TIER_HEIGHT,
+    z: (cells[0].row - 1) * cfg.rowDepth,
+  }),
+  gatePose: (cfg, spot) => {
+    const { x, z } = gateSpotOffset(cfg, spot);
+    return { x: -6 + x, y: TIER_HEIGHT, z };
+  },
+});
+
+// ===== Event heap (time, then insertion order) =====
+class EventHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0] || null;
+  }
+
+  push(item) {
+    const a = this.items;
+    a.push(item);
+    let i = a.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(a[i], a[parent])) break;
+      [a[i], a[parent]] = [a[parent], a[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const a = this.items;
+    const top = a[0];
+    const last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < a.length && before(a[l], a[m])) m = l;
+        if (r < a.length && before(a[r], a[m])) m = r;
+        if (m === i) break;
+        [a[i], a[m]] = [a[m], a[i]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+const before = (a, b) => a.t < b.t || (a.t === b.t && a.seq < b.seq);
+
+// ===== Simulation =====
+export class YardSimulation {
+  /**
+   * `model` is driven in place (pass a clone). Options:
+   * geometry (hook poses, see SIM_GEOMETRY), cranePoses ([{ x, y, z }] start hooks),
+   * gateTaken (gate spots already taken by boxes outside the simulation).
+   */
+  constructor(model, simConfig = {}, { geometry = SIM_GEOMETRY, cranePoses = null, gateTaken = [] } = {}) {
+    this.config = normalizeSimConfig(simConfig);
+    this.model = model;
+    this.geometry = geometry;
+    this.rng = createRng(this.config.seed);
+    this.queue = new JobQueue();
+    this.now = 0;
+    this.log = [];
+    this.heap = new EventHeap();
+    this.seq = 0;
+
+    this.trucks = new Map();    // id -> truck (at the gate)
+    this.gateTaken = [...gateTaken];
+    this.truckSeq = 0;
+    this.waiting = [];          // trucks without orders yet (no space / blocked)
+    this.running = new Map();   // job id -> { job, crane, truck, cycleS, drop }
+    this.requested = new Set(); // export containers already promised to a truck
+
+    const yard = model.config;
+    this.axes = craneAxes(yard);
+    const xs = initialCranePositions(yard.cranes, 0, (yard.bays - 1) * yard.bayWidth, yard.craneSafety);
+    this.cranes = xs.map((x, index) => {
+      const pose = cranePoses?.[index] || { x, y: geometry.travelY, z: 0 };
+      return { id: craneId(index), index, x: pose.x, busy: false, lo: pose.x, hi: pose.x, pose, busyS: 0, moves: 0 };
+    });
+    this.limits = craneLimits(yard, this.cranes.length);
+
+    this.stats = { arrived: 0, served: 0, rejected: 0, moves: 0, rehandles: 0, waits: [] };
+    this.scheduleArrival("import");
+    this.scheduleArrival("export");
+  }
+
+  /** Process every event up to `t` (capped at the run length); returns the new log records. */
+  runUntil(t) {
+    const until = Math.min(t, this.config.durationS);
+    const from = this.log.length;
+    while (this.heap.size && this.heap.peek().t <= until) {
+      const ev = this.heap.pop();
+      this.now = ev.t;
+      this.handle(ev);
+    }
+    this.now = Math.max(this.now, until);
+    return this.log.slice(from);
+  }
+
+  run() {
+    this.runUntil(this.config.durationS);
+    return this.summary();
+  }
+
+  summary() {
+    const { stats, now } = this;
+    const hours = now / 3600;
+    const waits = stats.waits;
+    return {
+      seed: this.config.seed,
+      simulatedS: now,
+      arrived: stats.arrived,
+      served: stats.served,
+      rejected: stats.rejected,
+      atGate: this.trucks.size,
+      moves: stats.moves,
+      rehandles: stats.rehandles,
+      movesPerHour: hours > 0 ? stats.moves / hours : 0,
+      meanWaitS: waits.length ? waits.reduce((a, b) => a + b, 0) / waits.length : 0,
+      maxWaitS: waits.length ? Math.max(...waits) : 0,
+      cranes: this.cranes.map((c) => ({ id: c.id, moves: c.moves, busyS: c.busyS, utilisation: now > 0 ? c.busyS / now : 0 })),
+    };
+  }
+
+  // ===== Events =====
+  schedule(delay, type, payload = {}) {
+    this.heap.push({ t: this.now + delay, seq: ++this.seq, type, payload });
+  }
+
+  record(type, details) {
+    const rec = { t: this.now, type, ...details };
+    this.log.push(rec);
+    return rec;
+  }
+
+  scheduleArrival(kind) {
+    const stream = kind === "import" ? this.config.imports : this.config.exports;
+    if (stream.meanS <= 0) return;
+    const delay = sampleInterval(this.rng, stream);
+    if (this.now + delay <= this.config.durationS) this.schedule(delay, "arrival", { kind });
+  }
+
+  handle(ev) {
+    if (ev.type === "arrival") this.onArrival(ev.payload.kind);
+    else if (ev.type === "jobDone") this.onJobDone(ev.payload.jobId);
+    else if (ev.type === "yieldDone") this.releaseCrane(this.cranes[ev.payload.index]);
+    this.planTrucks();
+    this.dispatch();
+  }
+
+  // lowest gate spot without a truck; null when the gate is full
+  freeSpot() {
+    return freeGateSpot(this.model.config, [...this.gateTaken, ...[...this.trucks.values()].map((t) => t.spot)]);
+  }
+
+  onArrival(kind) {
+    this.scheduleArrival(kind);
+    this.stats.arrived++;
+    const spot = this.freeSpot();
+    const truck = { id: `T${++this.truckSeq}`, kind, arrivedAt: this.now, spot, containerId: null, open: 0 };
+    if (spot === null) {
+      this.stats.rejected++;
+      this.record(SIM_EVENTS.REJECT, {
+        truckId: truck.id, kind, reason: REJECT_REASONS.GATE_FULL, capacity: gateCapacity(this.model.config),
+      });
+      return;
+    }
+    let spec = null;
+    if (kind === "import") {
+      spec = this.randomSpec();
+      this.model.addContainer(spec);
+      truck.containerId = spec.id;
+    }
+    this.trucks.set(truck.id, truck);
+    this.waiting.push(truck);
+    this.record(SIM_EVENTS.ARRIVAL, { truckId: truck.id, kind, spot, containerId: truck.containerId, spec });
+  }
+
+  randomSpec() {
+    const sizeTEU = this.rng() < this.config.share40 ? 2 : 1;
+    const typeCode = DEFAULT_TYPE_FOR_SIZE[sizeTEU];
+    const { tareKg, maxGrossKg } = ISO_TYPES[typeCode];
+    const grossKg = Math.round(tareKg + this.rng() * (maxGrossKg - tareKg));
+    const id = generateContainerNumber("SIMU", (n) => !!this.model.getContainer(n), this.rng);
+    return { id, sizeTEU, typeCode, grossKg, full: true, operator: "", remark: "", imoClass: "" };
+  }
+
+  // turn waiting trucks into crane orders (validated on the projected yard)
+  planTrucks() {
+    if (!this.waiting.length) return;
+    const still = [];
+    let state = this.queue.projected(this.model);
+    const full = new Set(); // sizes without a free slot in this pass
+    for (const truck of this.waiting) {
+      const orders = truck.kind === "import" ? this.importOrders(truck, state, full) : this.exportOrders(truck, state);
+      if (orders === null) continue; // rejected
+      if (!orders.length) {
+        still.push(truck);
+        continue;
+      }
+      const res = this.queue.add(this.model, orders);
+      if (!res.ok) {
+        still.push(truck);
+        continue;
+      }
+      truck.open = res.jobs.length;
+      res.jobs.forEach((job) => this.running.set(job.id, { truck }));
+      state = this.queue.projected(this.model);
+    }
+    this.waiting = still;
+  }
+
+  importOrders(truck, state, full) {
+    const { sizeTEU } = state.getContainer(truck.containerId);
+    if (full.has(sizeTEU)) return [];
+    let best = null;
+    const { bays, rows } = state.config;
+    for (let bay = 1; bay <= bays; bay++) {
+      for (let row = 1; row <= rows; row++) {
+        const decision = state.validatePlace(truck.containerId, { bay, row });
+        if (!decision.ok) continue;
+        const score = decision.tier * 1000 + bay * rows + row;
+        if (!best || score < best.score) best = { score, target: { bay, row } };
+      }
+    }
+    if (!best) {
+      full.add(sizeTEU);
+      return [];
+    }
+    return [{ type: "place", containerId: truck.containerId, target: best.target, label: truck.id }];
+  }
+
+  exportOrders(truck, state) {
+    if (!truck.containerId) {
+      const candidates = state.list().filter((c) => c.cells.length && !this.requested.has(c.id));
+      if (!candidates.length) {
+        this.trucks.delete(truck.id);
+        this.stats.rejected++;
+        this.record(SIM_EVENTS.REJECT, { truckId: truck.id, kind: truck.kind, reason: REJECT_REASONS.NO_CONTAINER });
+        return null;
+      }
+      truck.containerId = candidates[Math.floor(this.rng() * candidates.length)].id;
+      this.requested.add(truck.containerId);
+    }
+    if (!state.getContainer(truck.containerId).cells.length) return []; // still on its way in
+    const plan = planDigOut(state, truck.containerId);
+    if (!plan.ok) return [];
+    this.stats.rehandles += plan.rehandles;
+    return [
+      ...plan.moves.map((m) => ({ type: "place", containerId: m.id, target: m.target, label: truck.id, rehandle: true })),
+      { type: "remove", containerId: truck.containerId, label: truck.id },
+    ];
+  }
+
+  // start every order a crane can take now, in queue order
+  dispatch() {
+    let job;
+    while ((job = this.queue.start((j, executing) => this.assign(j, executing)))) {
+      const run = this.running.get(job.id);
+      run.job = job;
+      this.stats.moves++;
+      run.crane.moves++;
+      this.schedule(run.delayS + run.cycleS, "jobDone", { jobId: job.id });
+    }
+  }
+
+  poseOf(containerId, truck) {
+    const entry = this.model.getContainer(containerId);
+    return entry.cells.length ? this.geometry.slotPose(this.model.config, entry.cells) : this.geometry.gatePose(this.model.config, truck.spot);
+  }
+
+  assign(job, executing) {
+    const model = this.model;
+    if (executing.some((e) => jobsConflict(model, e, job))) return null;
+    const check = job.type === "place" ? model.validatePlace(job.containerId, job.target) : model.validateRemove(job.containerId);
+    if (!check.ok) return null; // relies on a running order
+    const run = this.running.get(job.id);
+    const pick = this.poseOf(job.containerId, run.truck);
+    const drop = job.type === "place"
+      ? this.geometry.slotPose(model.config, check.cells)
+      : this.geometry.gatePose(model.config, run.truck.spot);
+    const choice = chooseCrane(this.cranes, pick.x, drop.x, this.limits);
+    if (!choice.ok) return null;
+
+    const crane = this.cranes[choice.index];
+    Object.assign(crane, { busy: true, lo: choice.lo, hi: choice.hi });
+    let delayS = 0;
+    const yields = choice.yields.map((y) => {
+      const other = this.cranes[y.index];
+      const from = other.pose;
+      const to = { ...from, x: y.x };
+      const yieldS = trapezoid(y.x - other.x, this.axes.gantry.vMax, this.axes.gantry.aMax).duration;
+      Object.assign(other, { busy: true, lo: Math.min(other.x, y.x), hi: Math.max(other.x, y.x), x: y.x, pose: to });
+      other.busyS += yieldS;
+      delayS = Math.max(delayS, yieldS);
+      this.schedule(yieldS, "yieldDone", { index: y.index });
+      return { craneId: other.id, from, to, yieldS };
+    });
+    const start = crane.pose;
+    const { cycleS } = planCycle(this.axes, { start, pick, drop, travelY: this.geometry.travelY });
+    crane.busyS += delayS + cycleS;
+    Object.assign(run, { crane, delayS, cycleS, drop });
+    this.record(SIM_EVENTS.JOB_START, {
+      jobId: job.id, craneId: crane.id, truckId: run.truck.id, containerId: job.containerId,
+      jobType: job.type, target: job.target, rehandle: job.rehandle, start, pick, drop, travelY: this.geometry.travelY,
+      delayS, cycleS, yields,
+    });
+    return crane.id;
+  }
+
+  releaseCrane(crane) {
+    Object.assign(crane, { busy: false, lo: crane.x, hi: crane.x });
+  }
+
+  onJobDone(jobId) {
+    const run = this.running.get(jobId);
+    this.running.delete(jobId);
+    const { job, crane, truck, cycleS, drop } = run;
+    const res = job.type === "place" ? this.model.place(job.containerId, job.target) : this.model.remove(job.containerId);
+    this.queue.finish(jobId, { ...res, cycleS });
+    this.queue.clearFinished();
+    crane.pose = { ...drop, y: this.geometry.travelY };
+    crane.x = drop.x;
+    this.releaseCrane(crane);
+    this.record(SIM_EVENTS.JOB_DONE, {
+      jobId, craneId: crane.id, truckId: truck.id, containerId: job.containerId, jobType: job.type,
+      target: job.target, spot: truck.spot, rehandle: job.rehandle, ok: res.ok, reason: res.ok ? null : res.reason, cycleS,
+    });
+    if (--truck.open > 0) return;
+    if (truck.kind === "export") {
+      this.model.deleteContainer(truck.containerId);
+      this.requested.delete(truck.containerId);
+    }
+    this.trucks.delete(truck.id);
+    const waitS = this.now - truck.arrivedAt;
+    this.stats.served++;
+    this.stats.waits.push(waitS);
+    this.record(SIM_EVENTS.DEPART, { truckId: truck.id, kind: truck.kind, containerId: truck.containerId, waitS });
+  }
+}
+
+/** Headless batch: one run per seed on a copy of `model`; returns the summaries. */
+export function runBatch(model, simConfig, seeds, options = {}) {
+  return seeds.map((seed) => new YardSimulation(model.clone(), { ...simConfig, seed }, options).run());
+}
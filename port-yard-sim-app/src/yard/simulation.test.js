@@ -0,0 +1,97 @@
+import { YardModel } from "./yardModel";
+import { normalizeYardConfig } from "./yardConfig";
+import {
+  DEFAULT_SIM_CONFIG,
+  REJECT_REASONS,
+  SIM_EVENTS,
+  YardSimulation,
+  createRng,
+  normalizeSimConfig,
+  runBatch,
+  sampleInterval,
+} from "./simulation";
+
+const yard = (extra = {}) => new YardModel(normalizeYardConfig({ bays: 4, rows: 3, tiers: 3, weightOrder: false, ...extra }));
+const sim = { durationS: 4 * 3600, imports: { meanS: 300 }, exports: { meanS: 600 } };
+
+describe("simulation", () => {
+  test("the random stream depends on the seed only", () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const xs = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(xs);
+    expect(xs.every((x) => x >= 0 && x < 1)).toBe(true);
+    expect(createRng(8)()).not.toBe(xs[0]);
+  });
+
+  test("arrival distributions", () => {
+    const rng = createRng(1);
+    expect(sampleInterval(rng, { type: "fixed", meanS: 120, spreadS: 0 })).toBe(120);
+    for (let i = 0; i < 20; i++) {
+      const u = sampleInterval(rng, { type: "uniform", meanS: 100, spreadS: 30 });
+      expect(u).toBeGreaterThanOrEqual(70);
+      expect(u).toBeLessThan(130);
+      expect(sampleInterval(rng, { type: "exponential", meanS: 100, spreadS: 0 })).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  test("config is clamped and defaulted", () => {
+    expect(normalizeSimConfig({})).toEqual({ ...DEFAULT_SIM_CONFIG, imports: { ...DEFAULT_SIM_CONFIG.imports }, exports: { ...DEFAULT_SIM_CONFIG.exports } });
+    expect(normalizeSimConfig({ seed: "42.4", share40: 3, imports: { type: "nope", meanS: -5 } })).toMatchObject({
+      seed: 42,
+      share40: 1,
+      imports: { type: "exponential", meanS: 0 },
+    });
+  });
+
+  test("same seed, same run; the input yard is not touched by runBatch", () => {
+    const model = yard();
+    const [a, b, c] = runBatch(model, sim, [3, 3, 4]);
+    expect(a).toEqual(b);
+    expect(c).not.toEqual(a);
+    expect(model.list()).toEqual([]);
+  });
+
+  test("imports are stacked, exports dug out and handed over", () => {
+    const s = new YardSimulation(yard(), sim);
+    const summary = s.run();
+    const types = new Set(s.log.map((r) => r.type));
+    expect([...types]).toEqual(expect.arrayContaining([SIM_EVENTS.ARRIVAL, SIM_EVENTS.JOB_START, SIM_EVENTS.JOB_DONE, SIM_EVENTS.DEPART]));
+    expect(summary.served).toBeGreaterThan(10);
+    expect(s.log.filter((r) => r.type === SIM_EVENTS.JOB_DONE).every((r) => r.ok)).toBe(true);
+    // every export hands out a container that was in the yard
+    for (const dep of s.log.filter((r) => r.type === SIM_EVENTS.DEPART && r.kind === "export")) {
+      expect(s.model.getContainer(dep.containerId)).toBeNull();
+    }
+    expect(summary.moves).toBe(s.log.filter((r) => r.type === SIM_EVENTS.JOB_START).length);
+    expect(summary.cranes[0].utilisation).toBeGreaterThan(0);
+    expect(summary.cranes[0].utilisation).toBeLessThanOrEqual(1);
+  });
+
+  test("several cranes share the work", () => {
+    const s = new YardSimulation(yard({ bays: 12, cranes: 2, craneSafety: 4 }), { ...sim, imports: { meanS: 120 }, exports: { meanS: 240 } });
+    const summary = s.run();
+    expect(summary.cranes.map((c) => c.moves > 0)).toEqual([true, true]);
+  });
+
+  test("export trucks without anything to collect are turned away", () => {
+    const s = new YardSimulation(yard(), { durationS: 3600, imports: { meanS: 0 }, exports: { meanS: 600 } });
+    const summary = s.run();
+    expect(summary.rejected).toBe(summary.arrived);
+    expect(s.log.every((r) => r.type === SIM_EVENTS.ARRIVAL || r.type === SIM_EVENTS.REJECT)).toBe(true);
+  });
+
+  test("trucks park on free gate spots; a full gate turns arrivals away", () => {
+    const s = new YardSimulation(yard({ gateLanes: 2, gateSpots: 1 }), { durationS: 3600, imports: { type: "fixed", meanS: 10 }, exports: { meanS: 0 } });
+    s.run();
+    const arrivals = s.log.filter((r) => r.type === SIM_EVENTS.ARRIVAL);
+    expect(arrivals.slice(0, 2).map((r) => r.spot)).toEqual([0, 1]);
+    expect(arrivals.every((r) => r.spot === 0 || r.spot === 1)).toBe(true);
+    const full = s.log.filter((r) => r.type === SIM_EVENTS.REJECT);
+    expect(full.length).toBeGreaterThan(0);
+    expect(full[0]).toMatchObject({ reason: REJECT_REASONS.GATE_FULL, capacity: 2 });
+
+    const blocked = new YardSimulation(yard({ gateLanes: 1, gateSpots: 1 }), sim, { gateTaken: [0] });
+    expect(blocked.run()).toMatchObject({ served: 0, rejected: blocked.stats.arrived });
+  });
+});
@@ -0,0 +1,168 @@
+// src/yard/yardConfig.js
+// ---------------------------------------------
+// Yard configuration (headless, no three.js / React)
+// - Runtime-editable block size: bays × rows × tiers
+// - Stall dimensions in metres (X per bay, Z per row)
+// - Bay codes A..Z, AA..AZ, … (spreadsheet style)
+// - Slot parsing/formatting for any block size ("AA12")
+// - Weight rules: max load per 20’ ground slot, heavy-on-light ban
+// - IMDG segregation matrix (class pair -> min. distance in slots)
+// - Reefer power: whole rows and/or single slots, plugs per stack
+// - Gantry cranes on the block rails + interlock safety distance
+// - Crane axes (gantry/trolley/hoist speed + acceleration), spreader lock time
+// - Gate area: truck lanes × parking positions per lane
+// ---------------------------------------------
+
+import { DEFAULT_SEGREGATION, normalizeSegregation } from "./imdg";
+
+export const DEFAULT_YARD_CONFIG = Object.freeze({
+  bays: 3,
+  rows: 3,
+  tiers: 2,
+  bayWidth: 2.5,   // X spacing per bay (letter)
+  rowDepth: 2.6,   // Z spacing per row (number)
+  maxStackKg: 100000,      // max load per 20’ ground slot (a 40’ counts half on each)
+  weightOrder: true,       // never stack a heavier container on a lighter one
+  weightToleranceKg: 0,    // allowed excess of the upper over the lower container
+  segregation: DEFAULT_SEGREGATION, // "3|5.1" -> slots (see imdg.js)
+  reeferRows: [],          // powered rows (every bay)
+  reeferSlots: [],         // additional powered slots, e.g. ["A1", "C2"]
+  reeferPlugs: 2,          // plugs per powered stack
+  cranes: 1,               // gantry cranes sharing the rails
+  craneSafety: 4,          // min. distance between bridges (m)
+  gantrySpeed: 2,          // m/s along the rails
+  gantryAccel: 0.5,        // m/s²
+  trolleySpeed: 1.2,       // m/s across the rows
+  trolleyAccel: 0.5,
+  hoistSpeed: 0.6,         // m/s up/down
+  hoistAccel: 0.4,
+  spreaderLockS: 2.5,      // s to lock or unlock the twistlocks
+  gateLanes: 4,            // truck lanes at the gate
+  gateSpots: 3,            // parking positions per lane
+});
+
+// Sanity limits for the sidebar editor (keeps textures and HUD reasonable)
+export const YARD_LIMITS = Object.freeze({
+  bays: { min: 1, max: 40 },
+  rows: { min: 1, max: 60 },
+  tiers: { min: 1, max: 8 },
+  bayWidth: { min: 1.5, max: 6 },
+  rowDepth: { min: 1.5, max: 6 },
+  maxStackKg: { min: 10000, max: 400000 },
+  weightToleranceKg: { min: 0, max: 10000 },
+  reeferPlugs: { min: 1, max: 8 },
+  cranes: { min: 1, max: 4 },
+  craneSafety: { min: 1, max: 30 },
+  gantrySpeed: { min: 0.2, max: 5 },
+  gantryAccel: { min: 0.1, max: 2 },
+  trolleySpeed: { min: 0.2, max: 4 },
+  trolleyAccel: { min: 0.1, max: 2 },
+  hoistSpeed: { min: 0.1, max: 2 },
+  hoistAccel: { min: 0.1, max: 2 },
+  spreaderLockS: { min: 0, max: 20 },
+  gateLanes: { min: 1, max: 8 },
+  gateSpots: { min: 1, max: 6 },
+});
+
+// counts are rounded, these stay fractional
+const FRACTIONAL = new Set([
+  "bayWidth", "rowDepth", "craneSafety",
+  "gantrySpeed", "gantryAccel", "trolleySpeed", "trolleyAccel", "hoistSpeed", "hoistAccel", "spreaderLockS",
+]);
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const listOf = (v) => (Array.isArray(v) ? v : typeof v === "string" ? v.split(/[\s,;]+/).filter(Boolean) : []);
+
+/**
+ * Fill missing fields from the defaults and clamp everything to YARD_LIMITS.
+ * Counts are rounded to integers; dimensions and crane parameters stay fractional.
+ */
+export function normalizeYardConfig(input = {}) {
+  const cfg = { ...DEFAULT_YARD_CONFIG };
+  for (const key of Object.keys(YARD_LIMITS)) {
+    const raw = Number(input[key]);
+    if (!Number.isFinite(raw)) continue;
+    const { min, max } = YARD_LIMITS[key];
+    const v = FRACTIONAL.has(key) ? raw : Math.round(raw);
+    cfg[key] = clamp(v, min, max);
+  }
+  if (input.weightOrder !== undefined) cfg.weightOrder = !!input.weightOrder;
+  cfg.segregation = normalizeSegregation(input.segregation);
+  // reefer lists: arrays or "3, 5" / "A1 B2" text from the editor; outside the block = dropped
+  cfg.reeferRows = [...new Set(listOf(input.reeferRows).map(Number))]
+    .filter((r) => Number.isInteger(r) && r >= 1 && r <= cfg.rows)
+    .sort((a, b) => a - b);
+  cfg.reeferSlots = [...new Set(listOf(input.reeferSlots)
+    .map((s) => parseSlot(s, cfg))
+    .filter(Boolean)
+    .map((p) => formatSlot(p.bay, p.row)))];
+  return cfg;
+}
+
+// ===== Bay codes =====
+// 1 -> A, 26 -> Z, 27 -> AA, 28 -> AB, …
+export function bayCode(bay) {
+  let n = bay;
+  let code = "";
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    code = String.fromCharCode(65 + rem) + code;
+    n = Math.floor((n - 1) / 26);
+  }
+  return code;
+}
+
+// "A" -> 1, "AA" -> 27; returns null for anything that is not A–Z
+export function bayIndex(code) {
+  if (!code || !/^[A-Z]+$/i.test(code)) return null;
+  let n = 0;
+  for (const ch of code.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n;
+}
+
+export function formatSlot(bay, row) {
+  return `${bayCode(bay)}${row}`;
+}
+
+/**
+ * Parse "A1", "c3" or "AA12" into { bay, row } (1-based).
+ * Returns null when the text is malformed or outside the configured block.
+ */
+export function parseSlot(slot, cfg = DEFAULT_YARD_CONFIG) {
+  if (!slot) return null;
+  const m = /^\s*([A-Za-z]+)\s*(\d+)\s*$/.exec(String(slot));
+  if (!m) return null;
+  const bay = bayIndex(m[1]);
+  const row = parseInt(m[2], 10);
+  if (!bay || isNaN(row)) return null;
+  if (bay < 1 || bay > cfg.bays || row < 1 || row > cfg.rows) return null;
+  return { bay, row };
+}
+
+// Human-readable range for hints, e.g. "A1..C3"
+export function slotRangeLabel(cfg = DEFAULT_YARD_CONFIG) {
+  return `${formatSlot(1, 1)}..${formatSlot(cfg.bays, cfg.rows)}`;
+}
+
+// ===== Reefer power =====
+export function isReeferSlot(cfg, bay, row) {
+  return (cfg.reeferRows || []).includes(row) || (cfg.reeferSlots || []).includes(formatSlot(bay, row));
+}
+
+// every powered ground slot as { bay, row }
+export function reeferSlotList(cfg) {
+  const out = [];
+  for (let bay = 1; bay <= cfg.bays; bay++) {
+    for (let row = 1; row <= cfg.rows; row++) {
+      if (isReeferSlot(cfg, bay, row)) out.push({ bay, row });
+    }
+  }
+  return out;
+}
+
+export function yardDimensions(cfg = DEFAULT_YARD_CONFIG) {
+  return {
+    totalW: cfg.bays * cfg.bayWidth,
+    totalD: cfg.rows * cfg.rowDepth,
+  };
+}
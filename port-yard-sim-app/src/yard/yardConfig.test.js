@@ -0,0 +1,100 @@
+import { DEFAULT_SEGREGATION } from "./imdg";
+import {
+  bayCode,
+  bayIndex,
+  formatSlot,
+  isReeferSlot,
+  normalizeYardConfig,
+  parseSlot,
+  reeferSlotList,
+  slotRangeLabel,
+  YARD_LIMITS,
+} from "./yardConfig";
+
+describe("yardConfig", () => {
+  test("bay codes run A..Z, AA..AZ, BA…", () => {
+    expect([1, 26, 27, 28, 52, 53].map(bayCode)).toEqual(["A", "Z", "AA", "AB", "AZ", "BA"]);
+    expect(["A", "z", "AA", "AZ", "BA"].map(bayIndex)).toEqual([1, 26, 27, 52, 53]);
+    expect(bayIndex("A1")).toBeNull();
+  });
+
+  test("parseSlot respects the configured block", () => {
+    const cfg = normalizeYardConfig({ bays: 30, rows: 24 });
+    expect(parseSlot("AA12", cfg)).toEqual({ bay: 27, row: 12 });
+    expect(parseSlot(" d24 ", cfg)).toEqual({ bay: 4, row: 24 });
+    expect(parseSlot("AE1", cfg)).toBeNull();
+    expect(parseSlot("A25", cfg)).toBeNull();
+    expect(formatSlot(27, 12)).toBe("AA12");
+  });
+
+  test("multi-letter bay codes round-trip over the whole range", () => {
+    for (let bay = 1; bay <= 800; bay++) expect(bayIndex(bayCode(bay))).toBe(bay);
+    expect([702, 703].map(bayCode)).toEqual(["ZZ", "AAA"]);
+    expect(["", null, "A-", "Ä", "1"].map(bayIndex)).toEqual([null, null, null, null, null]);
+  });
+
+  test("parseSlot rejects malformed text and stays inside the block limits", () => {
+    const cfg = normalizeYardConfig({ bays: YARD_LIMITS.bays.max, rows: YARD_LIMITS.rows.max });
+    const last = formatSlot(cfg.bays, cfg.rows);
+    expect(last).toBe("AN60");
+    expect(parseSlot(last, cfg)).toEqual({ bay: 40, row: 60 });
+    expect(parseSlot("AO1", cfg)).toBeNull(); // bay 41
+    expect(parseSlot("A61", cfg)).toBeNull();
+    expect(parseSlot("A 7", cfg)).toEqual({ bay: 1, row: 7 });
+    ["", null, "A", "12", "1A", "A0", "A-1", "A1.5", "A1B"].forEach((text) => expect(parseSlot(text, cfg)).toBeNull());
+    expect(slotRangeLabel(cfg)).toBe("A1..AN60");
+  });
+
+  test("every limit clamps at both ends", () => {
+    Object.entries(YARD_LIMITS).forEach(([key, { min, max }]) => {
+      expect(normalizeYardConfig({ [key]: min - 1000 })[key]).toBe(min);
+      expect(normalizeYardConfig({ [key]: max + 1000 })[key]).toBe(max);
+    });
+    const smallest = normalizeYardConfig({ bays: 0, rows: 0, tiers: 0 });
+    expect(slotRangeLabel(smallest)).toBe("A1..A1");
+  });
+
+  test("normalizeYardConfig fills defaults and clamps", () => {
+    expect(normalizeYardConfig({ bays: "8", rows: 999, tiers: 0.6, bayWidth: "x" })).toEqual({
+      bays: 8,
+      rows: 60,
+      tiers: 1,
+      bayWidth: 2.5,
+      rowDepth: 2.6,
+      maxStackKg: 100000,
+      weightOrder: true,
+      weightToleranceKg: 0,
+      segregation: DEFAULT_SEGREGATION,
+      reeferRows: [],
+      reeferSlots: [],
+      reeferPlugs: 2,
+      cranes: 1,
+      craneSafety: 4,
+      gantrySpeed: 2,
+      gantryAccel: 0.5,
+      trolleySpeed: 1.2,
+      trolleyAccel: 0.5,
+      hoistSpeed: 0.6,
+      hoistAccel: 0.4,
+      spreaderLockS: 2.5,
+      gateLanes: 4,
+      gateSpots: 3,
+    });
+    expect(normalizeYardConfig({ hoistSpeed: "0.75", spreaderLockS: 99 })).toMatchObject({ hoistSpeed: 0.75, spreaderLockS: 20 });
+    expect(normalizeYardConfig({ maxStackKg: "1e9", weightOrder: false, weightToleranceKg: -5 })).toMatchObject({
+      maxStackKg: 400000,
+      weightOrder: false,
+      weightToleranceKg: 0,
+    });
+  });
+
+  test("reefer rows and slots accept lists or editor text", () => {
+    const cfg = normalizeYardConfig({ bays: 3, rows: 4, reeferRows: "4, 2 9 2", reeferSlots: ["a1", "B2", "Z9", "A1"] });
+    expect(cfg.reeferRows).toEqual([2, 4]);
+    expect(cfg.reeferSlots).toEqual(["A1", "B2"]);
+    expect(isReeferSlot(cfg, 3, 2)).toBe(true);
+    expect(isReeferSlot(cfg, 1, 1)).toBe(true);
+    expect(isReeferSlot(cfg, 2, 3)).toBe(false);
+    expect(reeferSlotList(cfg)).toHaveLength(7);
+  });
+});
@@ -0,0 +1,381 @@
+// src/yard/yardModel.js
+// ---------------------------------------------
+// Headless yard model (no three.js / React)
+// - Occupancy map "b-r-t" -> container id
+// - 20’ = 1 cell, 40’ = 2 cells (same bay, row + row+1)
+// - Lowest free tier first; above tier 1 every cell below must be occupied
+// - Weight rules (config): no heavier box on a lighter one, max load per
+//   20’ ground slot; a 40’ puts half its gross weight on each of its slots
+// - IMDG segregation: incompatible IMO classes keep config.segregation
+//   slots apart (same column = 0, neighbour = 1, …)
+// - Reefers (22R1/45R1) only on powered slots with a free plug; other
+//   boxes on powered slots are allowed but come with a warning
+// - Unstacking only if nothing stands on top
+// - Structured results with machine-readable reason codes
+// ---------------------------------------------
+
+import { DEFAULT_YARD_CONFIG, isReeferSlot, normalizeYardConfig, parseSlot, reeferSlotList } from "./yardConfig";
+import { requiredDistance, slotDistance } from "./imdg";
+import { isReeferType } from "./iso6346";
+
+export const REASONS = Object.freeze({
+  INVALID_SLOT: "INVALID_SLOT",             // malformed or outside the block
+  UNKNOWN_CONTAINER: "UNKNOWN_CONTAINER",
+  DUPLICATE_ID: "DUPLICATE_ID",
+  INVALID_SIZE: "INVALID_SIZE",             // sizeTEU other than 1 or 2
+  EDGE_ROW_40: "EDGE_ROW_40",               // 40’ would hang over the last row
+  STACK_FULL: "STACK_FULL",                 // every tier at the target is taken
+  NO_SUPPORT: "NO_SUPPORT",                 // free tier found, but nothing (enough) below
+  BLOCKED: "BLOCKED",                       // containers on top (details.blockers)
+  NOT_IN_YARD: "NOT_IN_YARD",               // container is at the gate
+  OUT_OF_BOUNDS: "OUT_OF_BOUNDS",           // config change would cut off containers
+  HEAVY_ON_LIGHT: "HEAVY_ON_LIGHT",         // heavier than the box below (details.below, kg, belowKg)
+  STACK_OVERWEIGHT: "STACK_OVERWEIGHT",     // ground slot load above config.maxStackKg
+  WEIGHT_RULES: "WEIGHT_RULES",             // stricter weight rules broken by placed containers
+  SEGREGATION: "SEGREGATION",               // IMO class too close to another (details.conflicts)
+  SEGREGATION_RULES: "SEGREGATION_RULES",   // stricter matrix broken by placed containers
+  NO_POWER: "NO_POWER",                     // reefer on a slot without power
+  NO_PLUG: "NO_PLUG",                       // every plug of the stack is taken (details.plugs)
+  REEFER_RULES: "REEFER_RULES",             // power removed under placed reefers
+});
+
+// placement allowed, but worth telling the operator (decision.warnings)
+export const WARNINGS = Object.freeze({
+  POWERED_SLOT: "POWERED_SLOT",             // non-reefer takes a powered slot
+});
+
+export const cellKey = (bay, row, tier) => `${bay}-${row}-${tier}`;
+
+const ok = (extra = {}) => ({ ok: true, ...extra });
+const fail = (reason, details = {}) => ({ ok: false, reason, details });
+
+export class YardModel {
+  constructor(config = DEFAULT_YARD_CONFIG) {
+    this.config = normalizeYardConfig(config);
+    this.occ = {};                  // "b-r-t" -> id
+    this.entries = new Map();       // id -> { id, sizeTEU, cells, ...attrs }
+  }
+
+  // ===== Config =====
+  setConfig(config) {
+    const next = normalizeYardConfig(config);
+    const outside = this.list().filter((c) =>
+      c.cells.some((cell) => cell.bay > next.bays || cell.row > next.rows || cell.tier > next.tiers)
+    );
+    if (outside.length) return fail(REASONS.OUT_OF_BOUNDS, { containers: outside.map((c) => c.id) });
+    const overweight = this.list().filter((c) => c.cells.length && !this.checkWeight(c.id, c.cells, next).ok);
+    if (overweight.length) return fail(REASONS.WEIGHT_RULES, { containers: overweight.map((c) => c.id) });
+    const segregated = this.list().filter((c) => c.cells.length && !this.checkSegregation(c.id, c.cells, next).ok);
+    if (segregated.length) return fail(REASONS.SEGREGATION_RULES, { containers: segregated.map((c) => c.id) });
+    const unpowered = this.list().filter((c) => c.cells.length && !this.checkReefer(c.id, c.cells, next).ok);
+    if (unpowered.length) return fail(REASONS.REEFER_RULES, { containers: unpowered.map((c) => c.id) });
+    this.config = next;
+    return ok({ config: next });
+  }
+
+  // independent copy (for planning / what-if checks)
+  clone() {
+    const copy = new YardModel(this.config);
+    copy.occ = { ...this.occ };
+    for (const [id, entry] of this.entries) {
+      copy.entries.set(id, { ...entry, cells: entry.cells.map((c) => ({ ...c })) });
+    }
+    return copy;
+  }
+
+  // ===== Containers =====
+  addContainer({ id, sizeTEU = 1, ...attrs }) {
+    if (!id) return fail(REASONS.UNKNOWN_CONTAINER, { id });
+    if (this.entries.has(id)) return fail(REASONS.DUPLICATE_ID, { id });
+    if (sizeTEU !== 1 && sizeTEU !== 2) return fail(REASONS.INVALID_SIZE, { id, sizeTEU });
+    const entry = { ...attrs, id, sizeTEU, cells: [] };
+    this.entries.set(id, entry);
+    return ok({ container: { ...entry } });
+  }
+
+  // drop a container from the model entirely (frees its cells)
+  deleteContainer(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return fail(REASONS.UNKNOWN_CONTAINER, { id });
+    this._release(entry);
+    this.entries.delete(id);
+    return ok({ prevCells: entry.cells });
+  }
+
+  getContainer(id) {
+    const entry = this.entries.get(id);
+    return entry ? { ...entry, cells: entry.cells.map((c) => ({ ...c })) } : null;
+  }
+
+  list() {
+    return Array.from(this.entries.keys()).map((id) => this.getContainer(id));
+  }
+
+  occupancy() {
+    return { ...this.occ };
+  }
+
+  occupantAt(bay, row, tier) {
+    return this.occ[cellKey(bay, row, tier)] || null;
+  }
+
+  // ===== Rules =====
+  cellsFor(sizeTEU, bay, row, tier) {
+    if (sizeTEU === 1) return [{ bay, row, tier }];
+    if (row >= this.config.rows) return null; // 40' needs row+1
+    return [{ bay, row, tier }, { bay, row: row + 1, tier }];
+  }
+
+  isFreeFor(containerId, cells) {
+    return cells.every((c) => {
+      const occBy = this.occ[cellKey(c.bay, c.row, c.tier)];
+      return !occBy || occBy === containerId;
+    });
+  }
+
+  // support = every cell one tier below is occupied (40’: one 40’ or two 20’);
+  // a container being moved never supports itself
+  hasSupportBelow(sizeTEU, bay, row, tier, containerId = null) {
+    if (tier <= 1) return true;
+    const below = this.cellsFor(sizeTEU, bay, row, tier - 1);
+    if (!below) return false;
+    return below.every((c) => {
+      const occBy = this.occ[cellKey(c.bay, c.row, c.tier)];
+      return !!occBy && occBy !== containerId;
+    });
+  }
+
+  // lowest free tier wins; anything above tier 1 needs support
+  chooseTier(containerId, sizeTEU, bay, row) {
+    if (!this.cellsFor(sizeTEU, bay, row, 1)) return fail(REASONS.EDGE_ROW_40, { bay, row });
+    for (let tier = 1; tier <= this.config.tiers; tier++) {
+      const cells = this.cellsFor(sizeTEU, bay, row, tier);
+      if (!this.isFreeFor(containerId, cells)) continue;
+      if (!this.hasSupportBelow(sizeTEU, bay, row, tier, containerId)) {
+        return fail(REASONS.NO_SUPPORT, { bay, row, tier, sizeTEU });
+      }
+      const weight = this.checkWeight(containerId, cells);
+      if (!weight.ok) return weight;
+      const segregation = this.checkSegregation(containerId, cells);
+      if (!segregation.ok) return segregation;
+      const power = this.checkReefer(containerId, cells);
+      if (!power.ok) return power;
+      return ok({ tier, cells, warnings: power.warnings });
+    }
+    return fail(REASONS.STACK_FULL, { bay, row, tier: this.config.tiers });
+  }
+
+  // ===== Weight =====
+  // load a container puts on each 20’ ground slot it covers; null = weight unknown
+  slotLoadKg(containerId) {
+    const entry = this.entries.get(containerId);
+    if (!entry || entry.grossKg == null || entry.grossKg === "") return null;
+    const kg = Number(entry.grossKg);
+    return Number.isFinite(kg) ? kg / entry.sizeTEU : null;
+  }
+
+  // total load on ground slot bay/row from tiers below `belowTier` (excluding one container)
+  stackWeight(bay, row, belowTier = this.config.tiers + 1, excludeId = null) {
+    let kg = 0;
+    for (let tier = 1; tier < belowTier; tier++) {
+      const id = this.occ[cellKey(bay, row, tier)];
+      if (id && id !== excludeId) kg += this.slotLoadKg(id) || 0;
+    }
+    return kg;
+  }
+
+  // "b-r" -> kg for every loaded ground slot
+  stackWeights() {
+    const out = {};
+    for (let bay = 1; bay <= this.config.bays; bay++) {
+      for (let row = 1; row <= this.config.rows; row++) {
+        const kg = this.stackWeight(bay, row);
+        if (kg > 0) out[`${bay}-${row}`] = kg;
+      }
+    }
+    return out;
+  }
+
+  // weight rules for `containerId` standing on `cells`; containers of unknown weight pass
+  checkWeight(containerId, cells, config = this.config) {
+    const kg = this.slotLoadKg(containerId);
+    if (kg == null) return ok();
+    const sizeTEU = this.entries.get(containerId).sizeTEU;
+    for (const c of cells) {
+      const below = c.tier > 1 ? this.occ[cellKey(c.bay, c.row, c.tier - 1)] : null;
+      const belowKg = below && below !== containerId ? this.slotLoadKg(below) : null;
+      if (config.weightOrder && belowKg != null && kg > belowKg + config.weightToleranceKg) {
+        const split = sizeTEU === 2 || this.entries.get(below).sizeTEU === 2;
+        return fail(REASONS.HEAVY_ON_LIGHT, { id: containerId, below, bay: c.bay, row: c.row, tier: c.tier, kg, belowKg, split });
+      }
+      const loadKg = this.stackWeight(c.bay, c.row, c.tier, containerId) + kg;
+      if (loadKg > config.maxStackKg) {
+        return fail(REASONS.STACK_OVERWEIGHT, { id: containerId, bay: c.bay, row: c.row, loadKg, maxKg: config.maxStackKg });
+      }
+    }
+    return ok();
+  }
+
+  // ===== Hazardous cargo =====
+  // placed containers whose IMO class is too close to `containerId` standing on `cells`
+  segregationConflicts(containerId, cells, config = this.config) {
+    const cls = this.entries.get(containerId)?.imoClass;
+    if (!cls) return [];
+    const conflicts = [];
+    for (const other of this.entries.values()) {
+      if (other.id === containerId || !other.imoClass || !other.cells.length) continue;
+      const required = requiredDistance(config.segregation, cls, other.imoClass);
+      if (!required) continue;
+      const distance = slotDistance(cells, other.cells);
+      if (distance <= required) {
+        conflicts.push({ id: other.id, imoClass: other.imoClass, distance, required, cells: other.cells.map((c) => ({ ...c })) });
+      }
+    }
+    return conflicts;
+  }
+
+  checkSegregation(containerId, cells, config = this.config) {
+    const conflicts = this.segregationConflicts(containerId, cells, config);
+    if (!conflicts.length) return ok();
+    return fail(REASONS.SEGREGATION, { id: containerId, imoClass: this.entries.get(containerId).imoClass, conflicts });
+  }
+
+  // ===== Reefer power =====
+  isReefer(containerId) {
+    return isReeferType(this.entries.get(containerId)?.typeCode);
+  }
+
+  // reefers plugged into the stack at bay/row; a 40’ uses one plug at its first cell
+  pluggedAt(bay, row, excludeId = null) {
+    const ids = new Set();
+    for (let tier = 1; tier <= this.config.tiers; tier++) {
+      const id = this.occ[cellKey(bay, row, tier)];
+      if (!id || id === excludeId || !this.isReefer(id)) continue;
+      const first = this.entries.get(id).cells[0];
+      if (first.bay === bay && first.row === row) ids.add(id);
+    }
+    return ids.size;
+  }
+
+  // { slots: [{ bay, row, used, plugs }], used, total } over all powered slots
+  plugUsage() {
+    const plugs = this.config.reeferPlugs;
+    const slots = reeferSlotList(this.config).map(({ bay, row }) => ({ bay, row, used: this.pluggedAt(bay, row), plugs }));
+    return { slots, used: slots.reduce((n, s) => n + s.used, 0), total: slots.length * plugs };
+  }
+
+  // power rules for `containerId` on `cells`; ok results may carry warnings
+  checkReefer(containerId, cells, config = this.config) {
+    if (!this.isReefer(containerId)) {
+      const powered = cells.filter((c) => isReeferSlot(config, c.bay, c.row));
+      return ok({
+        warnings: powered.map((c) => ({ reason: WARNINGS.POWERED_SLOT, details: { id: containerId, bay: c.bay, row: c.row } })),
+      });
+    }
+    const unpowered = cells.find((c) => !isReeferSlot(config, c.bay, c.row));
+    if (unpowered) return fail(REASONS.NO_POWER, { id: containerId, bay: unpowered.bay, row: unpowered.row });
+    const { bay, row } = cells[0];
+    if (this.pluggedAt(bay, row, containerId) >= config.reeferPlugs) {
+      return fail(REASONS.NO_PLUG, { id: containerId, bay, row, plugs: config.reeferPlugs });
+    }
+    return ok({ warnings: [] });
+  }
+
+  canRemove(containerId) {
+    const entry = this.entries.get(containerId);
+    const blockers = new Set();
+    for (const c of entry?.cells || []) {
+      if (c.tier >= this.config.tiers) continue;
+      const aboveId = this.occ[cellKey(c.bay, c.row, c.tier + 1)];
+      if (aboveId && aboveId !== containerId) blockers.add(aboveId);
+    }
+    return { ok: blockers.size === 0, blockers: Array.from(blockers) };
+  }
+
+  // ===== Validation (no mutation) =====
+  resolveTarget(target) {
+    if (typeof target === "string") return parseSlot(target, this.config);
+    if (!target) return null;
+    const { bay, row } = target;
+    if (!Number.isInteger(bay) || !Number.isInteger(row)) return null;
+    if (bay < 1 || bay > this.config.bays || row < 1 || row > this.config.rows) return null;
+    return { bay, row };
+  }
+
+  validatePlace(containerId, target) {
+    const entry = this.entries.get(containerId);
+    if (!entry) return fail(REASONS.UNKNOWN_CONTAINER, { id: containerId });
+    const pos = this.resolveTarget(target);
+    if (!pos) return fail(REASONS.INVALID_SLOT, { target });
+    // a stacked container can only be lifted if nothing stands on it
+    const lift = this.canRemove(containerId);
+    if (!lift.ok) return fail(REASONS.BLOCKED, { blockers: lift.blockers });
+    const decision = this.chooseTier(containerId, entry.sizeTEU, pos.bay, pos.row);
+    if (!decision.ok) return decision;
+    const { tier, cells, warnings } = decision;
+    return ok({ ...pos, tier, cells, prevCells: entry.cells, warnings });
+  }
+
+  validateRemove(containerId) {
+    const entry = this.entries.get(containerId);
+    if (!entry) return fail(REASONS.UNKNOWN_CONTAINER, { id: containerId });
+    if (!entry.cells.length) return fail(REASONS.NOT_IN_YARD, { id: containerId });
+    const { ok: free, blockers } = this.canRemove(containerId);
+    if (!free) return fail(REASONS.BLOCKED, { blockers });
+    return ok({ prevCells: entry.cells });
+  }
+
+  // ===== Operations =====
+  place(containerId, target) {
+    const decision = this.validatePlace(containerId, target);
+    if (!decision.ok) return decision;
+    const entry = this.entries.get(containerId);
+    this._release(entry);
+    for (const c of decision.cells) this.occ[cellKey(c.bay, c.row, c.tier)] = containerId;
+    entry.cells = decision.cells;
+    return decision;
+  }
+
+  remove(containerId) {
+    const decision = this.validateRemove(containerId);
+    if (!decision.ok) return decision;
+    const entry = this.entries.get(containerId);
+    this._release(entry);
+    entry.cells = [];
+    return decision;
+  }
+
+  // ===== Queries =====
+  querySlot(target) {
+    const pos = this.resolveTarget(target);
+    if (!pos) return fail(REASONS.INVALID_SLOT, { target });
+    const stack = [];
+    for (let tier = 1; tier <= this.config.tiers; tier++) {
+      stack.push({ tier, id: this.occupantAt(pos.bay, pos.row, tier) });
+    }
+    const used = stack.filter((s) => s.id).length;
+    return ok({ ...pos, stack, used, free: this.config.tiers - used });
+  }
+
+  // querySlot for the cell tooltip: each tier with its box (size, gross weight),
+  // load left under maxStackKg, reefer plugs ({ used, total }, null on an unpowered slot)
+  slotSummary(target) {
+    const info = this.querySlot(target);
+    if (!info.ok) return info;
+    const { bay, row, used, free } = info;
+    const stack = info.stack.map(({ tier, id }) => {
+      const entry = id ? this.entries.get(id) : null;
+      return { tier, id, sizeTEU: entry?.sizeTEU ?? null, grossKg: entry?.grossKg ?? null };
+    });
+    const plugs = isReeferSlot(this.config, bay, row) ? { used: this.pluggedAt(bay, row), total: this.config.reeferPlugs } : null;
+    const loadLeftKg = Math.max(0, this.config.maxStackKg - this.stackWeight(bay, row));
+    return ok({ bay, row, stack, used, free, loadLeftKg, plugs });
+  }
+
+  _release(entry) {
+    for (const c of entry.cells) {
+      const kk = cellKey(c.bay, c.row, c.tier);
+      if (this.occ[kk] === entry.id) delete this.occ[kk];
+    }
+  }
+}
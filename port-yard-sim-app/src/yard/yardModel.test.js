@@ -0,0 +1,495 @@
+import { YardModel, REASONS, WARNINGS, cellKey } from "./yardModel";
+
+const cells = (...list) => list.map(([bay, row, tier]) => ({ bay, row, tier }));
+
+function yardWith(containers, config) {
+  const yard = new YardModel(config);
+  containers.forEach(([id, sizeTEU]) => yard.addContainer({ id, sizeTEU }));
+  return yard;
+}
+
+describe("YardModel · containers", () => {
+  test("adds containers at the gate (no cells)", () => {
+    const yard = new YardModel();
+    const res = yard.addContainer({ id: "C1", sizeTEU: 2, color: "#fff" });
+    expect(res.ok).toBe(true);
+    expect(yard.getContainer("C1")).toEqual({ id: "C1", sizeTEU: 2, color: "#fff", cells: [] });
+  });
+
+  test("rejects duplicate ids and invalid sizes", () => {
+    const yard = yardWith([["C1", 1]]);
+    expect(yard.addContainer({ id: "C1", sizeTEU: 1 })).toMatchObject({ ok: false, reason: REASONS.DUPLICATE_ID });
+    expect(yard.addContainer({ id: "C2", sizeTEU: 3 })).toMatchObject({ ok: false, reason: REASONS.INVALID_SIZE });
+  });
+
+  test("unknown containers are reported, not thrown", () => {
+    const yard = new YardModel();
+    expect(yard.place("nope", "A1")).toMatchObject({ ok: false, reason: REASONS.UNKNOWN_CONTAINER });
+    expect(yard.remove("nope")).toMatchObject({ ok: false, reason: REASONS.UNKNOWN_CONTAINER });
+  });
+
+  test("deleteContainer frees its cells", () => {
+    const yard = yardWith([["C1", 2]]);
+    yard.place("C1", "A1");
+    expect(yard.deleteContainer("C1").ok).toBe(true);
+    expect(yard.occupancy()).toEqual({});
+    expect(yard.getContainer("C1")).toBeNull();
+  });
+});
+
+describe("YardModel · slot addressing", () => {
+  test("accepts slot strings and {bay,row} targets", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1]]);
+    expect(yard.place("C1", "b2")).toMatchObject({ ok: true, bay: 2, row: 2, tier: 1 });
+    expect(yard.place("C2", { bay: 3, row: 1 })).toMatchObject({ ok: true, bay: 3, row: 1, tier: 1 });
+  });
+
+  test("rejects slots outside the block", () => {
+    const yard = yardWith([["C1", 1]]);
+    ["D1", "A4", "A0", "", "11", null].forEach((t) => {
+      expect(yard.place("C1", t)).toMatchObject({ ok: false, reason: REASONS.INVALID_SLOT });
+    });
+  });
+
+  test("multi-letter bays in big blocks", () => {
+    const yard = yardWith([["C1", 1]], { bays: 30, rows: 20, tiers: 5 });
+    expect(yard.place("C1", "AA12")).toMatchObject({ ok: true, bay: 27, row: 12, tier: 1 });
+    expect(yard.occupantAt(27, 12, 1)).toBe("C1");
+  });
+});
+
+describe("YardModel · 20’ stacking", () => {
+  test("first container lands on tier 1, the next one on tier 2", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1]]);
+    expect(yard.place("C1", "A1")).toMatchObject({ ok: true, tier: 1, cells: cells([1, 1, 1]) });
+    expect(yard.place("C2", "A1")).toMatchObject({ ok: true, tier: 2, cells: cells([1, 1, 2]) });
+    expect(yard.occupancy()).toEqual({ [cellKey(1, 1, 1)]: "C1", [cellKey(1, 1, 2)]: "C2" });
+  });
+
+  test("full stack is rejected with STACK_FULL", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1], ["C3", 1]]);
+    yard.place("C1", "A1");
+    yard.place("C2", "A1");
+    expect(yard.place("C3", "A1")).toMatchObject({ ok: false, reason: REASONS.STACK_FULL, details: { tier: 2 } });
+  });
+
+  test("stacks up to the configured number of tiers", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1], ["C3", 1], ["C4", 1], ["C5", 1]], { tiers: 4 });
+    ["C1", "C2", "C3", "C4"].forEach((id, i) => {
+      expect(yard.place(id, "B2")).toMatchObject({ ok: true, tier: i + 1 });
+    });
+    expect(yard.place("C5", "B2")).toMatchObject({ ok: false, reason: REASONS.STACK_FULL });
+  });
+
+  test("20’ may stand on either half of a 40’", () => {
+    const yard = yardWith([["F1", 2], ["C1", 1], ["C2", 1]]);
+    yard.place("F1", "A1");
+    expect(yard.place("C1", "A1")).toMatchObject({ ok: true, tier: 2 });
+    expect(yard.place("C2", "A2")).toMatchObject({ ok: true, tier: 2 });
+  });
+
+  test("single tier yards only ever use tier 1", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1]], { tiers: 1 });
+    yard.place("C1", "A1");
+    expect(yard.place("C2", "A1")).toMatchObject({ ok: false, reason: REASONS.STACK_FULL });
+  });
+});
+
+describe("YardModel · 40’ footprint and support", () => {
+  test("40’ occupies row and row+1 in the same bay", () => {
+    const yard = yardWith([["F1", 2]]);
+    expect(yard.place("F1", "B1")).toMatchObject({ ok: true, tier: 1, cells: cells([2, 1, 1], [2, 2, 1]) });
+  });
+
+  test("40’ cannot start in the last row (EDGE_ROW_40)", () => {
+    const yard = yardWith([["F1", 2]]);
+    expect(yard.place("F1", "A3")).toMatchObject({ ok: false, reason: REASONS.EDGE_ROW_40 });
+    expect(yard.getContainer("F1").cells).toEqual([]);
+  });
+
+  test("edge row follows the configured row count", () => {
+    const yard = yardWith([["F1", 2]], { rows: 5 });
+    expect(yard.place("F1", "A4").ok).toBe(true);
+    expect(yard.place("F1", "A5")).toMatchObject({ ok: false, reason: REASONS.EDGE_ROW_40 });
+  });
+
+  test("40’ on tier 2 needs both cells below: one 40’ …", () => {
+    const yard = yardWith([["F1", 2], ["F2", 2]]);
+    yard.place("F1", "A1");
+    expect(yard.place("F2", "A1")).toMatchObject({ ok: true, tier: 2, cells: cells([1, 1, 2], [1, 2, 2]) });
+  });
+
+  test("… or two 20’", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1], ["F1", 2]]);
+    yard.place("C1", "A1");
+    yard.place("C2", "A2");
+    expect(yard.place("F1", "A1")).toMatchObject({ ok: true, tier: 2 });
+  });
+
+  test("40’ over a single 20’ has no support", () => {
+    const yard = yardWith([["C1", 1], ["F1", 2]]);
+    yard.place("C1", "A1");
+    expect(yard.place("F1", "A1")).toMatchObject({
+      ok: false,
+      reason: REASONS.NO_SUPPORT,
+      details: { tier: 2, sizeTEU: 2 },
+    });
+  });
+
+  test("40’ over a 40’ shifted by one row has no support", () => {
+    const yard = yardWith([["F1", 2], ["F2", 2]]);
+    yard.place("F1", "A1");
+    expect(yard.place("F2", "A2")).toMatchObject({ ok: false, reason: REASONS.NO_SUPPORT });
+  });
+
+  test("a moved container never supports itself", () => {
+    const yard = yardWith([["F1", 2], ["C1", 1]]);
+    yard.place("F1", "A1");
+    yard.place("C1", "A3");
+    // A2 tier 1 is F1 itself, A3 tier 1 is taken → tier 2 would rest on F1's old cell
+    expect(yard.place("F1", "A2")).toMatchObject({ ok: false, reason: REASONS.NO_SUPPORT });
+  });
+});
+
+describe("YardModel · moving placed containers", () => {
+  test("moving releases the previous cells", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "A1");
+    expect(yard.place("C1", "C3")).toMatchObject({ ok: true, prevCells: cells([1, 1, 1]) });
+    expect(yard.occupancy()).toEqual({ [cellKey(3, 3, 1)]: "C1" });
+  });
+
+  test("re-placing into its own slot keeps the tier", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "A1");
+    expect(yard.place("C1", "A1")).toMatchObject({ ok: true, tier: 1 });
+  });
+
+  test("a container with something on top cannot be lifted", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1]]);
+    yard.place("C1", "A1");
+    yard.place("C2", "A1");
+    expect(yard.place("C1", "B1")).toMatchObject({ ok: false, reason: REASONS.BLOCKED, details: { blockers: ["C2"] } });
+  });
+});
+
+describe("YardModel · unstacking", () => {
+  test("removing a free container returns it to the gate", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "A1");
+    expect(yard.remove("C1")).toMatchObject({ ok: true, prevCells: cells([1, 1, 1]) });
+    expect(yard.getContainer("C1").cells).toEqual([]);
+    expect(yard.occupancy()).toEqual({});
+  });
+
+  test("containers at the gate cannot be removed", () => {
+    const yard = yardWith([["C1", 1]]);
+    expect(yard.remove("C1")).toMatchObject({ ok: false, reason: REASONS.NOT_IN_YARD });
+  });
+
+  test("20’ on top blocks the one below", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1]]);
+    yard.place("C1", "B2");
+    yard.place("C2", "B2");
+    expect(yard.canRemove("C1")).toEqual({ ok: false, blockers: ["C2"] });
+    expect(yard.remove("C1")).toMatchObject({ ok: false, reason: REASONS.BLOCKED, details: { blockers: ["C2"] } });
+    expect(yard.remove("C2").ok).toBe(true);
+    expect(yard.remove("C1").ok).toBe(true);
+  });
+
+  test("40’ on top blocks both 20’ below", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1], ["F1", 2]]);
+    yard.place("C1", "A1");
+    yard.place("C2", "A2");
+    yard.place("F1", "A1");
+    expect(yard.canRemove("C1").blockers).toEqual(["F1"]);
+    expect(yard.canRemove("C2").blockers).toEqual(["F1"]);
+  });
+
+  test("two 20’ on a 40’ are both reported as blockers", () => {
+    const yard = yardWith([["F1", 2], ["C1", 1], ["C2", 1]]);
+    yard.place("F1", "C1");
+    yard.place("C1", "C1");
+    yard.place("C2", "C2");
+    expect(yard.canRemove("F1").blockers.sort()).toEqual(["C1", "C2"]);
+  });
+
+  test("top tier never has blockers", () => {
+    const yard = yardWith([["C1", 1], ["C2", 1]]);
+    yard.place("C1", "A1");
+    yard.place("C2", "A1");
+    expect(yard.canRemove("C2")).toEqual({ ok: true, blockers: [] });
+  });
+
+  test("validateRemove does not mutate", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "A1");
+    expect(yard.validateRemove("C1").ok).toBe(true);
+    expect(yard.occupantAt(1, 1, 1)).toBe("C1");
+  });
+});
+
+describe("YardModel · queries and config", () => {
+  test("querySlot reports the stack per tier and free capacity", () => {
+    const yard = yardWith([["C1", 1]], { tiers: 3 });
+    yard.place("C1", "B3");
+    expect(yard.querySlot("B3")).toEqual({
+      ok: true,
+      bay: 2,
+      row: 3,
+      stack: [{ tier: 1, id: "C1" }, { tier: 2, id: null }, { tier: 3, id: null }],
+      used: 1,
+      free: 2,
+    });
+    expect(yard.querySlot("Z9")).toMatchObject({ ok: false, reason: REASONS.INVALID_SLOT });
+  });
+
+  test("slotSummary adds boxes, load left and reefer plugs for the tooltip", () => {
+    const yard = new YardModel({ bays: 2, rows: 2, tiers: 3, maxStackKg: 60000, reeferRows: [1, 2], reeferPlugs: 2 });
+    yard.addContainer({ id: "F", sizeTEU: 2, grossKg: 24000, typeCode: "45R1" });
+    yard.addContainer({ id: "S", sizeTEU: 1, grossKg: 10000, typeCode: "22G1" });
+    yard.addContainer({ id: "R", sizeTEU: 1, grossKg: 20000, typeCode: "22R1" });
+    yard.place("F", "A1");
+    yard.place("S", "A1");
+    yard.place("R", "B1");
+
+    expect(yard.slotSummary("A1")).toEqual({
+      ok: true,
+      bay: 1,
+      row: 1,
+      stack: [
+        { tier: 1, id: "F", sizeTEU: 2, grossKg: 24000 },
+        { tier: 2, id: "S", sizeTEU: 1, grossKg: 10000 },
+        { tier: 3, id: null, sizeTEU: null, grossKg: null },
+      ],
+      used: 2,
+      free: 1,
+      loadLeftKg: 60000 - 12000 - 10000, // a 40’ weighs half on each slot
+      plugs: { used: 1, total: 2 },
+    });
+    // second half of the 40’: its plug is counted at the first cell
+    expect(yard.slotSummary("A2")).toMatchObject({ used: 1, free: 2, loadLeftKg: 48000, plugs: { used: 0, total: 2 } });
+    expect(new YardModel({ bays: 1, rows: 1, tiers: 1 }).slotSummary("A1").plugs).toBeNull(); // unpowered
+    expect(yard.slotSummary("B1")).toMatchObject({ used: 1, plugs: { used: 1, total: 2 } });
+    expect(yard.slotSummary("Z9")).toMatchObject({ ok: false, reason: REASONS.INVALID_SLOT });
+  });
+
+  test("validatePlace does not mutate", () => {
+    const yard = yardWith([["C1", 1]]);
+    expect(yard.validatePlace("C1", "A1")).toMatchObject({ ok: true, tier: 1 });
+    expect(yard.occupancy()).toEqual({});
+  });
+
+  test("clone is independent of the original", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "A1");
+    const copy = yard.clone();
+    copy.place("C1", "B2");
+    expect(yard.occupantAt(1, 1, 1)).toBe("C1");
+    expect(yard.getContainer("C1").cells).toEqual(cells([1, 1, 1]));
+    expect(copy.occupantAt(2, 2, 1)).toBe("C1");
+  });
+
+  test("growing the yard keeps containers", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "C3");
+    expect(yard.setConfig({ bays: 6, rows: 20, tiers: 4 }).ok).toBe(true);
+    expect(yard.occupantAt(3, 3, 1)).toBe("C1");
+  });
+
+  test("shrinking below placed containers is refused", () => {
+    const yard = yardWith([["C1", 1]]);
+    yard.place("C1", "C3");
+    expect(yard.setConfig({ bays: 2 })).toMatchObject({
+      ok: false,
+      reason: REASONS.OUT_OF_BOUNDS,
+      details: { containers: ["C1"] },
+    });
+    expect(yard.config.bays).toBe(3);
+  });
+});
+
+describe("YardModel · weight rules", () => {
+  function weighted(list, config = { tiers: 4 }) {
+    const yard = new YardModel(config);
+    list.forEach(([id, sizeTEU, grossKg]) => yard.addContainer({ id, sizeTEU, grossKg }));
+    return yard;
+  }
+
+  test("a heavier container is never stacked on a lighter one", () => {
+    const yard = weighted([["L", 1, 8000], ["H", 1, 20000], ["M", 1, 8000]]);
+    yard.place("L", "A1");
+    expect(yard.place("H", "A1")).toMatchObject({
+      ok: false,
+      reason: REASONS.HEAVY_ON_LIGHT,
+      details: { id: "H", below: "L", tier: 2, kg: 20000, belowKg: 8000, split: false },
+    });
+    expect(yard.place("M", "A1")).toMatchObject({ ok: true, tier: 2 }); // equal weight is fine
+  });
+
+  test("tolerance and the weightOrder switch relax the order rule", () => {
+    const yard = weighted([["L", 1, 8000], ["H", 1, 9000]], { tiers: 4, weightToleranceKg: 1000 });
+    yard.place("L", "A1");
+    expect(yard.place("H", "A1").ok).toBe(true);
+    const off = weighted([["L", 1, 8000], ["H", 1, 20000]], { tiers: 4, weightOrder: false });
+    off.place("L", "A1");
+    expect(off.place("H", "A1").ok).toBe(true);
+  });
+
+  test("stack weight per ground slot is limited", () => {
+    const yard = weighted([["A", 1, 30000], ["B", 1, 30000], ["C", 1, 30000]], { tiers: 4, maxStackKg: 60000 });
+    yard.place("A", "B2");
+    yard.place("B", "B2");
+    expect(yard.stackWeight(2, 2)).toBe(60000);
+    expect(yard.place("C", "B2")).toMatchObject({
+      ok: false,
+      reason: REASONS.STACK_OVERWEIGHT,
+      details: { bay: 2, row: 2, loadKg: 90000, maxKg: 60000 },
+    });
+  });
+
+  test("a 40’ on two 20’ splits its load across both stacks", () => {
+    const yard = weighted([["S1", 1, 12000], ["S2", 1, 9000], ["F", 2, 20000], ["G", 2, 26000]]);
+    yard.place("S1", "A1");
+    yard.place("S2", "A2");
+    // 10 t per slot: fine on the 12 t box, too heavy for the 9 t one
+    expect(yard.validatePlace("F", "A1")).toMatchObject({
+      ok: false,
+      reason: REASONS.HEAVY_ON_LIGHT,
+      details: { below: "S2", kg: 10000, belowKg: 9000, split: true },
+    });
+    yard.setConfig({ ...yard.config, weightToleranceKg: 1000 });
+    expect(yard.place("F", "A1").ok).toBe(true);
+    expect(yard.stackWeights()).toEqual({ "1-1": 22000, "1-2": 19000 });
+    // 13 t per slot on a 10 t share
+    expect(yard.validatePlace("G", "A1")).toMatchObject({ ok: false, reason: REASONS.HEAVY_ON_LIGHT, details: { below: "F" } });
+  });
+
+  test("containers without a weight are not judged", () => {
+    const yard = weighted([["L", 1, 8000], ["X", 1, undefined]]);
+    yard.place("L", "A1");
+    expect(yard.place("X", "A1").ok).toBe(true);
+    expect(yard.stackWeight(1, 1)).toBe(8000);
+  });
+
+  test("tightening the rules is refused while placed containers break them", () => {
+    const yard = weighted([["A", 1, 30000], ["B", 1, 30000]]);
+    yard.place("A", "C3");
+    yard.place("B", "C3");
+    expect(yard.setConfig({ ...yard.config, maxStackKg: 50000 })).toMatchObject({
+      ok: false,
+      reason: REASONS.WEIGHT_RULES,
+      details: { containers: ["B"] },
+    });
+    expect(yard.config.maxStackKg).toBe(100000);
+  });
+});
+
+describe("YardModel · IMDG segregation", () => {
+  function hazmat(list, config = { bays: 6, rows: 6, tiers: 3 }) {
+    const yard = new YardModel(config);
+    list.forEach(([id, sizeTEU, imoClass]) => yard.addContainer({ id, sizeTEU, imoClass }));
+    return yard;
+  }
+
+  test("incompatible classes keep the configured distance", () => {
+    // 3 vs 5.1: 2 slots by default
+    const yard = hazmat([["FL", 1, "3"], ["OX", 1, "5.1"]]);
+    yard.place("FL", "A1");
+    for (const slot of ["A1", "B2", "C3", "A3"]) {
+      expect(yard.validatePlace("OX", slot)).toMatchObject({
+        ok: false,
+        reason: REASONS.SEGREGATION,
+        details: { id: "OX", imoClass: "5.1", conflicts: [{ id: "FL", imoClass: "3", required: 2 }] },
+      });
+    }
+    expect(yard.validatePlace("OX", "D1").ok).toBe(true);
+    expect(yard.validatePlace("OX", "A4").ok).toBe(true);
+  });
+
+  test("stacking on top counts as distance 0", () => {
+    const yard = hazmat([["FL", 1, "3"], ["CO", 1, "8"], ["GAS", 1, "2.1"]]);
+    yard.place("FL", "B2");
+    expect(yard.place("CO", "B2").ok).toBe(true); // 3 / 8 compatible
+    expect(yard.validatePlace("GAS", "B2")).toMatchObject({
+      ok: false,
+      reason: REASONS.SEGREGATION,
+      details: { conflicts: [{ id: "FL", distance: 0, required: 2 }, { id: "CO", distance: 0, required: 1 }] },
+    });
+  });
+
+  test("a 40’ is measured from both of its cells", () => {
+    const yard = hazmat([["EX", 2, "1"], ["FL", 1, "3"]]);
+    yard.place("EX", "A1"); // A1 + A2
+    expect(yard.validatePlace("FL", "F6").ok).toBe(true);
+    expect(yard.validatePlace("FL", "E2")).toMatchObject({ ok: false, details: { conflicts: [{ distance: 4, required: 4 }] } });
+  });
+
+  test("the matrix is configurable per class pair", () => {
+    const yard = hazmat([["FL", 1, "3"], ["OX", 1, "5.1"]], { bays: 6, rows: 6, segregation: { "5.1|3": 0 } });
+    yard.place("FL", "A1");
+    expect(yard.place("OX", "B1").ok).toBe(true);
+    expect(yard.setConfig({ ...yard.config, segregation: { "3|5.1": 1 } })).toMatchObject({
+      ok: false,
+      reason: REASONS.SEGREGATION_RULES,
+      details: { containers: ["FL", "OX"] },
+    });
+  });
+
+  test("containers without a class are never segregated", () => {
+    const yard = hazmat([["FL", 1, "3"], ["DRY", 1, undefined]]);
+    yard.place("FL", "A1");
+    expect(yard.place("DRY", "A1").ok).toBe(true);
+  });
+});
+
+describe("YardModel · reefer power", () => {
+  function reeferYard(list, config = { bays: 3, rows: 4, tiers: 3, reeferRows: [4], reeferSlots: ["A1"], reeferPlugs: 2 }) {
+    const yard = new YardModel(config);
+    list.forEach(([id, typeCode]) => yard.addContainer({ id, sizeTEU: typeCode.startsWith("4") ? 2 : 1, typeCode }));
+    return yard;
+  }
+
+  test("reefers are refused outside powered slots", () => {
+    const yard = reeferYard([["R1", "22R1"]]);
+    expect(yard.validatePlace("R1", "B2")).toMatchObject({ ok: false, reason: REASONS.NO_POWER, details: { bay: 2, row: 2 } });
+    expect(yard.validatePlace("R1", "A1")).toMatchObject({ ok: true, warnings: [] });
+    expect(yard.validatePlace("R1", "C4")).toMatchObject({ ok: true, warnings: [] });
+  });
+
+  test("a 40’ reefer needs power on both cells", () => {
+    const yard = reeferYard([["R4", "45R1"]], { bays: 3, rows: 4, reeferRows: [2, 3] });
+    expect(yard.validatePlace("R4", "A3")).toMatchObject({ ok: false, reason: REASONS.NO_POWER, details: { row: 4 } });
+    expect(yard.place("R4", "A2").ok).toBe(true);
+    expect(yard.pluggedAt(1, 2)).toBe(1);
+    expect(yard.pluggedAt(1, 3)).toBe(0);
+  });
+
+  test("plugs per stack are limited", () => {
+    const yard = reeferYard([["R1", "22R1"], ["R2", "22R1"], ["R3", "22R1"]]);
+    yard.place("R1", "B4");
+    yard.place("R2", "B4");
+    expect(yard.validatePlace("R3", "B4")).toMatchObject({ ok: false, reason: REASONS.NO_PLUG, details: { plugs: 2 } });
+    expect(yard.plugUsage()).toMatchObject({ used: 2, total: 8 });
+    expect(yard.plugUsage().slots.find((s) => s.bay === 2 && s.row === 4)).toEqual({ bay: 2, row: 4, used: 2, plugs: 2 });
+  });
+
+  test("non-reefers on powered slots are placed with a warning", () => {
+    const yard = reeferYard([["DRY", "22G1"]]);
+    expect(yard.place("DRY", "A1")).toMatchObject({
+      ok: true,
+      warnings: [{ reason: WARNINGS.POWERED_SLOT, details: { id: "DRY", bay: 1, row: 1 } }],
+    });
+    expect(yard.validatePlace("DRY", "B1").warnings).toEqual([]);
+  });
+
+  test("power cannot be removed under placed reefers", () => {
+    const yard = reeferYard([["R1", "22R1"]]);
+    yard.place("R1", "C4");
+    expect(yard.setConfig({ ...yard.config, reeferRows: [] })).toMatchObject({
+      ok: false,
+      reason: REASONS.REEFER_RULES,
+      details: { containers: ["R1"] },
+    });
+  });
+});
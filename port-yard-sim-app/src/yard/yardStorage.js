@@ -0,0 +1,201 @@
+// src/yard/yardStorage.js
+// ---------------------------------------------
+// Yard snapshots (headless, no three.js / React)
+// - Versioned JSON: config, containers (id, size, color, ISO attributes, cells),
+//   occ, gate queue
+// - Import rebuilds a YardModel and re-checks every stacking rule
+//   (and that the gate queue fits the parking positions of the gate)
+// - Collects all problems into a report instead of failing on the first
+// - localStorage auto-save helpers
+// ---------------------------------------------
+
+import { normalizeYardConfig } from "./yardConfig";
+import { YardModel, REASONS, cellKey } from "./yardModel";
+import { pickSpec } from "./containerSpec";
+import { gateCapacity } from "./gateArea";
+
+export const SNAPSHOT_VERSION = 1;
+export const STORAGE_KEY = "port-yard-sim.yard";
+
+export const SNAPSHOT_ERRORS = Object.freeze({
+  INVALID_JSON: "INVALID_JSON",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  MISSING_FIELD: "MISSING_FIELD",             // details.field
+  INVALID_CONTAINER: "INVALID_CONTAINER",     // details.index
+  DUPLICATE_ID: "DUPLICATE_ID",               // details.id
+  INVALID_CELLS: "INVALID_CELLS",             // footprint does not match size
+  CELL_CONFLICT: "CELL_CONFLICT",             // two containers claim one cell
+  PLACEMENT_REJECTED: "PLACEMENT_REJECTED",   // stacking rules say no (details.reason)
+  TIER_MISMATCH: "TIER_MISMATCH",             // floating or hidden below another box
+  OCC_MISMATCH: "OCC_MISMATCH",               // occ map disagrees with container cells
+  GATE_QUEUE_MISMATCH: "GATE_QUEUE_MISMATCH", // queue ≠ containers at the gate
+  GATE_FULL: "GATE_FULL",                     // more boxes at the gate than parking positions
+});
+
+const err = (code, details = {}) => ({ code, details });
+
+/**
+ * Build a plain, JSON-ready snapshot.
+ * `containers` are [{ id, sizeTEU, color, cells, ...spec }], `gateQueue` lists ids in gate order.
+ */
+export function serializeYard({ config, containers, occ, gateQueue }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    config: { ...config },
+    containers: containers.map(({ id, sizeTEU, color, cells, ...rest }) => ({
+      id,
+      sizeTEU,
+      color,
+      ...pickSpec(rest),
+      cells: (cells || []).map(({ bay, row, tier }) => ({ bay, row, tier })),
+    })),
+    occ: { ...occ },
+    gateQueue: [...gateQueue],
+  };
+}
+
+// cells must be exactly the footprint YardModel would use for that size
+function footprintOk(sizeTEU, cells) {
+  const valid = (c) => c && [c.bay, c.row, c.tier].every((n) => Number.isInteger(n) && n >= 1);
+  if (!cells.every(valid)) return false;
+  if (sizeTEU === 1) return cells.length === 1;
+  if (cells.length !== 2) return false;
+  const [a, b] = [...cells].sort((x, y) => x.row - y.row);
+  return a.bay === b.bay && a.tier === b.tier && b.row === a.row + 1;
+}
+
+/**
+ * Parse and validate a snapshot (JSON text or object).
+ * Returns { ok, errors, snapshot, model }; `model` is a YardModel holding the
+ * restored occupancy (only meaningful when ok).
+ */
+export function parseYardSnapshot(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      return { ok: false, errors: [err(SNAPSHOT_ERRORS.INVALID_JSON, { message: e.message })] };
+    }
+  }
+  if (!data || typeof data !== "object") {
+    return { ok: false, errors: [err(SNAPSHOT_ERRORS.INVALID_JSON, { message: "not an object" })] };
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    return { ok: false, errors: [err(SNAPSHOT_ERRORS.UNSUPPORTED_VERSION, { version: data.version })] };
+  }
+  const missing = [];
+  if (!data.config || typeof data.config !== "object") missing.push("config");
+  if (!Array.isArray(data.containers)) missing.push("containers");
+  if (!Array.isArray(data.gateQueue)) missing.push("gateQueue");
+  if (missing.length) {
+    return { ok: false, errors: missing.map((field) => err(SNAPSHOT_ERRORS.MISSING_FIELD, { field })) };
+  }
+
+  const errors = [];
+  const model = new YardModel(normalizeYardConfig(data.config));
+
+  // 1) register containers, check footprints and cell claims
+  const claims = {};
+  const placed = [];
+  data.containers.forEach((c, index) => {
+    if (!c || typeof c.id !== "string" || !c.id) {
+      errors.push(err(SNAPSHOT_ERRORS.INVALID_CONTAINER, { index }));
+      return;
+    }
+    const cells = Array.isArray(c.cells) ? c.cells : [];
+    const added = model.addContainer({ id: c.id, sizeTEU: c.sizeTEU, color: c.color, ...pickSpec(c) });
+    if (!added.ok) {
+      errors.push(
+        added.reason === REASONS.DUPLICATE_ID
+          ? err(SNAPSHOT_ERRORS.DUPLICATE_ID, { id: c.id })
+          : err(SNAPSHOT_ERRORS.INVALID_CONTAINER, { index, id: c.id })
+      );
+      return;
+    }
+    if (!cells.length) return;
+    if (!footprintOk(c.sizeTEU, cells)) {
+      errors.push(err(SNAPSHOT_ERRORS.INVALID_CELLS, { id: c.id }));
+      return;
+    }
+    for (const cell of cells) {
+      const kk = cellKey(cell.bay, cell.row, cell.tier);
+      if (claims[kk]) errors.push(err(SNAPSHOT_ERRORS.CELL_CONFLICT, { key: kk, ids: [claims[kk], c.id] }));
+      else claims[kk] = c.id;
+    }
+    const first = [...cells].sort((x, y) => x.row - y.row)[0];
+    placed.push({ id: c.id, bay: first.bay, row: first.row, tier: first.tier });
+  });
+
+  // 2) replay placements bottom-up through the real rules
+  if (!errors.length) {
+    placed
+      .sort((a, b) => a.tier - b.tier)
+      .forEach((p) => {
+        const res = model.place(p.id, { bay: p.bay, row: p.row });
+        if (!res.ok) {
+          errors.push(err(SNAPSHOT_ERRORS.PLACEMENT_REJECTED, { id: p.id, reason: res.reason, ...res.details }));
+        } else if (res.tier !== p.tier) {
+          errors.push(err(SNAPSHOT_ERRORS.TIER_MISMATCH, { id: p.id, expected: p.tier, actual: res.tier }));
+        }
+      });
+  }
+
+  // 3) occ map (optional, but must agree when present)
+  if (!errors.length && data.occ) {
+    const actual = model.occupancy();
+    const keys = new Set([...Object.keys(actual), ...Object.keys(data.occ)]);
+    for (const kk of keys) {
+      if (actual[kk] !== data.occ[kk]) {
+        errors.push(err(SNAPSHOT_ERRORS.OCC_MISMATCH, { key: kk, expected: data.occ[kk] || null, actual: actual[kk] || null }));
+      }
+    }
+  }
+
+  // 4) gate queue = every container without cells, each exactly once
+  const atGate = new Set(model.list().filter((c) => !c.cells.length).map((c) => c.id));
+  const seen = new Set();
+  data.gateQueue.forEach((id) => {
+    if (!atGate.has(id) || seen.has(id)) errors.push(err(SNAPSHOT_ERRORS.GATE_QUEUE_MISMATCH, { id }));
+    seen.add(id);
+  });
+  atGate.forEach((id) => {
+    if (!seen.has(id)) errors.push(err(SNAPSHOT_ERRORS.GATE_QUEUE_MISMATCH, { id }));
+  });
+  const capacity = gateCapacity(model.config);
+  if (atGate.size > capacity) errors.push(err(SNAPSHOT_ERRORS.GATE_FULL, { count: atGate.size, capacity }));
+
+  return { ok: errors.length === 0, errors, snapshot: data, model };
+}
+
+// ===== localStorage =====
+const defaultStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+export function saveToStorage(snapshot, storage = defaultStorage()) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+    return true;
+  } catch {
+    return false; // quota / private mode: auto-save is best effort
+  }
+}
+
+// returns the parse result, or null when nothing is stored
+export function loadFromStorage(storage = defaultStorage()) {
+  let text = null;
+  try {
+    text = storage?.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  return text ? parseYardSnapshot(text) : null;
+}
+
+export function clearStorage(storage = defaultStorage()) {
+  try {
+    storage?.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,152 @@
+import { YardModel } from "./yardModel";
+import {
+  SNAPSHOT_ERRORS,
+  SNAPSHOT_VERSION,
+  STORAGE_KEY,
+  loadFromStorage,
+  parseYardSnapshot,
+  saveToStorage,
+  serializeYard,
+} from "./yardStorage";
+
+function sampleYard() {
+  const yard = new YardModel({ bays: 4, rows: 5, tiers: 3 });
+  [["C1", 1], ["C2", 1], ["F1", 2], ["G1", 1], ["G2", 2]].forEach(([id, sizeTEU]) =>
+    yard.addContainer({ id, sizeTEU, color: "#abcdef" })
+  );
+  yard.place("C1", "B1");
+  yard.place("C2", "B2");
+  yard.place("F1", "B1"); // 40’ on two 20’
+  return serializeYard({
+    config: yard.config,
+    containers: yard.list(),
+    occ: yard.occupancy(),
+    gateQueue: ["G2", "G1"],
+  });
+}
+
+const codes = (res) => res.errors.map((e) => e.code);
+
+describe("yardStorage", () => {
+  test("round-trips a yard through JSON", () => {
+    const snap = sampleYard();
+    expect(snap.version).toBe(SNAPSHOT_VERSION);
+    const res = parseYardSnapshot(JSON.stringify(snap));
+    expect(res.ok).toBe(true);
+    expect(res.model.config).toMatchObject({ bays: 4, rows: 5, tiers: 3 });
+    expect(res.model.occupancy()).toEqual(snap.occ);
+    expect(res.model.getContainer("F1").cells).toEqual([
+      { bay: 2, row: 1, tier: 2 },
+      { bay: 2, row: 2, tier: 2 },
+    ]);
+    expect(res.snapshot.gateQueue).toEqual(["G2", "G1"]);
+  });
+
+  test("keeps container attributes (type, weight, operator)", () => {
+    const yard = new YardModel();
+    yard.addContainer({ id: "CSQU3054383", sizeTEU: 1, typeCode: "22R1", grossKg: 18000, full: true, operator: "MSC", remark: "8 °C" });
+    const snap = serializeYard({ config: yard.config, containers: yard.list(), occ: yard.occupancy(), gateQueue: ["CSQU3054383"] });
+    const res = parseYardSnapshot(JSON.stringify(snap));
+    expect(res.snapshot.containers[0]).toMatchObject({ typeCode: "22R1", grossKg: 18000, operator: "MSC", remark: "8 °C" });
+    expect(res.model.getContainer("CSQU3054383")).toMatchObject({ typeCode: "22R1", full: true });
+  });
+
+  test("rejects corrupt JSON and unknown versions", () => {
+    expect(codes(parseYardSnapshot("{nope"))).toEqual([SNAPSHOT_ERRORS.INVALID_JSON]);
+    expect(codes(parseYardSnapshot({ ...sampleYard(), version: 99 }))).toEqual([SNAPSHOT_ERRORS.UNSUPPORTED_VERSION]);
+    expect(codes(parseYardSnapshot({ version: SNAPSHOT_VERSION }))).toEqual([
+      SNAPSHOT_ERRORS.MISSING_FIELD,
+      SNAPSHOT_ERRORS.MISSING_FIELD,
+      SNAPSHOT_ERRORS.MISSING_FIELD,
+    ]);
+  });
+
+  test("reports two containers claiming the same cell", () => {
+    const snap = sampleYard();
+    snap.containers.find((c) => c.id === "G1").cells = [{ bay: 2, row: 1, tier: 1 }];
+    expect(codes(parseYardSnapshot(snap))).toContain(SNAPSHOT_ERRORS.CELL_CONFLICT);
+  });
+
+  test("reports footprints that do not match the size", () => {
+    const snap = sampleYard();
+    snap.containers.find((c) => c.id === "F1").cells = [{ bay: 2, row: 1, tier: 2 }];
+    expect(codes(parseYardSnapshot(snap))).toEqual(
+      expect.arrayContaining([SNAPSHOT_ERRORS.INVALID_CELLS])
+    );
+  });
+
+  test("reports containers without support", () => {
+    const snap = sampleYard();
+    snap.containers.find((c) => c.id === "C2").cells = [];
+    snap.gateQueue.push("C2");
+    delete snap.occ["2-2-1"];
+    const res = parseYardSnapshot(snap);
+    expect(res.ok).toBe(false);
+    expect(res.errors[0]).toMatchObject({
+      code: SNAPSHOT_ERRORS.PLACEMENT_REJECTED,
+      details: { id: "F1", reason: "NO_SUPPORT" },
+    });
+  });
+
+  test("reports floating containers", () => {
+    const snap = sampleYard();
+    snap.containers.find((c) => c.id === "G1").cells = [{ bay: 4, row: 4, tier: 2 }];
+    snap.gateQueue = ["G2"];
+    snap.occ["4-4-2"] = "G1";
+    expect(parseYardSnapshot(snap).errors[0]).toMatchObject({
+      code: SNAPSHOT_ERRORS.TIER_MISMATCH,
+      details: { id: "G1", expected: 2, actual: 1 },
+    });
+  });
+
+  test("reports cells outside the configured block", () => {
+    const snap = sampleYard();
+    snap.config.bays = 1;
+    expect(parseYardSnapshot(snap).errors[0]).toMatchObject({
+      code: SNAPSHOT_ERRORS.PLACEMENT_REJECTED,
+      details: { reason: "INVALID_SLOT" },
+    });
+  });
+
+  test("reports an occ map that disagrees with the containers", () => {
+    const snap = sampleYard();
+    snap.occ["1-1-1"] = "C1";
+    expect(parseYardSnapshot(snap).errors).toEqual([
+      { code: SNAPSHOT_ERRORS.OCC_MISMATCH, details: { key: "1-1-1", expected: "C1", actual: null } },
+    ]);
+  });
+
+  test("gate queue must list every gate container exactly once", () => {
+    const snap = sampleYard();
+    snap.gateQueue = ["G1", "G1", "C1"];
+    const res = parseYardSnapshot(snap);
+    expect(res.errors.map((e) => e.details.id)).toEqual(["G1", "C1", "G2"]);
+    expect(codes(res).every((c) => c === SNAPSHOT_ERRORS.GATE_QUEUE_MISMATCH)).toBe(true);
+  });
+
+  test("the gate queue must fit the parking positions", () => {
+    const snap = sampleYard();
+    snap.config = { ...snap.config, gateLanes: 1, gateSpots: 1 };
+    expect(parseYardSnapshot(snap).errors).toEqual([
+      { code: SNAPSHOT_ERRORS.GATE_FULL, details: { count: 2, capacity: 1 } },
+    ]);
+  });
+
+  test("duplicate ids are reported", () => {
+    const snap = sampleYard();
+    snap.containers.push({ id: "G1", sizeTEU: 1, color: "#000", cells: [] });
+    expect(codes(parseYardSnapshot(snap))).toContain(SNAPSHOT_ERRORS.DUPLICATE_ID);
+  });
+
+  test("saves to and restores from storage", () => {
+    const store = {};
+    const storage = {
+      setItem: (key, v) => (store[key] = v),
+      getItem: (key) => store[key] ?? null,
+    };
+    expect(loadFromStorage(storage)).toBeNull();
+    expect(saveToStorage(sampleYard(), storage)).toBe(true);
+    expect(Object.keys(store)).toEqual([STORAGE_KEY]);
+    expect(loadFromStorage(storage).ok).toBe(true);
+  });
+});